@@ -125,10 +125,15 @@ function updateUI(results) {
     const spr = o.spreaders || {};
 
     // Helper to set text and apply slack class
-    const setTension = (id, val) => {
+    const gauge = o.tensionGauge || {};
+    const setTension = (id, val, reading) => {
         const el = byId(id);
         if (!el) return;
-        el.textContent = formatN(val);
+        // Lectura equivalente del tensiómetro Loos (obenques y estay)
+        const loos = Number.isFinite(reading?.reading)
+            ? ` · Loos ${reading.reading.toFixed(0)}${reading.inRange ? '' : '+'}`
+            : '';
+        el.textContent = formatN(val) + loos;
         if (val < 1) {
             el.classList.add('slack');
         } else {
@@ -137,9 +142,9 @@ function updateUI(results) {
     };
 
     // Tensions
-    setTension('res-shroud-port', t.shroudPortN || 0);
-    setTension('res-shroud-stbd', t.shroudStbdN || 0);
-    setTension('res-stay', t.forestayN || 0);
+    setTension('res-shroud-port', t.shroudPortN || 0, gauge.shroudPort);
+    setTension('res-shroud-stbd', t.shroudStbdN || 0, gauge.shroudStbd);
+    setTension('res-stay', t.forestayN || 0, gauge.forestay);
     setTension('res-spr-port', spr.portAxialN || 0);
     setTension('res-spr-stbd', spr.stbdAxialN || 0);
 
@@ -3,6 +3,11 @@ const fs = require("fs");
 const path = require("path");
 const { getPresets } = require("./src/shared/rig/presets.cjs");
 const { runPhase1Simulation } = require("./src/shared/rig/runPhase1.cjs");
+const { solveInverseTuning } = require("./src/shared/rig/inverseTuning.cjs");
+const { runSweep } = require("./src/main/sweepPool.cjs");
+const { analyzeSensitivity } = require("./src/shared/rig/sensitivity.cjs");
+const { calibrateBendTest } = require("./src/shared/rig/bendTestCalibration.cjs");
+const { calibrateRig } = require("./src/shared/rig/rigCalibration.cjs");
 
 const PORT = 8080;
 const RENDERER_DIR = path.join(__dirname, "src/renderer");
@@ -70,6 +75,102 @@ const server = http.createServer((req, res) => {
                 res.end(JSON.stringify({ error: err.message }));
             }
         });
+    } else if (req.method === "POST" && req.url === "/api/tune") {
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk.toString();
+        });
+        req.on("end", () => {
+            try {
+                const { payload, targets, options } = JSON.parse(body);
+                const results = solveInverseTuning({ payload, targets, options });
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify(results));
+            } catch (err) {
+                console.error("Tuning error:", err);
+                res.writeHead(500, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ error: err.message }));
+            }
+        });
+    } else if (req.method === "POST" && req.url === "/api/calibrate") {
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk.toString();
+        });
+        req.on("end", () => {
+            try {
+                const { payload, observations, options } = JSON.parse(body);
+                const results = calibrateRig({ payload, observations, options });
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify(results));
+            } catch (err) {
+                console.error("Calibration error:", err);
+                res.writeHead(500, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ error: err.message }));
+            }
+        });
+    } else if (req.method === "POST" && req.url === "/api/calibrate/bend-test") {
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk.toString();
+        });
+        req.on("end", () => {
+            try {
+                const { test, options } = JSON.parse(body);
+                const results = calibrateBendTest({ test, options });
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify(results));
+            } catch (err) {
+                console.error("Bend test calibration error:", err);
+                res.writeHead(500, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ error: err.message }));
+            }
+        });
+    } else if (req.method === "POST" && req.url === "/api/sensitivity") {
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk.toString();
+        });
+        req.on("end", () => {
+            try {
+                const { payload, options } = JSON.parse(body);
+                const results = analyzeSensitivity({ payload, options });
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify(results));
+            } catch (err) {
+                console.error("Sensitivity error:", err);
+                res.writeHead(500, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ error: err.message }));
+            }
+        });
+    } else if (req.method === "POST" && req.url === "/api/sweep") {
+        // Respuesta NDJSON: una linea por punto y una final con la malla
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk.toString();
+        });
+        req.on("end", async () => {
+            const controller = new AbortController();
+            res.on("close", () => controller.abort());
+            try {
+                const { payload, sweep, options } = JSON.parse(body);
+                res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+                const grid = await runSweep({
+                    payload,
+                    sweep,
+                    poolSize: options?.poolSize,
+                    warmStart: options?.warmStart ?? true,
+                    signal: controller.signal,
+                    onPoint: (point) => res.write(JSON.stringify({ type: "point", ...point }) + "\n")
+                });
+                res.end(JSON.stringify({ type: "done", grid }) + "\n");
+            } catch (err) {
+                if (err.code === "SWEEP_CANCELLED") return;
+                console.error("Sweep error:", err);
+                if (!res.headersSent) res.writeHead(500, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ type: "error", error: err.message }) + "\n");
+            }
+        });
     } else {
         res.writeHead(405);
         res.end("Method not allowed");
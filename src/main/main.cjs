@@ -6,9 +6,12 @@ const http = require("http");
 
 const { getPresets } = require("../shared/rig/presets.cjs");
 const { resultsToCsv } = require("../shared/rig/serialize.cjs");
+const { runSweep } = require("./sweepPool.cjs");
+const { calibrateBendTest } = require("../shared/rig/bendTestCalibration.cjs");
 
 let mainWindow = null;
 let currentWorker = null;
+let currentSweep = null; // AbortController del barrido en curso
 let jobIdCounter = 0;
 
 // Estado global para monitoreo externo
@@ -89,8 +92,8 @@ app.on("window-all-closed", () => {
 
 ipcMain.handle("presets:list", async () => getPresets());
 
-// Simulación en segundo plano con worker thread
-ipcMain.handle("sim:runPhase1Async", async (_evt, payload) => {
+// Lanza un job en el worker (simulación o ajuste inverso) y resuelve con su resultado
+function runWorkerJob(jobData) {
   // Si hay un worker activo, terminarlo
   if (currentWorker) {
     currentWorker.terminate();
@@ -112,7 +115,7 @@ ipcMain.handle("sim:runPhase1Async", async (_evt, payload) => {
   return new Promise((resolve, reject) => {
     try {
       currentWorker = new Worker(path.join(__dirname, "solverWorker.cjs"), {
-        workerData: { payload, jobId }
+        workerData: { ...jobData, jobId }
       });
 
       currentWorker.on("message", (msg) => {
@@ -170,22 +173,77 @@ ipcMain.handle("sim:runPhase1Async", async (_evt, payload) => {
       reject(err);
     }
   });
+}
+
+// Simulación en segundo plano con worker thread
+ipcMain.handle("sim:runPhase1Async", async (_evt, payload) => runWorkerJob({ mode: "simulate", payload }));
+
+// Ajuste inverso (controles para tensiones objetivo) en el worker
+ipcMain.handle("sim:tune", async (_evt, { payload, targets, options }) =>
+  runWorkerJob({ mode: "tune", payload, targets, options })
+);
+
+// Calibración con medidas en el agua (LM sobre el simulador) en el worker
+ipcMain.handle("sim:calibrate", async (_evt, { payload, observations, options }) =>
+  runWorkerJob({ mode: "calibrate", payload, observations, options })
+);
+
+// Calibración de EI(z) con ensayo de flexión (ajuste de viga, rápido: sin worker)
+ipcMain.handle("calib:bendTest", async (_evt, { test, options }) => {
+  try {
+    return calibrateBendTest({ test, options });
+  } catch (err) {
+    return { error: err.message };
+  }
 });
 
-// Cancelar simulación en curso
+// Sensibilidad (tornado) en el worker
+ipcMain.handle("sim:sensitivity", async (_evt, { payload, options }) =>
+  runWorkerJob({ mode: "sensitivity", payload, options })
+);
+
+// Barrido paramétrico en un pool de workers; cada punto se emite por "sim:sweepPoint"
+ipcMain.handle("sim:sweep", async (_evt, { payload, sweep, options }) => {
+  if (currentSweep) currentSweep.abort();
+  const controller = new AbortController();
+  currentSweep = controller;
+
+  try {
+    return await runSweep({
+      payload,
+      sweep,
+      poolSize: options?.poolSize,
+      warmStart: options?.warmStart ?? true,
+      signal: controller.signal,
+      onPoint: (point) => {
+        if (mainWindow) mainWindow.webContents.send("sim:sweepPoint", point);
+      }
+    });
+  } finally {
+    if (currentSweep === controller) currentSweep = null;
+  }
+});
+
+// Cancelar simulación (o barrido) en curso
 ipcMain.handle("sim:cancel", async () => {
+  let cancelled = false;
   if (currentWorker) {
     currentWorker.terminate();
     currentWorker = null;
-    return { cancelled: true };
+    cancelled = true;
+  }
+  if (currentSweep) {
+    currentSweep.abort();
+    currentSweep = null;
+    cancelled = true;
   }
-  return { cancelled: false };
+  return { cancelled };
 });
 
 // Verificar estado de simulación
 ipcMain.handle("sim:status", async () => {
   return {
-    running: currentWorker !== null
+    running: currentWorker !== null || currentSweep !== null
   };
 });
 
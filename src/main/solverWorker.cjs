@@ -4,6 +4,9 @@
  */
 const { parentPort, workerData } = require("worker_threads");
 const { runPhase1Simulation } = require("../shared/rig/runPhase1.cjs");
+const { solveInverseTuning } = require("../shared/rig/inverseTuning.cjs");
+const { analyzeSensitivity } = require("../shared/rig/sensitivity.cjs");
+const { calibrateRig } = require("../shared/rig/rigCalibration.cjs");
 
 // Interceptar console.log para capturar debug del solver
 const originalLog = console.log;
@@ -94,9 +97,53 @@ function parseDebugMessage(msg) {
   return Object.keys(metrics).length > 1 ? metrics : null;
 }
 
-// Ejecutar simulación
+// Ajuste inverso: cada iteración exterior se reporta como progreso
+function runTuning({ payload, targets, options }) {
+  return solveInverseTuning({
+    payload,
+    targets,
+    options,
+    onProgress: ({ iter, residualNorm }) => {
+      parentPort.postMessage({
+        type: "progress",
+        metrics: { stage: "tuning", iteration: iter, residualNorm, timestamp: Date.now() }
+      });
+    }
+  });
+}
+
+// Calibración con medidas en el agua: cada iteración LM se reporta como progreso
+function runCalibration({ payload, observations, options }) {
+  return calibrateRig({
+    payload,
+    observations,
+    options,
+    onProgress: ({ iter, residualNorm }) => {
+      parentPort.postMessage({
+        type: "progress",
+        metrics: { stage: "calibration", iteration: iter, residualNorm, timestamp: Date.now() }
+      });
+    }
+  });
+}
+
+// Sensibilidad: progreso por cada solve perturbado
+function runSensitivity({ payload, options }) {
+  return analyzeSensitivity({
+    payload,
+    options,
+    onProgress: ({ completed, total, field }) => {
+      parentPort.postMessage({
+        type: "progress",
+        metrics: { stage: "sensitivity", completed, total, field, timestamp: Date.now() }
+      });
+    }
+  });
+}
+
+// Ejecutar simulación (o ajuste inverso / sensibilidad / calibración según mode)
 async function runSimulation() {
-  const { payload, jobId } = workerData;
+  const { payload, jobId, mode } = workerData;
 
   parentPort.postMessage({
     type: "started",
@@ -106,7 +153,13 @@ async function runSimulation() {
 
   try {
     const startTime = Date.now();
-    const result = runPhase1Simulation(payload);
+    const result = mode === "tune"
+      ? runTuning(workerData)
+      : mode === "sensitivity"
+        ? runSensitivity(workerData)
+        : mode === "calibrate"
+          ? runCalibration(workerData)
+          : runPhase1Simulation(payload);
     const duration = Date.now() - startTime;
 
     parentPort.postMessage({
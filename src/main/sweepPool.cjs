@@ -0,0 +1,112 @@
+/**
+ * Sweep Pool - Reparte los puntos de un barrido entre worker_threads
+ * Tamaño del pool = nº de CPUs (o poolSize). Cada punto arranca en caliente
+ * desde el vecino convergido más cercano; los resultados se emiten por punto
+ * (onPoint) a medida que llegan.
+ */
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const {
+  buildSweepPoints,
+  sweepDispatchOrder,
+  nearestConverged,
+  applySweepPoint,
+  assembleSweepGrid
+} = require("../shared/rig/sweep.cjs");
+const { applyGaugeInputs } = require("../shared/rig/loosGauge.cjs");
+
+function defaultPoolSize() {
+  return typeof os.availableParallelism === "function" ? os.availableParallelism() : os.cpus().length;
+}
+
+/**
+ * @param {object} args
+ * @param {object} args.payload payload base de runPhase1Simulation
+ * @param {object} args.sweep { axes: [...] } (ver sweep.cjs)
+ * @param {number} [args.poolSize] workers (por defecto nº de CPUs)
+ * @param {boolean} [args.warmStart=true] arrancar desde vecinos convergidos
+ * @param {function} [args.onPoint] callback({ index, point, summary, completed, total })
+ * @param {AbortSignal} [args.signal] cancelación
+ * @returns {Promise<object>} malla (assembleSweepGrid) + duration, poolSize
+ */
+function runSweep({ payload, sweep, poolSize, warmStart = true, onPoint, signal }) {
+  const plan = buildSweepPoints(sweep);
+  // Driza leída en Loos → N: un eje sobre controls.jibHalyardTensionN no quedaría pisado
+  payload = applyGaugeInputs(payload);
+  const queue = sweepDispatchOrder(plan.points);
+  const total = plan.points.length;
+  const size = Math.max(1, Math.min(Number.isInteger(poolSize) ? poolSize : defaultPoolSize(), total));
+  const summaries = new Array(total).fill(null);
+  const warmByIndex = new Map();
+  const workers = [];
+  const startTime = Date.now();
+  let completed = 0;
+  let finished = false;
+
+  return new Promise((resolve, reject) => {
+    const terminateAll = () => {
+      finished = true;
+      for (const w of workers) w.terminate();
+    };
+    const fail = (err) => {
+      if (finished) return;
+      terminateAll();
+      reject(err);
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        fail(Object.assign(new Error("Sweep cancelled"), { code: "SWEEP_CANCELLED" }));
+        return;
+      }
+      signal.addEventListener("abort", () => {
+        fail(Object.assign(new Error("Sweep cancelled"), { code: "SWEEP_CANCELLED" }));
+      }, { once: true });
+    }
+
+    const dispatch = (worker) => {
+      const point = queue.shift();
+      if (!point) return;
+      const near = warmStart ? nearestConverged(point, warmByIndex, plan.points) : null;
+      const pointPayload = applySweepPoint(payload, point);
+      if (near !== null) pointPayload.warmStart = warmByIndex.get(near);
+      if (warmStart) pointPayload.solver = { ...pointPayload.solver, returnWarmStart: true };
+      worker.postMessage({ index: point.index, payload: pointPayload });
+    };
+
+    for (let k = 0; k < size; k++) {
+      const worker = new Worker(path.join(__dirname, "sweepWorker.cjs"));
+      workers.push(worker);
+
+      worker.on("message", (msg) => {
+        if (finished || msg.type !== "point") return;
+        summaries[msg.index] = msg.summary;
+        if (msg.warmStart) warmByIndex.set(msg.index, msg.warmStart);
+        completed++;
+        if (onPoint) {
+          onPoint({ index: msg.index, point: plan.points[msg.index], summary: msg.summary, completed, total });
+        }
+
+        if (completed === total) {
+          terminateAll();
+          resolve({
+            ...assembleSweepGrid(plan, summaries),
+            poolSize: size,
+            duration: Date.now() - startTime
+          });
+          return;
+        }
+        dispatch(worker);
+      });
+      worker.on("error", fail);
+      worker.on("exit", (code) => {
+        if (code !== 0) fail(new Error(`Sweep worker stopped with exit code ${code}`));
+      });
+
+      dispatch(worker);
+    }
+  });
+}
+
+module.exports = { runSweep };
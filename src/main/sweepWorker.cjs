@@ -0,0 +1,42 @@
+/**
+ * Sweep Worker - Worker persistente del pool de barridos paramétricos
+ * Recibe puntos { index, payload } y devuelve el resumen del punto y el x
+ * convergido por fase (para arrancar en caliente a los vecinos).
+ */
+const { parentPort } = require("worker_threads");
+const { runPhase1Simulation } = require("../shared/rig/runPhase1.cjs");
+const { summarizeSweepPoint } = require("../shared/rig/sweep.cjs");
+
+// El DEBUG del solver no se reenvía: con N workers solo sería ruido. Se
+// silencia solo durante el cálculo; el resto del worker conserva console.log.
+function runSilently(payload) {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return runPhase1Simulation(payload);
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+parentPort.on("message", ({ index, payload }) => {
+  const startTime = Date.now();
+  try {
+    const result = runSilently(payload);
+    parentPort.postMessage({
+      type: "point",
+      index,
+      summary: summarizeSweepPoint(result, payload.geometry),
+      warmStart: result.converged ? result.diagnostics.warmStart : null,
+      duration: Date.now() - startTime
+    });
+  } catch (error) {
+    parentPort.postMessage({
+      type: "point",
+      index,
+      summary: { converged: false, reason: error.message },
+      warmStart: null,
+      duration: Date.now() - startTime
+    });
+  }
+});
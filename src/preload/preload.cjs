@@ -6,6 +6,32 @@ contextBridge.exposeInMainWorld("snipeApi", {
   // Simulación asíncrona (no bloquea UI)
   runPhase1Async: (payload) => ipcRenderer.invoke("sim:runPhase1Async", payload),
 
+  // Ajuste inverso: controles que reproducen las tensiones medidas
+  runInverseTuning: ({ payload, targets, options }) =>
+    ipcRenderer.invoke("sim:tune", { payload, targets, options }),
+
+  // Calibración de parámetros del modelo con medidas en el agua
+  runCalibration: ({ payload, observations, options }) =>
+    ipcRenderer.invoke("sim:calibrate", { payload, observations, options }),
+
+  // Calibración de EI(z) con el ensayo de flexión en pantalán
+  calibrateBendTest: ({ test, options }) =>
+    ipcRenderer.invoke("calib:bendTest", { test, options }),
+
+  // Sensibilidad (tornado) de controles y rigideces
+  runSensitivity: ({ payload, options }) =>
+    ipcRenderer.invoke("sim:sensitivity", { payload, options }),
+
+  // Barrido paramétrico (pool de workers); los puntos llegan por onSweepPoint
+  runSweep: ({ payload, sweep, options }) =>
+    ipcRenderer.invoke("sim:sweep", { payload, sweep, options }),
+
+  onSweepPoint: (callback) => {
+    const handler = (_event, data) => callback(data);
+    ipcRenderer.on("sim:sweepPoint", handler);
+    return () => ipcRenderer.removeListener("sim:sweepPoint", handler);
+  },
+
   // Cancelar simulación en curso
   cancelSimulation: () => ipcRenderer.invoke("sim:cancel"),
 
@@ -2,6 +2,7 @@
 
 // Web bridge for non-Electron environment
 if (typeof snipeApi === "undefined") {
+  const sweepPointListeners = new Set();
   window.snipeApi = {
     listPresets: async () => {
       const resp = await fetch("/api/presets", {
@@ -32,6 +33,83 @@ if (typeof snipeApi === "undefined") {
       });
       return resp.json();
     },
+    runInverseTuning: async ({ payload, targets, options }) => {
+      const resp = await fetch("/api/tune", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "ngrok-skip-browser-warning": "true"
+        },
+        body: JSON.stringify({ payload, targets, options })
+      });
+      return resp.json();
+    },
+    runCalibration: async ({ payload, observations, options }) => {
+      const resp = await fetch("/api/calibrate", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "ngrok-skip-browser-warning": "true"
+        },
+        body: JSON.stringify({ payload, observations, options })
+      });
+      return resp.json();
+    },
+    calibrateBendTest: async ({ test, options }) => {
+      const resp = await fetch("/api/calibrate/bend-test", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "ngrok-skip-browser-warning": "true"
+        },
+        body: JSON.stringify({ test, options })
+      });
+      return resp.json();
+    },
+    runSensitivity: async ({ payload, options }) => {
+      const resp = await fetch("/api/sensitivity", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "ngrok-skip-browser-warning": "true"
+        },
+        body: JSON.stringify({ payload, options })
+      });
+      return resp.json();
+    },
+    // Sweep: /api/sweep streams NDJSON (one line per point, then the grid)
+    runSweep: async ({ payload, sweep, options }) => {
+      const resp = await fetch("/api/sweep", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "ngrok-skip-browser-warning": "true"
+        },
+        body: JSON.stringify({ payload, sweep, options })
+      });
+      const reader = resp.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (value) buffer += decoder.decode(value, { stream: true });
+        let nl;
+        while ((nl = buffer.indexOf("\n")) >= 0) {
+          const line = buffer.slice(0, nl).trim();
+          buffer = buffer.slice(nl + 1);
+          if (!line) continue;
+          const msg = JSON.parse(line);
+          if (msg.type === "point") sweepPointListeners.forEach((cb) => cb(msg));
+          else if (msg.type === "done") return msg.grid;
+          else if (msg.type === "error") throw new Error(msg.error);
+        }
+        if (done) throw new Error("Sweep stream ended without result");
+      }
+    },
+    onSweepPoint: (callback) => {
+      sweepPointListeners.add(callback);
+      return () => sweepPointListeners.delete(callback);
+    },
     cancelSimulation: async () => ({ cancelled: false }),
     getSimulationStatus: async () => ({ running: false }),
     onSimulationProgress: () => () => {},
@@ -174,6 +252,7 @@ let lastConvergenceTol = null;
 let presetsCache = [];
 let currentPresetIdx = 0;
 let lastResults = null;
+let lastSensitivity = null;
 
 function byId(id) {
   const el = document.getElementById(id);
@@ -188,6 +267,8 @@ function reorganizeResultsUi() {
     const spreaderCard = byId("card-spreader");
     if (tensionsCard) forcesOverlay.appendChild(tensionsCard);
     if (spreaderCard) forcesOverlay.appendChild(spreaderCard);
+    const bucklingCard = byId("card-buckling");
+    if (bucklingCard) forcesOverlay.appendChild(bucklingCard);
   }
 
   const debugLeft = byId("debugLeft");
@@ -1134,6 +1215,127 @@ function ensureCanvas2d(canvas) {
   return { ctx, w: cssW, h: cssH };
 }
 
+// Formas modales normalizadas (|max| = 1): modo lateral en X, proa-popa en Y
+function plotModeShapes(canvas, modal, options = {}) {
+  const pack = ensureCanvas2d(canvas);
+  if (!pack) return;
+  const { ctx, w, h } = pack;
+  const { geometry = null } = options;
+
+  ctx.fillStyle = "#0d1117";
+  ctx.fillRect(0, 0, w, h);
+
+  const series = [
+    { mode: modal?.mastModes?.lateral, key: "x", color: "#479ef5", label: "Lateral" },
+    { mode: modal?.mastModes?.foreAft, key: "y", color: "#8dfa46", label: "Proa-popa" }
+  ].filter((s) => s.mode?.shape?.length > 1);
+
+  if (!series.length) {
+    ctx.fillStyle = "rgba(255,255,255,0.45)";
+    ctx.font = "12px Inter, sans-serif";
+    ctx.fillText("Sin modos de palo", 12, 22);
+    return;
+  }
+
+  const padL = 40, padR = 20, padT = 40, padB = 30;
+  const plotW = Math.max(1, w - padL - padR);
+  const plotH = Math.max(1, h - padT - padB);
+  const maxZ = Math.max(geometry?.mastLengthM || 0, ...series.flatMap((s) => s.mode.shape.map((p) => p.z)));
+  const xPx = (v) => padL + ((v + 1.2) / 2.4) * plotW;
+  const zPx = (z) => padT + plotH - (z / maxZ) * plotH;
+
+  // Eje central y escala de alturas
+  ctx.strokeStyle = "rgba(255,255,255,0.25)";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(xPx(0), padT);
+  ctx.lineTo(xPx(0), padT + plotH);
+  ctx.stroke();
+  ctx.fillStyle = "rgba(255,255,255,0.4)";
+  ctx.font = "9px ui-monospace, monospace";
+  ctx.textAlign = "right";
+  for (let zV = 0; zV <= maxZ; zV += 1) ctx.fillText(`${zV.toFixed(0)}m`, padL - 5, zPx(zV) + 3);
+  ctx.textAlign = "left";
+
+  series.forEach((s, idx) => {
+    ctx.strokeStyle = s.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    s.mode.shape.forEach((p, i) => {
+      const px = xPx(p[s.key]);
+      const py = zPx(p.z);
+      if (i === 0) ctx.moveTo(px, py);
+      else ctx.lineTo(px, py);
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = s.color;
+    ctx.font = "bold 10px Inter, sans-serif";
+    ctx.fillText(`${s.label}: ${s.mode.frequencyHz.toFixed(2)} Hz`, padL + idx * 130, padT - 20);
+  });
+}
+
+// Tornado: cambio de la salida elegida con cada parámetro en valor − paso / valor + paso
+function plotTornado(canvas, sensitivity, metric) {
+  const pack = ensureCanvas2d(canvas);
+  if (!pack) return;
+  const { ctx, w, h } = pack;
+
+  ctx.fillStyle = "#0d1117";
+  ctx.fillRect(0, 0, w, h);
+
+  const isLength = metric.endsWith("M");
+  const unit = isLength ? "mm" : "N";
+  const scale = isLength ? 1000 : 1;
+  const rows = (sensitivity?.ranking?.[metric] || [])
+    .map((field) => sensitivity.parameters.find((p) => p.field === field))
+    .filter(Boolean)
+    .slice(0, 10);
+
+  if (!rows.length) {
+    ctx.fillStyle = "rgba(255,255,255,0.45)";
+    ctx.font = "12px Inter, sans-serif";
+    ctx.fillText("Sin análisis de sensibilidad", 12, 22);
+    return;
+  }
+
+  const padL = 120, padR = 16, padT = 16, padB = 24;
+  const plotW = Math.max(1, w - padL - padR);
+  const rowH = Math.max(1, (h - padT - padB) / rows.length);
+  const maxAbs = Math.max(1e-12, ...rows.flatMap((p) => [Math.abs(p.low[metric] ?? 0), Math.abs(p.high[metric] ?? 0)]));
+  const xPx = (v) => padL + plotW / 2 + (v / maxAbs) * (plotW / 2);
+
+  ctx.strokeStyle = "rgba(255,255,255,0.25)";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(xPx(0), padT);
+  ctx.lineTo(xPx(0), h - padB);
+  ctx.stroke();
+
+  rows.forEach((p, k) => {
+    const y = padT + k * rowH;
+    const barH = Math.max(2, rowH * 0.6);
+    [["low", "#479ef5"], ["high", "#f59e47"]].forEach(([side, color]) => {
+      const v = p[side][metric];
+      if (!Number.isFinite(v)) return;
+      ctx.fillStyle = color;
+      ctx.fillRect(Math.min(xPx(0), xPx(v)), y + (rowH - barH) / 2, Math.abs(xPx(v) - xPx(0)), barH);
+    });
+    ctx.fillStyle = p.converged ? "rgba(255,255,255,0.75)" : "rgba(255,200,80,0.85)";
+    ctx.font = "10px Inter, sans-serif";
+    ctx.textAlign = "right";
+    ctx.fillText(p.field.split(".").pop(), padL - 6, y + rowH / 2 + 3);
+    ctx.textAlign = "left";
+  });
+
+  ctx.fillStyle = "rgba(255,255,255,0.4)";
+  ctx.font = "9px ui-monospace, monospace";
+  ctx.textAlign = "center";
+  ctx.fillText(`-${(maxAbs * scale).toFixed(isLength ? 2 : 0)} ${unit}`, xPx(-maxAbs), h - 8);
+  ctx.fillText(`+${(maxAbs * scale).toFixed(isLength ? 2 : 0)} ${unit}`, xPx(maxAbs), h - 8);
+  ctx.textAlign = "left";
+}
+
 function plotConvergenceHistory(canvas, history, options = {}) {
   const { tol = null } = options;
   const pack = ensureCanvas2d(canvas);
@@ -1340,12 +1542,53 @@ function renderConvergenceTable(history) {
   tail.forEach(addRow);
 }
 
+const SAIL_SHAPE_STATES = [
+  ["relaxed", "Relajado"],
+  ["prebend", "Prebend"],
+  ["loaded", "Cargado"]
+];
+
+function renderSailShapeTable(shape) {
+  const card = byId("card-sail-shape");
+  const tbody = byId("sailShapeTableBody");
+  if (!card || !tbody) return;
+  tbody.innerHTML = "";
+  card.hidden = !shape;
+  if (!shape) return;
+
+  const fmt = (v, digits, unit) => (Number.isFinite(v) ? `${v.toFixed(digits)}${unit}` : "--");
+  for (const [sailKey, sailLabel] of [["main", "Mayor"], ["jib", "Foque"]]) {
+    shape.heights.forEach((t, k) => {
+      SAIL_SHAPE_STATES.forEach(([stateKey, stateLabel], n) => {
+        const sec = shape[stateKey]?.[sailKey]?.[k];
+        if (!sec) return;
+        const tr = document.createElement("tr");
+        if (n === 0) tr.className = "shapeGroupStart";
+        // Cuerda frente al ancho máximo SCIRA de esa altura (si lo hay)
+        const rule = Number.isFinite(sec.ruleWidthM) ? ` / ${(sec.ruleWidthM * 1000).toFixed(0)}` : "";
+        tr.innerHTML =
+          `<td>${n === 0 ? sailLabel : ""}</td>` +
+          `<td>${n === 0 ? `${Math.round(t * 100)}% (z ${sec.zM.toFixed(2)} m)` : ""}</td>` +
+          `<td>${stateLabel}</td>` +
+          `<td>${(sec.chordM * 1000).toFixed(0)}${rule} mm</td>` +
+          `<td>${fmt(sec.camberPct, 1, "%")}</td>` +
+          `<td>${fmt(sec.draftPosPct, 0, "%")}</td>` +
+          `<td>${fmt(sec.twistDeg, 1, "°")}</td>` +
+          `<td>${fmt(sec.entryDeg, 1, "°")}</td>` +
+          `<td>${fmt(sec.exitDeg, 1, "°")}</td>`;
+        tbody.appendChild(tr);
+      });
+    });
+  }
+}
+
 function buildPayloadFromUi() {
   const mainShapeSections = clampValue(getNumber("mainShapeSections"), 2, 6);
   const jibShapeSections = clampValue(getNumber("jibShapeSections"), 2, 6);
   const mainSections = readSectionArray("mainSectionDepth", "mainSectionPos", mainShapeSections, getNumber("mainDraftPct") / 100, getNumber("mainDraftPosPct") / 100);
   const jibSections = readSectionArray("jibSectionDepth", "jibSectionPos", jibShapeSections, getNumber("jibDraftPct") / 100, getNumber("jibDraftPosPct") / 100);
 
+  const halyardInLoos = byId("jibHalyardUnit")?.value === "loos";
   const payload = {
     geometry: {
       mastLengthM: mmToM(getNumber("mastLengthMm")),
@@ -1363,7 +1606,9 @@ function buildPayloadFromUi() {
       shroudBaseDeltaM: mmToM(getNumber("shroudBaseDeltaMm")),
       shroudDeltaL0PortM: mmToM(getNumber("shroudDeltaPortMm")),
       shroudDeltaL0StbdM: mmToM(getNumber("shroudDeltaStbdMm")),
-      jibHalyardTensionN: kNToN(getNumber("jibHalyardTensionkN")),
+      // En modo Loos la lectura va en jibHalyardLoos; runPhase1 y las herramientas
+      // (ajuste, sensibilidad, calibración, barridos) la pasan a N (applyGaugeInputs)
+      jibHalyardTensionN: halyardInLoos ? 0 : kNToN(getNumber("jibHalyardTensionkN")),
       lockStayLength: byId("lockStayLength")?.checked || false,
       partnersKx: byId("partnersReleaseX")?.checked ? 0 : kNpmToNpm(getNumber("partnersKx")),
       partnersKy: byId("partnersReleaseY")?.checked ? 0 : kNpmToNpm(getNumber("partnersKy")),
@@ -1373,7 +1618,13 @@ function buildPayloadFromUi() {
     load: {
       mode: byId("loadMode").value,
       qLateralNpm: getNumber("qLateral"),
-      qProfile: byId("qProfile").value
+      qProfile: byId("qProfile").value,
+      // Con velas el palo se carga por el grátil y el estay salvo que se pida el perfil
+      mastLoadSource: byId("keepSyntheticQ")?.checked ? "synthetic" : "auto",
+      // Peso propio con la gravedad girada por escora/cabeceo (a sotavento)
+      gravity: byId("loadGravity")?.checked || false,
+      heelDeg: getNumber("loadHeelDeg") || 0,
+      pitchDeg: getNumber("loadPitchDeg") || 0
     },
     solver: {
       mastSegments: Math.trunc(getNumber("mastSegments")),
@@ -1396,17 +1647,96 @@ function buildPayloadFromUi() {
       pressureRampIters: Math.trunc(getNumber("pressureRampIters")),
       drNewtonFallbackAfter: Math.trunc(getNumber("drNewtonFallbackAfter"))
     },
+    analysis: {
+      buckling: byId("bucklingEnabled")?.checked || false,
+      modal: byId("modalEnabled")?.checked || false
+    },
     // Rigidez del palo (variable con altura - conicidad)
     // Valores típicos Snipe (Selden C060, aluminio 6061-T6):
     // - EI base: ~7500 N·m² (sección constante inferior)
     // - EI top: ~3500 N·m² (punta cónica, ~50% reducción)
     // - Conicidad: empieza sobre intersección stays SCIRA (~4500mm)
     stiffness: {
-      mastEIBase: getNumber("mastEIBase") || 7500,     // EI sección inferior (N·m²)
-      mastEITop: getNumber("mastEITop") || 3500,       // EI sección superior (N·m²)
-      taperStartZM: mmToM(getNumber("taperStartZMm") || 4500)  // Altura inicio conicidad
+      mastEIxBase: getNumber("mastEIxBase") || 7500,   // EI lateral sección inferior (N·m²)
+      mastEIxTop: getNumber("mastEIxTop") || 3500,     // EI lateral sección superior (N·m²)
+      taperStartXZM: mmToM(getNumber("taperStartXZMm") || 4500),  // Inicio conicidad lateral
+      mastEIyBase: getNumber("mastEIyBase") || 7500,   // EI proa-popa sección inferior (N·m²)
+      mastEIyTop: getNumber("mastEIyTop") || 3500,     // EI proa-popa sección superior (N·m²)
+      taperStartYZM: mmToM(getNumber("taperStartYZMm") || 4500)   // Inicio conicidad proa-popa
     }
   };
+  // Tensiómetro Loos: tablas de la tarjeta para lecturas de salida y driza introducida como lectura
+  const gauge = gaugeFromUi();
+  if (gauge) payload.gauge = gauge;
+  if (halyardInLoos) payload.controls.jibHalyardLoos = getNumber("jibHalyardTensionkN");
+
+  // Fogonadura con calzos y ram (contactos unilaterales en proa/popa)
+  if (byId("partnersMode")?.value === "chocks") {
+    const ramMode = byId("ramMode")?.value || "none";
+    payload.partners = {
+      mode: "chocks",
+      clearanceMm: getNumber("partnersClearanceMm"),
+      chockFwdMm: getNumber("chockFwdMm"),
+      chockAftMm: getNumber("chockAftMm"),
+      chockStiffnessNpm: kNpmToNpm(getNumber("chockStiffnesskNpm")),
+      ram: ramMode === "force"
+        ? { mode: "force", forceN: getNumber("ramForceN") }
+        : ramMode === "position" ? { mode: "position", positionMm: getNumber("ramPositionMm") } : { mode: "none" }
+    };
+    // Los calzos sustituyen al muelle proa/popa: runPhase1 rechaza estos controles
+    delete payload.controls.partnersKy;
+    delete payload.controls.partnersOffsetYM;
+  }
+
+  // Ola cuasi-estática: ciclo sinusoidal de cabeceo + arfada
+  if (byId("seaStateEnabled")?.checked) {
+    payload.seaState = {
+      mode: "sinusoidal",
+      pitchAmplitudeDeg: getNumber("seaPitchAmplitudeDeg"),
+      heaveAmplitudeM: getNumber("seaHeaveAmplitudeM"),
+      periodS: getNumber("seaPeriodS"),
+      samples: Math.trunc(getNumber("seaSamples"))
+    };
+  }
+
+  // Racha: integración en el tiempo desde el estado de navegación
+  if (byId("gustEnabled")?.checked) {
+    payload.transient = {
+      durationS: getNumber("gustDurationS"),
+      dtS: getNumber("gustDtS"),
+      dampingRatio: getNumber("gustDampingPct") / 100,
+      gust: {
+        shape: byId("gustShape")?.value || "ramp",
+        factor: getNumber("gustFactor"),
+        startS: getNumber("gustStartS"),
+        riseS: getNumber("gustRiseS")
+      }
+    };
+  }
+
+  // Casos de carga: misma pretensión, envolvente de tensiones y curvatura
+  const loadCases = parseLoadCases();
+  if (loadCases.length) payload.loadCases = loadCases;
+
+  // Herrajes: piezas con longitud de cable; opcionalmente obenques por agujero + vueltas
+  const hardware = hardwareFromUi();
+  if (hardware) {
+    payload.hardware = hardware;
+    if (hardware.shroud && byId("hwDriveShrouds")?.checked) {
+      payload.controls.shroudPortHole = getNumber("hwPortHole");
+      payload.controls.shroudPortTurns = getNumber("hwPortTurns");
+      payload.controls.shroudStbdHole = getNumber("hwStbdHole");
+      payload.controls.shroudStbdTurns = getNumber("hwStbdTurns");
+      // El agujero manda: runPhase1 rechaza además los ΔL0 de obenques
+      delete payload.controls.shroudDeltaL0PortM;
+      delete payload.controls.shroudDeltaL0StbdM;
+      delete payload.controls.shroudBaseDeltaM;
+    }
+  }
+
+  // Sección de la biblioteca: aporta EA y masa por metro (los EI de arriba mandan)
+  const mastSectionId = byId("mastSectionId")?.value;
+  if (mastSectionId) payload.stiffness.sectionId = mastSectionId;
 
   const membranePrestress = getOptionalNumber("membranePrestress");
   const membranePretensionFraction = getOptionalNumber("membranePretensionFraction");
@@ -1435,10 +1765,26 @@ function buildPayloadFromUi() {
   const windSignEl = byId("sailWindSign");
   const windSignVal = windSignEl ? Number(windSignEl.value) : 1;
 
+  // Presión por panel desde el viento aparente (VLM) en lugar de la uniforme
+  const aeroModelEl = byId("sailAeroModel");
+  const aero = aeroModelEl?.value === "vlm"
+    ? {
+      model: "vlm",
+      trueWindSpeedMs: getNumber("sailTwsMs"),
+      trueWindAngleDeg: getNumber("sailTwaDeg"),
+      boatSpeedMs: getNumber("sailBoatSpeedMs")
+    }
+    : null;
+
+  // Tela ortótropa (módulos por defecto de Dacron) con la dirección de fibra del corte
+  const clothLayout = byId("sailCloth")?.value;
+  const cloth = clothLayout ? { layout: clothLayout } : null;
+
   payload.sails = {
     enabled: true,
     windPressurePa: getNumber("sailPressurePa"),
     windSign: windSignVal < 0 ? -1 : 1,
+    aero,
     main: {
       enabled: Boolean(mainEnabledEl && mainEnabledEl.checked),
       // Veleria: Forma de la vela
@@ -1455,6 +1801,11 @@ function buildPayloadFromUi() {
       boomTiltDeg: getNumber("mainBoomTiltDeg") || 0,        // Ángulo vertical (trapa/vang)
       outhaulMm: getNumber("mainOuthaulMm") || 0,            // Desplazamiento del puño de escota
       sheetLeadYM: -mmToM(getNumber("mainSheetLeadYMm")),    // Posición del carro
+      boomMode: byId("mainBoomMode")?.value || "dirichlet",  // Botavara fija o libre con cabos
+      mainsheet: { mode: "tension", tensionN: getNumber("mainSheetTensionN") || 0 },
+      vang: { mode: "tension", tensionN: getNumber("mainVangTensionN") || 0 },
+      outhaul: { mode: "tension", tensionN: getNumber("mainOuthaulTensionN") || 0 },
+      cloth,
       mesh: {
         luffSegments: clampValue(Math.trunc(getNumber("mainLuffSeg") || 12), 2, 40),
         chordSegments: clampValue(Math.trunc(getNumber("mainChordSeg") || 8), 2, 40)
@@ -1473,6 +1824,9 @@ function buildPayloadFromUi() {
       sheetSideSign: Number.isFinite(jibSheetSideSign) ? jibSheetSideSign : 0,
       sheetLeadXMm: getNumber("jibSheetLeadXMm") || 0,       // Posición X del carro
       sheetLeadYMm: getNumber("jibSheetLeadYMm") || -1800,   // Posición Y del carro
+      sheetMode: byId("jibSheetMode")?.value || "dirichlet",  // Puño fijo o escota real
+      sheet: { mode: "tension", tensionN: getNumber("jibSheetTensionN") || 0 },
+      cloth,
       mesh: {
         luffSegments: clampValue(Math.trunc(getNumber("jibLuffSeg") || 8), 2, 40),
         chordSegments: clampValue(Math.trunc(getNumber("jibChordSeg") || 6), 2, 40)
@@ -1500,6 +1854,7 @@ function applyPreset(preset) {
   setValue("shroudBaseDeltaMm", preset.controls.shroudBaseDeltaMm ?? 0);
   setValue("shroudDeltaPortMm", preset.controls.shroudDeltaPortMm);
   setValue("shroudDeltaStbdMm", preset.controls.shroudDeltaStbdMm);
+  setHalyardUnit("kN");
   setValue("jibHalyardTensionkN", preset.controls.jibHalyardTensionkN ?? 0);
   setValue("partnersKx", preset.controls.partnersKx_kNpm);
   setValue("partnersKy", preset.controls.partnersKy_kNpm);
@@ -1538,9 +1893,14 @@ function applyPreset(preset) {
 
   // Rigidez del palo (valores por defecto si no existen en preset)
   // Valores típicos Snipe según SCIRA y sección Selden C060
-  setValue("mastEIBase", preset.stiffness?.mastEIBase ?? 7500);
-  setValue("mastEITop", preset.stiffness?.mastEITop ?? 3500);
-  setValue("taperStartZMm", preset.stiffness?.taperStartZMm ?? 4500);
+  const st = preset.stiffness || {};
+  setValue("mastSectionId", st.sectionId ?? "");
+  setValue("mastEIxBase", st.mastEIxBase ?? st.mastEIBase ?? 7500);
+  setValue("mastEIxTop", st.mastEIxTop ?? st.mastEITop ?? 3500);
+  setValue("taperStartXZMm", st.taperStartXZMm ?? st.taperStartZMm ?? 4500);
+  setValue("mastEIyBase", st.mastEIyBase ?? st.mastEIBase ?? 7500);
+  setValue("mastEIyTop", st.mastEIyTop ?? st.mastEITop ?? 3500);
+  setValue("taperStartYZMm", st.taperStartYZMm ?? st.taperStartZMm ?? 4500);
 
   // Velas (opcionales) - valores por defecto
   byId("sailsEnabled").checked = false;
@@ -1548,6 +1908,11 @@ function applyPreset(preset) {
   byId("jibEnabled").checked = true;
   setValue("sailPressurePa", 80);
   setValue("sailWindSign", 1);
+  setValue("sailAeroModel", "uniform");
+  setValue("sailCloth", "");
+  setValue("sailTwsMs", 5);
+  setValue("sailTwaDeg", 45);
+  setValue("sailBoatSpeedMs", 2);
 
   // Mayor: Veleria
   setValue("mainDraftPct", 8.0);
@@ -1564,6 +1929,10 @@ function applyPreset(preset) {
   setValue("mainSheetLeadYMm", 2200);        // Posición carro
   setValue("mainBoomTiltDeg", 0);            // Trapa neutra
   setValue("mainOuthaulMm", 0);              // Outhaul neutro
+  setValue("mainBoomMode", "dirichlet");
+  setValue("mainSheetTensionN", 800);
+  setValue("mainVangTensionN", 400);
+  setValue("mainOuthaulTensionN", 200);
   setValue("mainLuffSeg", 12);
   setValue("mainChordSeg", 8);
 
@@ -1580,6 +1949,8 @@ function applyPreset(preset) {
   byId("jibSheetSide").value = "0";
   setValue("jibSheetLeadXMm", 400);          // Desde crujía
   setValue("jibSheetLeadYMm", -1800);        // Desde palo (negativo = popa)
+  setValue("jibSheetMode", "dirichlet");
+  setValue("jibSheetTensionN", 300);
   setValue("jibLuffSeg", 8);
   setValue("jibChordSeg", 6);
 
@@ -1618,6 +1989,299 @@ function bindSyncedInput(sliderId, inputId, onChange) {
   input.addEventListener("input", () => update(input, slider));
 }
 
+// Sensibilidad: ± paso por defecto en cada control y rigidez, desde el estado actual de la UI
+async function runSensitivityFromUi() {
+  const btn = byId("sensitivityBtn");
+  const legend = byId("plotTornadoLegend");
+  try {
+    if (btn) btn.disabled = true;
+    legend.textContent = "Calculando...";
+    const resp = await snipeApi.runSensitivity({ payload: buildPayloadFromUi(), options: {} });
+    const sensitivity = resp.result?.parameters ? resp.result : resp;
+    if (sensitivity.error) throw new Error(sensitivity.error);
+    lastSensitivity = sensitivity;
+    renderTornado();
+  } catch (err) {
+    legend.textContent = String(err?.message ?? err);
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
+function renderTornado() {
+  const metric = byId("tornadoMetric")?.value || "forestayN";
+  plotTornado(byId("plotTornado"), lastSensitivity, metric);
+  const legend = byId("plotTornadoLegend");
+  if (!legend || !lastSensitivity) return;
+  const failed = lastSensitivity.parameters.filter((p) => !p.converged).map((p) => p.field.split(".").pop());
+  legend.textContent = `Azul: valor − paso · Naranja: valor + paso${failed.length ? ` · Sin converger: ${failed.join(", ")}` : ""}`;
+}
+
+// Ajuste inverso: busca ΔL0 de obenques (y driza) para las tensiones medidas con el Loos.
+// Los controles encontrados se vuelcan a los inputs y se relanza la simulación.
+async function runInverseTuningFromUi() {
+  const out = byId("tuneOut");
+  const tuneBtn = byId("tuneBtn");
+  const optionalN = (id) => {
+    const kN = getOptionalNumber(id);
+    return kN === null ? undefined : kNToN(kN);
+  };
+  const optionalM = (id) => {
+    const mm = getOptionalNumber(id);
+    return mm === null ? undefined : mmToM(mm);
+  };
+
+  try {
+    const targets = {
+      shroudPortN: optionalN("tuneShroudPortkN"),
+      shroudStbdN: optionalN("tuneShroudStbdkN"),
+      forestayN: optionalN("tuneForestaykN"),
+      mastheadRakeM: optionalM("tuneRakeMm"),
+      prebendSpreaderM: optionalM("tunePrebendMm")
+    };
+    // Incógnitas por defecto: ΔL0 de obenques; la driza queda como está
+    const options = {};
+
+    if (tuneBtn) tuneBtn.disabled = true;
+    out.textContent = "Ajustando...";
+    const resp = await snipeApi.runInverseTuning({ payload: buildPayloadFromUi(), targets, options });
+    const tuning = resp.result?.controls ? resp.result : resp;
+    if (tuning.error) throw new Error(tuning.error);
+
+    const c = tuning.controls;
+    if (Number.isFinite(c.shroudDeltaL0PortM)) setValue("shroudDeltaPortMm", (c.shroudDeltaL0PortM * 1000).toFixed(2));
+    if (Number.isFinite(c.shroudDeltaL0StbdM)) setValue("shroudDeltaStbdMm", (c.shroudDeltaL0StbdM * 1000).toFixed(2));
+    if (Number.isFinite(c.jibHalyardTensionN)) {
+      setHalyardUnit("kN");
+      setValue("jibHalyardTensionkN", (c.jibHalyardTensionN / 1000).toFixed(3));
+    }
+
+    const lines = [`${tuning.converged ? "Convergido" : "Sin converger"} (${tuning.reason}), ${tuning.iterations} iter, ${tuning.evaluations} simulaciones`];
+    for (const [k, r] of Object.entries(tuning.residuals || {})) {
+      const isLength = k.endsWith("M");
+      const fmt = (v) => (isLength ? `${(v * 1000).toFixed(1)} mm` : formatN(v));
+      lines.push(`${k}: ${fmt(r.value)} (objetivo ${fmt(r.target)}, error ${fmt(r.error)})`);
+    }
+    out.textContent = lines.join("\n");
+    await runSimulation();
+  } catch (err) {
+    out.textContent = String(err?.message ?? err);
+  } finally {
+    if (tuneBtn) tuneBtn.disabled = false;
+  }
+}
+
+// Casos de carga "nombre modo q presión escora" (N/m, Pa, °; "-" = el valor del payload)
+function parseLoadCases() {
+  const num = (v) => (v === undefined || v === "-" || v === "" ? undefined : Number(v));
+  return (byId("loadCases")?.value || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [name, mode, q, pressure, heel] = line.split(/\s+/);
+      const c = { name, load: {} };
+      if (mode !== undefined && mode !== "-") c.load.mode = mode;
+      if (num(q) !== undefined) c.load.qLateralNpm = num(q);
+      if (num(pressure) !== undefined) c.sails = { windPressurePa: num(pressure) };
+      if (num(heel) !== undefined) c.heelDeg = num(heel);
+      const values = [c.load.qLateralNpm, c.sails?.windPressurePa, c.heelDeg].filter((v) => v !== undefined);
+      if (!values.every(Number.isFinite)) throw new Error(`Caso de carga inválido: "${line}"`);
+      return c;
+    });
+}
+
+// Observaciones "ΔL0port ΔL0stbd driza | port stbd estay rake prebend" (mm, kN; "-" = sin dato)
+function parseCalibrationObservations() {
+  const num = (v) => (v === undefined || v === "-" || v === "" ? undefined : Number(v));
+  return (byId("calibObservations")?.value || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, i) => {
+      const [left, right = ""] = line.split("|");
+      const [portMm, stbdMm, halyardkN] = left.trim().split(/\s+/).map(num);
+      const [portkN, stbdkN, staykN, rakeMm, prebendMm] = right.trim().split(/\s+/).map(num);
+      const obs = { name: `obs ${i + 1}`, controls: {} };
+      if (portMm !== undefined) obs.controls.shroudDeltaL0PortM = mmToM(portMm);
+      if (stbdMm !== undefined) obs.controls.shroudDeltaL0StbdM = mmToM(stbdMm);
+      if (halyardkN !== undefined) obs.controls.jibHalyardTensionN = kNToN(halyardkN);
+      if (portkN !== undefined) obs.shroudPortN = kNToN(portkN);
+      if (stbdkN !== undefined) obs.shroudStbdN = kNToN(stbdkN);
+      if (staykN !== undefined) obs.forestayN = kNToN(staykN);
+      if (rakeMm !== undefined) obs.mastheadRakeM = mmToM(rakeMm);
+      if (prebendMm !== undefined) obs.prebendSpreaderM = mmToM(prebendMm);
+      const values = [...Object.values(obs.controls), ...Object.values(obs).filter((v) => typeof v === "number")];
+      if (!values.every(Number.isFinite)) throw new Error(`Observación inválida: "${line}"`);
+      return obs;
+    });
+}
+
+// Calibración en el agua: ajusta EA de jarcia, escala de EI, fogonadura y cadenotes.
+// Fogonadura, cadenotes y EI escalado se vuelcan a los inputs.
+async function runCalibrationFromUi() {
+  const out = byId("calibOut");
+  const btn = byId("calibBtn");
+  try {
+    const observations = parseCalibrationObservations();
+    const parameters = [...document.querySelectorAll(".calibParam")].filter((el) => el.checked).map((el) => el.value);
+    if (!parameters.length) throw new Error("Selecciona al menos un parámetro");
+
+    if (btn) btn.disabled = true;
+    out.textContent = "Calibrando...";
+    const resp = await snipeApi.runCalibration({ payload: buildPayloadFromUi(), observations, options: { parameters } });
+    const fit = resp.result?.parameters ? resp.result : resp;
+    if (fit.error) throw new Error(fit.error);
+
+    const p = fit.parameters;
+    if (Number.isFinite(p["controls.partnersKx"])) setValue("partnersKx", (p["controls.partnersKx"] / 1000).toFixed(1));
+    if (Number.isFinite(p["controls.partnersKy"])) setValue("partnersKy", (p["controls.partnersKy"] / 1000).toFixed(1));
+    if (Number.isFinite(p["geometry.chainplateYM"])) setValue("chainplateYMm", (p["geometry.chainplateYM"] * 1000).toFixed(1));
+    if (Number.isFinite(p["stiffness.mastEIScale"])) {
+      for (const id of ["mastEIxBase", "mastEIxTop", "mastEIyBase", "mastEIyTop"]) {
+        setValue(id, Math.round(getNumber(id) * p["stiffness.mastEIScale"]));
+      }
+    }
+
+    const lines = [`${fit.converged ? "Convergido" : "Sin converger"} (${fit.reason}), ${fit.iterations} iter, ${fit.evaluations} simulaciones`];
+    if (!fit.identifiable) lines.push("Parámetros no identificables con estas medidas: sin intervalos de confianza");
+    for (const [field, c] of Object.entries(fit.confidence || {})) {
+      const ci = c.ci95 ? ` [${c.ci95.map((v) => v.toPrecision(4)).join(", ")}]` : " (no identificable)";
+      lines.push(`${field}: ${c.value.toPrecision(4)}${ci}${c.atBound ? " · en el límite" : ""}`);
+    }
+    for (const r of fit.residuals || []) {
+      const isLength = r.key.endsWith("M");
+      const fmt = (v) => (isLength ? `${(v * 1000).toFixed(1)} mm` : formatN(v));
+      lines.push(`${r.name} ${r.key}: medido ${fmt(r.measured)} · modelo ${fmt(r.model)} (error ${fmt(r.error)})`);
+    }
+    out.textContent = lines.join("\n");
+  } catch (err) {
+    out.textContent = String(err?.message ?? err);
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
+// Bloque payload.hardware (rigHardware.cjs); null si no hay longitudes de cable
+function hardwareFromUi() {
+  const common = {
+    holeSpacingMm: getNumber("hwHoleSpacingMm"),
+    holeCount: Math.round(getNumber("hwHoleCount")),
+    turnbuckleClosedMm: getNumber("hwTurnbuckleClosedMm"),
+    mmPerTurn: getNumber("hwMmPerTurn"),
+    maxTurns: getNumber("hwMaxTurns")
+  };
+  const hardware = {};
+  for (const [part, id] of [["shroud", "hwShroudWireMm"], ["forestay", "hwForestayWireMm"]]) {
+    const raw = byId(id)?.value?.trim();
+    if (raw) hardware[part] = { ...common, wireLengthMm: Number(raw) };
+  }
+  return Object.keys(hardware).length ? hardware : null;
+}
+
+function renderHardwareReport(report) {
+  const out = byId("hwOut");
+  if (!out) return;
+  if (!report) {
+    out.textContent = "";
+    return;
+  }
+  const line = (label, s) => s
+    ? `${label}: agujero ${s.hole} + ${s.turns} vueltas (${(s.lengthM * 1000).toFixed(1)} mm, error ${s.errorMm.toFixed(1)} mm${s.inRange ? "" : ", FUERA DE RANGO"})`
+    : `${label}: -`;
+  out.textContent = [
+    line("Obenque port", report.shroudPort),
+    line("Obenque stbd", report.shroudStbd),
+    line("Estay", report.forestay)
+  ].join("\n");
+}
+
+// Tablas "lectura kgf" de las tarjetas del Loos; null si no hay ninguna
+function gaugeFromUi() {
+  const table = (id) => {
+    const rows = (byId(id)?.value || "")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const row = line.split(/[\s,;]+/).map(Number);
+        if (row.length !== 2 || !row.every(Number.isFinite)) throw new Error(`Fila inválida en ${id}: "${line}"`);
+        return row;
+      });
+    return rows.length ? rows : undefined;
+  };
+  const shroudTable = table("gaugeShroudTable");
+  const forestayTable = table("gaugeForestayTable");
+  return shroudTable || forestayTable ? { shroudTable, forestayTable } : null;
+}
+
+// Unidad de la driza: kN o lectura Loos (el slider cambia de escala)
+function setHalyardUnit(unit) {
+  const select = byId("jibHalyardUnit");
+  if (select) select.value = unit;
+  const slider = byId("jibHalyardTensionkNSlider");
+  if (!slider) return;
+  slider.max = unit === "loos" ? "50" : "2";
+  slider.step = unit === "loos" ? "0.5" : "0.01";
+}
+
+// Tabla "z_mm valor" (una fila por línea) de los textarea del ensayo de flexión
+function parseBendRows(id) {
+  return (byId(id)?.value || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [zMm, value] = line.split(/[\s,;]+/).map(Number);
+      if (!Number.isFinite(zMm) || !Number.isFinite(value)) throw new Error(`Fila inválida en ${id}: "${line}"`);
+      return { zM: mmToM(zMm), value };
+    });
+}
+
+// Calibración EI(z): ajusta base/tope/conicidad del eje ensayado y los vuelca a la rigidez del palo
+async function runBendCalibrationFromUi() {
+  const out = byId("bendCalibOut");
+  const btn = byId("bendCalibBtn");
+  try {
+    const axis = byId("bendAxis")?.value || "y";
+    const test = {
+      axis,
+      mastLengthM: mmToM(getNumber("mastLengthMm")),
+      supportsZM: [mmToM(getNumber("bendSupportLowMm")), mmToM(getNumber("bendSupportHighMm"))],
+      cases: [{
+        loads: parseBendRows("bendLoads").map(({ zM, value }) => ({ zM, massKg: value })),
+        deflections: parseBendRows("bendDeflections").map(({ zM, value }) => ({ zM, deflectionMm: value }))
+      }]
+    };
+
+    if (btn) btn.disabled = true;
+    out.textContent = "Ajustando...";
+    const fit = await snipeApi.calibrateBendTest({ test, options: {} });
+    if (fit.error) throw new Error(fit.error);
+
+    // Un ajuste sin converger no se copia a la rigidez del preset
+    if (fit.converged) {
+      const X = axis.toUpperCase();
+      setValue(`mastEI${axis}Base`, fit.stiffness[`mastEI${axis}Base`]);
+      setValue(`mastEI${axis}Top`, fit.stiffness[`mastEI${axis}Top`]);
+      setValue(`taperStart${X}ZMm`, fit.stiffness[`taperStart${X}ZMm`]);
+    }
+
+    const lines = [
+      `EI${axis} base ${fit.EIBaseNm2.toFixed(0)} N·m², tope ${fit.EITopNm2.toFixed(0)} N·m², conicidad desde ${(fit.taperStartZM * 1000).toFixed(0)} mm`,
+      `RMS ${fit.rmsMm.toFixed(2)} mm${fit.converged ? "" : ` (sin converger: ${fit.reason}; no se aplica)`}`
+    ];
+    for (const r of fit.residuals) {
+      lines.push(`z=${(r.zM * 1000).toFixed(0)} mm: medido ${r.measuredMm.toFixed(1)} · modelo ${r.modelMm.toFixed(1)} (error ${r.errorMm.toFixed(2)})`);
+    }
+    out.textContent = lines.join("\n");
+  } catch (err) {
+    out.textContent = String(err?.message ?? err);
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
 async function runSimulation() {
   const runBtn = byId("runBtn");
   const exportJsonBtn = byId("exportJsonBtn");
@@ -1719,6 +2383,13 @@ async function runSimulation() {
       item.textContent = w.replace("⚠️ ", "");
       warnEl.appendChild(item);
     });
+    // Ajustes del solver forzados por la combinación pedida (p. ej. arcLength sin FSI segregado)
+    (res.diagnostics?.notes ?? []).forEach(note => {
+      const item = document.createElement("div");
+      item.className = "warn-item";
+      item.textContent = note;
+      warnEl.appendChild(item);
+    });
     if (res.diagnostics?.slackCables?.length) {
       const slack = res.diagnostics.slackCables;
       const clothMainCount = slack.filter(s => s.startsWith("cloth_main")).length;
@@ -1769,6 +2440,10 @@ async function runSimulation() {
         const j = res.outputs.sails.loaded.jib;
         msg += `Foque ${j.length - 1}x${j[0].length - 1}`;
       }
+      const aero = res.outputs.aero;
+      if (aero) {
+        msg += ` · AWA ${aero.apparentWindAngleDeg.toFixed(0)}°, AWS ${aero.apparentWindSpeedMs.toFixed(1)} m/s, CL ${aero.CL.toFixed(2)}`;
+      }
       setRigStatus(msg);
     } else {
       setRigStatus("Simulación lista.");
@@ -1779,8 +2454,10 @@ async function runSimulation() {
     const formatKN = (n) => (n / 1000).toFixed(2) + " kN";
     const formatN = (n) => (n || 0).toFixed(1) + " N";
 
-    const formatKNSlack = (id, flagId, n) => {
-      const val = formatKN(n);
+    const gauge = res.outputs.tensionGauge;
+    const formatKNSlack = (id, flagId, n, reading) => {
+      const loos = Number.isFinite(reading?.reading) ? ` · Loos ${reading.reading.toFixed(0)}${reading.inRange ? "" : "+"}` : "";
+      const val = formatKN(n) + loos;
       const el = byId(id);
       const flag = byId(flagId);
       if (el) {
@@ -1790,9 +2467,17 @@ async function runSimulation() {
         if (flag) flag.hidden = !isSlack;
       }
     };
-    formatKNSlack("res-shroud-port", "flag-shroud-port", t.shroudPortN);
-    formatKNSlack("res-shroud-stbd", "flag-shroud-stbd", t.shroudStbdN);
-    formatKNSlack("res-stay", "flag-stay", t.forestayN);
+    formatKNSlack("res-shroud-port", "flag-shroud-port", t.shroudPortN, gauge?.shroudPort);
+    formatKNSlack("res-shroud-stbd", "flag-shroud-stbd", t.shroudStbdN, gauge?.shroudStbd);
+    formatKNSlack("res-stay", "flag-stay", t.forestayN, gauge?.forestay);
+    const jibSheet = byId("res-jib-sheet");
+    if (jibSheet) jibSheet.hidden = !Number.isFinite(t.jibSheetN);
+    if (Number.isFinite(t.jibSheetN)) setResValue("res-jib-sheet-value", formatN(t.jibSheetN));
+    const boomLines = byId("res-boom-lines");
+    if (boomLines) boomLines.hidden = !Number.isFinite(t.mainsheetN);
+    if (Number.isFinite(t.mainsheetN)) {
+      setResValue("res-boom-lines-value", `${formatN(t.mainsheetN)} / ${formatN(t.vangN)} / ${formatN(t.outhaulN)}`);
+    }
 
     // 3. Spreader
     const s = res.outputs.spreaders;
@@ -1804,6 +2489,93 @@ async function runSimulation() {
     setResValue("res-axial-port", formatN(s.portAxialN));
     setResValue("res-axial-stbd", formatN(s.stbdAxialN));
 
+    renderHardwareReport(res.outputs.hardware);
+
+    const partners = res.outputs.partners;
+    const chocksRow = byId("res-partners-chocks");
+    if (chocksRow) chocksRow.hidden = !partners;
+    if (partners) {
+      const f = (c) => (c ? formatN(c.forceN) : "-");
+      setResValue("res-partners-chocks-value", `${f(partners.chockFwd)} / ${f(partners.chockAft)} / ${f(partners.ram)}`);
+    }
+
+    const sea = res.outputs.seaState;
+    const seaRow = byId("res-sea-state");
+    if (seaRow) seaRow.hidden = !sea;
+    if (sea) {
+      const r = (x) => (x ? `${formatN(x.maxN)} (${formatN(x.rangeN)})` : "-");
+      const shroudMax = [sea.summary.shroudPortN, sea.summary.shroudStbdN]
+        .filter(Boolean)
+        .reduce((a, b) => (!a || b.maxN > a.maxN ? b : a), null);
+      setResValue("res-sea-state-value", `${r(sea.summary.forestayN)} / ${r(shroudMax)}${sea.converged ? "" : " ⚠"}`);
+    }
+
+    const gust = res.outputs.transient;
+    const gustRow = byId("res-gust");
+    if (gustRow) gustRow.hidden = !gust;
+    if (gust?.peaks) {
+      const p = gust.peaks;
+      // Un pico es null si ninguna muestra fue finita
+      const shrouds = [p.shroudPortN, p.shroudStbdN].filter(Number.isFinite);
+      const shroudMax = shrouds.length ? Math.max(...shrouds) : null;
+      const topMm = Number.isFinite(p.mastheadDisplacementM) ? (p.mastheadDisplacementM * 1000).toFixed(0) : "--";
+      setResValue(
+        "res-gust-value",
+        `${topMm} mm / ${formatN(p.forestayN)} / ${formatN(shroudMax)}${gust.converged ? "" : " ⚠"}`
+      );
+    } else if (gust) {
+      // Sin equilibrio en t = 0 no se integra
+      setResValue("res-gust-value", "-- ⚠");
+    }
+
+    const cases = res.outputs.loadCases;
+    const envelopeRow = byId("res-envelope");
+    if (envelopeRow) envelopeRow.hidden = !cases;
+    if (cases) {
+      const env = cases.envelope;
+      const max = (...ranges) => {
+        const best = ranges.filter(Boolean).reduce((a, b) => (!a || b.max > a.max ? b : a), null);
+        return best ? `${formatN(best.max)} (${best.maxCase})` : "-";
+      };
+      setResValue(
+        "res-envelope-value",
+        `${max(env.forestayN)} / ${max(env.shroudPortN, env.shroudStbdN)} / ${max(env.spreaderPortN, env.spreaderStbdN)}${cases.converged ? "" : " ⚠"}`
+      );
+    }
+
+    // Cifras de trimado: pantalán / navegando
+    const m = res.outputs.metrics;
+    const mm = (v, digits = 0) => (Number.isFinite(v) ? (v * 1000).toFixed(digits) : "--");
+    const dockLoaded = (key, digits) => `${mm(m?.dock?.[key], digits)} / ${mm(m?.loaded?.[key], digits)} mm`;
+    setResValue("res-rake-tape", dockLoaded("rakeTapeM"));
+    setResValue("res-rake", dockLoaded("mastheadRakeM"));
+    setResValue("res-prebend", dockLoaded("prebendSpreaderM", 1));
+    setResValue("res-spreader-tips", `${mm(m?.spreaderTips?.port?.forwardM, 1)} / ${mm(m?.spreaderTips?.stbd?.forwardM, 1)} mm`);
+    setResValue("res-headstay-sag", Number.isFinite(m?.headstaySagM) ? `${mm(m.headstaySagM, 1)} mm` : "n/a");
+
+    // 3b. Pandeo lineal (solo si se ha pedido)
+    const b = res.outputs.buckling;
+    const bucklingCard = byId("card-buckling");
+    if (bucklingCard) bucklingCard.hidden = !b;
+    if (b) {
+      const lambda1 = b.safetyFactor;
+      if (!b.stable) {
+        setStatus("buckling-status", "error", "Inestable");
+      } else if (lambda1 === null) {
+        setStatus("buckling-status", "success", "Sin pandeo");
+      } else {
+        setStatus("buckling-status", lambda1 > 2 ? "success" : "warning", lambda1 > 2 ? "Margen OK" : "Margen bajo");
+      }
+      const mode1 = b.modes?.[0];
+      setResValue("res-buckling-lambda", Number.isFinite(lambda1) ? lambda1.toFixed(2) : "--");
+      setResValue("res-buckling-mode", mode1 ? (mode1.direction === "lateral" ? "Lateral (X)" : "Proa-popa (Y)") : "--");
+      setResValue("res-buckling-mast", Number.isFinite(b.critical?.mastMaxCompressionN) ? formatKN(b.critical.mastMaxCompressionN) : "--");
+      setResValue("res-buckling-stay", Number.isFinite(b.critical?.forestayN) ? formatKN(b.critical.forestayN) : "--");
+    }
+
+    // 3c. Forma de velas por franjas
+    renderSailShapeTable(res.outputs.sails?.shape ?? null);
+
     // 4. Equilibrio
     const eq = res.outputs.equilibrium || {};
     const eqSumFx = Number.isFinite(eq.openSumFx) ? eq.openSumFx : eq.sumFx;
@@ -1850,6 +2622,10 @@ async function runSimulation() {
     const loadedYZ = (out.mastCurveLoaded || []).map((p) => ({ z: p.z, value: p.y }));
     plotCurve(byId("plotYZ"), [relaxedYZ, prebendYZ, loadedYZ], { axisLabel: "y", geometry: payload.geometry });
 
+    const modesCard = byId("plotModesCard");
+    if (modesCard) modesCard.hidden = !out.modes;
+    if (out.modes) plotModeShapes(byId("plotModes"), out.modes, { geometry: payload.geometry });
+
     updateRigPanel(payload, res, presetsCache[currentPresetIdx]);
 
     exportJsonBtn.disabled = false;
@@ -2029,6 +2805,20 @@ async function main() {
 
   runBtn.addEventListener("click", runSimulation);
 
+  const tuneBtn = byId("tuneBtn");
+  if (tuneBtn) tuneBtn.addEventListener("click", runInverseTuningFromUi);
+
+  byId("jibHalyardUnit")?.addEventListener("change", (e) => setHalyardUnit(e.target.value));
+
+  const calibBtn = byId("calibBtn");
+  if (calibBtn) calibBtn.addEventListener("click", runCalibrationFromUi);
+  const bendCalibBtn = byId("bendCalibBtn");
+  if (bendCalibBtn) bendCalibBtn.addEventListener("click", runBendCalibrationFromUi);
+  const sensitivityBtn = byId("sensitivityBtn");
+  if (sensitivityBtn) sensitivityBtn.addEventListener("click", runSensitivityFromUi);
+  const tornadoMetric = byId("tornadoMetric");
+  if (tornadoMetric) tornadoMetric.addEventListener("change", renderTornado);
+
   // Cancel button handler
   const cancelBtn = byId("cancelBtn");
   if (cancelBtn) {
@@ -0,0 +1,294 @@
+// ═══════════════════════════════════════════════════════════════════
+// AERODINÁMICA: VIENTO APARENTE + RED DE VÓRTICES (VLM)
+// ═══════════════════════════════════════════════════════════════════
+// Sustituye la presión uniforme windPressurePa por un ΔCp por panel
+// calculado sobre las mallas DEFORMADAS de mayor y foque:
+//
+// - Viento aparente a partir de TWS, TWA, velocidad del barco y escora,
+//   expresado en ejes del barco (x lateral, y proa, z mástil).
+// - Anillos de vórtice (Katz & Plotkin): cada panel de la malla [i][j]
+//   lleva un anillo desplazado 1/4 de panel hacia la baluma, con punto de
+//   control a 3/4. Los paneles del borde de salida cierran con estela
+//   recta en la dirección del viento aparente. Mayor y foque se resuelven
+//   juntos (interacción foque-mayor incluida).
+// - ΔCp = (ρ Γeff (V × dl)) · n / (q A): salto de presión por panel, con
+//   el signo referido a la normal n del panel. V es la velocidad local
+//   (libre + inducida), así la fuerza incluye la resistencia inducida.
+//
+// Modelo potencial lineal: sin separación ni espesor; razonable en ceñida
+// y través, no en empopada.
+
+const { add3, sub3, scale3, dot3, norm3, normalize3, cross3 } = require("./math3.cjs");
+const { solveLinearSystem } = require("./linsolve.cjs");
+
+const AIR_DENSITY = 1.225;
+const WAKE_LENGTH_M = 1000;
+const FOUR_PI = 4 * Math.PI;
+
+function deg2rad(d) {
+  return (d * Math.PI) / 180;
+}
+
+/**
+ * Normaliza/valida payload.sails.aero. Devuelve null si no hay modelo aero.
+ * Sin aero.heelDeg la escora es la del peso propio (load.heelDeg).
+ */
+function normalizeAeroConfig(aero, loadHeelDeg = 0) {
+  if (!aero || typeof aero !== "object" || aero.model !== "vlm") return null;
+  return {
+    model: "vlm",
+    trueWindSpeedMs: Math.max(0, Number(aero.trueWindSpeedMs ?? 0)),
+    trueWindAngleDeg: Math.min(180, Math.max(0, Number(aero.trueWindAngleDeg ?? 45))),
+    boatSpeedMs: Math.max(0, Number(aero.boatSpeedMs ?? 0)),
+    heelDeg: Math.min(60, Math.max(0, Number(aero.heelDeg ?? loadHeelDeg ?? 0))),
+    airDensity: Number.isFinite(aero.airDensity) && aero.airDensity > 0 ? aero.airDensity : AIR_DENSITY
+  };
+}
+
+/**
+ * Viento aparente en ejes del barco escorado.
+ * windSign > 0: viento de estribor (+X), la vela empuja hacia babor; el barco
+ * escora a sotavento (tope hacia -X).
+ *
+ * @returns {{ speedMs, angleDeg, dynamicPressurePa, direction, velocity }}
+ *   angleDeg: AWA respecto a proa (en el plano horizontal)
+ *   velocity: vector del flujo (hacia donde va el aire) en ejes del barco
+ */
+function apparentWind({ trueWindSpeedMs, trueWindAngleDeg, boatSpeedMs, heelDeg, windSign = 1, airDensity = AIR_DENSITY }) {
+  const s = windSign >= 0 ? 1 : -1;
+  const twa = deg2rad(trueWindAngleDeg);
+  // Flujo real (viene de proa-estribor para TWA < 90) + viento de avance (hacia popa)
+  const vx = -trueWindSpeedMs * s * Math.sin(twa);
+  const vy = -trueWindSpeedMs * Math.cos(twa) - boatSpeedMs;
+  const speedMs = Math.hypot(vx, vy);
+  const angleDeg = speedMs > 0 ? (Math.atan2(Math.abs(vx), -vy) * 180) / Math.PI : 0;
+
+  // Ejes del barco escorado vistos desde tierra (giro alrededor de y)
+  const phi = deg2rad(heelDeg);
+  const xb = [Math.cos(phi), 0, s * Math.sin(phi)];
+  const zb = [-s * Math.sin(phi), 0, Math.cos(phi)];
+  const vEarth = [vx, vy, 0];
+  const velocity = [dot3(vEarth, xb), vy, dot3(vEarth, zb)];
+
+  return {
+    speedMs,
+    angleDeg,
+    dynamicPressurePa: 0.5 * airDensity * speedMs * speedMs,
+    direction: normalize3(velocity).v,
+    velocity
+  };
+}
+
+// Velocidad inducida en p por un segmento a→b de circulación unidad (Biot-Savart)
+function segmentInduced(p, a, b) {
+  const r1 = sub3(p, a);
+  const r2 = sub3(p, b);
+  const c = cross3(r1, r2);
+  const c2 = dot3(c, c);
+  const n1 = norm3(r1);
+  const n2 = norm3(r2);
+  const r0 = sub3(b, a);
+  // Núcleo: punto sobre la línea del segmento
+  if (c2 < 1e-10 * dot3(r0, r0) || n1 < 1e-9 || n2 < 1e-9) return [0, 0, 0];
+  const k = dot3(r0, sub3(scale3(r1, 1 / n1), scale3(r2, 1 / n2))) / (FOUR_PI * c2);
+  return scale3(c, k);
+}
+
+function ringInduced(p, corners) {
+  let v = [0, 0, 0];
+  for (let k = 0; k < 4; k++) v = add3(v, segmentInduced(p, corners[k], corners[(k + 1) % 4]));
+  return v;
+}
+
+function lerp3(a, b, t) {
+  return add3(a, scale3(sub3(b, a), t));
+}
+
+/**
+ * Paneles de una malla P[i][j] (i: grátil, j: cuerda, j = 0 en el grátil).
+ */
+function buildLatticePanels(P, sail, direction) {
+  const nRows = P.length - 1;
+  const nCols = P[0].length - 1;
+  // Esquinas de los anillos: 1/4 de panel aguas abajo (el borde de salida se prolonga)
+  const R = P.map((row) => row.map((p, j) => (j < nCols
+    ? lerp3(p, row[j + 1], 0.25)
+    : add3(p, scale3(sub3(p, row[j - 1]), 0.25)))));
+
+  const panels = [];
+  for (let i = 0; i < nRows; i++) {
+    for (let j = 0; j < nCols; j++) {
+      const a = P[i][j];
+      const b = P[i + 1][j];
+      const c = P[i + 1][j + 1];
+      const d = P[i][j + 1];
+      const diag = cross3(sub3(c, a), sub3(d, b));
+      const area = 0.5 * norm3(diag);
+      const collocation = lerp3(lerp3(a, d, 0.75), lerp3(b, c, 0.75), 0.5);
+      const ring = [R[i][j], R[i + 1][j], R[i + 1][j + 1], R[i][j + 1]];
+      const wake = j === nCols - 1
+        ? [R[i][nCols], R[i + 1][nCols], add3(R[i + 1][nCols], scale3(direction, WAKE_LENGTH_M)), add3(R[i][nCols], scale3(direction, WAKE_LENGTH_M))]
+        : null;
+      panels.push({ sail, i, j, normal: normalize3(diag).v, area, collocation, ring, wake, bound: [R[i][j], R[i + 1][j]] });
+    }
+  }
+  return { panels, nRows, nCols };
+}
+
+/**
+ * Resuelve la red de vórtices sobre una o varias superficies.
+ *
+ * @param {object} args
+ * @param {object} args.surfaces { main: P[i][j] | null, jib: P[i][j] | null } (posiciones [x,y,z])
+ * @param {number[]} args.velocity flujo libre (m/s) en ejes del barco
+ * @param {number} [args.airDensity]
+ * @returns {{ surfaces: { [name]: { deltaCp: number[][], normals: number[][][] } }, panels, forceN, liftN, inducedDragN, CL, CDi, areaM2 }}
+ *   deltaCp[i][j] > 0: la diferencia de presión empuja según la normal del panel
+ */
+function solveVortexLattice({ surfaces, velocity, airDensity = AIR_DENSITY }) {
+  const speed = norm3(velocity);
+  if (!(speed > 0)) throw new Error("VLM: zero apparent wind");
+  const direction = scale3(velocity, 1 / speed);
+  const q = 0.5 * airDensity * speed * speed;
+
+  const lattices = {};
+  const panels = [];
+  for (const [name, P] of Object.entries(surfaces)) {
+    if (!P || P.length < 2 || P[0].length < 2) continue;
+    lattices[name] = buildLatticePanels(P, name, direction);
+    lattices[name].offset = panels.length;
+    panels.push(...lattices[name].panels);
+  }
+  const n = panels.length;
+  if (!n) throw new Error("VLM: no panels");
+
+  // Influencia normal de cada anillo (con su estela) en cada punto de control
+  const A = Array.from({ length: n }, () => new Array(n).fill(0));
+  const rhs = new Array(n);
+  for (let k = 0; k < n; k++) {
+    const pk = panels[k];
+    rhs[k] = -dot3(velocity, pk.normal);
+    for (let l = 0; l < n; l++) {
+      const pl = panels[l];
+      let v = ringInduced(pk.collocation, pl.ring);
+      if (pl.wake) v = add3(v, ringInduced(pk.collocation, pl.wake));
+      A[k][l] = dot3(v, pk.normal);
+    }
+  }
+  const gamma = solveLinearSystem(A, rhs);
+
+  // Velocidad local (libre + inducida) en el centro de un segmento ligado
+  const localVelocity = (p) => {
+    let v = velocity;
+    for (let l = 0; l < n; l++) {
+      let w = ringInduced(p, panels[l].ring);
+      if (panels[l].wake) w = add3(w, ringInduced(p, panels[l].wake));
+      v = add3(v, scale3(w, gamma[l]));
+    }
+    return v;
+  };
+
+  // Kutta-Joukowski sobre el segmento delantero de cada anillo
+  let forceN = [0, 0, 0];
+  let areaM2 = 0;
+  const out = {};
+  for (const [name, lat] of Object.entries(lattices)) {
+    const deltaCp = Array.from({ length: lat.nRows }, () => new Array(lat.nCols).fill(0));
+    const normals = Array.from({ length: lat.nRows }, () => new Array(lat.nCols));
+    for (let i = 0; i < lat.nRows; i++) {
+      for (let j = 0; j < lat.nCols; j++) {
+        const idx = lat.offset + i * lat.nCols + j;
+        const p = panels[idx];
+        const gEff = gamma[idx] - (j > 0 ? gamma[idx - 1] : 0);
+        const dl = sub3(p.bound[1], p.bound[0]);
+        const vLocal = localVelocity(lerp3(p.bound[0], p.bound[1], 0.5));
+        const f = scale3(cross3(vLocal, dl), airDensity * gEff);
+        forceN = add3(forceN, f);
+        areaM2 += p.area;
+        deltaCp[i][j] = p.area > 0 ? dot3(f, p.normal) / (q * p.area) : 0;
+        normals[i][j] = p.normal;
+      }
+    }
+    out[name] = { deltaCp, normals };
+  }
+
+  // Sustentación: componente de la fuerza normal al viento (y horizontal al mástil)
+  const inducedDragN = dot3(forceN, direction);
+  const liftN = norm3(sub3(forceN, scale3(direction, inducedDragN)));
+  return {
+    surfaces: out,
+    gamma,
+    forceN,
+    liftN,
+    inducedDragN,
+    CL: liftN / (q * areaM2),
+    CDi: inducedDragN / (q * areaM2),
+    areaM2,
+    dynamicPressurePa: q
+  };
+}
+
+/**
+ * ΔCp de las velas del modelo con las posiciones nodales dadas y factor de
+ * presión por elemento de membrana (escala sobre model.membranePressure.value,
+ * que con VLM es la presión dinámica q).
+ *
+ * Cada cuadrilátero (i,j) genera dos triángulos cuyo primer nodo es grid[i][j]
+ * (createMembraneMesh); el factor lleva el ΔCp del panel proyectado sobre la
+ * normal del triángulo y corregido por el signo de la presión.
+ */
+function aeroPressureField({ model, nodesPos, aero, windSign }) {
+  const wind = apparentWind({ ...aero, windSign });
+  const surfaces = {};
+  for (const name of ["main", "jib"]) {
+    const grid = model.sails?.[name]?.gridNodeIds;
+    surfaces[name] = grid ? grid.map((row) => row.map((id) => nodesPos[id])) : null;
+  }
+  const vlm = solveVortexLattice({ surfaces, velocity: wind.velocity, airDensity: aero.airDensity });
+
+  // Panel por nodo de esquina inferior-izquierda
+  const panelByNode = new Map();
+  for (const name of Object.keys(vlm.surfaces)) {
+    const grid = model.sails[name].gridNodeIds;
+    const { deltaCp, normals } = vlm.surfaces[name];
+    for (let i = 0; i < deltaCp.length; i++) {
+      for (let j = 0; j < deltaCp[i].length; j++) {
+        panelByNode.set(grid[i][j], { deltaCp: deltaCp[i][j], normal: normals[i][j] });
+      }
+    }
+  }
+
+  const sign = model.membranePressure?.sign ?? 1;
+  const elementScale = (model.membranes || []).map((elem) => {
+    const panel = panelByNode.get(elem.nodeIds[0]);
+    if (!panel) return 0;
+    const [a, b, c] = elem.nodeIds.map((id) => nodesPos[id]);
+    const nTri = normalize3(cross3(sub3(b, a), sub3(c, a))).v;
+    return panel.deltaCp * dot3(panel.normal, nTri) * sign;
+  });
+
+  return {
+    elementScale,
+    report: {
+      apparentWindSpeedMs: wind.speedMs,
+      apparentWindAngleDeg: wind.angleDeg,
+      dynamicPressurePa: wind.dynamicPressurePa,
+      forceN: vlm.forceN,
+      liftN: vlm.liftN,
+      inducedDragN: vlm.inducedDragN,
+      CL: vlm.CL,
+      CDi: vlm.CDi,
+      areaM2: vlm.areaM2,
+      main: vlm.surfaces.main ? { deltaCp: vlm.surfaces.main.deltaCp } : null,
+      jib: vlm.surfaces.jib ? { deltaCp: vlm.surfaces.jib.deltaCp } : null
+    }
+  };
+}
+
+module.exports = {
+  AIR_DENSITY,
+  normalizeAeroConfig,
+  apparentWind,
+  solveVortexLattice,
+  aeroPressureField
+};
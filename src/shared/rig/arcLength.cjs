@@ -0,0 +1,215 @@
+// ═══════════════════════════════════════════════════════════════════
+// CONTINUACIÓN POR LONGITUD DE ARCO (Riks / Crisfield)
+// ═══════════════════════════════════════════════════════════════════
+// El stepping en carga (runContinuationPhase) fija λ y busca x; en un punto
+// límite (snap-through, casi pandeo) K es singular y no hay solución para λ
+// mayores en la misma rama. Aquí λ es una incógnita más y se avanza una
+// longitud de arco Δℓ en el espacio (x, λ):
+//
+//   r(x, λ) = 0                                (equilibrio, r = ∇Π)
+//   ‖Δx‖² / s² + Δλ² = Δℓ²                     (restricción esférica)
+//
+// - primer incremento a carga fija (Δλ = Δℓ0/√2, Newton): en el arranque el
+//   aparejo puede estar flojo y K casi singular, y la tangente no sirve.
+//   De ese incremento sale la escala s² = ‖Δx‖²/Δλ², así x y λ pesan igual
+//   en la restricción
+// - predictor tangente con el signo del paso anterior (criterio de Feng)
+// - corrector de Newton con sistema orlado: K a = −r, K b = q y dλ de la
+//   restricción linealizada
+// - si el corrector no converge se parte Δℓ (hasta Δℓ0·minStepFraction);
+//   si converge rápido se alarga (hasta 2·Δℓ0)
+// - al cruzar λ = λ_objetivo se interpola entre los dos últimos puntos y se
+//   cierra con Newton a carga fija
+//
+// q se obtiene por diferencias finitas de r en λ, así sirve para cualquier
+// fase cuyo estado dependa de λ (carga, driza...).
+
+const { normInf, dot } = require("./linsolve.cjs");
+
+const ARC_LENGTH_DEFAULTS = {
+  maxSteps: 200,
+  maxIterations: 30,
+  minStepFraction: 1 / 64,
+  maxStepFactor: 2,
+  lambdaFdStep: 1e-4
+};
+
+/**
+ * Recorre el camino de equilibrio desde (x0, λ0) hasta λ = lambdaTarget.
+ * @param {object} opts
+ * @param {function} opts.assembleAt (x, λ, { skipK }) => { grad, K, meta }
+ * @param {function} opts.solve (K, b) => solución de K·y = b
+ * @param {number[]} opts.x0 estado convergido en λ0
+ * @param {number} [opts.lambda0=0]
+ * @param {number} [opts.lambdaTarget=1]
+ * @param {number} opts.initialStep Δℓ0 (√2·Δλ del primer incremento)
+ * @param {number} opts.tol tolerancia de equilibrio (N)
+ * @param {function} [opts.observe] ({ x, lambda, meta }) => campos extra del historial
+ * @returns {{ ok, x, lambda, meta, reason, history }}
+ */
+function arcLengthPath({
+  assembleAt,
+  solve,
+  x0,
+  lambda0 = 0,
+  lambdaTarget = 1,
+  initialStep,
+  tol,
+  maxSteps = ARC_LENGTH_DEFAULTS.maxSteps,
+  maxIterations = ARC_LENGTH_DEFAULTS.maxIterations,
+  minStepFraction = ARC_LENGTH_DEFAULTS.minStepFraction,
+  maxStepFactor = ARC_LENGTH_DEFAULTS.maxStepFactor,
+  lambdaFdStep = ARC_LENGTH_DEFAULTS.lambdaFdStep,
+  observe
+}) {
+  const history = [];
+  const loadVector = (x, lambda, grad) => {
+    const plus = assembleAt(x, lambda + lambdaFdStep, { skipK: true }).grad;
+    return plus.map((g, i) => -(g - grad[i]) / lambdaFdStep);
+  };
+
+  let x = x0.slice();
+  let lambda = lambda0;
+  let sys = assembleAt(x, lambda);
+  let prevDx = null;
+  let prevDl = 1;
+  let scale2 = null;
+  let dl = initialStep;
+  const dlMin = initialStep * minStepFraction;
+  const dlMax = initialStep * maxStepFactor;
+
+  const push = (entry, meta, xAt, lambdaAt) => {
+    history.push({ ...entry, ...(observe ? observe({ x: xAt, lambda: lambdaAt, meta }) : {}) });
+  };
+
+  // Newton a carga fija
+  const newtonAt = (xStart, lambdaAt) => {
+    let xf = xStart;
+    let fin = assembleAt(xf, lambdaAt);
+    let it = 0;
+    for (; it < maxIterations && !(normInf(fin.grad) < tol); it++) {
+      const d = solve(fin.K, fin.grad.map((v) => -v));
+      if (!d.every(Number.isFinite)) break;
+      xf = xf.map((xi, i) => xi + d[i]);
+      fin = assembleAt(xf, lambdaAt);
+    }
+    return { ok: normInf(fin.grad) < tol, x: xf, sys: fin, iterations: it };
+  };
+
+  // Cierre en λ = lambdaTarget
+  const closeAt = (xStart, iterations) => {
+    const fin = newtonAt(xStart, lambdaTarget);
+    push(
+      {
+        lambda: lambdaTarget,
+        converged: fin.ok,
+        iterations: iterations + fin.iterations,
+        gradInf: normInf(fin.sys.grad),
+        arcLength: dl,
+        reason: fin.ok ? null : "arc_length_final"
+      },
+      fin.sys.meta,
+      fin.x,
+      lambdaTarget
+    );
+    return fin.ok
+      ? { ok: true, x: fin.x, lambda: lambdaTarget, meta: fin.sys.meta, reason: null, history }
+      : { ok: false, x, lambda, meta: sys.meta, reason: "arc_length_final", history };
+  };
+
+  // Primer incremento a carga fija; si no converge se parte
+  let dLam0 = initialStep / Math.SQRT2;
+  for (;;) {
+    if (lambda + dLam0 >= lambdaTarget - 1e-12) return closeAt(x, 0);
+    const first = newtonAt(x, lambda + dLam0);
+    if (first.ok) {
+      const dx = first.x.map((v, i) => v - x[i]);
+      scale2 = Math.max(dot(dx, dx) / (dLam0 * dLam0), 1e-30);
+      push(
+        { lambda: lambda + dLam0, converged: true, iterations: first.iterations, gradInf: normInf(first.sys.grad), arcLength: dl, reason: null },
+        first.sys.meta,
+        first.x,
+        lambda + dLam0
+      );
+      prevDx = dx;
+      prevDl = dLam0;
+      x = first.x;
+      lambda += dLam0;
+      sys = first.sys;
+      break;
+    }
+    history.push({ lambda: lambda + dLam0, converged: false, iterations: first.iterations, gradInf: normInf(first.sys.grad), arcLength: dl, reason: "arc_length_first_step" });
+    dLam0 *= 0.5;
+    if (dLam0 * Math.SQRT2 < dlMin) {
+      return { ok: false, x, lambda, meta: sys.meta, reason: "arc_length_min_step", history };
+    }
+  }
+
+  for (let step = 0; step < maxSteps; step++) {
+    // Predictor tangente
+    const q = loadVector(x, lambda, sys.grad);
+    const t = solve(sys.K, q);
+    if (!t.every(Number.isFinite)) {
+      return { ok: false, x, lambda, meta: sys.meta, reason: "arc_length_singular_tangent", history };
+    }
+    const tNorm = Math.sqrt(dot(t, t) / scale2 + 1);
+    const sign = prevDx ? Math.sign(dot(prevDx, t) / scale2 + prevDl) || 1 : 1;
+
+    let accepted = null;
+    while (!accepted) {
+      let dLam = (sign * dl) / tNorm;
+      let dx = t.map((ti) => ti * dLam);
+      let trial = null;
+      let iterations = 0;
+      for (; iterations < maxIterations; iterations++) {
+        const xt = x.map((xi, i) => xi + dx[i]);
+        trial = assembleAt(xt, lambda + dLam);
+        const g = dot(dx, dx) / scale2 + dLam * dLam - dl * dl;
+        const rInf = normInf(trial.grad);
+        if (!Number.isFinite(rInf)) break;
+        if (rInf < tol && Math.abs(g) < 1e-8 * dl * dl) {
+          accepted = { xt, dx, dLam, sys: trial, iterations, gradInf: rInf };
+          break;
+        }
+        const qt = loadVector(xt, lambda + dLam, trial.grad);
+        const a = solve(trial.K, trial.grad.map((v) => -v));
+        const b = solve(trial.K, qt);
+        const den = (2 / scale2) * dot(dx, b) + 2 * dLam;
+        if (!Number.isFinite(den) || Math.abs(den) < 1e-30) break;
+        const dLamCorr = (-g - (2 / scale2) * dot(dx, a)) / den;
+        dLam += dLamCorr;
+        dx = dx.map((v, i) => v + a[i] + dLamCorr * b[i]);
+      }
+      if (accepted) break;
+      history.push({ lambda: lambda + dLam, converged: false, iterations, gradInf: trial ? normInf(trial.grad) : null, arcLength: dl, reason: "arc_length_corrector" });
+      dl *= 0.5;
+      if (dl < dlMin) {
+        return { ok: false, x, lambda, meta: sys.meta, reason: "arc_length_min_step", history };
+      }
+    }
+
+    const lambdaNew = lambda + accepted.dLam;
+    // Cruce del objetivo: interpolar y cerrar con Newton a carga fija
+    if (lambdaNew >= lambdaTarget - 1e-12 && accepted.dLam > 0) {
+      const f = (lambdaTarget - lambda) / accepted.dLam;
+      return closeAt(x.map((xi, i) => xi + f * accepted.dx[i]), accepted.iterations);
+    }
+
+    push(
+      { lambda: lambdaNew, converged: true, iterations: accepted.iterations, gradInf: accepted.gradInf, arcLength: dl, reason: null },
+      accepted.sys.meta,
+      accepted.xt,
+      lambdaNew
+    );
+    prevDx = accepted.dx;
+    prevDl = accepted.dLam;
+    x = accepted.xt;
+    lambda = lambdaNew;
+    sys = accepted.sys;
+    if (accepted.iterations <= 4) dl = Math.min(dlMax, dl * 1.5);
+  }
+
+  return { ok: false, x, lambda, meta: sys.meta, reason: "arc_length_max_steps", history };
+}
+
+module.exports = { ARC_LENGTH_DEFAULTS, arcLengthPath };
@@ -0,0 +1,240 @@
+// ═══════════════════════════════════════════════════════════════════
+// CALIBRACIÓN DE EI(z) CON ENSAYO DE FLEXIÓN EN PANTALÁN
+// ═══════════════════════════════════════════════════════════════════
+// Ensayo: palo tumbado sobre dos apoyos (zM medidas desde el pie), pesos
+// colgados a alturas conocidas y flechas medidas respecto al palo sin
+// cargar (así el peso propio se cancela: el modelo es lineal).
+//
+// Modelo: la misma viga que modelPhase1_3d.cjs (nodos cada ds = L/nSeg,
+// stencil de curvatura [1,-2,1] con kB = EI(z)/ds³ y el perfil de
+// mastEIProfiles: EI constante hasta la conicidad y lineal hasta el tope).
+// Apoyos simples en los nodos más cercanos; cada carga se reparte entre
+// los dos nodos que la rodean.
+//
+// Ajuste: mínimos cuadrados de las flechas (mm) en log(EI base), log(EI
+// tope) con Levenberg–Marquardt y Jacobiano por diferencias finitas; la
+// altura de inicio de conicidad se fija o se barre en una malla.
+// converged solo con reason "converged" (ganancia o paso despreciables);
+// "stationary" = ningún paso baja el coste, y no se da por calibrado.
+// El resultado incluye el bloque stiffness del eje ensayado en unidades
+// de preset (N·m², mm) listo para guardarse.
+
+const { mastEIProfiles } = require("./modelPhase1_3d.cjs");
+const { solveLinearSystem } = require("./linsolve.cjs");
+
+const G = 9.81;
+
+const BEND_TEST_AXES = ["x", "y"];
+
+const BEND_TEST_DEFAULTS = {
+  mastSegments: 65,
+  initialEI: 7500,
+  taperStartRangeZM: [4.0, 5.5],
+  taperStartStepM: 0.1,
+  maxIterations: 50
+};
+
+function loadForceN(load, where) {
+  if (Number.isFinite(load?.forceN)) return load.forceN;
+  if (Number.isFinite(load?.massKg)) return load.massKg * G;
+  throw new Error(`Invalid ${where}: expected forceN or massKg`);
+}
+
+function validateBendTest(test) {
+  if (!test || typeof test !== "object") throw new Error("Missing bend test");
+  const axis = test.axis ?? "y";
+  if (!BEND_TEST_AXES.includes(axis)) throw new Error(`Invalid bendTest.axis: ${axis}`);
+  const L = test.mastLengthM;
+  if (!(L > 0)) throw new Error(`Invalid bendTest.mastLengthM: ${L}`);
+  const supports = test.supportsZM;
+  if (!Array.isArray(supports) || supports.length !== 2 || !supports.every((z) => Number.isFinite(z) && z >= 0 && z <= L)) {
+    throw new Error("Invalid bendTest.supportsZM: expected two heights within the mast");
+  }
+  if (!Array.isArray(test.cases) || !test.cases.length) throw new Error("Invalid bendTest.cases: expected non-empty array");
+  test.cases.forEach((c, ci) => {
+    if (!Array.isArray(c?.loads) || !c.loads.length) throw new Error(`Invalid bendTest.cases[${ci}].loads`);
+    c.loads.forEach((ld, li) => {
+      if (!(Number.isFinite(ld?.zM) && ld.zM >= 0 && ld.zM <= L)) throw new Error(`Invalid bendTest.cases[${ci}].loads[${li}].zM`);
+      loadForceN(ld, `bendTest.cases[${ci}].loads[${li}]`);
+    });
+    if (!Array.isArray(c.deflections) || !c.deflections.length) throw new Error(`Invalid bendTest.cases[${ci}].deflections`);
+    c.deflections.forEach((d, di) => {
+      if (!(Number.isFinite(d?.zM) && d.zM >= 0 && d.zM <= L) || !Number.isFinite(d.deflectionMm)) {
+        throw new Error(`Invalid bendTest.cases[${ci}].deflections[${di}]`);
+      }
+    });
+  });
+  return axis;
+}
+
+/**
+ * Flechas del modelo de viga para un perfil EI dado.
+ * @param {object} test { mastLengthM, supportsZM, cases }
+ * @param {object} profile { EIBase, EITop, taperStartZM }
+ * @param {number} nSeg segmentos del palo
+ * @returns {number[][]} flechas (mm) por caso en los puntos medidos
+ */
+function bendTestDeflections(test, profile, nSeg = BEND_TEST_DEFAULTS.mastSegments) {
+  const L = test.mastLengthM;
+  const ds = L / nSeg;
+  const n = nSeg + 1;
+  const { getEIAtZ } = mastEIProfiles(
+    { mastEIBase: profile.EIBase, mastEITop: profile.EITop, taperStartZM: profile.taperStartZM },
+    L
+  );
+
+  const K = Array.from({ length: n }, () => new Array(n).fill(0));
+  const c = [1, -2, 1];
+  for (let i = 1; i < n - 1; i++) {
+    const kB = getEIAtZ(i * ds) / Math.pow(ds, 3);
+    for (let a = 0; a < 3; a++) {
+      for (let b = 0; b < 3; b++) K[i - 1 + a][i - 1 + b] += kB * c[a] * c[b];
+    }
+  }
+
+  const supportIdx = test.supportsZM.map((z) => Math.round(z / ds));
+  if (supportIdx[0] === supportIdx[1]) throw new Error("Invalid bendTest.supportsZM: supports fall on the same node");
+  const free = [];
+  for (let k = 0; k < n; k++) if (!supportIdx.includes(k)) free.push(k);
+  const Kr = free.map((a) => free.map((b) => K[a][b]));
+
+  // Reparto lineal entre los nodos que rodean la altura z
+  const share = (z) => {
+    const s = Math.min(nSeg - 1e-12, Math.max(0, z / ds));
+    const k = Math.floor(s);
+    return [[k, 1 - (s - k)], [k + 1, s - k]];
+  };
+
+  return test.cases.map((cs) => {
+    const f = new Array(n).fill(0);
+    for (const ld of cs.loads) {
+      const F = loadForceN(ld, "bendTest load");
+      for (const [k, w] of share(ld.zM)) f[k] += F * w;
+    }
+    const ur = solveLinearSystem(Kr.map((row) => row.slice()), free.map((k) => f[k]));
+    const u = new Array(n).fill(0);
+    free.forEach((k, i) => {
+      u[k] = ur[i];
+    });
+    return cs.deflections.map((d) => share(d.zM).reduce((s, [k, w]) => s + w * u[k], 0) * 1000);
+  });
+}
+
+/**
+ * Ajusta EI base/tope (y la altura de conicidad) a las flechas medidas.
+ * @param {object} args
+ * @param {object} args.test { axis: "x"|"y", mastLengthM, supportsZM: [z1, z2],
+ *   cases: [{ loads: [{ zM, massKg | forceN }], deflections: [{ zM, deflectionMm }] }] }
+ * @param {object} [args.options] { taperStartZM (fija), taperStartRangeZM, taperStartStepM,
+ *   mastSegments, initialEI, maxIterations }
+ */
+function calibrateBendTest({ test, options = {} } = {}) {
+  const axis = validateBendTest(test);
+  const opts = { ...BEND_TEST_DEFAULTS, ...options };
+  const nSeg = opts.mastSegments;
+  if (!Number.isInteger(nSeg) || nSeg < 4) throw new Error(`Invalid mastSegments: ${nSeg}`);
+
+  const measured = test.cases.flatMap((c) => c.deflections.map((d) => d.deflectionMm));
+  const residualsFor = (v, taperStartZM) => {
+    const model = bendTestDeflections(test, { EIBase: Math.exp(v[0]), EITop: Math.exp(v[1]), taperStartZM }, nSeg).flat();
+    return model.map((m, i) => m - measured[i]);
+  };
+  const sumSq = (r) => r.reduce((s, x) => s + x * x, 0);
+
+  // LM en v = [ln EI base, ln EI tope] para una altura de conicidad fija
+  const fitAtTaper = (taperStartZM) => {
+    let v = [Math.log(opts.initialEI), Math.log(opts.initialEI)];
+    let r = residualsFor(v, taperStartZM);
+    let cost = sumSq(r);
+    let mu = 1e-3;
+    let iterations = 0;
+    // Como rigCalibration: "stationary" (sin descenso) no cuenta como convergido
+    let reason = cost <= 1e-12 * measured.length ? "converged" : "max_iterations";
+    const h = 1e-6;
+    while (reason === "max_iterations" && iterations < opts.maxIterations) {
+      iterations++;
+      const J = [0, 1].map((j) => {
+        const vh = v.slice();
+        vh[j] += h;
+        return residualsFor(vh, taperStartZM).map((x, i) => (x - r[i]) / h);
+      });
+      const A = [0, 1].map((a) => [0, 1].map((b) => J[a].reduce((s, x, i) => s + x * J[b][i], 0)));
+      const g = [0, 1].map((a) => J[a].reduce((s, x, i) => s + x * r[i], 0));
+      let accepted = false;
+      for (; mu <= 1e8; mu *= 10) {
+        const dv = solveLinearSystem(A.map((row, a) => row.map((x, b) => x + (a === b ? mu * (1 + A[a][a]) : 0))), g.map((x) => -x));
+        const vt = v.map((x, j) => x + dv[j]);
+        const rt = residualsFor(vt, taperStartZM);
+        const ct = sumSq(rt);
+        if (ct < cost) {
+          const gain = cost - ct;
+          v = vt;
+          r = rt;
+          cost = ct;
+          mu = Math.max(1e-12, mu / 10);
+          accepted = true;
+          if (gain <= 1e-12 * Math.max(1, cost) || Math.max(...dv.map(Math.abs)) < 1e-9) reason = "converged";
+          break;
+        }
+      }
+      // Ningún paso baja el coste hasta mu = 1e8
+      if (!accepted) reason = "stationary";
+    }
+    return { v, r, cost, iterations, reason, taperStartZM };
+  };
+
+  let candidates;
+  if (Number.isFinite(opts.taperStartZM)) {
+    candidates = [opts.taperStartZM];
+  } else {
+    const [z0, z1] = opts.taperStartRangeZM;
+    const step = opts.taperStartStepM;
+    if (!(z1 >= z0) || !(step > 0) || !(z1 < test.mastLengthM)) throw new Error("Invalid taperStartRangeZM");
+    candidates = [];
+    for (let k = 0; z0 + k * step <= z1 + 1e-9; k++) candidates.push(Math.round((z0 + k * step) * 1e6) / 1e6);
+  }
+
+  let best = null;
+  for (const z of candidates) {
+    const fit = fitAtTaper(z);
+    if (!best || fit.cost < best.cost) best = fit;
+  }
+
+  const EIBaseNm2 = Math.exp(best.v[0]);
+  const EITopNm2 = Math.exp(best.v[1]);
+  const residuals = [];
+  let idx = 0;
+  test.cases.forEach((c, ci) => {
+    for (const d of c.deflections) {
+      residuals.push({
+        case: ci,
+        zM: d.zM,
+        measuredMm: d.deflectionMm,
+        modelMm: d.deflectionMm + best.r[idx],
+        errorMm: best.r[idx]
+      });
+      idx++;
+    }
+  });
+
+  const X = axis.toUpperCase();
+  return {
+    axis,
+    converged: best.reason === "converged",
+    reason: best.reason,
+    iterations: best.iterations,
+    EIBaseNm2,
+    EITopNm2,
+    taperStartZM: best.taperStartZM,
+    rmsMm: Math.sqrt(best.cost / measured.length),
+    residuals,
+    // Bloque stiffness del eje ensayado en unidades de preset
+    stiffness: {
+      [`mastEI${axis}Base`]: Math.round(EIBaseNm2),
+      [`mastEI${axis}Top`]: Math.round(EITopNm2),
+      [`taperStart${X}ZMm`]: Math.round(best.taperStartZM * 1000)
+    }
+  };
+}
+
+module.exports = { calibrateBendTest, bendTestDeflections, BEND_TEST_AXES, BEND_TEST_DEFAULTS };
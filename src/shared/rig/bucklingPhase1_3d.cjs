@@ -0,0 +1,125 @@
+// ═══════════════════════════════════════════════════════════════════
+// PANDEO LINEAL DEL MÁSTIL PRETENSADO (Phase 1, 3D)
+// ═══════════════════════════════════════════════════════════════════
+// En el estado convergido (típicamente prebend, tras jib_halyard) se separa la
+// rigidez tangente en K_T = K_M + K_G (ver assembleSystem, splitK) y se buscan
+// los factores λ que hacen singular K_M + λ K_G: λ escala TODAS las fuerzas
+// internas actuales (stay_jib, shrouds, crucetas, compresión del palo).
+//
+// Como K_M + λ K_G = K_T + (λ - 1) K_G, el problema equivale a
+//   K_G φ = μ K_T φ,   λ = 1 - 1/μ
+// con K_T definida positiva en un equilibrio estable. Solo μ < 0 dan λ > 1
+// (pandeo al aumentar la carga); μ ∈ (0, 1] corresponden a mecanismos que solo
+// estabiliza la tensión de los cables (λ ≤ 0) y se descartan.
+//
+// Las velas se congelan (nodos de tela fijos en su posición actual): el análisis
+// es del rig; los nodos de grátil/stay siguen libres. La botavara libre
+// (sails.main.boomMode = "free") y sus cabos siguen siendo DOF: no se congelan.
+
+const { assembleSystem, buildDofMap3d } = require("./solverPhase1_3d.cjs");
+const { generalizedSymmetricEigen } = require("./eigen.cjs");
+
+const BUCKLING_MODES_DEFAULT = 3;
+
+// Tela de las velas (incluido el puño de escota separado de la botavara libre)
+function isSailClothNode(node) {
+  return node.name.startsWith("sail_") || node.name === "main_clew";
+}
+
+/**
+ * Copia del modelo con la geometría de referencia en nodesPos (x = 0 reproduce
+ * el estado convergido) y los nodos no estructurales fijados.
+ */
+function freezeModelAtState(model, nodesPos, { freezeSails = true } = {}) {
+  return {
+    ...model,
+    nodes: model.nodes.map((n) => ({
+      ...n,
+      p0: (nodesPos[n.id] ?? n.p0).slice(),
+      fixed: n.fixed || (freezeSails && isSailClothNode(n))
+    }))
+  };
+}
+
+// Forma modal a lo largo del palo, normalizada a max |desplazamiento lateral| = 1
+function mastModeShape(model, dofMap, nodesPos, phi) {
+  const pts = [];
+  let maxAbs = 0;
+  for (const id of model.mastNodeIds || []) {
+    const base = dofMap.map.get(id);
+    const v = base === undefined ? [0, 0, 0] : [phi[base], phi[base + 1], phi[base + 2]];
+    maxAbs = Math.max(maxAbs, Math.abs(v[0]), Math.abs(v[1]));
+    pts.push({ z: nodesPos[id][2], x: v[0], y: v[1] });
+  }
+  // Signo: desplazamiento dominante positivo (formas comparables entre runs)
+  let sx = 0;
+  let sy = 0;
+  for (const p of pts) {
+    sx += p.x * p.x;
+    sy += p.y * p.y;
+  }
+  const dominant = sx >= sy ? "x" : "y";
+  const peak = pts.reduce((best, p) => (Math.abs(p[dominant]) > Math.abs(best) ? p[dominant] : best), 0);
+  const scale = maxAbs > 0 ? (Math.sign(peak) || 1) / maxAbs : 0;
+  return {
+    direction: dominant === "x" ? "lateral" : "foreAft",
+    shape: pts.map((p) => ({ z: p.z, x: p.x * scale, y: p.y * scale }))
+  };
+}
+
+/**
+ * Pandeo lineal alrededor del estado (model, nodesPos).
+ * @returns {{ stable, criticalLoadFactors, modes, mastMaxCompressionN, nDof, reason? }}
+ */
+function analyzeBuckling3d({ model, nodesPos, cableCompressionEps = 1e-6, nModes = BUCKLING_MODES_DEFAULT }) {
+  const frozen = freezeModelAtState(model, nodesPos);
+  const dofMap = buildDofMap3d(frozen.nodes);
+  const sys = assembleSystem({
+    model: frozen,
+    dofMap,
+    x: new Array(dofMap.nDof).fill(0),
+    cableCompressionEps,
+    splitK: true
+  });
+
+  const axial = sys.meta.axialForces || {};
+  const mastMaxCompressionN = Math.max(
+    0,
+    ...Object.entries(axial)
+      .filter(([k, v]) => k.startsWith("mast_seg_") && Number.isFinite(v))
+      .map(([, v]) => -v)
+  );
+
+  const base = {
+    nDof: dofMap.nDof,
+    mastMaxCompressionN,
+    criticalLoadFactors: [],
+    modes: []
+  };
+
+  let eig;
+  try {
+    eig = generalizedSymmetricEigen(sys.KGeometric, sys.K);
+  } catch (err) {
+    if (err.code !== "NOT_POSITIVE_DEFINITE") throw err;
+    // K_T no definida positiva: el estado de referencia ya es inestable
+    return { ...base, stable: false, reason: "tangent_not_positive_definite" };
+  }
+
+  const modes = [];
+  for (let k = 0; k < eig.values.length && modes.length < nModes; k++) {
+    const mu = eig.values[k];
+    if (!(mu < -1e-12)) break; // ascendentes: a partir de aquí no hay pandeo con λ > 1
+    const loadFactor = 1 - 1 / mu;
+    modes.push({ loadFactor, ...mastModeShape(frozen, dofMap, nodesPos, eig.vectors[k]) });
+  }
+
+  return {
+    ...base,
+    stable: true,
+    criticalLoadFactors: modes.map((m) => m.loadFactor),
+    modes
+  };
+}
+
+module.exports = { analyzeBuckling3d, freezeModelAtState, mastModeShape, BUCKLING_MODES_DEFAULT };
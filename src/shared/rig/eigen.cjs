@@ -0,0 +1,288 @@
+// ═══════════════════════════════════════════════════════════════════
+// AUTOVALORES SIMÉTRICOS (denso)
+// ═══════════════════════════════════════════════════════════════════
+// - symmetricEigen: A = V diag(d) V^T (tridiagonalización Householder + QL implícito,
+//   port de tred2/tql2 de EISPACK/JAMA). Autovalores en orden ascendente.
+// - generalizedSymmetricEigen: A φ = μ B φ con B simétrica definida positiva,
+//   reducida a forma estándar vía Cholesky B = L L^T.
+// Pensado para los problemas reducidos del rig (pandeo lineal, modos propios):
+// unos cientos de DOF, coste O(n³).
+
+const { zeros } = require("./linsolve.cjs");
+
+function toDense(A) {
+  if (A && Array.isArray(A.rows)) {
+    const out = Array.from({ length: A.n }, () => zeros(A.n));
+    for (let i = 0; i < A.n; i++) {
+      for (const [j, v] of A.rows[i]) out[i][j] = v;
+    }
+    return out;
+  }
+  return A.map((r) => r.slice());
+}
+
+/**
+ * Cholesky A = L L^T (A simétrica). Lanza err.code = "NOT_POSITIVE_DEFINITE"
+ * si algún pivote no es positivo.
+ */
+function choleskyDecompose(A) {
+  const n = A.length;
+  const L = Array.from({ length: n }, () => zeros(n));
+  for (let j = 0; j < n; j++) {
+    let d = A[j][j];
+    const Lj = L[j];
+    for (let k = 0; k < j; k++) d -= Lj[k] * Lj[k];
+    if (!(d > 0)) {
+      const err = new Error(`Matrix is not positive definite (pivot ${j}: ${d})`);
+      err.code = "NOT_POSITIVE_DEFINITE";
+      err.pivot = j;
+      throw err;
+    }
+    const ljj = Math.sqrt(d);
+    Lj[j] = ljj;
+    for (let i = j + 1; i < n; i++) {
+      const Li = L[i];
+      let s = A[i][j];
+      for (let k = 0; k < j; k++) s -= Li[k] * Lj[k];
+      Li[j] = s / ljj;
+    }
+  }
+  return L;
+}
+
+// Householder: reduce V (copia de A) a tridiagonal (d diagonal, e subdiagonal)
+function tred2(V, d, e) {
+  const n = V.length;
+  for (let j = 0; j < n; j++) d[j] = V[n - 1][j];
+
+  for (let i = n - 1; i > 0; i--) {
+    let scale = 0;
+    let h = 0;
+    for (let k = 0; k < i; k++) scale += Math.abs(d[k]);
+    if (scale === 0) {
+      e[i] = d[i - 1];
+      for (let j = 0; j < i; j++) {
+        d[j] = V[i - 1][j];
+        V[i][j] = 0;
+        V[j][i] = 0;
+      }
+    } else {
+      for (let k = 0; k < i; k++) {
+        d[k] /= scale;
+        h += d[k] * d[k];
+      }
+      let f = d[i - 1];
+      let g = Math.sqrt(h);
+      if (f > 0) g = -g;
+      e[i] = scale * g;
+      h -= f * g;
+      d[i - 1] = f - g;
+      for (let j = 0; j < i; j++) e[j] = 0;
+
+      for (let j = 0; j < i; j++) {
+        f = d[j];
+        V[j][i] = f;
+        g = e[j] + V[j][j] * f;
+        for (let k = j + 1; k <= i - 1; k++) {
+          g += V[k][j] * d[k];
+          e[k] += V[k][j] * f;
+        }
+        e[j] = g;
+      }
+      f = 0;
+      for (let j = 0; j < i; j++) {
+        e[j] /= h;
+        f += e[j] * d[j];
+      }
+      const hh = f / (h + h);
+      for (let j = 0; j < i; j++) e[j] -= hh * d[j];
+      for (let j = 0; j < i; j++) {
+        f = d[j];
+        g = e[j];
+        for (let k = j; k <= i - 1; k++) V[k][j] -= (f * e[k] + g * d[k]);
+        d[j] = V[i - 1][j];
+        V[i][j] = 0;
+      }
+    }
+    d[i] = h;
+  }
+
+  // Acumular transformaciones
+  for (let i = 0; i < n - 1; i++) {
+    V[n - 1][i] = V[i][i];
+    V[i][i] = 1;
+    const h = d[i + 1];
+    if (h !== 0) {
+      for (let k = 0; k <= i; k++) d[k] = V[k][i + 1] / h;
+      for (let j = 0; j <= i; j++) {
+        let g = 0;
+        for (let k = 0; k <= i; k++) g += V[k][i + 1] * V[k][j];
+        for (let k = 0; k <= i; k++) V[k][j] -= g * d[k];
+      }
+    }
+    for (let k = 0; k <= i; k++) V[k][i + 1] = 0;
+  }
+  for (let j = 0; j < n; j++) {
+    d[j] = V[n - 1][j];
+    V[n - 1][j] = 0;
+  }
+  V[n - 1][n - 1] = 1;
+  e[0] = 0;
+}
+
+// QL implícito sobre la tridiagonal; acumula vectores en Z (Z[i] = columna i de V,
+// traspuesta para que las rotaciones recorran memoria contigua)
+function tql2(Z, d, e, maxIterPerValue) {
+  const n = Z.length;
+  for (let i = 1; i < n; i++) e[i - 1] = e[i];
+  e[n - 1] = 0;
+
+  let f = 0;
+  let tst1 = 0;
+  const eps = Math.pow(2, -52);
+  for (let l = 0; l < n; l++) {
+    tst1 = Math.max(tst1, Math.abs(d[l]) + Math.abs(e[l]));
+    let m = l;
+    while (m < n) {
+      if (Math.abs(e[m]) <= eps * tst1) break;
+      m++;
+    }
+
+    if (m > l) {
+      let iter = 0;
+      do {
+        iter++;
+        if (iter > maxIterPerValue) {
+          const err = new Error(`Eigen solver did not converge (index ${l})`);
+          err.code = "EIGEN_NO_CONVERGENCE";
+          throw err;
+        }
+        let g = d[l];
+        let p = (d[l + 1] - g) / (2 * e[l]);
+        let r = Math.hypot(p, 1);
+        if (p < 0) r = -r;
+        d[l] = e[l] / (p + r);
+        d[l + 1] = e[l] * (p + r);
+        const dl1 = d[l + 1];
+        let h = g - d[l];
+        for (let i = l + 2; i < n; i++) d[i] -= h;
+        f += h;
+
+        p = d[m];
+        let c = 1;
+        let c2 = c;
+        let c3 = c;
+        const el1 = e[l + 1];
+        let s = 0;
+        let s2 = 0;
+        for (let i = m - 1; i >= l; i--) {
+          c3 = c2;
+          c2 = c;
+          s2 = s;
+          g = c * e[i];
+          h = c * p;
+          r = Math.hypot(p, e[i]);
+          e[i + 1] = s * r;
+          s = e[i] / r;
+          c = p / r;
+          p = c * d[i] - s * g;
+          d[i + 1] = h + s * (c * g + s * d[i]);
+          const zi = Z[i];
+          const zi1 = Z[i + 1];
+          for (let k = 0; k < n; k++) {
+            h = zi1[k];
+            zi1[k] = s * zi[k] + c * h;
+            zi[k] = c * zi[k] - s * h;
+          }
+        }
+        p = -s * s2 * c3 * el1 * e[l] / dl1;
+        e[l] = s * p;
+        d[l] = c * p;
+      } while (Math.abs(e[l]) > eps * tst1);
+    }
+    d[l] += f;
+    e[l] = 0;
+  }
+}
+
+/**
+ * Autovalores/autovectores de una matriz simétrica (densa o dispersa).
+ * @returns {{ values: number[], vectors: number[][] }} values ascendentes,
+ *   vectors[k] = autovector k (norma unidad).
+ */
+function symmetricEigen(A, { maxIterPerValue = 60 } = {}) {
+  const V = toDense(A);
+  const n = V.length;
+  if (n === 0) return { values: [], vectors: [] };
+
+  // Simetrizar (K ensamblada puede tener ruido de redondeo)
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const m = 0.5 * (V[i][j] + V[j][i]);
+      V[i][j] = m;
+      V[j][i] = m;
+    }
+  }
+
+  const d = zeros(n);
+  const e = zeros(n);
+  tred2(V, d, e);
+  const Z = Array.from({ length: n }, (_, k) => V.map((row) => row[k]));
+  tql2(Z, d, e, maxIterPerValue);
+
+  const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => d[a] - d[b]);
+  return {
+    values: order.map((k) => d[k]),
+    vectors: order.map((k) => Z[k])
+  };
+}
+
+/**
+ * Problema generalizado A φ = μ B φ con B simétrica definida positiva.
+ * Vectores B-ortonormales (φ_i^T B φ_j = δ_ij).
+ */
+function generalizedSymmetricEigen(A, B, opts = {}) {
+  const Ad = toDense(A);
+  const L = choleskyDecompose(toDense(B));
+  const n = Ad.length;
+
+  // C = L^-1 A L^-T: primero W = L^-1 A (por columnas), luego C = L^-1 W^T
+  const forward = (b) => {
+    const y = zeros(n);
+    for (let i = 0; i < n; i++) {
+      let s = b[i];
+      const Li = L[i];
+      for (let k = 0; k < i; k++) s -= Li[k] * y[k];
+      y[i] = s / Li[i];
+    }
+    return y;
+  };
+  const backward = (y) => {
+    const x = zeros(n);
+    for (let i = n - 1; i >= 0; i--) {
+      let s = y[i];
+      for (let k = i + 1; k < n; k++) s -= L[k][i] * x[k];
+      x[i] = s / L[i][i];
+    }
+    return x;
+  };
+
+  // W = L^-1 A, calculada por columnas (A simétrica: columna j = fila j)
+  const Wcols = Ad.map((row) => forward(row));
+  // C = (L^-1 W^T)^T => fila i de C = L^-1 (fila i de W)
+  const C = new Array(n);
+  for (let i = 0; i < n; i++) {
+    const Wi = zeros(n);
+    for (let j = 0; j < n; j++) Wi[j] = Wcols[j][i];
+    C[i] = forward(Wi);
+  }
+
+  const { values, vectors } = symmetricEigen(C, opts);
+  return { values, vectors: vectors.map((y) => backward(y)) };
+}
+
+module.exports = {
+  choleskyDecompose,
+  symmetricEigen,
+  generalizedSymmetricEigen
+};
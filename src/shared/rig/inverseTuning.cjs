@@ -0,0 +1,266 @@
+// ═══════════════════════════════════════════════════════════════════
+// AJUSTE INVERSO: controles a partir de tensiones objetivo
+// ═══════════════════════════════════════════════════════════════════
+// Envuelve runPhase1Simulation en un lazo exterior Newton/secante:
+// - Incógnitas (por defecto): shroudDeltaL0PortM, shroudDeltaL0StbdM; la driza
+//   (jibHalyardTensionN) u otras se piden con options.unknowns
+// - Objetivos: tensiones de obenques y estay (lectura del Loos en pantalán) y,
+//   opcionalmente, rake en tope y prebend a la altura de crucetas.
+// - Jacobiano por diferencias finitas al inicio; después actualizaciones de
+//   Broyden (secante) mientras el residuo baje. Si un paso no mejora se vuelve a
+//   calcular el Jacobiano por diferencias finitas.
+// - Paso Levenberg-Marquardt en variables escaladas: con objetivos compatibles es
+//   Newton; si no son alcanzables a la vez se obtiene el ajuste por mínimos
+//   cuadrados (residuos normalizados por su escala).
+//
+// OJO: en pantalán la tensión del estay no es independiente de la de los
+// obenques (equilibrio del palo) y con lockStayLength la driza apenas cambia la
+// longitud del estay (rigEA muy alto). Añadir la driza a las incógnitas con las
+// tres tensiones suele terminar en reason "stationary": por eso por defecto solo
+// se ajustan los obenques y el estay queda como residuo.
+
+const { runPhase1Simulation } = require("./runPhase1.cjs");
+const { solveLinearSystem } = require("./linsolve.cjs");
+const { mastCurveMetrics } = require("./rigMetrics.cjs");
+const { applyGaugeInputs } = require("./loosGauge.cjs");
+const { hardwareDrivenControls } = require("./rigHardware.cjs");
+
+// Incógnitas soportadas: escala típica, paso de diferencias finitas y límites físicos
+const TUNING_UNKNOWNS = {
+  shroudDeltaL0PortM: { scale: 1e-3, fdStep: 2e-4, min: -0.05, max: 0.05 },
+  shroudDeltaL0StbdM: { scale: 1e-3, fdStep: 2e-4, min: -0.05, max: 0.05 },
+  jibHalyardTensionN: { scale: 100, fdStep: 25, min: 0, max: 5000 },
+  spreaderSweepAftM: { scale: 0.01, fdStep: 2e-3, min: 0, max: 0.3 }
+};
+
+// Objetivos soportados: escala de normalización y tolerancia por defecto
+const TUNING_TARGETS = {
+  shroudPortN: { scale: 100, tol: 10 },
+  shroudStbdN: { scale: 100, tol: 10 },
+  forestayN: { scale: 100, tol: 10 },
+  mastheadRakeM: { scale: 0.01, tol: 0.002 },
+  prebendSpreaderM: { scale: 0.005, tol: 0.001 }
+};
+
+const DEFAULT_UNKNOWNS = ["shroudDeltaL0PortM", "shroudDeltaL0StbdM"];
+
+function clamp(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, v));
+}
+
+/**
+ * Cifras de trimado del palo a partir de la curva final:
+ * - mastheadRakeM: desplazamiento a popa del tope respecto al pie (+ = a popa)
+ * - prebendSpreaderM: flecha proa/popa a la altura de crucetas respecto a la
+ *   recta pie-hounds (+ = a proa)
+ */
+function mastTrimFigures(outputs, geometry) {
+  const m = mastCurveMetrics(outputs?.mastCurveLoaded, geometry);
+  if (!m) return { mastheadRakeM: 0, prebendSpreaderM: 0 };
+  return { mastheadRakeM: m.mastheadRakeM, prebendSpreaderM: m.prebendSpreaderM };
+}
+
+function measuredValues(result, geometry) {
+  const t = result?.outputs?.tensions || {};
+  return {
+    shroudPortN: t.shroudPortN,
+    shroudStbdN: t.shroudStbdN,
+    forestayN: t.forestayN,
+    ...mastTrimFigures(result?.outputs, geometry)
+  };
+}
+
+/**
+ * @param {object} args
+ * @param {object} args.payload payload base de runPhase1Simulation (punto de partida)
+ * @param {object} args.targets { shroudPortN?, shroudStbdN?, forestayN?, mastheadRakeM?, prebendSpreaderM? }
+ * @param {object} [args.options] { unknowns, maxIterations, dock, tolerances }
+ * @param {function} [args.onProgress] callback({ iter, residualNorm, controls })
+ */
+function solveInverseTuning({ payload, targets, options = {}, onProgress } = {}) {
+  if (!payload || typeof payload !== "object") throw new Error("Missing payload");
+  if (!targets || typeof targets !== "object") throw new Error("Missing targets");
+  // Driza leída en Loos → N antes de perturbarla (jibHalyardLoos pisaría cada cambio)
+  payload = applyGaugeInputs(payload);
+
+  const targetKeys = Object.keys(targets).filter((k) => targets[k] !== undefined && targets[k] !== null);
+  if (!targetKeys.length) throw new Error("No tuning targets given");
+  for (const k of targetKeys) {
+    if (!TUNING_TARGETS[k]) throw new Error(`Unknown tuning target: ${k}`);
+    if (!Number.isFinite(targets[k])) throw new Error(`Invalid target ${k}: ${targets[k]}`);
+  }
+
+  // Lo que fija un herraje (agujero/vueltas) no se puede ajustar en continuo
+  const driven = hardwareDrivenControls(payload.controls);
+  const unknowns = options.unknowns ?? DEFAULT_UNKNOWNS.filter((k) => !driven.includes(k));
+  for (const k of unknowns) {
+    if (!TUNING_UNKNOWNS[k]) throw new Error(`Unknown tuning control: ${k}`);
+    if (driven.includes(k)) throw new Error(`Tuning control ${k} is set by hardware hole/turns`);
+  }
+  if (!unknowns.length) throw new Error("No tuning controls: the shrouds are set by hardware hole/turns (choose options.unknowns)");
+  if (targetKeys.length < unknowns.length) {
+    throw new Error(`Underdetermined tuning: ${targetKeys.length} targets for ${unknowns.length} controls`);
+  }
+
+  const maxIterations = Number.isInteger(options.maxIterations) ? options.maxIterations : 15;
+  const tolerances = { ...options.tolerances };
+  const tolOf = (k) => (Number.isFinite(tolerances[k]) ? tolerances[k] : TUNING_TARGETS[k].tol);
+
+  // En pantalán: sin viento ni velas (la lectura del Loos es en reposo).
+  // Pandeo/modal no hacen falta en cada evaluación del lazo exterior.
+  const dock = options.dock !== false;
+  const basePayload = dock
+    ? { ...payload, load: { ...payload.load, mode: "none", qLateralNpm: 0 }, sails: { enabled: false }, analysis: {} }
+    : { ...payload, analysis: {} };
+
+  let evaluations = 0;
+  const evaluate = (u) => {
+    const controls = { ...basePayload.controls };
+    unknowns.forEach((k, i) => {
+      controls[k] = u[i];
+    });
+    evaluations++;
+    const result = runPhase1Simulation({ ...basePayload, controls });
+    const values = measuredValues(result, basePayload.geometry);
+    const r = targetKeys.map((k) => (values[k] - targets[k]) / TUNING_TARGETS[k].scale);
+    const ok = Boolean(result?.outputs) && r.every(Number.isFinite);
+    return { u, controls, result, values, r, ok, norm: ok ? Math.hypot(...r) : Infinity };
+  };
+
+  const isConverged = (ev) => ev.ok && targetKeys.every((k) => Math.abs(ev.values[k] - targets[k]) <= tolOf(k));
+
+  const fdJacobian = (ev) => {
+    const J = targetKeys.map(() => new Array(unknowns.length).fill(0));
+    unknowns.forEach((k, j) => {
+      const spec = TUNING_UNKNOWNS[k];
+      // Paso hacia dentro de los límites
+      const h = ev.u[j] + spec.fdStep > spec.max ? -spec.fdStep : spec.fdStep;
+      const u = ev.u.slice();
+      u[j] += h;
+      const evH = evaluate(u);
+      if (!evH.ok) return;
+      for (let i = 0; i < targetKeys.length; i++) J[i][j] = (evH.r[i] - ev.r[i]) / h;
+    });
+    return J;
+  };
+
+  // Paso LM en variables escaladas (du = s ⊙ dv): (Js^T Js + μ I) dv = -Js^T r
+  const scales = unknowns.map((k) => TUNING_UNKNOWNS[k].scale);
+  const lmStep = (J, r, mu) => {
+    const n = unknowns.length;
+    const A = Array.from({ length: n }, () => new Array(n).fill(0));
+    const b = new Array(n).fill(0);
+    for (let a = 0; a < n; a++) {
+      for (let c = 0; c < n; c++) {
+        let s = 0;
+        for (let i = 0; i < r.length; i++) s += J[i][a] * J[i][c];
+        A[a][c] = s * scales[a] * scales[c];
+      }
+      let s = 0;
+      for (let i = 0; i < r.length; i++) s += J[i][a] * r[i];
+      b[a] = -s * scales[a];
+      A[a][a] += mu;
+    }
+    return solveLinearSystem(A, b).map((dv, a) => dv * scales[a]);
+  };
+
+  const project = (u) => u.map((v, j) => {
+    const spec = TUNING_UNKNOWNS[unknowns[j]];
+    return clamp(v, spec.min, spec.max);
+  });
+
+  let current = evaluate(project(unknowns.map((k) => (Number.isFinite(basePayload.controls?.[k]) ? basePayload.controls[k] : 0))));
+  if (!current.ok) throw new Error("Initial simulation did not produce outputs");
+
+  const history = [{ iter: 0, residualNorm: current.norm, controls: { ...current.controls }, jacobian: "none" }];
+  if (onProgress) onProgress({ iter: 0, residualNorm: current.norm, controls: current.controls });
+
+  let J = null;
+  let jacobianSource = "none";
+  let mu = 1e-3;
+  let converged = isConverged(current);
+  let reason = converged ? "converged" : "max_iterations";
+  let iter = 0;
+
+  while (!converged && iter < maxIterations) {
+    if (!J) {
+      J = fdJacobian(current);
+      jacobianSource = "finite_difference";
+      mu = 1e-3;
+    }
+
+    // Aumentar μ hasta que el paso reduzca el residuo
+    let accepted = null;
+    for (; mu <= 1e6; mu *= 10) {
+      const trial = evaluate(project(lmStep(J, current.r, mu).map((du, j) => current.u[j] + du)));
+      if (trial.ok && trial.norm < current.norm) {
+        accepted = trial;
+        break;
+      }
+    }
+
+    const stalled = !accepted || current.norm - accepted.norm < 1e-6 * current.norm;
+    if (stalled && jacobianSource !== "finite_difference") {
+      // Jacobiano secante desactualizado: recalcular antes de rendirse
+      J = null;
+      continue;
+    }
+    if (stalled) {
+      // Sin descenso con Jacobiano fresco: mínimo por mínimos cuadrados
+      if (accepted) current = accepted;
+      reason = "stationary";
+      break;
+    }
+
+    iter++;
+    history.push({ iter, residualNorm: accepted.norm, controls: { ...accepted.controls }, jacobian: jacobianSource });
+    if (onProgress) onProgress({ iter, residualNorm: accepted.norm, controls: accepted.controls });
+
+    // Broyden en variables escaladas: Js += (Δr - Js Δv) Δv^T / (Δv^T Δv)
+    const dV = accepted.u.map((v, j) => (v - current.u[j]) / scales[j]);
+    const dR = accepted.r.map((v, i) => v - current.r[i]);
+    const dVdV = dV.reduce((s, v) => s + v * v, 0);
+    if (dVdV > 0) {
+      for (let i = 0; i < dR.length; i++) {
+        const JdV = J[i].reduce((s, v, j) => s + v * scales[j] * dV[j], 0);
+        const coef = (dR[i] - JdV) / dVdV;
+        for (let j = 0; j < dV.length; j++) J[i][j] += (coef * dV[j]) / scales[j];
+      }
+    }
+    jacobianSource = "broyden";
+    mu = Math.max(1e-9, mu / 10);
+    current = accepted;
+
+    converged = isConverged(current);
+    if (converged) reason = "converged";
+  }
+
+  const residuals = {};
+  for (const k of targetKeys) {
+    residuals[k] = {
+      target: targets[k],
+      value: current.values[k],
+      error: current.values[k] - targets[k],
+      tolerance: tolOf(k)
+    };
+  }
+  const foundControls = {};
+  unknowns.forEach((k, i) => {
+    foundControls[k] = current.u[i];
+  });
+
+  return {
+    ok: converged,
+    converged,
+    reason,
+    iterations: iter,
+    evaluations,
+    controls: foundControls,
+    residuals,
+    residualNorm: current.norm,
+    history,
+    result: current.result
+  };
+}
+
+module.exports = { solveInverseTuning, mastTrimFigures, TUNING_UNKNOWNS, TUNING_TARGETS };
@@ -98,6 +98,246 @@ function solveLinearSystem(Ain, bIn) {
   return x;
 }
 
+// ═══════════════════════════════════════════════════════════════════
+// MATRICES DISPERSAS (filas como Map columna → valor)
+// ═══════════════════════════════════════════════════════════════════
+//
+// La rigidez del aparejo es muy dispersa: cada nodo del mástil solo se acopla
+// con sus vecinos del stencil de flexión, y los cables/membranas con los nodos
+// de su elemento. El ensamblado acumula en filas tipo Map y la resolución se
+// hace en formato banda tras reordenar con Reverse Cuthill–McKee (RCM).
+
+function createSparseMatrix(n) {
+  const rows = new Array(n);
+  for (let i = 0; i < n; i++) rows[i] = new Map();
+  return { n, rows };
+}
+
+function isSparseMatrix(A) {
+  return Boolean(A && Array.isArray(A.rows) && Number.isInteger(A.n));
+}
+
+function sparseAdd(S, i, j, v) {
+  if (v === 0) return;
+  const row = S.rows[i];
+  row.set(j, (row.get(j) ?? 0) + v);
+}
+
+function sparseClone(S) {
+  return { n: S.n, rows: S.rows.map((r) => new Map(r)) };
+}
+
+function sparseAddDiagonal(S, lambda) {
+  for (let i = 0; i < S.n; i++) sparseAdd(S, i, i, lambda);
+  return S;
+}
+
+function sparseMatVec(S, x) {
+  const y = zeros(S.n);
+  for (let i = 0; i < S.n; i++) {
+    let s = 0;
+    for (const [j, v] of S.rows[i]) s += v * x[j];
+    y[i] = s;
+  }
+  return y;
+}
+
+function sparseToDense(S) {
+  const A = new Array(S.n);
+  for (let i = 0; i < S.n; i++) {
+    A[i] = zeros(S.n);
+    for (const [j, v] of S.rows[i]) A[i][j] = v;
+  }
+  return A;
+}
+
+function denseToSparse(A) {
+  const S = createSparseMatrix(A.length);
+  for (let i = 0; i < A.length; i++) {
+    const row = A[i];
+    for (let j = 0; j < row.length; j++) {
+      if (row[j] !== 0) S.rows[i].set(j, row[j]);
+    }
+  }
+  return S;
+}
+
+// Acumulación genérica K[i][j] += v para matrices densas o dispersas
+function matrixAdd(A, i, j, v) {
+  if (isSparseMatrix(A)) sparseAdd(A, i, j, v);
+  else A[i][j] += v;
+}
+
+function matrixVec(A, x) {
+  return isSparseMatrix(A) ? sparseMatVec(A, x) : matVec(A, x);
+}
+
+// Suma de |A_ij| por fila (cota de Gerschgorin usada por Dynamic Relaxation)
+function matrixRowAbsSum(A) {
+  const n = isSparseMatrix(A) ? A.n : A.length;
+  const out = zeros(n);
+  for (let i = 0; i < n; i++) {
+    let s = 0;
+    if (isSparseMatrix(A)) {
+      for (const v of A.rows[i].values()) if (Number.isFinite(v)) s += Math.abs(v);
+    } else {
+      for (const v of A[i]) if (Number.isFinite(v)) s += Math.abs(v);
+    }
+    out[i] = s;
+  }
+  return out;
+}
+
+/**
+ * Reverse Cuthill–McKee sobre el patrón simétrico (A + Aᵀ).
+ * Devuelve perm tal que la fila/columna nueva k corresponde a la original perm[k].
+ */
+function reverseCuthillMcKee(S) {
+  const n = S.n;
+  const adj = new Array(n);
+  for (let i = 0; i < n; i++) adj[i] = new Set();
+  for (let i = 0; i < n; i++) {
+    for (const j of S.rows[i].keys()) {
+      if (j === i) continue;
+      adj[i].add(j);
+      adj[j].add(i);
+    }
+  }
+  const degree = adj.map((s) => s.size);
+  const visited = new Uint8Array(n);
+  const order = [];
+
+  // Nodo de arranque: mínimo grado entre los no visitados (por componente)
+  const byDegree = Array.from({ length: n }, (_, i) => i).sort((a, b) => degree[a] - degree[b] || a - b);
+  for (const start of byDegree) {
+    if (visited[start]) continue;
+    visited[start] = 1;
+    const queue = [start];
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      order.push(v);
+      const next = [...adj[v]].filter((w) => !visited[w]).sort((a, b) => degree[a] - degree[b] || a - b);
+      for (const w of next) {
+        visited[w] = 1;
+        queue.push(w);
+      }
+    }
+  }
+
+  return order.reverse();
+}
+
+function permuteSparse(S, perm) {
+  const n = S.n;
+  const inv = new Int32Array(n);
+  for (let k = 0; k < n; k++) inv[perm[k]] = k;
+  const P = createSparseMatrix(n);
+  for (let i = 0; i < n; i++) {
+    const rowNew = P.rows[inv[i]];
+    for (const [j, v] of S.rows[i]) rowNew.set(inv[j], v);
+  }
+  return P;
+}
+
+function bandwidths(S) {
+  let kl = 0;
+  let ku = 0;
+  for (let i = 0; i < S.n; i++) {
+    for (const j of S.rows[i].keys()) {
+      if (j < i) kl = Math.max(kl, i - j);
+      else ku = Math.max(ku, j - i);
+    }
+  }
+  return { kl, ku };
+}
+
+/**
+ * Resuelve A x = b con A dispersa: reordenación RCM + LU en banda con pivoteo
+ * parcial (las permutaciones de fila solo alcanzan kl filas, por lo que la banda
+ * superior crece a kl + ku, como en LAPACK gbsv).
+ *
+ * No asume simetría: la rigidez de presión (follower load) de las membranas no lo es.
+ */
+function solveSparseSystem(S, bIn, { reorder = true } = {}) {
+  const n = S.n;
+  const perm = reorder ? reverseCuthillMcKee(S) : Array.from({ length: n }, (_, i) => i);
+  const A = reorder ? permuteSparse(S, perm) : S;
+  const { kl, ku } = bandwidths(A);
+  const kuFill = ku + kl;
+  const width = kl + kuFill + 1;
+
+  // Fila i guarda las columnas [i - kl, i + kuFill]
+  const band = new Array(n);
+  for (let i = 0; i < n; i++) {
+    const row = new Float64Array(width);
+    for (const [j, v] of A.rows[i]) row[j - i + kl] = v;
+    band[i] = row;
+  }
+  const b = new Float64Array(n);
+  for (let k = 0; k < n; k++) b[k] = bIn[perm[k]];
+
+  for (let k = 0; k < n; k++) {
+    const iMax = Math.min(n - 1, k + kl);
+    let maxRow = k;
+    let maxVal = Math.abs(band[k][kl]);
+    for (let i = k + 1; i <= iMax; i++) {
+      const v = Math.abs(band[i][k - i + kl]);
+      if (v > maxVal) {
+        maxVal = v;
+        maxRow = i;
+      }
+    }
+    if (maxVal < 1e-18) {
+      const err = new Error("Singular matrix in solveSparseSystem");
+      err.code = "SINGULAR";
+      throw err;
+    }
+
+    const jMax = Math.min(n - 1, k + kuFill);
+    if (maxRow !== k) {
+      const rk = band[k];
+      const rp = band[maxRow];
+      for (let j = k; j <= jMax; j++) {
+        const ik = j - k + kl;
+        const ip = j - maxRow + kl;
+        const tmp = rk[ik];
+        rk[ik] = rp[ip];
+        rp[ip] = tmp;
+      }
+      const tb = b[k];
+      b[k] = b[maxRow];
+      b[maxRow] = tb;
+    }
+
+    const rowK = band[k];
+    const Akk = rowK[kl];
+    for (let i = k + 1; i <= iMax; i++) {
+      const rowI = band[i];
+      const offI = kl - i;
+      const factor = rowI[k + offI] / Akk;
+      if (factor === 0) continue;
+      rowI[k + offI] = 0;
+      for (let j = k + 1; j <= jMax; j++) {
+        rowI[j + offI] -= factor * rowK[j - k + kl];
+      }
+      b[i] -= factor * b[k];
+    }
+  }
+
+  const y = new Float64Array(n);
+  for (let i = n - 1; i >= 0; i--) {
+    const row = band[i];
+    const jMax = Math.min(n - 1, i + kuFill);
+    let s = b[i];
+    for (let j = i + 1; j <= jMax; j++) s -= row[j - i + kl] * y[j];
+    y[i] = s / row[kl];
+  }
+
+  const x = zeros(n);
+  for (let k = 0; k < n; k++) x[perm[k]] = y[k];
+  return x;
+}
+
 module.exports = {
   zeros,
   identity,
@@ -105,5 +345,18 @@ module.exports = {
   dot,
   add,
   normInf,
-  solveLinearSystem
+  solveLinearSystem,
+  createSparseMatrix,
+  isSparseMatrix,
+  sparseAdd,
+  sparseClone,
+  sparseAddDiagonal,
+  sparseMatVec,
+  sparseToDense,
+  denseToSparse,
+  matrixAdd,
+  matrixVec,
+  matrixRowAbsSum,
+  reverseCuthillMcKee,
+  solveSparseSystem
 };
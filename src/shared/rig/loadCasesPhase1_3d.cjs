@@ -0,0 +1,116 @@
+// ═══════════════════════════════════════════════════════════════════
+// CASOS DE CARGA Y ENVOLVENTE
+// ═══════════════════════════════════════════════════════════════════
+// El mismo aparejo en poco, medio y mucho viento, de ceñida y de popa, en
+// una sola llamada. La pretensión (standing_pretension + jib_halyard) no
+// depende de la carga y se resuelve una vez; cada caso repite solo la fase
+// sailing_load desde ese estado.
+//
+// payload.loadCases: [{ name, load, sails, heelDeg }]
+// - load: se mezcla sobre payload.load (mode, qLateralNpm, gravity...)
+// - sails: solo lo que no cambia la malla (presión, signo del viento, VLM)
+// - heelDeg: atajo de load.heelDeg (escora también el viento del VLM)
+//
+// La envolvente recorre los casos convergidos: mín/máx de estay, obenques y
+// crucetas (axil, + = tracción) y curvatura máxima del palo.
+
+const LOAD_CASE_SAILS_KEYS = ["windPressurePa", "windSign", "aero"];
+
+/**
+ * Comprueba payload.loadCases (lanza Error con el campo inválido).
+ * @param {object[]} loadCases
+ * @param {object|null} sails payload.sails
+ */
+function validateLoadCases(loadCases, sails) {
+  if (!Array.isArray(loadCases) || loadCases.length === 0) throw new Error("Invalid loadCases: expected non-empty array");
+  const names = new Set();
+  loadCases.forEach((c, i) => {
+    if (c === null || typeof c !== "object") throw new Error(`Invalid loadCases[${i}]: expected object`);
+    if (typeof c.name !== "string" || !c.name.trim()) throw new Error(`Invalid loadCases[${i}].name: ${c.name}`);
+    if (names.has(c.name)) throw new Error(`Duplicate loadCases name: ${c.name}`);
+    names.add(c.name);
+    if (c.load !== undefined && (c.load === null || typeof c.load !== "object")) {
+      throw new Error(`Invalid loadCases[${i}].load: expected object`);
+    }
+    if (c.heelDeg !== undefined && !Number.isFinite(c.heelDeg)) throw new Error(`Invalid loadCases[${i}].heelDeg: ${c.heelDeg}`);
+    if (c.sails !== undefined) {
+      if (c.sails === null || typeof c.sails !== "object") throw new Error(`Invalid loadCases[${i}].sails: expected object`);
+      if (!sails) throw new Error(`Invalid loadCases[${i}].sails: payload has no sails`);
+      for (const k of Object.keys(c.sails)) {
+        if (!LOAD_CASE_SAILS_KEYS.includes(k)) throw new Error(`Invalid loadCases[${i}].sails.${k}: not a per-case field`);
+      }
+    }
+  });
+}
+
+/**
+ * load y sails de un caso sobre los del payload.
+ * @returns {{ load: object, sails: object|null }}
+ */
+function loadCaseInputs(c, { load, sails }) {
+  const caseLoad = { ...load, ...c.load };
+  if (c.heelDeg !== undefined) caseLoad.heelDeg = c.heelDeg;
+  return { load: caseLoad, sails: sails ? { ...sails, ...c.sails } : null };
+}
+
+/**
+ * Curvatura máxima (1/m) de la curva del palo: círculo por cada terna de
+ * nodos consecutivos, κ = 4·área / (|ab|·|bc|·|ac|).
+ * @param {{ x, y, z }[]} curve mastCurveFromModel
+ * @returns {{ maxPerM: number, zM: number|null }}
+ */
+function mastMaxCurvature(curve) {
+  let best = { maxPerM: 0, zM: null };
+  for (let i = 1; i < curve.length - 1; i++) {
+    const [a, b, c] = [curve[i - 1], curve[i], curve[i + 1]];
+    const u = [b.x - a.x, b.y - a.y, b.z - a.z];
+    const v = [c.x - b.x, c.y - b.y, c.z - b.z];
+    const w = [c.x - a.x, c.y - a.y, c.z - a.z];
+    const cross = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    const den = Math.hypot(...u) * Math.hypot(...v) * Math.hypot(...w);
+    if (!(den > 0)) continue;
+    const kappa = (2 * Math.hypot(...cross)) / den;
+    if (kappa > best.maxPerM) best = { maxPerM: kappa, zM: b.z };
+  }
+  return best;
+}
+
+/** Mínimo y máximo de un valor entre casos, con el caso que lo da. */
+function caseRange(cases, pick) {
+  let out = null;
+  for (const c of cases) {
+    const v = pick(c);
+    if (!Number.isFinite(v)) continue;
+    if (!out) out = { min: v, max: v, minCase: c.name, maxCase: c.name };
+    if (v < out.min) Object.assign(out, { min: v, minCase: c.name });
+    if (v > out.max) Object.assign(out, { max: v, maxCase: c.name });
+  }
+  return out;
+}
+
+/**
+ * Envolvente sobre los casos convergidos.
+ * @param {object[]} cases [{ name, converged, tensions, spreaders, mastCurvature }]
+ */
+function loadCaseEnvelope(cases) {
+  const ok = cases.filter((c) => c.converged);
+  const curvature = caseRange(ok, (c) => c.mastCurvature?.maxPerM);
+  const worst = curvature ? ok.find((c) => c.name === curvature.maxCase) : null;
+  return {
+    cases: ok.map((c) => c.name),
+    forestayN: caseRange(ok, (c) => c.tensions.forestayN),
+    shroudPortN: caseRange(ok, (c) => c.tensions.shroudPortN),
+    shroudStbdN: caseRange(ok, (c) => c.tensions.shroudStbdN),
+    spreaderPortN: caseRange(ok, (c) => c.spreaders.portAxialN),
+    spreaderStbdN: caseRange(ok, (c) => c.spreaders.stbdAxialN),
+    mastCurvature: worst ? { maxPerM: curvature.max, zM: worst.mastCurvature.zM, case: worst.name } : null
+  };
+}
+
+module.exports = {
+  LOAD_CASE_SAILS_KEYS,
+  validateLoadCases,
+  loadCaseInputs,
+  mastMaxCurvature,
+  loadCaseEnvelope
+};
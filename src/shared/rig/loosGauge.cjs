@@ -0,0 +1,126 @@
+// ═══════════════════════════════════════════════════════════════════
+// TENSIÓMETRO LOOS (PT-1 / PT-2): LECTURA DE ESCALA ↔ NEWTON
+// ═══════════════════════════════════════════════════════════════════
+// Los tripulantes leen la tensión como número de la escala del Loos, no
+// en Newton. Cada combinación modelo de tensiómetro + diámetro de cable
+// tiene su curva: puntos [lectura, kgf] de la tarjeta de calibración que
+// acompaña al tensiómetro, interpolados linealmente (y extrapolados con el
+// último tramo, marcando la lectura como fuera de escala).
+//
+// No hay tablas por defecto: una curva equivocada desajustaría la driza sin
+// avisar, así que payload.gauge lleva la tabla de la tarjeta de cada cable
+// (shroudTable, forestayTable). Sin tabla no hay lecturas para ese cable.
+// PENDIENTE: las curvas integradas PT-1/PT-2 para 1x19 de 2.5, 3 y 3.2 mm
+// (indexadas por { model, wireDiameterMm }) solo pueden entrar con los
+// valores de la tarjeta de Loos citada como fuente; hasta tenerlos, las
+// tablas de payload.gauge son la única curva.
+//
+// La única entrada de tensión del modelo es la driza (los obenques se fijan
+// por longitud), así que solo controls.jibHalyardLoos admite lectura.
+
+const G = 9.81;
+
+/**
+ * Tabla [lectura, kgf] validada.
+ * @param {object} gauge { table } (table: [[lectura, kgf], ...] de la tarjeta)
+ */
+function gaugeTable({ table } = {}) {
+  if (table === undefined || table === null) throw new Error("Missing gauge table: expected [reading, kgf] pairs from the gauge card");
+  const ok = Array.isArray(table) && table.length >= 2 && table.every((p, i) =>
+    Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]) &&
+    (i === 0 || (p[0] > table[i - 1][0] && p[1] > table[i - 1][1])));
+  if (!ok) throw new Error("Invalid gauge table: expected increasing [reading, kgf] pairs");
+  return table;
+}
+
+// Interpolación lineal por tramos en la columna "from" → "to" (extrapola con el tramo extremo)
+function interpTable(table, x, from, to) {
+  const n = table.length;
+  let k = 1;
+  while (k < n - 1 && x > table[k][from]) k++;
+  const a = table[k - 1];
+  const b = table[k];
+  const t = (x - a[from]) / (b[from] - a[from]);
+  return a[to] + t * (b[to] - a[to]);
+}
+
+/** Tensión (N) a partir de la lectura del tensiómetro. */
+function gaugeToN(reading, gauge) {
+  if (!Number.isFinite(reading)) throw new Error(`Invalid gauge reading: ${reading}`);
+  const table = gaugeTable(gauge);
+  return Math.max(0, interpTable(table, reading, 0, 1)) * G;
+}
+
+/**
+ * Lectura del tensiómetro para una tensión (N).
+ * @returns {{ reading: number, inRange: boolean }}
+ */
+function nToGauge(tensionN, gauge) {
+  if (!Number.isFinite(tensionN)) return { reading: null, inRange: false };
+  const table = gaugeTable(gauge);
+  const kgf = Math.max(0, tensionN) / G;
+  return {
+    reading: Math.max(0, interpTable(table, kgf, 1, 0)),
+    inRange: kgf <= table[table.length - 1][1]
+  };
+}
+
+/**
+ * Ajustes del tensiómetro validados.
+ * @param {object} input { model?, shroudTable?, forestayTable? } (model solo como etiqueta)
+ */
+function normalizeGauge(input = {}) {
+  if (input.shroudTable === undefined && input.forestayTable === undefined) {
+    throw new Error("Invalid gauge: expected shroudTable and/or forestayTable");
+  }
+  if (input.shroudTable !== undefined) gaugeTable({ table: input.shroudTable });
+  if (input.forestayTable !== undefined) gaugeTable({ table: input.forestayTable });
+  return { model: input.model ?? null, shroudTable: input.shroudTable, forestayTable: input.forestayTable };
+}
+
+/**
+ * Lecturas equivalentes de las tensiones de jarcia (obenques, estay, driza).
+ * Los cables sin tabla devuelven null.
+ * @param {object} tensions outputs.tensions de runPhase1
+ * @param {object} gauge ajustes del tensiómetro (normalizeGauge)
+ */
+function tensionsAsGauge(tensions, gauge) {
+  const g = normalizeGauge(gauge);
+  const read = (n, table) => (table === undefined ? null : nToGauge(n, { table }));
+  return {
+    model: g.model,
+    shroudPort: read(tensions?.shroudPortN, g.shroudTable),
+    shroudStbd: read(tensions?.shroudStbdN, g.shroudTable),
+    forestay: read(tensions?.forestayN, g.forestayTable),
+    halyard: read(tensions?.halyardN, g.forestayTable)
+  };
+}
+
+/**
+ * Entradas leídas con el tensiómetro (payload.gauge): controls.jibHalyardLoos
+ * es la driza como lectura del cable del estay. Se convierte a
+ * jibHalyardTensionN (la lectura manda) y se quita del payload, para que
+ * ajuste inverso, sensibilidad, calibración y barridos muevan la driza en N
+ * sin que la lectura vuelva a pisarla en cada solve.
+ * @param {object} payload payload de runPhase1Simulation
+ * @returns {object} payload sin jibHalyardLoos (el mismo objeto si no la trae)
+ */
+function applyGaugeInputs(payload) {
+  const loos = payload?.controls?.jibHalyardLoos;
+  if (loos === undefined) return payload;
+  if (!Number.isFinite(loos)) throw new Error(`Invalid controls.jibHalyardLoos: ${loos}`);
+  if (payload.gauge?.forestayTable === undefined) throw new Error("Invalid controls.jibHalyardLoos: needs gauge.forestayTable");
+  const g = normalizeGauge(payload.gauge);
+  const { jibHalyardLoos, ...controls } = payload.controls;
+  const jibHalyardTensionN = gaugeToN(jibHalyardLoos, { table: g.forestayTable });
+  return { ...payload, controls: { ...controls, jibHalyardTensionN } };
+}
+
+module.exports = {
+  gaugeTable,
+  gaugeToN,
+  nToGauge,
+  normalizeGauge,
+  tensionsAsGauge,
+  applyGaugeInputs
+};
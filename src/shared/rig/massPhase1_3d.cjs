@@ -0,0 +1,149 @@
+// ═══════════════════════════════════════════════════════════════════
+// MODELO DE MASAS CONCENTRADAS (Phase 1, 3D)
+// ═══════════════════════════════════════════════════════════════════
+// Complemento de modelPhase1_3d.cjs (que solo define rigidez): reparte la masa
+// de cada elemento axial a partes iguales entre sus nodos extremos.
+// - Palo: masa por metro (mast_seg_*) + herraje de tope en el último nodo
+// - Crucetas: masa total de cada cruceta (spreader_*)
+// - Jarcia: masa por metro del cable (shrouds, stay_jib y sus segmentos)
+// - Botavara libre (sails.main.boomMode = "free"): masa por metro de los
+//   tramos con algún nodo libre, que vibran con el rig
+// La tela y la botavara fija no se incluyen (congelada / Dirichlet en el
+// análisis modal); buildSelfWeightMass3d las suma para el peso propio.
+
+const { norm3, sub3, cross3 } = require("./math3.cjs");
+
+const MASS_DEFAULTS = {
+  mastMassPerMKg: 1.2,   // kg/m - perfil de aluminio (A≈450 mm², ρ=2700) + carril
+  mastheadMassKg: 0.3,   // kg - herrajes de tope (roldanas, cajera)
+  spreaderMassKg: 0.25,  // kg - cada cruceta con sus herrajes
+  rigMassPerMKg: 0.045,  // kg/m - cable inox 1x19 de 3 mm
+  boomMassPerMKg: 0.8,   // kg/m - botavara de aluminio con herrajes
+  sailClothKgPerM2: 0.2  // kg/m² - dacron de ~5 oz
+};
+
+const G = 9.81;
+
+// Tramo de botavara con algún extremo libre (botavara libre)
+function isFreeBoomSegment(model, e) {
+  return e.name.startsWith("boom_seg_") && !(model.nodes[e.i].fixed && model.nodes[e.j].fixed);
+}
+
+function elementMassPerM(name, mass) {
+  if (name.startsWith("mast_seg_")) return mass.mastMassPerMKg;
+  if (name.startsWith("shroud_") || name.startsWith("stay_")) return mass.rigMassPerMKg;
+  return 0;
+}
+
+/**
+ * Masas nodales (kg) indexadas por node.id.
+ * @param {object} model modelo 3D (nodes, axial, mastNodeIds)
+ * @param {object} massInput overrides de MASS_DEFAULTS
+ * @returns {{ nodeMassKg: number[], totalMassKg: number, mass: object }}
+ */
+function buildLumpedMass3d(model, massInput = {}) {
+  const mass = { ...MASS_DEFAULTS };
+  for (const [k, v] of Object.entries(massInput || {})) {
+    if (Number.isFinite(v)) mass[k] = v;
+  }
+
+  const nodeMassKg = new Array(model.nodes.length).fill(0);
+  const addHalf = (a, b, m) => {
+    nodeMassKg[a] += 0.5 * m;
+    nodeMassKg[b] += 0.5 * m;
+  };
+  const lengthP0 = (a, b) => norm3(sub3(model.nodes[b].p0, model.nodes[a].p0));
+
+  for (const e of model.axial || []) {
+    if (e.kind === "bar" && e.name.startsWith("spreader_")) {
+      addHalf(e.i, e.j, mass.spreaderMassKg);
+      continue;
+    }
+    const perM = isFreeBoomSegment(model, e) ? mass.boomMassPerMKg : elementMassPerM(e.name, mass);
+    if (!(perM > 0)) continue;
+
+    if (e.kind === "cable_path") {
+      // Reparto de L0 entre tramos según la geometría de referencia
+      const L1 = lengthP0(e.i, e.k);
+      const L2 = lengthP0(e.k, e.j);
+      const total = Number.isFinite(e.L0) ? e.L0 : L1 + L2;
+      const r1 = L1 + L2 > 0 ? L1 / (L1 + L2) : 0.5;
+      addHalf(e.i, e.k, perM * total * r1);
+      addHalf(e.k, e.j, perM * total * (1 - r1));
+      continue;
+    }
+
+    const L = Number.isFinite(e.L0) ? e.L0 : lengthP0(e.i, e.j);
+    addHalf(e.i, e.j, perM * L);
+  }
+
+  const mastNodeIds = model.mastNodeIds || [];
+  if (mastNodeIds.length) nodeMassKg[mastNodeIds[mastNodeIds.length - 1]] += mass.mastheadMassKg;
+
+  const totalMassKg = nodeMassKg.reduce((s, m) => s + m, 0);
+  return { nodeMassKg, totalMassKg, mass };
+}
+
+/**
+ * Masas nodales para el peso propio: las de buildLumpedMass3d más la
+ * botavara fija (boom_seg_* con ambos nodos fijos) y la tela de las velas
+ * (1/3 del área de cada triángulo de membrana a cada vértice).
+ */
+function buildSelfWeightMass3d(model, massInput = {}) {
+  const base = buildLumpedMass3d(model, massInput);
+  const { mass } = base;
+  const nodeMassKg = base.nodeMassKg.slice();
+  const p0 = (id) => model.nodes[id].p0;
+
+  for (const e of model.axial || []) {
+    if (!e.name.startsWith("boom_seg_") || isFreeBoomSegment(model, e)) continue;
+    const m = mass.boomMassPerMKg * norm3(sub3(p0(e.j), p0(e.i)));
+    nodeMassKg[e.i] += 0.5 * m;
+    nodeMassKg[e.j] += 0.5 * m;
+  }
+  for (const tri of model.membranes || []) {
+    const ids = tri?.nodeIds;
+    if (!ids || ids.length !== 3) continue;
+    const area = 0.5 * norm3(cross3(sub3(p0(ids[1]), p0(ids[0])), sub3(p0(ids[2]), p0(ids[0]))));
+    for (const id of ids) nodeMassKg[id] += (mass.sailClothKgPerM2 * area) / 3;
+  }
+
+  const totalMassKg = nodeMassKg.reduce((s, m) => s + m, 0);
+  return { nodeMassKg, totalMassKg, mass };
+}
+
+/**
+ * Gravedad (m/s²) en ejes del barco escorado y cabeceado.
+ * - heelDeg > 0: escora a sotavento (el tope cae hacia donde empuja el viento)
+ * - pitchDeg > 0: proa abajo
+ * @param {object} load { heelDeg, pitchDeg }
+ * @param {number} windSign signo del viento (sailsPhase1_3d.cjs): sotavento = −windSign·X
+ */
+function gravityInBoatFrame({ heelDeg = 0, pitchDeg = 0 } = {}, windSign = 1) {
+  const phi = (heelDeg * Math.PI) / 180;
+  const theta = (pitchDeg * Math.PI) / 180;
+  return [
+    -windSign * G * Math.cos(theta) * Math.sin(phi),
+    G * Math.sin(theta),
+    -G * Math.cos(theta) * Math.cos(phi)
+  ];
+}
+
+/**
+ * Suma a model.forces el peso propio (escalado por scale) con la gravedad
+ * girada a ejes del barco.
+ * @returns {{ totalMassKg: number, gravity: number[] }}
+ */
+function applySelfWeight3d(model, { load, windSign = 1, scale = 1, massInput } = {}) {
+  const { nodeMassKg, totalMassKg } = buildSelfWeightMass3d(model, massInput);
+  const g = gravityInBoatFrame(load, windSign);
+  for (const node of model.nodes) {
+    const m = nodeMassKg[node.id];
+    if (!(m > 0)) continue;
+    const f = model.forces[node.id] ?? [0, 0, 0];
+    model.forces[node.id] = [f[0] + scale * m * g[0], f[1] + scale * m * g[1], f[2] + scale * m * g[2]];
+  }
+  return { totalMassKg, gravity: g };
+}
+
+module.exports = { buildLumpedMass3d, buildSelfWeightMass3d, gravityInBoatFrame, applySelfWeight3d, MASS_DEFAULTS };
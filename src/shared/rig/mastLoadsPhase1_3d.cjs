@@ -0,0 +1,109 @@
+// ═══════════════════════════════════════════════════════════════════
+// CARGA SOBRE EL PALO: q(z) EQUIVALENTE
+// ═══════════════════════════════════════════════════════════════════
+// Con velas, el palo se carga solo a través de lo que calcula la membrana:
+//   - grátil de la mayor (nodos del palo): fuerza interna de membrana +
+//     presión que cae en esos nodos
+//   - estay (hounds): tensión del estay, que incluye la driza y el empuje
+//     del grátil del foque
+// Sin velas (o con load.mastLoadSource = "synthetic") se suma el perfil
+// sintético qLateralNpm de buildPhase1Model3d.
+//
+// El reporte reparte las fuerzas nodales del grátil/sintéticas en su
+// longitud tributaria (N/m) y deja el estay como carga concentrada.
+
+const { sub3, norm3 } = require("./math3.cjs");
+const { totalMembraneEnergyAndGrad } = require("./sailMembrane3d.cjs");
+
+const MAST_LOAD_SOURCES = ["auto", "synthetic"];
+
+/**
+ * ¿Se aplica el perfil sintético q(z) en este estado?
+ * "auto": solo sin velas; "synthetic": siempre (también sumado a las velas).
+ */
+function useSyntheticMastLoad(state) {
+  if (state?.load?.mastLoadSource === "synthetic") return true;
+  return !state?.sails?.enabled;
+}
+
+function membraneNodalForces(model, nodesPos) {
+  const n = model.nodes.length;
+  const forces = Array.from({ length: n }, () => [0, 0, 0]);
+  if (!model.membranes?.length) return forces;
+  const dofMap = { nDof: n * 3, map: new Map(model.nodes.map((node) => [node.id, node.id * 3])) };
+  const { grad } = totalMembraneEnergyAndGrad(model.membranes, model.nodes.map((node) => node.p0), nodesPos, dofMap);
+  for (let i = 0; i < n; i++) {
+    forces[i] = [-grad[i * 3], -grad[i * 3 + 1], -grad[i * 3 + 2]];
+  }
+  return forces;
+}
+
+/**
+ * @param {object} args
+ * @param {object} args.model modelo 3D resuelto
+ * @param {object} args.meta meta del solve (nodesPos, axialForces, membranePressureForces)
+ * @param {string} args.source "synthetic" | "sails" | "synthetic+sails" (origen de la carga)
+ * @returns {{ source, qz: {z, qxNpm, qyNpm, fxN, fyN, fzN}[], concentrated, resultant }}
+ *   resultant: { fxN, fyN, centerOfEffortZM } (distribuida + concentrada)
+ */
+function mastLoadReport({ model, meta, source }) {
+  const nodesPos = meta.nodesPos;
+  const mastIds = model.mastNodeIds || [];
+  const isMast = new Set(mastIds);
+
+  // Fuerzas nodales distribuidas: grátil de la mayor + perfil sintético
+  const memb = membraneNodalForces(model, nodesPos);
+  const press = meta.membranePressureForces || [];
+  const qz = mastIds.map((id, k) => {
+    const f = model.forces?.[id] || [0, 0, 0];
+    const m = memb[id];
+    const p = press[id] || [0, 0, 0];
+    const fxN = f[0] + m[0] + p[0];
+    const fyN = f[1] + m[1] + p[1];
+    const fzN = f[2] + m[2] + p[2];
+    const zPrev = k > 0 ? nodesPos[mastIds[k - 1]][2] : nodesPos[id][2];
+    const zNext = k < mastIds.length - 1 ? nodesPos[mastIds[k + 1]][2] : nodesPos[id][2];
+    const trib = Math.max(1e-9, (zNext - zPrev) / 2);
+    return { z: nodesPos[id][2], qxNpm: fxN / trib, qyNpm: fyN / trib, fxN, fyN, fzN };
+  });
+
+  // Estay sobre el palo (tensión hacia el otro extremo del tramo)
+  const concentrated = [];
+  for (const e of model.axial || []) {
+    if (!e.name.startsWith("stay_jib")) continue;
+    const mastEnd = isMast.has(e.i) ? e.i : isMast.has(e.j) ? e.j : null;
+    if (mastEnd === null) continue;
+    const other = mastEnd === e.i ? e.j : e.i;
+    const d = sub3(nodesPos[other], nodesPos[mastEnd]);
+    const L = norm3(d);
+    const N = Math.max(0, meta.axialForces?.[e.name] ?? 0);
+    if (!(L > 0)) continue;
+    concentrated.push({
+      name: "forestay",
+      z: nodesPos[mastEnd][2],
+      fxN: (N * d[0]) / L,
+      fyN: (N * d[1]) / L,
+      fzN: (N * d[2]) / L
+    });
+  }
+
+  let fx = 0;
+  let fy = 0;
+  let mz = 0;
+  let fAbs = 0;
+  for (const f of [...qz, ...concentrated]) {
+    fx += f.fxN;
+    fy += f.fyN;
+    mz += Math.abs(f.fxN) * f.z;
+    fAbs += Math.abs(f.fxN);
+  }
+
+  return {
+    source,
+    qz,
+    concentrated,
+    resultant: { fxN: fx, fyN: fy, centerOfEffortZM: fAbs > 0 ? mz / fAbs : null }
+  };
+}
+
+module.exports = { MAST_LOAD_SOURCES, useSyntheticMastLoad, mastLoadReport };
@@ -0,0 +1,199 @@
+// ═══════════════════════════════════════════════════════════════════
+// BIBLIOTECA DE SECCIONES DE MÁSTIL
+// ═══════════════════════════════════════════════════════════════════
+// Cada sección se describe por su contorno (polígono exterior + hueco, mm,
+// en el plano x lateral / y proa‑popa) o por valores directos de I y área
+// (`values`), junto con el material. A partir de ahí se calculan:
+//   - EIx = E·∫x² dA  (rigidez frente a la flexión lateral, x)
+//   - EIy = E·∫y² dA  (rigidez frente a la flexión de proa‑popa, y)
+//   - EA y masa por metro (ρ·A + carril/herrajes repartidos)
+// y la conicidad (altura de inicio y EI del tope relativo a la base por
+// eje), que se traduce al bloque stiffness de runPhase1 / presets.
+//
+// Los perfiles "tipo" de Proctor y Needlespar son aproximaciones
+// genéricas de esas familias (óvalos de pared constante); para un palo
+// concreto conviene sustituirlas por los valores del fabricante o por la
+// calibración en banco.
+
+const MATERIALS = {
+  "al-6061-t6": { name: "Aluminio 6061-T6", EPa: 70e9, densityKgM3: 2700 },
+  "al-6082-t6": { name: "Aluminio 6082-T6", EPa: 70e9, densityKgM3: 2700 },
+  "al-7075-t6": { name: "Aluminio 7075-T6", EPa: 71.7e9, densityKgM3: 2810 }
+};
+
+/**
+ * Óvalo de pared constante: elipse exterior (ancho lateral × fondo proa‑popa)
+ * y hueco elíptico desplazado el espesor de pared.
+ */
+function ovalOutline(widthMm, depthMm, wallMm, n = 72) {
+  const ring = (a, b) =>
+    Array.from({ length: n }, (_, k) => {
+      const t = (2 * Math.PI * k) / n;
+      return [a * Math.cos(t), b * Math.sin(t)];
+    });
+  return {
+    outer: ring(widthMm / 2, depthMm / 2),
+    inner: ring(widthMm / 2 - wallMm, depthMm / 2 - wallMm)
+  };
+}
+
+const MAST_SECTIONS = {
+  "snipe-reference": {
+    name: "Referencia Snipe (genérica)",
+    maker: null,
+    material: "al-6061-t6",
+    // Sección genérica, no un producto: Iy≈10.7 cm⁴ es la referencia de
+    // EI≈7500 N·m² que usa el repo; Ix (~80% de Iy) y el área son supuestos.
+    // Ningún preset la usa por defecto.
+    values: { IxCm4: 8.6, IyCm4: 10.7, areaMm2: 450 },
+    estimated: true,
+    extraMassKgPerM: 0,
+    taper: { startZM: 4.5, topRatioX: 0.47, topRatioY: 0.47 }
+  },
+  "proctor-snipe-oval": {
+    name: "Proctor tipo Snipe (óvalo 52×64)",
+    maker: "Proctor",
+    material: "al-6082-t6",
+    outline: ovalOutline(52, 64, 1.6),
+    extraMassKgPerM: 0.12,
+    taper: { startZM: 4.6, topRatioX: 0.5, topRatioY: 0.45 }
+  },
+  "needlespar-snipe-oval": {
+    name: "Needlespar tipo Snipe (óvalo 50×62)",
+    maker: "Needlespar",
+    material: "al-6082-t6",
+    outline: ovalOutline(50, 62, 1.8),
+    extraMassKgPerM: 0.12,
+    taper: { startZM: 4.5, topRatioX: 0.5, topRatioY: 0.47 }
+  }
+};
+
+// Área, centroide y segundos momentos (respecto al origen) de un polígono
+// cerrado, con signo según el sentido de recorrido (fórmulas de Green).
+function ringIntegrals(points) {
+  let A = 0, Sx = 0, Sy = 0, Ixx = 0, Iyy = 0;
+  for (let k = 0; k < points.length; k++) {
+    const [x0, y0] = points[k];
+    const [x1, y1] = points[(k + 1) % points.length];
+    const c = x0 * y1 - x1 * y0;
+    A += c / 2;
+    Sx += (x0 + x1) * c / 6;
+    Sy += (y0 + y1) * c / 6;
+    Ixx += (x0 * x0 + x0 * x1 + x1 * x1) * c / 12;
+    Iyy += (y0 * y0 + y0 * y1 + y1 * y1) * c / 12;
+  }
+  // Normalizar a recorrido antihorario (área positiva)
+  const s = A < 0 ? -1 : 1;
+  return { A: s * A, Sx: s * Sx, Sy: s * Sy, Ixx: s * Ixx, Iyy: s * Iyy };
+}
+
+/**
+ * Propiedades geométricas de un contorno { outer, inner? } en mm.
+ * @returns {{ areaMm2, IxMm4, IyMm4, centroidMm }} IxMm4 = ∫x² dA, IyMm4 = ∫y² dA (centroidales)
+ */
+function outlineProperties(outline) {
+  if (!Array.isArray(outline?.outer) || outline.outer.length < 3) throw new Error("Invalid section outline: outer polygon");
+  const o = ringIntegrals(outline.outer);
+  const h = Array.isArray(outline.inner) && outline.inner.length >= 3 ? ringIntegrals(outline.inner) : { A: 0, Sx: 0, Sy: 0, Ixx: 0, Iyy: 0 };
+  const A = o.A - h.A;
+  if (!(A > 0)) throw new Error("Invalid section outline: non-positive area");
+  const cx = (o.Sx - h.Sx) / A;
+  const cy = (o.Sy - h.Sy) / A;
+  return {
+    areaMm2: A,
+    IxMm4: o.Ixx - h.Ixx - A * cx * cx,
+    IyMm4: o.Iyy - h.Iyy - A * cy * cy,
+    centroidMm: [cx, cy]
+  };
+}
+
+/** Sección de la biblioteca por id (o null). */
+function getMastSection(id) {
+  return Object.prototype.hasOwnProperty.call(MAST_SECTIONS, id) ? MAST_SECTIONS[id] : null;
+}
+
+/** Lista resumida de secciones para la interfaz. */
+function listMastSections() {
+  return Object.entries(MAST_SECTIONS).map(([id, s]) => ({ id, name: s.name, maker: s.maker, estimated: Boolean(s.estimated) }));
+}
+
+/**
+ * Propiedades mecánicas de una sección (id de la biblioteca u objeto con la
+ * misma forma).
+ * @returns {{ id, name, material, estimated, areaMm2, IxCm4, IyCm4, EIxNm2, EIyNm2, EAN, massPerMKg, taper }}
+ *   (estimated: I y área supuestos, no de la ficha del fabricante)
+ */
+function mastSectionProperties(sectionOrId) {
+  const id = typeof sectionOrId === "string" ? sectionOrId : sectionOrId?.id ?? null;
+  const section = typeof sectionOrId === "string" ? getMastSection(sectionOrId) : sectionOrId;
+  if (!section) throw new Error(`Unknown mast section: ${sectionOrId}`);
+  const material = MATERIALS[section.material];
+  if (!material) throw new Error(`Unknown mast section material: ${section.material}`);
+
+  let areaMm2, IxMm4, IyMm4;
+  if (section.outline) {
+    ({ areaMm2, IxMm4, IyMm4 } = outlineProperties(section.outline));
+  } else if (section.values) {
+    areaMm2 = section.values.areaMm2;
+    IxMm4 = section.values.IxCm4 * 1e4;
+    IyMm4 = section.values.IyCm4 * 1e4;
+  } else {
+    throw new Error(`Mast section ${id} needs an outline or I/area values`);
+  }
+
+  const areaM2 = areaMm2 * 1e-6;
+  return {
+    id,
+    name: section.name,
+    material: section.material,
+    estimated: Boolean(section.estimated),
+    areaMm2,
+    IxCm4: IxMm4 * 1e-4,
+    IyCm4: IyMm4 * 1e-4,
+    EIxNm2: material.EPa * IxMm4 * 1e-12,
+    EIyNm2: material.EPa * IyMm4 * 1e-12,
+    EAN: material.EPa * areaM2,
+    massPerMKg: material.densityKgM3 * areaM2 + (section.extraMassKgPerM || 0),
+    taper: { ...section.taper }
+  };
+}
+
+/**
+ * Bloque stiffness (unidades del payload: N·m², m) equivalente a la sección.
+ */
+function mastSectionStiffness(sectionOrId) {
+  const p = mastSectionProperties(sectionOrId);
+  return {
+    mastEIxBase: p.EIxNm2,
+    mastEIxTop: p.EIxNm2 * p.taper.topRatioX,
+    taperStartXZM: p.taper.startZM,
+    mastEIyBase: p.EIyNm2,
+    mastEIyTop: p.EIyNm2 * p.taper.topRatioY,
+    taperStartYZM: p.taper.startZM
+  };
+}
+
+/**
+ * Completa un bloque stiffness que referencia stiffness.sectionId: los
+ * valores de la sección rellenan los campos ausentes y los explícitos mandan.
+ */
+function resolveMastStiffness(stiffness = {}) {
+  if (stiffness.sectionId === undefined || stiffness.sectionId === null) return { ...stiffness };
+  if (!getMastSection(stiffness.sectionId)) throw new Error(`Invalid stiffness.sectionId: ${stiffness.sectionId}`);
+  const out = { ...mastSectionStiffness(stiffness.sectionId) };
+  for (const [k, v] of Object.entries(stiffness)) {
+    if (v !== undefined) out[k] = v;
+  }
+  return out;
+}
+
+module.exports = {
+  MATERIALS,
+  MAST_SECTIONS,
+  outlineProperties,
+  getMastSection,
+  listMastSections,
+  mastSectionProperties,
+  mastSectionStiffness,
+  resolveMastStiffness
+};
@@ -0,0 +1,111 @@
+// ═══════════════════════════════════════════════════════════════════
+// ANÁLISIS MODAL DEL RIG (Phase 1, 3D)
+// ═══════════════════════════════════════════════════════════════════
+// Frecuencias naturales alrededor del estado convergido (prebend):
+//   K_T φ = ω² M φ
+// con K_T la rigidez tangente (incluye la rigidez geométrica de la jarcia
+// tensada) y M diagonal del modelo de masas concentradas (massPhase1_3d.cjs).
+// Como en pandeo, la tela de las velas se congela.
+//
+// Muchos modos bajos pueden ser locales (cruceta o tramo de cable vibrando con
+// el palo casi quieto). Para cada modo se reporta la participación del palo
+// (fracción de φ^T M φ en DOF laterales/proa-popa del palo) y se eligen las
+// primeras frecuencias lateral y proa-popa entre los modos dominados por el palo.
+
+const { assembleSystem, buildDofMap3d } = require("./solverPhase1_3d.cjs");
+const { generalizedSymmetricEigen } = require("./eigen.cjs");
+const { freezeModelAtState, mastModeShape } = require("./bucklingPhase1_3d.cjs");
+const { buildLumpedMass3d } = require("./massPhase1_3d.cjs");
+
+const MODAL_MODES_DEFAULT = 6;
+const MASS_FLOOR_KG = 1e-3;          // DOF libres sin masa propia (evita M singular)
+const MAST_PARTICIPATION_MIN = 0.5;  // modo "de palo" si ≥50% de la energía cinética
+
+/**
+ * @returns {{ stable, frequenciesHz, modes, firstLateralHz, firstForeAftHz, mastModes, totalMassKg, nDof }}
+ *   modes: primeros nModes con ω² > 0; mastModes: {lateral, foreAft} primer modo de palo en cada plano.
+ */
+function analyzeModes3d({ model, nodesPos, mass = {}, cableCompressionEps = 1e-6, nModes = MODAL_MODES_DEFAULT }) {
+  const frozen = freezeModelAtState(model, nodesPos);
+  const dofMap = buildDofMap3d(frozen.nodes);
+  const sys = assembleSystem({
+    model: frozen,
+    dofMap,
+    x: new Array(dofMap.nDof).fill(0),
+    cableCompressionEps
+  });
+
+  const { nodeMassKg, totalMassKg } = buildLumpedMass3d(model, mass);
+  const n = dofMap.nDof;
+  const diagM = new Array(n).fill(0);
+  for (const [id, base] of dofMap.map) {
+    const m = Math.max(MASS_FLOOR_KG, nodeMassKg[id] || 0);
+    diagM[base] = m;
+    diagM[base + 1] = m;
+    diagM[base + 2] = m;
+  }
+  const M = diagM.map((m, i) => {
+    const row = new Array(n).fill(0);
+    row[i] = m;
+    return row;
+  });
+
+  const eig = generalizedSymmetricEigen(sys.K, M);
+
+  const mastIds = new Set(model.mastNodeIds || []);
+  const participation = (phi) => {
+    let px = 0;
+    let py = 0;
+    let total = 0;
+    for (const [id, base] of dofMap.map) {
+      for (let d = 0; d < 3; d++) {
+        const e = diagM[base + d] * phi[base + d] * phi[base + d];
+        total += e;
+        if (!mastIds.has(id)) continue;
+        if (d === 0) px += e;
+        if (d === 1) py += e;
+      }
+    }
+    return total > 0 ? { px: px / total, py: py / total } : { px: 0, py: 0 };
+  };
+
+  let nonPositive = 0;
+  const modes = [];
+  const mastModes = { lateral: null, foreAft: null };
+  for (let k = 0; k < eig.values.length; k++) {
+    const omega2 = eig.values[k];
+    if (!(omega2 > 0)) {
+      nonPositive++;
+      continue;
+    }
+    const { px, py } = participation(eig.vectors[k]);
+    const direction = px >= py ? "lateral" : "foreAft";
+    const isMastMode = px + py >= MAST_PARTICIPATION_MIN && !mastModes[direction];
+    if (modes.length >= nModes && !isMastMode) continue;
+
+    const mode = {
+      index: k,
+      frequencyHz: Math.sqrt(omega2) / (2 * Math.PI),
+      direction,
+      mastParticipation: px + py,
+      shape: mastModeShape(frozen, dofMap, nodesPos, eig.vectors[k]).shape
+    };
+    if (modes.length < nModes) modes.push(mode);
+    if (isMastMode) mastModes[direction] = mode;
+    if (modes.length >= nModes && mastModes.lateral && mastModes.foreAft) break;
+  }
+
+  return {
+    stable: nonPositive === 0,
+    nonPositiveModes: nonPositive,
+    nDof: n,
+    totalMassKg,
+    frequenciesHz: modes.map((m) => m.frequencyHz),
+    firstLateralHz: mastModes.lateral?.frequencyHz ?? null,
+    firstForeAftHz: mastModes.foreAft?.frequencyHz ?? null,
+    mastModes,
+    modes
+  };
+}
+
+module.exports = { analyzeModes3d, MODAL_MODES_DEFAULT };
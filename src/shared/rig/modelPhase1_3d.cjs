@@ -1,10 +1,48 @@
 const { clamp, sub3, norm3, dot3, add3, scale3 } = require("./math3.cjs");
+const { useSyntheticMastLoad } = require("./mastLoadsPhase1_3d.cjs");
 
 // Interpolación lineal
 function lerp(a, b, t) {
   return a + (b - a) * t;
 }
 
+/**
+ * Perfiles EI(z) del mástil: constante hasta el inicio de la conicidad y
+ * lineal hasta el tope. EIx resiste la flexión lateral (x) y EIy la de
+ * proa‑popa (y); sin datos por eje se usa el perfil común. mastEIScale
+ * escala todos los perfiles (calibración).
+ */
+function mastEIProfiles(constants, mastLengthM) {
+  const mastEIBase = constants.mastEIBase || constants.mastEI || 7500;
+  const mastEITop = constants.mastEITop || mastEIBase * 0.4;
+  const taperStartZM = constants.taperStartZM || 4.5;
+  const scale = constants.mastEIScale ?? 1;
+
+  function eiProfile(base, top, zStart) {
+    return (z) => {
+      if (z <= zStart) {
+        return scale * base;
+      }
+      const t = (z - zStart) / (mastLengthM - zStart);
+      return scale * (base + t * (top - base));
+    };
+  }
+
+  return {
+    getEIAtZ: eiProfile(mastEIBase, mastEITop, taperStartZM),
+    getEIxAtZ: eiProfile(
+      constants.mastEIxBase || mastEIBase,
+      constants.mastEIxTop || mastEITop,
+      constants.taperStartXZM || taperStartZM
+    ),
+    getEIyAtZ: eiProfile(
+      constants.mastEIyBase || mastEIBase,
+      constants.mastEIyTop || mastEITop,
+      constants.taperStartYZM || taperStartZM
+    )
+  };
+}
+
 /**
  * MODELO 3D DEL MASTIL - Phase 1 con 3 DOF por nodo (x, y, z)
  *
@@ -28,6 +66,34 @@ function lerp(a, b, t) {
  *    - Efecto P-Delta correcto: mas carga = mas flexible
  */
 
+/**
+ * Calzos de la fogonadura y ram como contactos unilaterales en Y (proa/popa).
+ * Con el palo centrado (uy = 0) la holgura se reparte a partes iguales:
+ * la cara de proa queda en clearanceM/2 − chockFwdM y la de popa en
+ * −(clearanceM/2 − chockAftM); holgura negativa = calzos a presión.
+ * Ram: empuje constante (forceN, + = a proa) o tope detrás del palo en
+ * positionM (+ = empuja el palo a proa). Los dos entran con la pretensión:
+ * la fuerza crece desde 0 y el tope avanza desde la cara de popa, como
+ * cuando se aprieta el ram en el barco.
+ * @param {object} cfg { clearanceM, chockFwdM, chockAftM, kNpm, ram: { mode, forceN, positionM } }
+ */
+function partnersContacts(cfg, nodeId, state) {
+  const half = cfg.clearanceM / 2;
+  const contacts = [
+    { name: "partners_chock_fwd", nodeId, axis: 1, dir: 1, positionM: half - cfg.chockFwdM, k: cfg.kNpm },
+    { name: "partners_chock_aft", nodeId, axis: 1, dir: -1, positionM: -(half - cfg.chockAftM), k: cfg.kNpm }
+  ];
+  const ram = cfg.ram || { mode: "none" };
+  const scale = Number.isFinite(state?.standingScale) ? state.standingScale : 1;
+  if (ram.mode === "force") {
+    contacts.push({ name: "partners_ram", nodeId, axis: 1, forceN: scale * ram.forceN });
+  } else if (ram.mode === "position") {
+    const retracted = contacts[1].positionM;
+    contacts.push({ name: "partners_ram", nodeId, axis: 1, dir: -1, positionM: retracted + scale * (ram.positionM - retracted), k: cfg.kNpm });
+  }
+  return contacts;
+}
+
 function buildPhase1Model3d({ geometry, controls, solver, state, constants }) {
   const {
     mastLengthM,
@@ -45,18 +111,8 @@ function buildPhase1Model3d({ geometry, controls, solver, state, constants }) {
   const nSeg = solver.mastSegments;
   const ds = mastLengthM / nSeg;
 
-  // EI variable con altura (conicidad)
-  const mastEIBase = constants.mastEIBase || constants.mastEI || 7500;
-  const mastEITop = constants.mastEITop || mastEIBase * 0.4;
-  const taperStartZM = constants.taperStartZM || 4.5;
-
-  function getEIAtZ(z) {
-    if (z <= taperStartZM) {
-      return mastEIBase;
-    }
-    const t = (z - taperStartZM) / (mastLengthM - taperStartZM);
-    return mastEIBase + t * (mastEITop - mastEIBase);
-  }
+  // EI variable con altura (conicidad), común y por eje
+  const { getEIAtZ, getEIxAtZ, getEIyAtZ } = mastEIProfiles(constants, mastLengthM);
 
   // Rigidez axial del mastil - Reducida para mejor condicionamiento numerico
   // El valor real seria E*A ~ 28 MN, pero usamos un valor menor que captura
@@ -228,8 +284,14 @@ function buildPhase1Model3d({ geometry, controls, solver, state, constants }) {
   const pathPort = computeShroudL0Path("port");
   const pathStbd = computeShroudL0Path("stbd");
 
-  const totalL0Port = (pathPort.LUpper + pathPort.LLower) - (shroudBaseDelta + shroudDeltaPort);
-  const totalL0Stbd = (pathStbd.LUpper + pathStbd.LLower) - (shroudBaseDelta + shroudDeltaStbd);
+  // L0 absoluto (herrajes, rigHardware.cjs): sustituye a los ΔL0; la
+  // pretensión lleva el L0 desde la longitud geométrica hasta el absoluto
+  const shroudL0 = (path, absL0, delta) => {
+    const L = path.LUpper + path.LLower;
+    return Number.isFinite(absL0) ? L - standingScale * (L - absL0) : L - (shroudBaseDelta + delta);
+  };
+  const totalL0Port = shroudL0(pathPort, controls.shroudL0PortM, shroudDeltaPort);
+  const totalL0Stbd = shroudL0(pathStbd, controls.shroudL0StbdM, shroudDeltaStbd);
 
   // Proporción de L0 para cada tramo (asumiendo estiramiento uniforme o simplemente geométrica)
   const ratioUpperPort = pathPort.LUpper / (pathPort.LUpper + pathPort.LLower);
@@ -267,12 +329,16 @@ function buildPhase1Model3d({ geometry, controls, solver, state, constants }) {
   // FORESTAY
   const stayTensionTarget = Math.max(0, (state.halyardScale || 0) * (controls.jibHalyardTensionN || 0));
   const lockStay = controls.lockStayLength === true;
+  // Estay con L0 absoluto (herrajes): manda la longitud, no la driza
+  const stayHardwareL0 = Number.isFinite(controls.forestayL0M) ? controls.forestayL0M : null;
 
-  if ((lockStay || nCableSeg > 1) && stayTensionTarget > 0) {
+  if (stayHardwareL0 !== null || ((lockStay || nCableSeg > 1) && stayTensionTarget > 0)) {
     const p1 = nodes[houndsNodeId].p0;
     const p2 = nodes[bowId].p0;
     const L_current = norm3(sub3(p2, p1));
-    const L0_stay = (rigEA * L_current) / (rigEA + stayTensionTarget);
+    const L0_stay = stayHardwareL0 !== null
+      ? L_current - standingScale * (L_current - stayHardwareL0)
+      : (rigEA * L_current) / (rigEA + stayTensionTarget);
 
     if (nCableSeg <= 1) {
       addAxial({ name: "stay_jib", i: houndsNodeId, j: bowId, EA: rigEA, L0: L0_stay, kind: "cable", smoothDeltaM: rigSmoothDeltaM });
@@ -305,17 +371,22 @@ function buildPhase1Model3d({ geometry, controls, solver, state, constants }) {
   const scaledPartnersOffsetX = systemActive * (controls.partnersOffsetXM || 0);
   const scaledPartnersOffsetY = systemActive * (controls.partnersOffsetYM || 0);
 
+  // Con calzos (constants.partnersContact) la fogonadura no es un muelle en
+  // proa/popa: el palo se mueve libre en la holgura hasta tocar un calzo o el
+  // ram (contactos unilaterales); en lateral sigue el muelle partnersKx
+  const chocks = constants.partnersContact ?? null;
   const springs = [
     {
       name: "partners_spring",
       nodeId: partnersNodeId,
       kx: controls.partnersKx,
-      ky: controls.partnersKy,
+      ky: chocks ? 0 : controls.partnersKy,
       kz: partnersKz,
       targetX: scaledPartnersOffsetX,
-      targetY: scaledPartnersOffsetY
+      targetY: chocks ? 0 : scaledPartnersOffsetY
     }
   ];
+  const contacts = chocks ? partnersContacts(chocks, partnersNodeId, state) : [];
 
   // CRUCETAS: Conexión rígida (sin springs)
   // La unión cruceta-mástil transfiere los 6 DOF. El bar element ya mantiene
@@ -326,12 +397,15 @@ function buildPhase1Model3d({ geometry, controls, solver, state, constants }) {
   // NO hay springs adicionales - la física real posiciona el tip.
 
   // FUERZAS EXTERNAS
+  // Con velas el palo se carga por el grátil y el estay (membrana); el perfil
+  // sintético q(z) queda para corridas solo-aparejo o load.mastLoadSource = "synthetic"
   const forces = new Array(nodes.length).fill(null).map(() => [0, 0, 0]);
+  const syntheticLoad = useSyntheticMastLoad(state);
   for (let i = 1; i < mastNodeIds.length; i++) {
     const nodeId = mastNodeIds[i];
     const z = nodes[nodeId].p0[2];
     let q = 0;
-    if (state.loadScale > 0 && state.load.mode !== "none") {
+    if (syntheticLoad && state.loadScale > 0 && state.load.mode !== "none") {
       const base = state.load.mode === "downwind" ? 0.3 * state.load.qLateralNpm : state.load.qLateralNpm;
       const shape = state.load.qProfile === "triangular" ? z / mastLengthM : 1;
       q = base * shape;
@@ -355,9 +429,10 @@ function buildPhase1Model3d({ geometry, controls, solver, state, constants }) {
     bowId,
     axial,
     springs,
+    contacts,
     forces,
-    beam: { getEIAtZ, ds, mastLengthM }
+    beam: { getEIAtZ, getEIxAtZ, getEIyAtZ, ds, mastLengthM }
   };
 }
 
-module.exports = { buildPhase1Model3d };
+module.exports = { buildPhase1Model3d, mastEIProfiles };
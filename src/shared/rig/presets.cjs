@@ -12,12 +12,39 @@
  * - mastEITop: Rigidez en la punta cónica (reducción ~50%)
  * - taperStartZMm: Altura donde comienza la conicidad
  *   Según SCIRA: debe ser sobre la intersección de stays (~4500mm)
+ * - mastEIxBase / mastEIxTop / taperStartXZMm (lateral) y mastEIy* (proa-popa):
+ *   perfil por eje; solo con datos de sección o de ensayo de flexión medidos,
+ *   sin ellos cada eje usa el perfil común
+ * - sectionId: sección de la biblioteca (mastSections.cjs); sus EI por eje y
+ *   conicidad rellenan los campos que el preset no fije
  *
  * Los TIROS en el mástil:
  * - Driza/Forestay: Tira desde houndsZ hacia proa (energiza la jarcia)
  * - Obenques: Tiran desde shroudAttachZ hacia los chainplates (soporte lateral)
  */
 
+const { resolveMastStiffness } = require("./mastSections.cjs");
+
+// Presets que referencian una sección: números explícitos en las unidades
+// del preset (conicidad en mm) para la interfaz
+function withSectionStiffness(preset) {
+  const stiffness = preset.stiffness;
+  if (!stiffness?.sectionId) return preset;
+  const { taperStartXZM, taperStartYZM, ...resolved } = resolveMastStiffness(stiffness);
+  return {
+    ...preset,
+    stiffness: {
+      ...resolved,
+      mastEIxBase: Math.round(resolved.mastEIxBase),
+      mastEIxTop: Math.round(resolved.mastEIxTop),
+      mastEIyBase: Math.round(resolved.mastEIyBase),
+      mastEIyTop: Math.round(resolved.mastEIyTop),
+      taperStartXZMm: stiffness.taperStartXZMm ?? Math.round(taperStartXZM * 1000),
+      taperStartYZMm: stiffness.taperStartYZMm ?? Math.round(taperStartYZM * 1000)
+    }
+  };
+}
+
 function getPresets() {
   return [
     {
@@ -115,9 +142,12 @@ function getPresets() {
       },
       // Rigidez típica Snipe (Selden C060, aluminio 6061-T6)
       stiffness: {
-        mastEIBase: 7500,      // N·m² sección constante (E=70GPa, I≈10.7cm⁴)
-        mastEITop: 3500,       // N·m² punta cónica (~50% reducción)
-        taperStartZMm: 4500    // mm desde pie (sobre intersección stays SCIRA)
+        mastEIxBase: 6000,      // N·m² lateral (sección más estrecha de costado)
+        mastEIxTop: 2800,       // N·m² punta cónica lateral
+        taperStartXZMm: 4500,   // mm desde pie (sobre intersección stays SCIRA)
+        mastEIyBase: 7500,      // N·m² sección constante (E=70GPa, I≈10.7cm⁴)
+        mastEIyTop: 3500,       // N·m² punta cónica (~50% reducción)
+        taperStartYZMm: 4500    // mm desde pie (sobre intersección stays SCIRA)
       }
     },
     {
@@ -218,7 +248,7 @@ function getPresets() {
         taperStartZMm: 4500    // mm desde pie
       }
     }
-  ];
+  ].map(withSectionStiffness);
 }
 
-module.exports = { getPresets };
+module.exports = { getPresets, withSectionStiffness };
@@ -0,0 +1,268 @@
+// ═══════════════════════════════════════════════════════════════════
+// CALIBRACIÓN CON MEDIDAS EN EL AGUA (tensiones Loos, rake, prebend)
+// ═══════════════════════════════════════════════════════════════════
+// Ajusta parámetros inciertos del modelo (no controles de trimado) a un
+// conjunto de observaciones registradas. Cada observación lleva los
+// controles usados (y opcionalmente la carga) y lo medido:
+//   shroudPortN, shroudStbdN, forestayN (Loos), mastheadRakeM,
+//   prebendSpreaderM (mismas definiciones que inverseTuning.cjs)
+//
+// - Parámetros (por defecto): stiffness.rigEA, controls.partnersKx/Ky,
+//   geometry.chainplateYM y stiffness.mastEIScale (escala de todos los EI)
+// - Levenberg–Marquardt sobre runPhase1Simulation con residuos
+//   normalizados por la incertidumbre de cada medida (sigma) y Jacobiano
+//   por diferencias finitas en variables escaladas.
+// - Intervalos de confianza: covarianza (JᵀJ)⁻¹ en variables escaladas,
+//   multiplicada por χ²/(m−n) si hay grados de libertad (sigmas relativas);
+//   IC 95% = ±1.96·σ (aproximación lineal alrededor del óptimo).
+// - converged solo con reason "converged": "stationary" (sin descenso, p. ej.
+//   desde el punto de partida) y "max_iterations" no son un ajuste. Si JᵀJ es
+//   singular no hay covarianza: identifiable = false (las medidas no separan
+//   los parámetros pedidos).
+
+const { runPhase1Simulation, inactiveControls } = require("./runPhase1.cjs");
+const { solveLinearSystem } = require("./linsolve.cjs");
+const { mastTrimFigures, TUNING_TARGETS } = require("./inverseTuning.cjs");
+const { applySweepPoint } = require("./sweep.cjs");
+const { applyGaugeInputs } = require("./loosGauge.cjs");
+
+// Parámetros soportados: escala típica, paso de diferencias finitas, límites
+// físicos y valor que usa runPhase1 si el campo no viene en el payload
+const CALIBRATION_PARAMETERS = {
+  "stiffness.rigEA": { scale: 1e7, fdStep: 2e6, min: 1e6, max: 5e8, fallback: 1.2e8 },
+  "controls.partnersKx": { scale: 5000, fdStep: 1000, min: 100, max: 1e6 },
+  "controls.partnersKy": { scale: 5000, fdStep: 1000, min: 100, max: 1e6 },
+  "geometry.chainplateYM": { scale: 0.01, fdStep: 0.002, min: -0.3, max: 0.3 },
+  "stiffness.mastEIScale": { scale: 0.05, fdStep: 0.01, min: 0.3, max: 3, fallback: 1 }
+};
+
+const DEFAULT_CALIBRATION_PARAMETERS = Object.keys(CALIBRATION_PARAMETERS);
+
+// Medidas admitidas en cada observación; sigma por defecto = escala del ajuste inverso
+const OBSERVATION_KEYS = Object.keys(TUNING_TARGETS);
+
+const Z95 = 1.96;
+
+function clamp(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, v));
+}
+
+function readField(payload, field) {
+  return field.split(".").reduce((obj, k) => (obj == null ? undefined : obj[k]), payload);
+}
+
+function observedValues(result, geometry) {
+  const t = result?.outputs?.tensions || {};
+  return {
+    shroudPortN: t.shroudPortN,
+    shroudStbdN: t.shroudStbdN,
+    forestayN: t.forestayN,
+    ...mastTrimFigures(result?.outputs, geometry)
+  };
+}
+
+// Inversa de una matriz simétrica pequeña por columnas de la identidad
+function invert(A) {
+  const n = A.length;
+  const cols = [];
+  for (let j = 0; j < n; j++) {
+    const e = new Array(n).fill(0);
+    e[j] = 1;
+    cols.push(solveLinearSystem(A.map((row) => row.slice()), e));
+  }
+  return A.map((_, i) => cols.map((c) => c[i]));
+}
+
+/**
+ * @param {object} args
+ * @param {object} args.payload payload base (geometría, controles y rigideces de partida)
+ * @param {object[]} args.observations [{ name?, controls?, load?, shroudPortN?, shroudStbdN?,
+ *   forestayN?, mastheadRakeM?, prebendSpreaderM?, sigmas? }]
+ * @param {object} [args.options] { parameters, maxIterations, sigmas }
+ * @param {function} [args.onProgress] callback({ iter, residualNorm, parameters })
+ */
+function calibrateRig({ payload, observations, options = {}, onProgress } = {}) {
+  if (!payload || typeof payload !== "object") throw new Error("Missing payload");
+  if (!Array.isArray(observations) || !observations.length) throw new Error("Missing observations");
+  // Driza leída en Loos → N antes de perturbarla (jibHalyardLoos pisaría cada cambio)
+  payload = applyGaugeInputs(payload);
+
+  // Con calzos partnersKy no existe: fuera de los parámetros por defecto
+  const inactive = inactiveControls(payload);
+  const parameters = options.parameters ?? DEFAULT_CALIBRATION_PARAMETERS.filter((f) => !inactive.has(f));
+  for (const f of parameters) {
+    if (!CALIBRATION_PARAMETERS[f]) throw new Error(`Unknown calibration parameter: ${f}`);
+    if (inactive.has(f)) throw new Error(`Calibration parameter ${f} is ${inactive.get(f)}`);
+  }
+
+  // Lista plana de medidas (observación, clave, valor, sigma)
+  const sigmaOf = (obs, k) => obs.sigmas?.[k] ?? options.sigmas?.[k] ?? TUNING_TARGETS[k].scale;
+  const measurements = [];
+  observations.forEach((obs, oi) => {
+    if (!obs || typeof obs !== "object") throw new Error(`Invalid observation ${oi}`);
+    for (const k of Object.keys(obs)) {
+      if (["name", "controls", "load", "sigmas"].includes(k)) continue;
+      if (!OBSERVATION_KEYS.includes(k)) throw new Error(`Unknown observation field: ${k}`);
+      if (!Number.isFinite(obs[k])) throw new Error(`Invalid observation ${oi}.${k}: ${obs[k]}`);
+      const sigma = sigmaOf(obs, k);
+      if (!(sigma > 0)) throw new Error(`Invalid sigma for ${k}: ${sigma}`);
+      measurements.push({ obs: oi, key: k, value: obs[k], sigma });
+    }
+  });
+  if (measurements.length < parameters.length) {
+    throw new Error(`Underdetermined calibration: ${measurements.length} measurements for ${parameters.length} parameters`);
+  }
+
+  const maxIterations = Number.isInteger(options.maxIterations) ? options.maxIterations : 20;
+  const specs = parameters.map((f) => CALIBRATION_PARAMETERS[f]);
+  const scales = specs.map((s) => s.scale);
+  // Pandeo/modal no hacen falta en cada evaluación
+  const basePayload = { ...payload, analysis: {} };
+
+  const payloadFor = (p, obs) => {
+    const values = {};
+    parameters.forEach((f, j) => {
+      values[f] = p[j];
+    });
+    const withParams = applySweepPoint(basePayload, { values });
+    return {
+      ...withParams,
+      controls: { ...withParams.controls, ...obs.controls },
+      load: obs.load ? { ...withParams.load, ...obs.load } : withParams.load
+    };
+  };
+
+  let evaluations = 0;
+  const evaluate = (p) => {
+    const values = observations.map((obs) => {
+      const run = payloadFor(p, obs);
+      evaluations++;
+      const result = runPhase1Simulation(run);
+      return result?.outputs ? observedValues(result, run.geometry) : null;
+    });
+    const model = measurements.map((m) => values[m.obs]?.[m.key]);
+    const r = measurements.map((m, i) => (model[i] - m.value) / m.sigma);
+    const ok = r.every(Number.isFinite);
+    return { p, model, r, ok, cost: ok ? r.reduce((s, x) => s + x * x, 0) : Infinity };
+  };
+
+  const project = (p) => p.map((v, j) => clamp(v, specs[j].min, specs[j].max));
+
+  // Jacobiano en variables escaladas (dv = dp / scale)
+  const fdJacobian = (ev) => {
+    const J = measurements.map(() => new Array(parameters.length).fill(0));
+    parameters.forEach((_, j) => {
+      const spec = specs[j];
+      const h = ev.p[j] + spec.fdStep > spec.max ? -spec.fdStep : spec.fdStep;
+      const p = ev.p.slice();
+      p[j] += h;
+      const evH = evaluate(p);
+      if (!evH.ok) return;
+      for (let i = 0; i < measurements.length; i++) J[i][j] = ((evH.r[i] - ev.r[i]) / h) * scales[j];
+    });
+    return J;
+  };
+
+  const normalMatrix = (J) =>
+    parameters.map((_, a) => parameters.map((__, b) => J.reduce((s, row) => s + row[a] * row[b], 0)));
+
+  const start = parameters.map((f, j) => {
+    const v = readField(basePayload, f);
+    return Number.isFinite(v) ? v : specs[j].fallback;
+  });
+  if (!start.every(Number.isFinite)) throw new Error("Missing starting value for a calibration parameter");
+
+  let current = evaluate(project(start));
+  if (!current.ok) throw new Error("Initial simulation did not produce outputs");
+  const history = [{ iter: 0, residualNorm: Math.sqrt(current.cost), parameters: current.p.slice() }];
+  if (onProgress) onProgress({ iter: 0, residualNorm: Math.sqrt(current.cost), parameters: current.p.slice() });
+
+  let mu = 1e-3;
+  let J = null;
+  let iter = 0;
+  let reason = current.cost <= 1e-12 * measurements.length ? "converged" : "max_iterations";
+  while (reason === "max_iterations" && iter < maxIterations) {
+    J = fdJacobian(current);
+    const A = normalMatrix(J);
+    const g = parameters.map((_, a) => J.reduce((s, row, i) => s + row[a] * current.r[i], 0));
+
+    let accepted = null;
+    for (; mu <= 1e6; mu *= 10) {
+      const dv = solveLinearSystem(A.map((row, a) => row.map((x, b) => x + (a === b ? mu * (1 + A[a][a]) : 0))), g.map((x) => -x));
+      const trial = evaluate(project(current.p.map((v, j) => v + dv[j] * scales[j])));
+      if (trial.ok && trial.cost < current.cost) {
+        accepted = trial;
+        break;
+      }
+    }
+    if (!accepted) {
+      // Sin descenso con Jacobiano fresco: mínimo por mínimos cuadrados
+      reason = "stationary";
+      break;
+    }
+
+    iter++;
+    const gain = current.cost - accepted.cost;
+    current = accepted;
+    mu = Math.max(1e-9, mu / 10);
+    history.push({ iter, residualNorm: Math.sqrt(current.cost), parameters: current.p.slice() });
+    if (onProgress) onProgress({ iter, residualNorm: Math.sqrt(current.cost), parameters: current.p.slice() });
+    if (current.cost <= 1e-12 * measurements.length || gain <= 1e-6 * (current.cost + gain)) {
+      reason = "converged";
+      break;
+    }
+  }
+
+  // Covarianza en el óptimo (Jacobiano fresco)
+  const Jf = fdJacobian(current);
+  const dof = measurements.length - parameters.length;
+  const s2 = dof > 0 ? current.cost / dof : 1;
+  let cov = null;
+  try {
+    cov = invert(normalMatrix(Jf)).map((row, a) => row.map((x, b) => x * s2 * scales[a] * scales[b]));
+  } catch {
+    cov = null;
+  }
+  // Sin covarianza finita los parámetros no son identificables con estas medidas
+  if (cov && !cov.every((row) => row.every(Number.isFinite))) cov = null;
+
+  const fitted = {};
+  const confidence = {};
+  parameters.forEach((f, j) => {
+    fitted[f] = current.p[j];
+    const se = cov && cov[j][j] >= 0 ? Math.sqrt(cov[j][j]) : null;
+    confidence[f] = {
+      value: current.p[j],
+      stdError: se,
+      ci95: se === null ? null : [current.p[j] - Z95 * se, current.p[j] + Z95 * se],
+      atBound: current.p[j] <= specs[j].min || current.p[j] >= specs[j].max
+    };
+  });
+
+  const residuals = measurements.map((m, i) => ({
+    observation: m.obs,
+    name: observations[m.obs].name ?? null,
+    key: m.key,
+    measured: m.value,
+    model: current.model[i],
+    error: current.model[i] - m.value,
+    normalized: current.r[i]
+  }));
+
+  return {
+    converged: reason === "converged",
+    reason,
+    identifiable: cov !== null,
+    iterations: iter,
+    evaluations,
+    parameters: fitted,
+    confidence,
+    covariance: cov,
+    residuals,
+    residualNorm: Math.sqrt(current.cost),
+    reducedChiSquare: dof > 0 ? s2 : null,
+    history
+  };
+}
+
+module.exports = { calibrateRig, CALIBRATION_PARAMETERS, DEFAULT_CALIBRATION_PARAMETERS };
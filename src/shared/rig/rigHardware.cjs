@@ -0,0 +1,168 @@
+// ═══════════════════════════════════════════════════════════════════
+// HERRAJES DE AJUSTE: AGUJEROS DEL ADJUSTER Y VUELTAS DEL TENSOR
+// ═══════════════════════════════════════════════════════════════════
+// En el barco los obenques (y el estay) no se ajustan con un ΔL0 continuo
+// sino con el agujero del adjuster de la cadena y las vueltas del tensor.
+// Longitud pasador a pasador de cada pieza:
+//
+//   L = wireLengthMm + turnbuckleClosedMm + turns·mmPerTurn + (hole − 1)·holeSpacingMm
+//
+// - hole: 1 = el agujero que deja la jarcia más corta; cada agujero más
+//   alarga holeSpacingMm
+// - turns: vueltas abiertas desde el tensor cerrado (mmPerTurn = paso de
+//   rosca, ×2 en tensores de doble rosca)
+// - wireLengthMm: cable con terminales, pasador de hounds (o de proa) al
+//   ojo del tensor; se mide en el barco y no tiene valor por defecto
+//
+// Esa longitud es el L0 absoluto de la pieza en modelPhase1_3d.cjs (mismos
+// puntos de anclaje que el modelo: hounds, cruceta, cadena / proa).
+//
+// payload.hardware = { shroud: { wireLengthMm, ...ajustes }, forestay: { ... } }
+// controls: shroudPortHole/Turns, shroudStbdHole/Turns, forestayHole/Turns
+//
+// Qué entrada manda: el herraje. Un obenque con agujero no admite además su
+// ΔL0 (shroudDeltaL0PortM/StbdM), ni shroudBaseDeltaM si van los dos por
+// agujero: runPhase1 rechaza el payload en lugar de ignorarlos. El estay por
+// agujero fija su longitud y deja sin efecto jibHalyardTensionN. Ajuste
+// inverso y sensibilidad no mueven esos controles (hardwareDrivenControls).
+
+// Adjuster de 1/2" y tensor de doble rosca M8 (paso 1.25 mm)
+const HARDWARE_DEFAULTS = {
+  holeSpacingMm: 12.7,
+  holeCount: 10,
+  turnbuckleClosedMm: 110,
+  mmPerTurn: 2.5,
+  maxTurns: 16
+};
+
+const HARDWARE_PARTS = ["shroud", "forestay"];
+
+// Controles de herraje → L0 absoluto que entiende el modelo, y control
+// continuo al que sustituyen
+const HARDWARE_CONTROLS = [
+  { part: "shroud", hole: "shroudPortHole", turns: "shroudPortTurns", l0: "shroudL0PortM", replaces: "shroudDeltaL0PortM" },
+  { part: "shroud", hole: "shroudStbdHole", turns: "shroudStbdTurns", l0: "shroudL0StbdM", replaces: "shroudDeltaL0StbdM" },
+  { part: "forestay", hole: "forestayHole", turns: "forestayTurns", l0: "forestayL0M", replaces: "jibHalyardTensionN" }
+];
+
+/**
+ * Ajustes de una pieza con valores por defecto.
+ * @param {object} hardware payload.hardware
+ * @param {string} part "shroud" | "forestay"
+ */
+function hardwareSpec(hardware, part) {
+  if (!HARDWARE_PARTS.includes(part)) throw new Error(`Invalid hardware part: ${part}`);
+  const spec = { ...HARDWARE_DEFAULTS, ...(hardware?.[part] || {}) };
+  if (!(spec.wireLengthMm > 0)) throw new Error(`Missing hardware.${part}.wireLengthMm`);
+  for (const k of ["holeSpacingMm", "turnbuckleClosedMm", "mmPerTurn", "maxTurns"]) {
+    if (!(Number.isFinite(spec[k]) && spec[k] >= 0)) throw new Error(`Invalid hardware.${part}.${k}: ${spec[k]}`);
+  }
+  if (!(Number.isInteger(spec.holeCount) && spec.holeCount >= 1)) {
+    throw new Error(`Invalid hardware.${part}.holeCount: ${spec.holeCount}`);
+  }
+  return spec;
+}
+
+/**
+ * Longitud pasador a pasador (m) para un agujero y unas vueltas.
+ * @param {object} spec hardwareSpec(...)
+ * @param {object} setting { hole, turns }
+ */
+function hardwareLengthM(spec, { hole, turns = 0 }) {
+  if (!(Number.isInteger(hole) && hole >= 1 && hole <= spec.holeCount)) {
+    throw new Error(`Invalid hole: ${hole} (1..${spec.holeCount})`);
+  }
+  if (!(Number.isFinite(turns) && turns >= 0 && turns <= spec.maxTurns)) {
+    throw new Error(`Invalid turns: ${turns} (0..${spec.maxTurns})`);
+  }
+  const mm = spec.wireLengthMm + spec.turnbuckleClosedMm + turns * spec.mmPerTurn + (hole - 1) * spec.holeSpacingMm;
+  return mm / 1000;
+}
+
+/**
+ * Agujero y vueltas que mejor reproducen una longitud (m). Las vueltas se
+ * redondean a turnsStep; a igualdad de error se prefiere el tensor a media
+ * carrera (deja margen en los dos sentidos).
+ * @returns {{ hole, turns, lengthM, errorMm, inRange }}
+ */
+function hardwareSettingForLength(spec, lengthM, { turnsStep = 0.5 } = {}) {
+  if (!Number.isFinite(lengthM)) throw new Error(`Invalid length: ${lengthM}`);
+  if (!(turnsStep > 0)) throw new Error(`Invalid turnsStep: ${turnsStep}`);
+  let best = null;
+  for (let hole = 1; hole <= spec.holeCount; hole++) {
+    const base = hardwareLengthM(spec, { hole, turns: 0 });
+    const raw = spec.mmPerTurn > 0 ? ((lengthM - base) * 1000) / spec.mmPerTurn : 0;
+    const maxSteps = Math.floor(spec.maxTurns / turnsStep + 1e-9);
+    const turns = Math.min(maxSteps, Math.max(0, Math.round(raw / turnsStep))) * turnsStep;
+    const len = hardwareLengthM(spec, { hole, turns });
+    const errorMm = (len - lengthM) * 1000;
+    const candidate = { hole, turns, lengthM: len, errorMm };
+    const better = !best
+      || Math.abs(errorMm) < Math.abs(best.errorMm) - 1e-9
+      || (Math.abs(Math.abs(errorMm) - Math.abs(best.errorMm)) <= 1e-9
+        && Math.abs(turns - spec.maxTurns / 2) < Math.abs(best.turns - spec.maxTurns / 2));
+    if (better) best = candidate;
+  }
+  // Fuera de rango si ni el mejor ajuste llega a medio paso de vuelta
+  best.inRange = Math.abs(best.errorMm) <= (turnsStep * spec.mmPerTurn) / 2 + 1e-9;
+  return best;
+}
+
+/**
+ * Traduce los controles de herraje (agujero + vueltas) a L0 absolutos
+ * (controls.shroudL0PortM/StbdM, forestayL0M). Sin controles de herraje
+ * devuelve el payload tal cual.
+ */
+function applyHardwareInputs(payload) {
+  const controls = payload?.controls;
+  if (!controls) return payload;
+  let out = null;
+  for (const c of HARDWARE_CONTROLS) {
+    if (controls[c.hole] === undefined) {
+      if (controls[c.turns] !== undefined) throw new Error(`controls.${c.turns} needs controls.${c.hole}`);
+      continue;
+    }
+    const spec = hardwareSpec(payload.hardware, c.part);
+    out = out || { ...controls };
+    out[c.l0] = hardwareLengthM(spec, { hole: controls[c.hole], turns: controls[c.turns] ?? 0 });
+  }
+  return out ? { ...payload, controls: out } : payload;
+}
+
+/**
+ * Controles continuos que fija un herraje (agujero o L0 absoluto).
+ * @param {object} controls payload.controls
+ * @returns {string[]} p. ej. ["shroudDeltaL0PortM"]
+ */
+function hardwareDrivenControls(controls) {
+  return HARDWARE_CONTROLS.filter((c) => controls?.[c.hole] !== undefined || Number.isFinite(controls?.[c.l0])).map((c) => c.replaces);
+}
+
+/**
+ * Ajuste de herrajes equivalente a las longitudes simuladas.
+ * @param {object} lengths { shroudPortL0M, shroudStbdL0M, forestayL0M } (null si no aplica)
+ * @param {object} hardware payload.hardware
+ */
+function hardwareReport(lengths, hardware, options) {
+  const setting = (part, L) => {
+    if (!Number.isFinite(L) || !hardware?.[part]) return null;
+    return hardwareSettingForLength(hardwareSpec(hardware, part), L, options);
+  };
+  return {
+    shroudPort: setting("shroud", lengths.shroudPortL0M),
+    shroudStbd: setting("shroud", lengths.shroudStbdL0M),
+    forestay: setting("forestay", lengths.forestayL0M)
+  };
+}
+
+module.exports = {
+  HARDWARE_DEFAULTS,
+  HARDWARE_PARTS,
+  HARDWARE_CONTROLS,
+  hardwareSpec,
+  hardwareLengthM,
+  hardwareSettingForLength,
+  applyHardwareInputs,
+  hardwareDrivenControls,
+  hardwareReport
+};
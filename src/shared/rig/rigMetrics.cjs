@@ -0,0 +1,151 @@
+// ═══════════════════════════════════════════════════════════════════
+// CIFRAS DE TRIMADO (rake, prebend, crucetas, caída del estay)
+// ═══════════════════════════════════════════════════════════════════
+// Los números con los que se trima un Snipe, calculados a partir de las
+// curvas que devuelve runPhase1 (mastCurvePrebend = pantalán,
+// mastCurveLoaded = navegando, cableCurves.stay_jib, headstay) y de la referencia
+// del casco:
+//   - rakeTapeM: cinta desde el tope (driza) hasta el espejo de popa en
+//     crujía, punto (0, transomYM, transomZM)
+//   - mastheadRakeM: desplazamiento a popa del tope respecto al pie (+ = a popa)
+//   - prebendSpreaderM: flecha proa/popa a la altura de crucetas respecto a
+//     la recta pie–hounds (+ = a proa); maxPrebendM/ZM: máximo en el tramo
+//   - crucetas: desplazamiento de cada punta respecto a la posición nominal
+//     (spreaderLengthM, spreaderSweepAftM) medido desde el encastre
+//   - headstaySagM: flecha máxima del estay respecto a la recta hounds–proa
+//
+// Referencia del casco (opcional en geometry): transomYM (por defecto
+// −3.21 m: eslora 4.72 m menos bowYM ≈ 1.51 m) y transomZM (por defecto la
+// cubierta, partnersZM).
+
+const { norm3, sub3, cross3 } = require("./math3.cjs");
+
+const HULL_REFERENCE_DEFAULTS = { transomYM: -3.21 };
+
+function interpAtZ(curve, key, z) {
+  if (!curve?.length) return 0;
+  if (z <= curve[0].z) return curve[0][key];
+  for (let i = 1; i < curve.length; i++) {
+    const a = curve[i - 1];
+    const b = curve[i];
+    if (z <= b.z) {
+      const t = b.z > a.z ? (z - a.z) / (b.z - a.z) : 0;
+      return a[key] + t * (b[key] - a[key]);
+    }
+  }
+  return curve[curve.length - 1][key];
+}
+
+/** Punto de referencia del espejo de popa (crujía). */
+function hullReference(geometry = {}) {
+  return {
+    transomYM: Number.isFinite(geometry.transomYM) ? geometry.transomYM : HULL_REFERENCE_DEFAULTS.transomYM,
+    transomZM: Number.isFinite(geometry.transomZM) ? geometry.transomZM : geometry.partnersZM ?? 0
+  };
+}
+
+/**
+ * Rake y prebend de una curva del palo.
+ * @param {object[]} curve [{ x, y, z }] del pie al tope
+ * @param {object} geometry { spreaderZM, houndsZM, partnersZM, transomYM?, transomZM? }
+ */
+function mastCurveMetrics(curve, geometry) {
+  if (!Array.isArray(curve) || curve.length < 2) return null;
+  const step = curve[0];
+  const top = curve[curve.length - 1];
+  const hull = hullReference(geometry);
+
+  // Recta pie–hounds en el plano proa/popa
+  const yHounds = interpAtZ(curve, "y", geometry.houndsZM);
+  const lineY = (z) => {
+    const t = geometry.houndsZM > step.z ? (z - step.z) / (geometry.houndsZM - step.z) : 0;
+    return step.y + t * (yHounds - step.y);
+  };
+  let maxPrebendM = 0;
+  let maxPrebendZM = step.z;
+  for (const p of curve) {
+    if (p.z > geometry.houndsZM) break;
+    const d = p.y - lineY(p.z);
+    if (Math.abs(d) > Math.abs(maxPrebendM)) {
+      maxPrebendM = d;
+      maxPrebendZM = p.z;
+    }
+  }
+
+  const rise = top.z - step.z;
+  return {
+    mastheadRakeM: -(top.y - step.y),
+    rakeAngleDeg: rise > 0 ? (Math.atan2(-(top.y - step.y), rise) * 180) / Math.PI : 0,
+    rakeTapeM: norm3(sub3([top.x, top.y, top.z], [0, hull.transomYM, hull.transomZM])),
+    mastheadSideM: top.x - step.x,
+    prebendSpreaderM: interpAtZ(curve, "y", geometry.spreaderZM) - lineY(geometry.spreaderZM),
+    maxPrebendM,
+    maxPrebendZM
+  };
+}
+
+/**
+ * Flecha máxima del estay respecto a la recta hounds–proa (m), con los nodos
+ * intermedios del estay discretizado. Los extremos salen de outputs.headstay
+ * (nodos hounds y proa del modelo).
+ * @returns {number|null} null si el estay es un único elemento (sin nodos
+ *   intermedios no hay flecha que medir)
+ */
+function headstaySagM(outputs) {
+  const ends = outputs?.headstay;
+  const stay = outputs?.cableCurves?.stay_jib || [];
+  if (!ends?.hounds || !ends?.bow || !stay.length) return null;
+  const hounds = [ends.hounds.x, ends.hounds.y, ends.hounds.z];
+  const bow = [ends.bow.x, ends.bow.y, ends.bow.z];
+  const chord = sub3(bow, hounds);
+  const L = norm3(chord);
+  if (!(L > 0)) return null;
+  let sag = 0;
+  for (const p of stay) {
+    sag = Math.max(sag, norm3(cross3(chord, sub3([p.x, p.y, p.z], hounds))) / L);
+  }
+  return sag;
+}
+
+/**
+ * Desplazamiento de las puntas de cruceta respecto a su posición nominal,
+ * medido desde el encastre (x hacia fuera, y + = a proa, z + = arriba).
+ */
+function spreaderTipMetrics(spreaders, controls) {
+  const root = spreaders?.root;
+  if (!root || !controls) return null;
+  const sweep = controls.spreaderSweepAftM;
+  const xOut = Math.sqrt(Math.max(0, controls.spreaderLengthM ** 2 - sweep ** 2));
+  const tip = (p, side) => {
+    if (!p) return null;
+    const d = [side * (p.x - root.x) - xOut, p.y - root.y + sweep, p.z - root.z];
+    return { outM: d[0], forwardM: d[1], upM: d[2], totalM: norm3(d) };
+  };
+  return { port: tip(spreaders.tipPort, -1), stbd: tip(spreaders.tipStbd, 1) };
+}
+
+/**
+ * Bloque outputs.metrics de runPhase1.
+ * @param {object} outputs outputs de runPhase1 (curvas, cables, crucetas)
+ * @param {object} geometry geometry del payload
+ * @param {object} controls controls del payload
+ */
+function computeRigMetrics(outputs, geometry, controls) {
+  return {
+    hull: hullReference(geometry),
+    dock: mastCurveMetrics(outputs?.mastCurvePrebend, geometry),
+    loaded: mastCurveMetrics(outputs?.mastCurveLoaded, geometry),
+    spreaderTips: spreaderTipMetrics(outputs?.spreaders, controls),
+    headstaySagM: headstaySagM(outputs)
+  };
+}
+
+module.exports = {
+  HULL_REFERENCE_DEFAULTS,
+  interpAtZ,
+  hullReference,
+  mastCurveMetrics,
+  headstaySagM,
+  spreaderTipMetrics,
+  computeRigMetrics
+};
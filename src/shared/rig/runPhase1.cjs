@@ -1,7 +1,34 @@
 // 3D Model with full axial compression and P-Delta effects
 const { buildPhase1Model3d } = require("./modelPhase1_3d.cjs");
-const { solveEquilibrium3d, mastCurveFromModel } = require("./solverPhase1_3d.cjs");
+const {
+  solveEquilibrium3d,
+  mastCurveFromModel,
+  buildDofMap3d,
+  assembleSystem,
+  useSparseLinearSolver
+} = require("./solverPhase1_3d.cjs");
 const { applySailsPhase1ToModel3d, sailGridPositions } = require("./sailsPhase1_3d.cjs");
+const { aeroPressureField } = require("./aeroVlm.cjs");
+const { MAST_LOAD_SOURCES, useSyntheticMastLoad, mastLoadReport } = require("./mastLoadsPhase1_3d.cjs");
+const { DEFAULT_SHAPE_HEIGHTS, sailShapeAnalysis, sailSectionAt } = require("./sailShape3d.cjs");
+const { analyzeBuckling3d, BUCKLING_MODES_DEFAULT } = require("./bucklingPhase1_3d.cjs");
+const { analyzeModes3d, MODAL_MODES_DEFAULT } = require("./modalPhase1_3d.cjs");
+const { getMastSection, mastSectionProperties, resolveMastStiffness } = require("./mastSections.cjs");
+const { normalizeGauge, tensionsAsGauge, applyGaugeInputs } = require("./loosGauge.cjs");
+const { computeRigMetrics } = require("./rigMetrics.cjs");
+const { applySelfWeight3d, buildSelfWeightMass3d, gravityInBoatFrame } = require("./massPhase1_3d.cjs");
+const {
+  pitchAxis,
+  seaStateSeries,
+  validateSeaState,
+  applyInertialLoads3d,
+  seaStateSummary
+} = require("./seaStatePhase1_3d.cjs");
+const { loadFactorAt, validateTransient, integrateTransient3d, transientPeaks } = require("./transientPhase1_3d.cjs");
+const { arcLengthPath } = require("./arcLength.cjs");
+const { validateLoadCases, loadCaseInputs, mastMaxCurvature, loadCaseEnvelope } = require("./loadCasesPhase1_3d.cjs");
+const { solveLinearSystem, solveSparseSystem } = require("./linsolve.cjs");
+const { applyHardwareInputs, hardwareDrivenControls, hardwareReport, hardwareSpec, HARDWARE_PARTS } = require("./rigHardware.cjs");
 
 // Legacy 2D imports (kept for reference/fallback)
 // const { buildPhase1Model2d } = require("./modelPhase1_2d.cjs");
@@ -12,6 +39,18 @@ function assertFiniteNumber(v, name) {
   if (!Number.isFinite(v)) throw new Error(`Invalid ${name}: ${v}`);
 }
 
+// Tela ortótropa opcional de una vela (el resto lo valida normalizeSailsConfig)
+function assertSailCloth(cloth, name) {
+  if (cloth === undefined || cloth === null) return;
+  if (typeof cloth !== "object") throw new Error(`Invalid ${name}: expected object`);
+  for (const k of ["E1", "E2", "G12", "nu12"]) {
+    if (cloth[k] !== undefined) assertFiniteNumber(cloth[k], `${name}.${k}`);
+  }
+}
+
+// Continuación de las fases: "load" (λ fijo, step-halving) o "arcLength" (Riks)
+const CONTINUATION_METHODS = ["load", "arcLength"];
+
 function validatePayload(payload) {
   if (!payload || typeof payload !== "object") throw new Error("Missing payload");
   const { geometry, controls, load, solver } = payload;
@@ -37,7 +76,21 @@ function validatePayload(payload) {
     "partnersKx",
     "partnersKy"
   ];
-  for (const key of requiredControls) assertFiniteNumber(controls[key], `controls.${key}`);
+  // Herrajes (rigHardware.cjs) y calzos: el control continuo que sustituyen
+  // ni hace falta ni se admite (se ignoraría sin avisar)
+  const inactive = inactiveControls(payload);
+  for (const key of requiredControls) {
+    if (!inactive.has(`controls.${key}`)) assertFiniteNumber(controls[key], `controls.${key}`);
+  }
+  const driven = hardwareDrivenControls(controls);
+  for (const key of ["shroudDeltaL0PortM", "shroudDeltaL0StbdM"]) {
+    if (driven.includes(key) && controls[key] !== undefined) {
+      throw new Error(`Invalid controls.${key}: shroud length is set by hardware hole/turns`);
+    }
+  }
+  if (driven.includes("shroudDeltaL0PortM") && driven.includes("shroudDeltaL0StbdM") && (controls.shroudBaseDeltaM ?? 0) !== 0) {
+    throw new Error("Invalid controls.shroudBaseDeltaM: both shrouds are set by hardware hole/turns");
+  }
 
   for (const [k, v] of Object.entries(geometry)) assertFiniteNumber(v, `geometry.${k}`);
   for (const [k, v] of Object.entries(controls)) {
@@ -46,6 +99,14 @@ function validatePayload(payload) {
   }
   for (const [k, v] of Object.entries(solver)) {
     if (typeof v === "boolean") continue;
+    if (k === "linearSolver") {
+      if (!["auto", "dense", "sparse"].includes(v)) throw new Error(`Invalid solver.linearSolver: ${v}`);
+      continue;
+    }
+    if (k === "continuation") {
+      if (!CONTINUATION_METHODS.includes(v)) throw new Error(`Invalid solver.continuation: ${v}`);
+      continue;
+    }
     if (k === "mastSegments" || k.endsWith("Steps") || k.endsWith("Iterations")) {
       if (!Number.isInteger(v)) throw new Error(`Invalid solver.${k}: ${v}`);
     } else {
@@ -55,6 +116,72 @@ function validatePayload(payload) {
   if (!["none", "upwind", "downwind"].includes(load.mode)) throw new Error(`Invalid load.mode: ${load.mode}`);
   if (!["uniform", "triangular"].includes(load.qProfile)) throw new Error(`Invalid load.qProfile: ${load.qProfile}`);
   assertFiniteNumber(load.qLateralNpm, "load.qLateralNpm");
+  if (load.mastLoadSource !== undefined && !MAST_LOAD_SOURCES.includes(load.mastLoadSource)) {
+    throw new Error(`Invalid load.mastLoadSource: ${load.mastLoadSource}`);
+  }
+
+  // Análisis adicionales opcionales (pandeo lineal, modal)
+  if (payload.analysis !== undefined) {
+    const a = payload.analysis;
+    if (a === null || typeof a !== "object") throw new Error("Invalid analysis: expected object");
+    for (const k of ["buckling", "modal"]) {
+      if (a[k] !== undefined && typeof a[k] !== "boolean") throw new Error(`Invalid analysis.${k}: ${a[k]}`);
+    }
+    for (const k of ["bucklingModes", "modalModes"]) {
+      if (a[k] !== undefined && !(Number.isInteger(a[k]) && a[k] >= 1)) {
+        throw new Error(`Invalid analysis.${k}: ${a[k]}`);
+      }
+    }
+  }
+  // Tensiómetro Loos para lecturas de entrada y salida (loosGauge.cjs)
+  if (payload.gauge !== undefined) {
+    if (payload.gauge === null || typeof payload.gauge !== "object") throw new Error("Invalid gauge: expected object");
+    normalizeGauge(payload.gauge);
+  }
+  // Fogonadura con calzos y ram (contactos unilaterales): sin muelle proa/popa
+  if (partnersContactConfig(payload.partners)) {
+    for (const k of PARTNERS_CHOCKS_REPLACES) {
+      if (controls[k] !== undefined) throw new Error(`Invalid controls.${k}: replaced by partners chocks`);
+    }
+  }
+  if (payload.seaState !== undefined) validateSeaState(payload.seaState);
+  if (payload.transient !== undefined) validateTransient(payload.transient);
+  // Herrajes de ajuste (rigHardware.cjs): agujeros del adjuster y vueltas del tensor
+  if (payload.hardware !== undefined) {
+    if (payload.hardware === null || typeof payload.hardware !== "object") throw new Error("Invalid hardware: expected object");
+    for (const part of HARDWARE_PARTS) {
+      if (payload.hardware[part] !== undefined) hardwareSpec(payload.hardware, part);
+    }
+  }
+  // Sección de la biblioteca (mastSections.cjs) en lugar de EI a mano
+  if (payload.stiffness?.sectionId !== undefined && !getMastSection(payload.stiffness.sectionId)) {
+    throw new Error(`Invalid stiffness.sectionId: ${payload.stiffness.sectionId}`);
+  }
+  for (const k of ["rigEA", "mastEIScale"]) {
+    const v = payload.stiffness?.[k];
+    if (v !== undefined && !(Number.isFinite(v) && v > 0)) throw new Error(`Invalid stiffness.${k}: ${v}`);
+  }
+  // Peso propio con escora y cabeceo (gravedad girada a ejes del barco)
+  if (load.gravity !== undefined && typeof load.gravity !== "boolean") throw new Error(`Invalid load.gravity: ${load.gravity}`);
+  for (const k of ["heelDeg", "pitchDeg"]) {
+    if (load[k] === undefined) continue;
+    assertFiniteNumber(load[k], `load.${k}`);
+    if (Math.abs(load[k]) > 90) throw new Error(`Invalid load.${k}: ${load[k]}`);
+  }
+  // Masas para el análisis modal y el peso propio (kg, kg/m); ver massPhase1_3d.cjs
+  if (payload.mass !== undefined) {
+    if (payload.mass === null || typeof payload.mass !== "object") throw new Error("Invalid mass: expected object");
+    for (const [k, v] of Object.entries(payload.mass)) assertFiniteNumber(v, `mass.${k}`);
+  }
+
+  // Arranque en caliente (barridos): x convergido por fase de un punto vecino
+  if (payload.warmStart !== undefined) {
+    const w = payload.warmStart;
+    if (w === null || typeof w !== "object") throw new Error("Invalid warmStart: expected object");
+    for (const [k, x] of Object.entries(w.phaseX || {})) {
+      if (!Array.isArray(x) || !x.every(Number.isFinite)) throw new Error(`Invalid warmStart.phaseX.${k}`);
+    }
+  }
 
   // Optional sails module (Phase 1 extension)
   if (payload.sails !== undefined) {
@@ -62,6 +189,26 @@ function validatePayload(payload) {
     const s = payload.sails;
     if (s.windPressurePa !== undefined) assertFiniteNumber(s.windPressurePa, "sails.windPressurePa");
     if (s.windSign !== undefined) assertFiniteNumber(s.windSign, "sails.windSign");
+    if (s.shapeHeights !== undefined) {
+      if (!Array.isArray(s.shapeHeights) || !s.shapeHeights.length) throw new Error("Invalid sails.shapeHeights: expected non-empty array");
+      for (const t of s.shapeHeights) {
+        if (!(Number.isFinite(t) && t > 0 && t <= 1)) throw new Error(`Invalid sails.shapeHeights: ${t} (fraction of luff in (0, 1])`);
+      }
+    }
+    if (s.aero !== undefined && s.aero !== null) {
+      if (typeof s.aero !== "object") throw new Error("Invalid sails.aero: expected object");
+      if (s.aero.model !== "vlm") throw new Error(`Invalid sails.aero.model: ${s.aero.model}`);
+      for (const k of ["trueWindSpeedMs", "trueWindAngleDeg", "boatSpeedMs", "heelDeg", "airDensity"]) {
+        if (s.aero[k] !== undefined) assertFiniteNumber(s.aero[k], `sails.aero.${k}`);
+      }
+      // Una sola escora: el viento aparente toma load.heelDeg (la del peso propio)
+      if (s.aero.heelDeg !== undefined && load.heelDeg !== undefined && s.aero.heelDeg !== load.heelDeg) {
+        throw new Error(`Invalid sails.aero.heelDeg: ${s.aero.heelDeg} differs from load.heelDeg ${load.heelDeg}`);
+      }
+      if (s.aero.heelDeg === undefined && load.heelDeg !== undefined && !(load.heelDeg >= 0 && load.heelDeg <= 60)) {
+        throw new Error(`Invalid load.heelDeg: ${load.heelDeg} (sails.aero takes 0..60°)`);
+      }
+    }
     if (s.main && typeof s.main === "object") {
       const m = s.main;
       for (const k of [
@@ -79,6 +226,14 @@ function validatePayload(payload) {
       ]) {
         if (m[k] !== undefined) assertFiniteNumber(m[k], `sails.main.${k}`);
       }
+      assertSailCloth(m.cloth, "sails.main.cloth");
+      for (const line of ["mainsheet", "vang", "outhaul"]) {
+        if (m[line] === undefined || m[line] === null) continue;
+        if (typeof m[line] !== "object") throw new Error(`Invalid sails.main.${line}: expected object`);
+        for (const k of ["tensionN", "lengthM", "boomFrac", "mastDropM", "gapM"]) {
+          if (m[line][k] !== undefined && m[line][k] !== null) assertFiniteNumber(m[line][k], `sails.main.${line}.${k}`);
+        }
+      }
     }
     if (s.jib && typeof s.jib === "object") {
       const j = s.jib;
@@ -96,8 +251,116 @@ function validatePayload(payload) {
       ]) {
         if (j[k] !== undefined) assertFiniteNumber(j[k], `sails.jib.${k}`);
       }
+      assertSailCloth(j.cloth, "sails.jib.cloth");
+      if (j.sheet !== undefined && j.sheet !== null) {
+        if (typeof j.sheet !== "object") throw new Error("Invalid sails.jib.sheet: expected object");
+        for (const k of ["tensionN", "lengthM"]) {
+          if (j.sheet[k] !== undefined && j.sheet[k] !== null) assertFiniteNumber(j.sheet[k], `sails.jib.sheet.${k}`);
+        }
+      }
     }
   }
+
+  // Casos de carga (loadCasesPhase1_3d.cjs): cada caso mezclado se valida
+  // como un payload completo
+  if (payload.loadCases !== undefined) {
+    validateLoadCases(payload.loadCases, payload.sails ?? null);
+    payload.loadCases.forEach((c, i) => {
+      const inputs = loadCaseInputs(c, { load: payload.load, sails: payload.sails ?? null });
+      try {
+        validatePayload({ ...payload, ...inputs, sails: inputs.sails ?? undefined, loadCases: undefined });
+      } catch (err) {
+        throw new Error(`Invalid loadCases[${i}] (${c.name}): ${err.message}`);
+      }
+    });
+  }
+}
+
+// Tensión de un cable por nombre (o el máximo de sus segmentos si está discretizado).
+// Los cables tension-only pueden devolver N<0 por la regularización: tensión = max(0, N).
+function cableTensionFromAxial(axial, prefix) {
+  const tension = (n) => (Number.isFinite(n) ? Math.max(0, n) : 0);
+  if (Number.isFinite(axial[prefix])) return tension(axial[prefix]);
+  const segs = Object.entries(axial)
+    .filter(([k]) => k.includes(prefix) && k.includes("_seg_"))
+    .map(([, v]) => v)
+    .filter(Number.isFinite);
+  return segs.length ? Math.max(0, ...segs.map(tension)) : 0;
+}
+
+// L0 total de un cable del modelo (suma de segmentos); null si es una fuerza pura
+function cableL0FromModel(model, prefix) {
+  const parts = (model?.axial || []).filter((el) =>
+    Number.isFinite(el.L0) && (el.name === prefix || (el.name.startsWith(`${prefix}_`) && el.name.includes("_seg_"))));
+  return parts.length ? parts.reduce((sum, el) => sum + el.L0, 0) : null;
+}
+
+/**
+ * Pandeo lineal en el estado prebend: factores de carga críticos sobre las
+ * fuerzas actuales de stay/shrouds y las tensiones a las que pandearía el palo.
+ */
+function bucklingReport({ model, meta, solver, nModes }) {
+  const axial = meta.axialForces || {};
+  const reference = {
+    forestayN: cableTensionFromAxial(axial, "stay_jib"),
+    shroudPortN: cableTensionFromAxial(axial, "shroud_port"),
+    shroudStbdN: cableTensionFromAxial(axial, "shroud_stbd")
+  };
+  let analysis;
+  try {
+    analysis = analyzeBuckling3d({
+      model,
+      nodesPos: meta.nodesPos,
+      cableCompressionEps: solver.cableCompressionEps,
+      nModes
+    });
+  } catch (err) {
+    console.warn(`Buckling analysis failed: ${err.message}`);
+    return { state: "prebend", stable: false, reason: err.message, reference, criticalLoadFactors: [], modes: [] };
+  }
+  reference.mastMaxCompressionN = analysis.mastMaxCompressionN;
+
+  const lambda1 = analysis.criticalLoadFactors[0] ?? null;
+  const scaled = (v) => (lambda1 === null ? null : lambda1 * v);
+  return {
+    state: "prebend",
+    stable: analysis.stable,
+    reason: analysis.reason,
+    nDof: analysis.nDof,
+    criticalLoadFactors: analysis.criticalLoadFactors,
+    safetyFactor: lambda1,
+    // Margen: fracción adicional de carga hasta el primer modo (λ1 - 1)
+    safetyMargin: lambda1 === null ? null : lambda1 - 1,
+    reference,
+    critical: {
+      forestayN: scaled(reference.forestayN),
+      shroudPortN: scaled(reference.shroudPortN),
+      shroudStbdN: scaled(reference.shroudStbdN),
+      mastMaxCompressionN: scaled(reference.mastMaxCompressionN)
+    },
+    modes: analysis.modes
+  };
+}
+
+/**
+ * Frecuencias naturales del rig en el estado prebend (masas concentradas + K tangente).
+ */
+function modalReport({ model, meta, solver, mass, nModes }) {
+  try {
+    return {
+      state: "prebend",
+      ...analyzeModes3d({
+        model,
+        nodesPos: meta.nodesPos,
+        mass,
+        cableCompressionEps: solver.cableCompressionEps,
+        nModes
+      })
+    };
+  } catch (err) {
+    console.warn(`Modal analysis failed: ${err.message}`);
+    return { state: "prebend", stable: false, reason: err.message, frequenciesHz: [], modes: [] };
+  }
 }
 
 function zeros(n) {
@@ -328,11 +591,14 @@ function computeEquilibriumClosed({ nodes, reactions, springsForces, appliedForc
   const magnitude = Math.sqrt(sumFx * sumFx + sumFy * sumFy + sumFz * sumFz);
   const isBalanced = magnitude < 10.0;
 
-  // Partners: solo el muelle del pasacubierta (si existe)
-  const partnersInternal = springsForces?.partners_spring || { fx: 0, fy: 0, fz: 0 };
-  const partnersRx = -(partnersInternal.fx || 0);
-  const partnersRy = -(partnersInternal.fy || 0);
-  const partnersRz = -(partnersInternal.fz || 0);
+  // Partners: muelle del pasacubierta más calzos y ram (si existen)
+  let partnersRx = 0, partnersRy = 0, partnersRz = 0;
+  for (const [name, sf] of Object.entries(springsForces || {})) {
+    if (!name.startsWith("partners_")) continue;
+    partnersRx -= sf.fx || 0;
+    partnersRy -= sf.fy || 0;
+    partnersRz -= sf.fz || 0;
+  }
 
   return {
     externalFx: extTotal[0],
@@ -366,6 +632,16 @@ function computeEquilibriumClosed({ nodes, reactions, springsForces, appliedForc
   };
 }
 
+function boomControlTensions(model, axial) {
+  const lines = model.sails?.main?.boomControls;
+  if (!lines) return { mainsheetN: null, vangN: null, outhaulN: null };
+  return {
+    mainsheetN: Math.max(0, axial[lines.mainsheet] ?? 0),
+    vangN: Math.max(0, axial[lines.vang] ?? 0),
+    outhaulN: Math.max(0, axial[lines.outhaul] ?? 0)
+  };
+}
+
 function solveSegregated3d({ model, solver, x0, prevModel }) {
   // ADAPTIVE FSI:
   // If loadScale is negligible (pretension phase), feedback from sail to rig is minimal.
@@ -394,7 +670,8 @@ function solveSegregated3d({ model, solver, x0, prevModel }) {
   //
   // NODOS DE VELA (resueltos en Fase B):
   //   - sail_main_*, sail_jib_* : Nodos internos de membrana
-  //   - boom_* : Nodos de la botavara (Dirichlet, siempre fijos)
+  //   - boom_* : Nodos de la botavara (Dirichlet, fijos; con boomMode "free",
+  //     libres en ambas fases como main_clew)
   //
   // NODOS DE INTERFAZ (libres en ambas fases):
   //   - jib_luff_* : Grátil del foque (conecta stay con vela)
@@ -486,6 +763,22 @@ function solveSegregated3d({ model, solver, x0, prevModel }) {
     } else {
       console.warn(`FSI iter ${iter}: Sail phase produced NaN, keeping previous state`);
     }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // FASE C: Cargas aerodinámicas (VLM) sobre la forma deformada
+    // ═══════════════════════════════════════════════════════════════════
+    // La siguiente iteración resuelve con el ΔCp de esta forma; al terminar,
+    // el reporte corresponde a la forma final.
+    if (model.aero && lastResult?.meta?.nodesPos) {
+      const field = aeroPressureField({
+        model,
+        nodesPos: lastResult.meta.nodesPos,
+        aero: model.aero.config,
+        windSign: model.aero.windSign
+      });
+      model.membranePressure.elementScale = field.elementScale;
+      model.aero.report = field.report;
+    }
   }
 
   // Restaurar estados originales
@@ -500,7 +793,8 @@ function solveSegregated3d({ model, solver, x0, prevModel }) {
   };
 }
 
-function solveOneState({ geometry, controls, solver, state, constants, x0, prevModel }) {
+// Modelo de un estado (aparejo + velas + peso propio + inercia de ola)
+function buildStateModel({ geometry, controls, solver, state, constants }) {
   let model = buildPhase1Model3d({ geometry, controls, solver, state, constants });
   if (state?.sails?.enabled) {
     model = applySailsPhase1ToModel3d({
@@ -512,6 +806,28 @@ function solveOneState({ geometry, controls, solver, state, constants, x0, prevM
     });
   }
 
+  // Peso propio (palo, crucetas, jarcia, botavara y tela) con la rampa de carga;
+  // en el transitorio la racha escala loadScale y el peso va con gravityScale
+  const gravityScale = state?.gravityScale ?? state?.loadScale;
+  if (state?.load?.gravity === true && gravityScale > 0) {
+    applySelfWeight3d(model, {
+      load: state.load,
+      windSign: state.sails?.windSign ?? 1,
+      scale: gravityScale,
+      massInput: constants.selfWeightMass
+    });
+  }
+
+  // Fuerzas de inercia de un instante del ciclo de ola (seaStatePhase1_3d.cjs)
+  if (state?.seaSample) {
+    applyInertialLoads3d(model, { sample: state.seaSample, axis: state.seaAxis, massInput: constants.selfWeightMass });
+  }
+  return model;
+}
+
+function solveOneState({ geometry, controls, solver, state, constants, x0, prevModel }) {
+  const model = buildStateModel({ geometry, controls, solver, state, constants });
+
   // Usar estrategia segregada si es la fase de carga y está activada
   if (state?.loadScale > 0.05 && solver.useSegregatedFSI) {
     return solveSegregated3d({ model, solver, x0, prevModel });
@@ -525,6 +841,55 @@ function solveOneState({ geometry, controls, solver, state, constants, x0, prevM
   };
 }
 
+/**
+ * Fase por longitud de arco (arcLength.cjs) sobre el modelo completo: λ puede
+ * retroceder en puntos límite. Cada punto del camino va al historial con el
+ * desplazamiento del tope respecto al inicio de la fase. Termina, como la
+ * continuación en carga, con solveOneState en λ = 1.
+ */
+function runArcLengthPhase({ geometry, controls, solver, constants, phase, xStart, baseState, prevModelStart }) {
+  const modelAt = (lambda) => buildStateModel({ geometry, controls, solver, constants, state: phase.stateFn(lambda, baseState) });
+  const model0 = modelAt(0);
+  const dofMap = buildDofMap3d(model0.nodes);
+  if (xStart.length !== dofMap.nDof) return null;
+
+  const sparse = useSparseLinearSolver(solver, dofMap.nDof);
+  const eps = solver.cableCompressionEps ?? 1e-6;
+  const topId = model0.mastNodeIds[model0.mastNodeIds.length - 1];
+  let top0 = null;
+  const path = arcLengthPath({
+    assembleAt: (x, lambda, { skipK = false } = {}) =>
+      assembleSystem({ model: modelAt(lambda), dofMap, x, cableCompressionEps: eps, skipK, sparse }),
+    solve: (K, b) => (sparse ? solveSparseSystem(K, b) : solveLinearSystem(K, b)),
+    x0: xStart,
+    initialStep: Math.SQRT2 / Math.max(1, phase.steps),
+    tol: solver.toleranceN,
+    maxSteps: solver.arcLengthMaxSteps,
+    maxIterations: solver.arcLengthMaxIterations,
+    observe: ({ meta }) => {
+      const p = meta.nodesPos[topId];
+      top0 = top0 || model0.nodes[topId].p0.map((v, d) => v + (xStart[dofMap.map.get(topId) + d] ?? 0));
+      return { masthead: { dxM: p[0] - top0[0], dyM: p[1] - top0[1], dzM: p[2] - top0[2] } };
+    }
+  });
+  const history = path.history.map((h) => ({ phase: phase.name, method: "arc_length", ...h }));
+  if (!path.ok) {
+    const last = { x: path.x, converged: false, reason: path.reason, meta: path.meta, model: model0, iterations: 0 };
+    return { ok: false, x: xStart, history, failedAt: path.lambda, last, prevModel: prevModelStart };
+  }
+
+  const final = solveOneState({
+    geometry,
+    controls,
+    solver,
+    state: phase.stateFn(1, baseState),
+    constants,
+    x0: path.x,
+    prevModel: model0
+  });
+  return { ok: final.converged, x: final.x, history, last: final, prevModel: final.model };
+}
+
 function runContinuationPhase({
   geometry,
   controls,
@@ -533,15 +898,24 @@ function runContinuationPhase({
   phase,
   xStart,
   baseState,
-  prevModelStart
+  prevModelStart,
+  minStep = 1 / 512
 }) {
+  // Longitud de arco para las fases que la admiten; si el x de partida no
+  // encaja con el modelo completo o el camino no cierra se sigue en carga
+  // desde el inicio de la fase (el camino queda en el historial)
   const history = [];
+  if (phase.arcLength) {
+    const arc = runArcLengthPhase({ geometry, controls, solver, constants, phase, xStart, baseState, prevModelStart });
+    if (arc?.ok) return arc;
+    if (arc) history.push(...arc.history);
+  }
+
   let x = xStart;
   let prevModel = prevModelStart;
   let lambda = 0;
   let step = 1 / Math.max(1, phase.steps);
   const initialStep = step;
-  const minStep = 1 / 512;
 
   while (lambda < 1 - 1e-12) {
     const target = Math.min(1, lambda + step);
@@ -626,7 +1000,241 @@ function runContinuationPhase({
   return { ok: final.converged, x: final.x, history, last: final, prevModel: final.model };
 }
 
-function runPhase1Simulation(payload) {
+/**
+ * Ciclo de ola cuasi-estático: un equilibrio por instante con las fuerzas de
+ * inercia, partiendo siempre de la solución convergida del instante anterior
+ * (el primero, del estado de navegación). Si un instante no converge se
+ * repite con continuación desde las aceleraciones del anterior.
+ */
+function runSeaStateCycle({ geometry, controls, solver, constants, state, x, prevModel, seaState }) {
+  const axis = pitchAxis(seaState, geometry);
+  const samples = [];
+  let xPrev = x;
+  let modelPrev = prevModel;
+  let samplePrev = { pitchAccRadS2: 0, heaveAccMs2: 0 };
+  const lerp = (a, b, t) => a + t * (b - a);
+  const stateAt = (sample) => ({ ...state, seaSample: sample, seaAxis: axis });
+
+  for (const sample of seaStateSeries(seaState)) {
+    let solved = solveOneState({ geometry, controls, solver, state: stateAt(sample), constants, x0: xPrev, prevModel: modelPrev });
+    let ok = solved.converged && solved.x.every(Number.isFinite);
+    if (!ok) {
+      const from = samplePrev;
+      const r = runContinuationPhase({
+        geometry,
+        controls,
+        solver,
+        constants,
+        phase: {
+          name: "sea_state",
+          steps: 4,
+          stateFn: (lambda) => stateAt({
+            pitchAccRadS2: lerp(from.pitchAccRadS2, sample.pitchAccRadS2, lambda),
+            heaveAccMs2: lerp(from.heaveAccMs2, sample.heaveAccMs2, lambda)
+          })
+        },
+        xStart: xPrev,
+        baseState: state,
+        prevModelStart: modelPrev
+      });
+      solved = r.last;
+      ok = r.ok && solved.x.every(Number.isFinite);
+    }
+    const axial = solved.meta?.axialForces || {};
+    samples.push({
+      ...sample,
+      converged: ok,
+      iterations: solved.iterations,
+      forestayN: ok ? cableTensionFromAxial(axial, "stay_jib") : null,
+      shroudPortN: ok ? cableTensionFromAxial(axial, "shroud_port") : null,
+      shroudStbdN: ok ? cableTensionFromAxial(axial, "shroud_stbd") : null
+    });
+    if (ok) {
+      xPrev = solved.x;
+      modelPrev = solved.model;
+      samplePrev = sample;
+    }
+  }
+  return { converged: samples.every((s) => s.converged), axis, samples };
+}
+
+// Punto de la baluma a media altura de cada vela
+function leechMidPoints(model, nodesPos) {
+  const leech = (sail) => {
+    if (!sail) return null;
+    const section = sailSectionAt(sailGridPositions(sail.gridNodeIds, nodesPos), 0.5);
+    const p = section[section.length - 1];
+    return { x: p[0], y: p[1], z: p[2] };
+  };
+  return { main: leech(model.sails?.main), jib: leech(model.sails?.jib) };
+}
+
+/**
+ * Respuesta transitoria a una racha desde el estado de navegación convergido
+ * (transientPhase1_3d.cjs). La racha escala la carga de viento (loadScale);
+ * el peso propio se queda en su valor estático.
+ *
+ * El x del solver segregado no tiene el mapa de DOF del modelo completo, así
+ * que se parte de las posiciones convergidas y se reequilibra el modelo
+ * completo en t = 0 (monolítico) para arrancar desde el reposo. Si ese
+ * equilibrio no converge no se integra: el reposo no sería tal.
+ */
+function runTransientGust({ geometry, controls, solver, constants, state, nodesPos, transient }) {
+  const buildModel = (tS) => buildStateModel({
+    geometry,
+    controls,
+    solver,
+    constants,
+    state: { ...state, loadScale: state.loadScale * loadFactorAt(transient, tS), gravityScale: state.loadScale }
+  });
+  const model0 = buildModel(0);
+  const dofMap = buildDofMap3d(model0.nodes);
+  const xPos = new Array(dofMap.nDof).fill(0);
+  for (const [id, base] of dofMap.map) {
+    for (let d = 0; d < 3; d++) xPos[base + d] = nodesPos[id][d] - model0.nodes[id].p0[d];
+  }
+  const initial = solveEquilibrium3d({ model: model0, solver: { ...solver, maxIterations: Math.max(solver.maxIterations, 300) }, x0: xPos });
+  const initialEquilibrium = { converged: initial.converged, gradInf: initial.gradInf };
+  if (!initial.converged || initial.x.length !== dofMap.nDof) {
+    return { converged: false, reason: "transient_initial_equilibrium", tS: 0, steps: 0, history: [], initialEquilibrium, peaks: null };
+  }
+  const x0 = initial.x;
+
+  let top0 = null;
+  const result = integrateTransient3d({
+    buildModel,
+    x0,
+    transient,
+    solver,
+    massInput: constants.selfWeightMass,
+    observe: ({ model, meta }) => {
+      const pos = meta.nodesPos;
+      const top = pos[model.mastNodeIds[model.mastNodeIds.length - 1]];
+      top0 = top0 || top.slice();
+      const axial = meta.axialForces || {};
+      return {
+        masthead: { x: top[0], y: top[1], z: top[2], dxM: top[0] - top0[0], dyM: top[1] - top0[1], dzM: top[2] - top0[2] },
+        forestayN: cableTensionFromAxial(axial, "stay_jib"),
+        shroudPortN: cableTensionFromAxial(axial, "shroud_port"),
+        shroudStbdN: cableTensionFromAxial(axial, "shroud_stbd"),
+        leech: model.sails ? leechMidPoints(model, pos) : null
+      };
+    }
+  });
+  return {
+    ...result,
+    initialEquilibrium,
+    peaks: transientPeaks(result.history)
+  };
+}
+
+/**
+ * Casos de carga: la fase sailing_load de cada caso desde el estado
+ * convergido de la driza (pretensión compartida). Devuelve por caso
+ * tensiones, axil de crucetas, curvatura máxima del palo y la historia de
+ * continuación.
+ */
+function runLoadCases({ geometry, controls, solver, constants, phase, baseState, halyard, loadCases }) {
+  return loadCases.map((c) => {
+    const inputs = loadCaseInputs(c, { load: baseState.load, sails: baseState.sails });
+    const r = runContinuationPhase({
+      geometry,
+      controls,
+      solver,
+      constants,
+      phase: { ...phase, stateFn: (lambda, base) => ({ ...phase.stateFn(lambda, base), sails: inputs.sails }) },
+      xStart: halyard.x,
+      baseState: { ...baseState, ...inputs },
+      prevModelStart: halyard.prevModel
+    });
+    const converged = r.ok && Boolean(r.last?.converged);
+    const axial = r.last?.meta?.axialForces || {};
+    return {
+      name: c.name,
+      converged,
+      reason: r.last?.reason ?? null,
+      iterations: r.history.reduce((sum, h) => sum + (h.iterations ?? 0), 0),
+      load: inputs.load,
+      windPressurePa: inputs.sails?.windPressurePa ?? null,
+      tensions: {
+        forestayN: cableTensionFromAxial(axial, "stay_jib"),
+        shroudPortN: cableTensionFromAxial(axial, "shroud_port"),
+        shroudStbdN: cableTensionFromAxial(axial, "shroud_stbd")
+      },
+      spreaders: { portAxialN: axial.spreader_port || 0, stbdAxialN: axial.spreader_stbd || 0 },
+      mastCurvature: r.last?.meta?.nodesPos ? mastMaxCurvature(mastCurveFromModel(r.last.model, r.last.meta.nodesPos)) : null,
+      history: r.history
+    };
+  });
+}
+
+// Fogonadura con calzos: holgura total proa/popa entre palo y agujero,
+// espesor de calzos y rigidez de contacto (calzo + cubierta)
+const PARTNERS_MODES = ["spring", "chocks"];
+const PARTNERS_RAM_MODES = ["none", "force", "position"];
+const PARTNERS_DEFAULTS = { clearanceMm: 8, chockFwdMm: 0, chockAftMm: 0, chockStiffnessNpm: 2e6 };
+// Muelle proa/popa de la fogonadura que los calzos sustituyen
+const PARTNERS_CHOCKS_REPLACES = ["partnersKy", "partnersOffsetYM"];
+
+/**
+ * Controles sin efecto en este payload, que las herramientas (sensibilidad,
+ * calibración) no deben mover: los que fija un herraje (agujero/vueltas) y,
+ * con calzos, el muelle proa/popa de la fogonadura.
+ * @returns {Map<string, string>} campo ("controls.x") → motivo
+ */
+function inactiveControls(payload) {
+  const out = new Map();
+  for (const k of hardwareDrivenControls(payload?.controls)) out.set(`controls.${k}`, "set by hardware hole/turns");
+  if (payload?.partners?.mode === "chocks") {
+    for (const k of PARTNERS_CHOCKS_REPLACES) out.set(`controls.${k}`, "replaced by partners chocks");
+  }
+  return out;
+}
+
+/**
+ * Calzos y ram de payload.partners en unidades del modelo (null = muelle lineal).
+ * @param {object} [partners] { mode: "spring"|"chocks", clearanceMm, chockFwdMm, chockAftMm,
+ *   chockStiffnessNpm, ram: { mode: "none"|"force"|"position", forceN, positionMm } }
+ */
+function partnersContactConfig(partners) {
+  if (partners === undefined) return null;
+  if (partners === null || typeof partners !== "object") throw new Error("Invalid partners: expected object");
+  const mode = partners.mode ?? "spring";
+  if (!PARTNERS_MODES.includes(mode)) throw new Error(`Invalid partners.mode: ${mode}`);
+  if (mode === "spring") return null;
+  const p = { ...PARTNERS_DEFAULTS, ...partners };
+  for (const k of ["clearanceMm", "chockFwdMm", "chockAftMm"]) {
+    if (!(Number.isFinite(p[k]) && p[k] >= 0)) throw new Error(`Invalid partners.${k}: ${p[k]}`);
+  }
+  if (!(p.chockStiffnessNpm > 0)) throw new Error(`Invalid partners.chockStiffnessNpm: ${p.chockStiffnessNpm}`);
+  const ram = p.ram ?? { mode: "none" };
+  const ramMode = ram.mode ?? "none";
+  if (!PARTNERS_RAM_MODES.includes(ramMode)) throw new Error(`Invalid partners.ram.mode: ${ramMode}`);
+  if (ramMode === "force") assertFiniteNumber(ram.forceN, "partners.ram.forceN");
+  if (ramMode === "position") assertFiniteNumber(ram.positionMm, "partners.ram.positionMm");
+  return {
+    clearanceM: p.clearanceMm / 1000,
+    chockFwdM: p.chockFwdMm / 1000,
+    chockAftM: p.chockAftMm / 1000,
+    kNpm: p.chockStiffnessNpm,
+    ram: { mode: ramMode, forceN: ram.forceN, positionM: ram.positionMm / 1000 }
+  };
+}
+
+// Fuerzas en calzos y ram (N, compresión > 0) y holgura restante a cada cara
+function partnersReport(contactForces) {
+  const cf = contactForces || {};
+  const stop = (c) => (c ? { forceN: Math.max(0, c.forceN), active: c.active, clearanceM: c.penetrationM === null ? null : -c.penetrationM } : null);
+  return {
+    mode: "chocks",
+    chockFwd: stop(cf.partners_chock_fwd),
+    chockAft: stop(cf.partners_chock_aft),
+    ram: cf.partners_ram ? { ...stop(cf.partners_ram), forceN: Math.max(0, cf.partners_ram.forceN) } : null
+  };
+}
+
+function runPhase1Simulation(inputPayload) {
+  const payload = applyHardwareInputs(applyGaugeInputs(inputPayload));
   validatePayload(payload);
 
   // Construir constants con valores por defecto, pero usando stiffness del payload si existe
@@ -634,7 +1242,9 @@ function runPhase1Simulation(payload) {
   // - EI base: ~7500 N·m² (sección constante, E=70GPa, I≈10.7cm⁴)
   // - EI top: ~3500 N·m² (punta cónica, reducción ~50%)
   // - Conicidad: empieza sobre intersección stays SCIRA (~4.5m desde pie)
-  const stiffness = payload.stiffness || {};
+  // - stiffness.sectionId: EI por eje, conicidad, EA y masa salen de la sección
+  const stiffness = resolveMastStiffness(payload.stiffness || {});
+  const mastSection = stiffness.sectionId ? mastSectionProperties(stiffness.sectionId) : null;
   const constants = {
     ...buildConstants(),
     // Sobrescribir EI con valores del payload (para conicidad)
@@ -642,8 +1252,22 @@ function runPhase1Simulation(payload) {
     mastEIBase: stiffness.mastEIBase || 7500,   // EI sección inferior
     mastEITop: stiffness.mastEITop || 3500,     // EI sección superior (más flexible)
     taperStartZM: stiffness.taperStartZM || 4.5, // Altura donde empieza la conicidad (SCIRA)
+    // Perfiles por eje (x lateral, y proa-popa); sin valor caen al perfil común
+    mastEIxBase: stiffness.mastEIxBase,
+    mastEIxTop: stiffness.mastEIxTop,
+    taperStartXZM: stiffness.taperStartXZM,
+    mastEIyBase: stiffness.mastEIyBase,
+    mastEIyTop: stiffness.mastEIyTop,
+    taperStartYZM: stiffness.taperStartYZM,
     boomEA: stiffness.boomEA || 1.0e2           // Botavara axial
   };
+  // Ajustes de calibración (rigCalibration.cjs): EA de la jarcia y escala de EI
+  if (Number.isFinite(stiffness.rigEA)) constants.rigEA = stiffness.rigEA;
+  if (Number.isFinite(stiffness.mastEIScale)) constants.mastEIScale = stiffness.mastEIScale;
+  if (mastSection) constants.mastEA_real = mastSection.EAN;
+  constants.partnersContact = partnersContactConfig(payload.partners);
+  const massInput = mastSection ? { mastMassPerMKg: mastSection.massPerMKg, ...payload.mass } : payload.mass;
+  constants.selfWeightMass = massInput;
   const solverInput = payload.solver || {};
   if (Number.isFinite(solverInput.membranePrestress)) {
     constants.membranePrestress = solverInput.membranePrestress;
@@ -666,6 +1290,12 @@ function runPhase1Simulation(payload) {
   const load = payload.load;
   const sails = payload.sails && typeof payload.sails === "object" ? payload.sails : null;
 
+  const arcLength = payload.solver.continuation === "arcLength";
+  const notes = [];
+  if (arcLength && payload.solver.useSegregatedFSI !== false) {
+    notes.push("solver.useSegregatedFSI set to false: arcLength continuation needs the monolithic system");
+  }
+
   const solver = {
     mastSegments: payload.solver.mastSegments,
     // If sails are enabled, we force cableSegments=1 for the rig base model
@@ -692,8 +1322,19 @@ function runPhase1Simulation(payload) {
     drMaxIterations: payload.solver.drMaxIterations,
     drNewtonFallbackAfter: payload.solver.drNewtonFallbackAfter,
     drHighPrecisionTol: payload.solver.drHighPrecisionTol,
-    useSegregatedFSI: payload.solver.useSegregatedFSI ?? true,
-    fsiIterations: payload.solver.fsiIterations ?? 3
+    // El camino de arcLength se ensambla monolítico: con FSI segregado el
+    // cierre no sería el mismo sistema, así que se desactiva (diagnostics.notes)
+    useSegregatedFSI: arcLength ? false : (payload.solver.useSegregatedFSI ?? true),
+    fsiIterations: payload.solver.fsiIterations ?? 3,
+    // Álgebra lineal: "auto" usa banda dispersa (RCM) a partir de sparseMinDofs
+    linearSolver: payload.solver.linearSolver ?? "auto",
+    sparseMinDofs: payload.solver.sparseMinDofs,
+    // Continuación de jib_halyard y sailing_load: "load" o "arcLength" (Riks)
+    continuation: payload.solver.continuation ?? "load",
+    arcLengthMaxSteps: payload.solver.arcLengthMaxSteps,
+    arcLengthMaxIterations: payload.solver.arcLengthMaxIterations,
+    // diagnostics.warmStart (x por fase) solo si lo pide un barrido/sensibilidad
+    returnWarmStart: payload.solver.returnWarmStart === true
   };
 
   const baseState = { standingScale: 0, halyardScale: 0, loadScale: 0, load, sails };
@@ -729,7 +1370,10 @@ function runPhase1Simulation(payload) {
     }
     : null;
 
+  const analysisInput = payload.analysis || {};
   const allHistory = [];
+  let buckling = null;
+  let modes = null;
   let prebendCurve = null;
   let loadedCurve = null;
   let prebendSails = null;
@@ -754,6 +1398,7 @@ function runPhase1Simulation(payload) {
     {
       name: "jib_halyard",
       steps: solver.pretensionSteps,
+      arcLength,
       stateFn: (lambda, base) => ({
         standingScale: 1,
         halyardScale: lambda,
@@ -765,6 +1410,7 @@ function runPhase1Simulation(payload) {
     {
       name: "sailing_load",
       steps: solver.loadSteps,
+      arcLength,
       stateFn: (lambda, base) => ({
         standingScale: 1,
         halyardScale: 1,
@@ -775,18 +1421,24 @@ function runPhase1Simulation(payload) {
     }
   ];
 
+  // Con warmStart compatible (mismo nº de DOF) cada fase se resuelve directamente
+  // en λ = 1 partiendo del x convergido del vecino; si no converge se repite la
+  // fase con la continuación normal desde el estado anterior.
+  const warmPhaseX = payload.warmStart?.phaseX || {};
+  const phaseX = {};
+
   let prevModel = baseModel;
+  let halyardState = null;
   for (const phase of phases) {
-    const r = runContinuationPhase({
-      geometry,
-      controls,
-      solver,
-      constants,
-      phase,
-      xStart: x,
-      baseState,
-      prevModelStart: prevModel
-    });
+    const phaseArgs = { geometry, controls, solver, constants, phase, xStart: x, baseState, prevModelStart: prevModel };
+    const warmX = warmPhaseX[phase.name];
+    let r = null;
+    if (Array.isArray(warmX) && warmX.length === x.length) {
+      r = runContinuationPhase({ ...phaseArgs, phase: { ...phase, steps: 1, arcLength: false }, xStart: warmX.slice(), minStep: 1 });
+      if (r.ok) r.history.forEach((h) => (h.warmStart = true));
+      else r = null;
+    }
+    if (!r) r = runContinuationPhase(phaseArgs);
     allHistory.push(...r.history);
     if (!r.ok) {
       lastSolve = r.last; // Actualizar con el último estado parcial
@@ -796,11 +1448,30 @@ function runPhase1Simulation(payload) {
     }
 
     x = r.x;
+    phaseX[phase.name] = r.x;
     lastSolve = r.last;
     prevModel = r.prevModel || lastSolve.model;
 
     if (phase.name === "jib_halyard") {
+      halyardState = { x: r.x, prevModel };
       prebendCurve = mastCurveFromModel(lastSolve.model, lastSolve.meta.nodesPos);
+      if (analysisInput.buckling) {
+        buckling = bucklingReport({
+          model: lastSolve.model,
+          meta: lastSolve.meta,
+          solver,
+          nModes: analysisInput.bucklingModes ?? BUCKLING_MODES_DEFAULT
+        });
+      }
+      if (analysisInput.modal) {
+        modes = modalReport({
+          model: lastSolve.model,
+          meta: lastSolve.meta,
+          solver,
+          mass: massInput,
+          nModes: analysisInput.modalModes ?? MODAL_MODES_DEFAULT
+        });
+      }
       if (lastSolve.model.sails) {
         prebendSails = {
           main: lastSolve.model.sails.main ? sailGridPositions(lastSolve.model.sails.main.gridNodeIds, lastSolve.meta.nodesPos) : null,
@@ -810,34 +1481,59 @@ function runPhase1Simulation(payload) {
     }
   }
 
+  // Ciclo de ola sobre el estado de navegación convergido
+  let seaCycle = null;
+  if (payload.seaState && completedAllPhases && lastSolve.converged) {
+    seaCycle = runSeaStateCycle({
+      geometry,
+      controls,
+      solver,
+      constants,
+      state: phases[phases.length - 1].stateFn(1, baseState),
+      x,
+      prevModel,
+      seaState: payload.seaState
+    });
+  }
+
+  // Racha: integración en el tiempo desde el estado de navegación convergido
+  let transientRun = null;
+  if (payload.transient && completedAllPhases && lastSolve.converged) {
+    transientRun = runTransientGust({
+      geometry,
+      controls,
+      solver,
+      constants,
+      state: phases[phases.length - 1].stateFn(1, baseState),
+      nodesPos: lastSolve.meta.nodesPos,
+      transient: payload.transient
+    });
+  }
+
+  // Casos de carga: comparten la pretensión, solo repiten sailing_load
+  let loadCaseRuns = null;
+  if (payload.loadCases && halyardState) {
+    loadCaseRuns = runLoadCases({
+      geometry,
+      controls,
+      solver,
+      constants,
+      phase: phases[phases.length - 1],
+      baseState,
+      halyard: halyardState,
+      loadCases: payload.loadCases
+    });
+  }
+
   // Si falló pero tenemos un 'lastSolve', intentamos extraer lo que haya para el reporte
   if (!lastSolve) {
     return { ok: false, converged: false, outputs: null, inputs: payload, reason: "no_initial_solve" };
   }
 
-  // Funcion auxiliar para extraer tension de cable
-  // En el solver, los cables tension-only pueden devolver N<0 por la regularización
-  // (rigidez residual en compresión). Para reporte físico: tension = max(0, N).
-  const getCableTension = (n) => {
-    if (!Number.isFinite(n)) return 0;
-    return Math.max(0, n);
-  };
-  const getAxialMag = (n) => {
-    if (!Number.isFinite(n)) return 0;
-    return Math.abs(n);
-  };
-
   const axial = lastSolve.meta.axialForces || {};
   // DEBUG: log shroud tensions
   // console.log('DEBUG axial shroud_port:', axial.shroud_port, 'shroud_stbd:', axial.shroud_stbd);
-  const getTension = (prefix) => {
-    if (Number.isFinite(axial[prefix])) return getCableTension(axial[prefix]);
-    const segs = Object.entries(axial)
-      .filter(([k]) => k.includes(prefix) && k.includes("_seg_"))
-      .map(([, v]) => v)
-      .filter(Number.isFinite);
-    return segs.length ? Math.max(0, ...segs.map(getCableTension)) : 0;
-  };
+  const getTension = (prefix) => cableTensionFromAxial(axial, prefix);
 
   const shPort = getTension("shroud_port");
   const shStbd = getTension("shroud_stbd");
@@ -873,6 +1569,11 @@ function runPhase1Simulation(payload) {
     return filtered.map(f => ({ name: f.name, x: f.p[0], y: f.p[1], z: f.p[2] }));
   };
 
+  const pointOf = (id) => {
+    const p = lastSolve.meta.nodesPos[id];
+    return p ? { x: p[0], y: p[1], z: p[2] } : null;
+  };
+
   const outputs = {
     mastCurveRelaxed: relaxedCurve ?? [],
     mastCurvePrebend: prebendCurve ?? [],
@@ -882,16 +1583,29 @@ function runPhase1Simulation(payload) {
       shroud_stbd: getCurveByPrefix("shroud_stbd"),
       stay_jib: getCurveByPrefix("stay_jib")
     },
+    // Extremos del estay (nodo hounds y herraje de proa del modelo)
+    headstay: {
+      hounds: pointOf(lastSolve.model.houndsNodeId),
+      bow: pointOf(lastSolve.model.bowId)
+    },
     sails: lastSolve.model.sails ? {
       relaxed: relaxedSails,
       prebend: prebendSails,
-      loaded: curLoadedSails
+      loaded: curLoadedSails,
+      shape: sailShapeAnalysis(
+        { relaxed: relaxedSails, prebend: prebendSails, loaded: curLoadedSails },
+        sails?.shapeHeights ?? DEFAULT_SHAPE_HEIGHTS
+      )
     } : null,
     tensions: {
       shroudPortN: shPort,
       shroudStbdN: shStbd,
       forestayN: stayJibN,
-      halyardN: controls.jibHalyardTensionN
+      halyardN: controls.jibHalyardTensionN,
+      // Botavara libre (sails.main.boomMode = "free"): cabos de trimado reales
+      ...boomControlTensions(lastSolve.model, axial),
+      // Escota del foque como cable (sails.jib.sheetMode = "cable")
+      jibSheetN: lastSolve.model.sails?.jib?.sheetLine ? Math.max(0, axial[lastSolve.model.sails.jib.sheetLine] ?? 0) : null
     },
     spreaders: {
       portAxialN: axial.spreader_port || 0,
@@ -916,6 +1630,14 @@ function runPhase1Simulation(payload) {
         return p ? { x: p[0], y: p[1], z: p[2] } : null;
       })()
     },
+    aero: lastSolve.model.aero?.report ?? null,
+    mastLoad: mastLoadReport({
+      model: lastSolve.model,
+      meta: lastSolve.meta,
+      source: useSyntheticMastLoad({ load, sails }) ? (sails?.enabled ? "synthetic+sails" : "synthetic") : "sails"
+    }),
+    buckling,
+    modes,
     reactions: lastSolve.meta.reactions ?? {},
     springsForces: lastSolve.meta.springsForces ?? {},
     equilibrium: computeEquilibriumClosed({
@@ -929,6 +1651,61 @@ function runPhase1Simulation(payload) {
       )
     })
   };
+  // Tensiones de jarcia como lecturas del tensiómetro Loos (solo con sus tablas)
+  outputs.tensionGauge = payload.gauge ? tensionsAsGauge(outputs.tensions, payload.gauge) : null;
+  // Cifras de trimado: rake (cinta al espejo), prebend, crucetas, caída del estay
+  outputs.metrics = computeRigMetrics(outputs, geometry, controls);
+  // Longitudes finales de jarcia y su ajuste equivalente en agujero + vueltas
+  outputs.rigLengths = {
+    shroudPortL0M: cableL0FromModel(lastSolve.model, "shroud_port"),
+    shroudStbdL0M: cableL0FromModel(lastSolve.model, "shroud_stbd"),
+    forestayL0M: cableL0FromModel(lastSolve.model, "stay_jib")
+  };
+  outputs.hardware = payload.hardware ? hardwareReport(outputs.rigLengths, payload.hardware) : null;
+  outputs.partners = constants.partnersContact ? partnersReport(lastSolve.meta.contactForces) : null;
+  // Peso propio aplicado en la fase de carga (load.gravity)
+  outputs.selfWeight = load.gravity === true
+    ? {
+      totalMassKg: buildSelfWeightMass3d(lastSolve.model, massInput).totalMassKg,
+      heelDeg: load.heelDeg ?? 0,
+      pitchDeg: load.pitchDeg ?? 0,
+      gravity: gravityInBoatFrame(load, sails?.windSign ?? 1)
+    }
+    : null;
+  // Ola: tensiones de cada instante del ciclo, pico y rango
+  outputs.seaState = seaCycle
+    ? {
+      converged: seaCycle.converged,
+      pitchAxis: seaCycle.axis,
+      totalMassKg: buildSelfWeightMass3d(lastSolve.model, massInput).totalMassKg,
+      samples: seaCycle.samples,
+      summary: seaStateSummary(seaCycle.samples, outputs.tensions)
+    }
+    : null;
+  // Racha: historias temporales de tope, tensiones y baluma
+  outputs.transient = transientRun
+    ? {
+      converged: transientRun.converged,
+      reason: transientRun.reason,
+      endS: transientRun.tS,
+      steps: transientRun.steps,
+      hht: transientRun.hht,
+      rayleigh: transientRun.rayleigh,
+      initialEquilibrium: transientRun.initialEquilibrium,
+      totalMassKg: transientRun.totalMassKg,
+      peaks: transientRun.peaks,
+      history: transientRun.history
+    }
+    : null;
+
+  // Casos de carga y envolvente (mín/máx entre casos convergidos)
+  outputs.loadCases = loadCaseRuns
+    ? {
+      converged: loadCaseRuns.every((c) => c.converged),
+      cases: loadCaseRuns,
+      envelope: loadCaseEnvelope(loadCaseRuns)
+    }
+    : null;
 
   const iterationsTotal = allHistory.reduce((s, h) => s + (h.iterations ?? 0), 0);
   const success = completedAllPhases && Boolean(lastSolve?.converged);
@@ -946,11 +1723,13 @@ function runPhase1Simulation(payload) {
       slackCables: lastSolve.meta.slackCables,
       history: allHistory,
       constants,
-      convergenceHistory: lastSolve.convergenceHistory ?? []
+      convergenceHistory: lastSolve.convergenceHistory ?? [],
+      warmStart: solver.returnWarmStart ? { phaseX } : null,
+      notes
     },
     outputs,
     inputs: payload
   };
 }
 
-module.exports = { runPhase1Simulation };
+module.exports = { runPhase1Simulation, inactiveControls };
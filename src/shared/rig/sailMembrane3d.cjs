@@ -215,6 +215,10 @@ function createMembraneElement(nodeIds, material, nodesRef = null) {
     wrinklingEps: material.wrinklingEps ?? 1e-4,
     // Límite numérico de deformación para evitar explosiones
     maxStrain: material.maxStrain ?? 2.0,
+    // Tela ortótropa opcional: { E1, E2, G12, nu12 } con E1 según fiberDir
+    orthotropic: material.orthotropic ?? null,
+    // Dirección de la fibra (eje 1 del material) en la configuración de referencia
+    fiberDir: material.fiberDir ?? null,
     // Quality metadata (populated if nodesRef provided)
     quality: null
   };
@@ -303,6 +307,74 @@ function membraneConstitutive(E, nu) {
   ];
 }
 
+/**
+ * Matriz constitutiva ortótropa (tensión plana) en ejes del material
+ *
+ * [σ1 ]   [Q11 Q12  0 ] [ε1 ]     Q11 = E1/(1-ν12ν21), Q22 = E2/(1-ν12ν21)
+ * [σ2 ] = [Q12 Q22  0 ] [ε2 ]     Q12 = ν12·Q22,       Q66 = G12
+ * [τ12]   [ 0   0  Q66] [γ12]     ν21 = ν12·E2/E1
+ *
+ * y girada un ángulo θ (eje 1 del material respecto al eje e1 del elemento):
+ * Q̄ = T(θ)ᵀ Q T(θ) en notación de ingeniería (aparecen Q̄16, Q̄26).
+ */
+function orthotropicConstitutive({ E1, E2, G12, nu12 }, theta = 0) {
+  const nu21 = (nu12 * E2) / E1;
+  const d = 1 - nu12 * nu21;
+  const Q11 = E1 / d;
+  const Q22 = E2 / d;
+  const Q12 = (nu12 * E2) / d;
+  const Q66 = G12;
+
+  const c = Math.cos(theta);
+  const s = Math.sin(theta);
+  const c2 = c * c;
+  const s2 = s * s;
+  const Qb11 = Q11 * c2 * c2 + 2 * (Q12 + 2 * Q66) * s2 * c2 + Q22 * s2 * s2;
+  const Qb22 = Q11 * s2 * s2 + 2 * (Q12 + 2 * Q66) * s2 * c2 + Q22 * c2 * c2;
+  const Qb12 = (Q11 + Q22 - 4 * Q66) * s2 * c2 + Q12 * (s2 * s2 + c2 * c2);
+  const Qb66 = (Q11 + Q22 - 2 * Q12 - 2 * Q66) * s2 * c2 + Q66 * (s2 * s2 + c2 * c2);
+  const Qb16 = (Q11 - Q12 - 2 * Q66) * c2 * c * s - (Q22 - Q12 - 2 * Q66) * c * s2 * s;
+  const Qb26 = (Q11 - Q12 - 2 * Q66) * c * s2 * s - (Q22 - Q12 - 2 * Q66) * c2 * c * s;
+  return [
+    [Qb11, Qb12, Qb16],
+    [Qb12, Qb22, Qb26],
+    [Qb16, Qb26, Qb66]
+  ];
+}
+
+/**
+ * Ángulo de la fibra en la base local {e1, e2} del elemento
+ */
+function fiberAngle(elem, e1, e2) {
+  const f = elem.fiberDir;
+  if (!f) return 0;
+  return Math.atan2(dot3(f, e2), dot3(f, e1));
+}
+
+/**
+ * Matriz constitutiva del elemento en su base local {e1, e2}
+ * (isótropa con E, ν; ortótropa girada según la fibra si elem.orthotropic)
+ */
+function elementConstitutive(elem, e1, e2, stiffnessFactor = 1) {
+  if (!elem.orthotropic) return membraneConstitutive(elem.E * stiffnessFactor, elem.nu);
+  const C = orthotropicConstitutive(elem.orthotropic, fiberAngle(elem, e1, e2));
+  return stiffnessFactor === 1 ? C : C.map((row) => row.map((v) => v * stiffnessFactor));
+}
+
+/**
+ * Tensión en ejes del material [σ1, σ2, τ12] a partir de la local [S11, S22, S12]
+ */
+function stressInMaterialFrame(S_voigt, theta) {
+  const c = Math.cos(theta);
+  const s = Math.sin(theta);
+  const [sx, sy, txy] = S_voigt;
+  return [
+    sx * c * c + sy * s * s + 2 * txy * s * c,
+    sx * s * s + sy * c * c - 2 * txy * s * c,
+    (sy - sx) * s * c + txy * (c * c - s * s)
+  ];
+}
+
 /**
  * Calcula la base local del triángulo en la configuración de referencia
  * Retorna dos vectores tangentes y la normal
@@ -635,8 +707,8 @@ function membraneEnergyAndGrad(elem, nodesRef, nodesCur, dofMap) {
     }
   }
 
-  // Matriz constitutiva
-  const C = membraneConstitutive(elem.E, elem.nu);
+  // Matriz constitutiva (en la base local; girada a la fibra si es ortótropa)
+  const C = elementConstitutive(elem, e1, e2);
 
   // Segundo tensor de Piola-Kirchhoff (en Voigt)
   // S = C : E + pretensión
@@ -647,7 +719,9 @@ function membraneEnergyAndGrad(elem, nodesRef, nodesCur, dofMap) {
     C[2][0] * E_voigt[0] + C[2][1] * E_voigt[1] + C[2][2] * E_voigt[2]
   ];
 
-  // Aplicar modelo de wrinkling
+  // Aplicar modelo de wrinkling. Las tensiones principales no dependen de la
+  // base, así que el criterio vale igual para tela ortótropa; la rigidez
+  // reducida se aplica sobre la C girada del material (computeCstStiffness).
   const wrinklingEps = elem.wrinklingEps ?? 1e-4;
   const wrinkling = applyWrinklingModel(S_voigt, wrinklingEps);
   S_voigt = wrinkling.S_modified;
@@ -729,6 +803,7 @@ function membraneEnergyAndGrad(elem, nodesRef, nodesCur, dofMap) {
     forces: fGlobal,
     stress: S_voigt,
     strain: E_voigt,
+    ...(elem.orthotropic ? { materialStress: stressInMaterialFrame(S_voigt, fiberAngle(elem, e1, e2)) } : {}),
     area,
     wrinklingState: wrinkling.state,
     principalStresses: wrinkling.principalStresses,
@@ -754,7 +829,7 @@ function computeCstStiffness(elem, S, dNdX, area, e1, e2, stiffnessFactor) {
   const vol = t * area;
 
   // 1. Rigidez Material (Km)
-  const C = membraneConstitutive(elem.E * stiffnessFactor, elem.nu);
+  const C = elementConstitutive(elem, e1, e2, stiffnessFactor);
 
   for (let a = 0; a < 3; a++) {
     for (let b = 0; b < 3; b++) {
@@ -777,10 +852,14 @@ function computeMaterialStiffnessBlock(a, b, dNdX, C, vol, e1, e2) {
   const dNa = dNdX[a];
   const dNb = dNdX[b];
 
-  const k11 = (C[0][0] * dNa[0] * dNb[0] + C[2][2] * dNa[1] * dNb[1]) * vol;
-  const k12 = (C[0][1] * dNa[0] * dNb[1] + C[2][2] * dNa[1] * dNb[0]) * vol;
-  const k21 = (C[1][0] * dNa[1] * dNb[0] + C[2][2] * dNa[0] * dNb[1]) * vol;
-  const k22 = (C[1][1] * dNa[1] * dNb[1] + C[2][2] * dNa[0] * dNb[0]) * vol;
+  // k = Baᵀ C Bb con B = [[N,x 0], [0 N,y], [N,y N,x]]; los términos C[.][2]
+  // (acoplamiento normal-cortante) solo aparecen con tela ortótropa girada
+  const Cb0 = [C[0][0] * dNb[0] + C[0][2] * dNb[1], C[1][0] * dNb[0] + C[1][2] * dNb[1], C[2][0] * dNb[0] + C[2][2] * dNb[1]];
+  const Cb1 = [C[0][1] * dNb[1] + C[0][2] * dNb[0], C[1][1] * dNb[1] + C[1][2] * dNb[0], C[2][1] * dNb[1] + C[2][2] * dNb[0]];
+  const k11 = (dNa[0] * Cb0[0] + dNa[1] * Cb0[2]) * vol;
+  const k12 = (dNa[0] * Cb1[0] + dNa[1] * Cb1[2]) * vol;
+  const k21 = (dNa[1] * Cb0[1] + dNa[0] * Cb0[2]) * vol;
+  const k22 = (dNa[1] * Cb1[1] + dNa[0] * Cb1[2]) * vol;
 
   // Rotar k_loc (2x2) a 3D (3x3) usando base {e1, e2}
   const basis = [e1, e2];
@@ -911,7 +990,8 @@ function membranePressureLoad(elem, nodesCur, pressure, dofMap, sign = 1) {
  * Divide cada cuadrilátero en 2 triángulos
  *
  * @param {Array} grid - Grid de IDs de nodos [filas][columnas]
- * @param {Object} material - Propiedades del material
+ * @param {Object} material - Propiedades del material (con `fiberDirs[i][j]`
+ *   opcional: dirección de la fibra de cada cuadrilátero para tela ortótropa)
  * @param {Array} [nodesRef] - Optional reference node positions for quality validation
  *
  * ANTIGRAVITY ASCENSION v1.0:
@@ -940,8 +1020,11 @@ function createMembraneMesh(grid, material, nodesRef = null) {
       const d = grid[i][j + 1];   // abajo-der
 
       // Dividir en 2 triángulos (diagonal a-c)
-      const elem1 = createMembraneElement([a, b, c], material, nodesRef);
-      const elem2 = createMembraneElement([a, c, d], material, nodesRef);
+      const quadMaterial = material.fiberDirs
+        ? { ...material, fiberDir: material.fiberDirs[i]?.[j] ?? null }
+        : material;
+      const elem1 = createMembraneElement([a, b, c], quadMaterial, nodesRef);
+      const elem2 = createMembraneElement([a, c, d], quadMaterial, nodesRef);
 
       totalCreated += 2;
 
@@ -1121,8 +1204,11 @@ function totalMembraneEnergyAndGrad(elements, nodesRef, nodesCur, dofMap) {
 
 /**
  * Calcula la presión total sobre todos los elementos de membrana
+ *
+ * @param {Array<number>} [elementScale] - Factor por elemento sobre `pressure`
+ *   (p. ej. ΔCp del modelo aerodinámico); sin él la presión es uniforme
  */
-function totalMembranePressure(elements, nodesCur, pressure, dofMap, sign = 1) {
+function totalMembranePressure(elements, nodesCur, pressure, dofMap, sign = 1, elementScale = null) {
   let totalWork = 0;
   const nDof = dofMap.nDof;
   const totalGrad = new Array(nDof).fill(0);
@@ -1130,8 +1216,10 @@ function totalMembranePressure(elements, nodesCur, pressure, dofMap, sign = 1) {
   const nodalForces = new Array(nodesCur.length);
   for (let i = 0; i < nodalForces.length; i++) nodalForces[i] = [0, 0, 0];
 
-  for (const elem of elements) {
-    const result = membranePressureLoad(elem, nodesCur, pressure, dofMap, sign);
+  for (let e = 0; e < elements.length; e++) {
+    const elem = elements[e];
+    const elemPressure = elementScale ? pressure * (elementScale[e] ?? 0) : pressure;
+    const result = membranePressureLoad(elem, nodesCur, elemPressure, dofMap, sign);
     totalWork += result.work;
     for (let i = 0; i < nDof; i++) {
       totalGrad[i] += result.grad[i];
@@ -1166,6 +1254,11 @@ module.exports = {
   membraneEnergyAndGrad,
   totalMembraneEnergyAndGrad,
 
+  // Material
+  membraneConstitutive,
+  orthotropicConstitutive,
+  stressInMaterialFrame,
+
   // Presión
   membranePressureLoad,
   totalMembranePressure,
@@ -0,0 +1,169 @@
+// ═══════════════════════════════════════════════════════════════════
+// FORMA DE LAS VELAS POR SECCIONES (franjas de trimado)
+// ═══════════════════════════════════════════════════════════════════
+// Corta la malla de la vela (filas i a lo largo del grátil, j=0 en el
+// grátil y j=nCols en la baluma) a fracciones t de la altura y mide lo
+// que miran veleros y entrenadores en las franjas:
+//   - profundidad (camber) máxima en % de la cuerda
+//   - posición del draft en % de la cuerda desde el grátil
+//   - twist: giro de la cuerda respecto al pie (botavara / pie del foque),
+//     positivo si la sección abre hacia sotavento
+//   - ángulos de entrada y salida respecto a la cuerda
+// Las secciones son materiales (interpolando entre filas), como las
+// franjas cosidas en la vela, y se miden en el plano horizontal que
+// contiene la cuerda.
+
+const { sub3, dot3, norm3, cross3 } = require("./math3.cjs");
+const { SNIPE_RULES_M } = require("./snipeRules.cjs");
+
+// Alturas por defecto: anchos SCIRA a ¼, ½ y ¾ (mismas fracciones que chordStations)
+const DEFAULT_SHAPE_HEIGHTS = [0.25, 0.5, 0.75];
+
+const RULE_WIDTHS_M = {
+  main: {
+    0.25: SNIPE_RULES_M.sails.mainsail.quarterWidthM,
+    0.5: SNIPE_RULES_M.sails.mainsail.halfWidthM,
+    0.75: SNIPE_RULES_M.sails.mainsail.threeQuarterWidthM
+  },
+  jib: {
+    0.5: SNIPE_RULES_M.sails.jib.halfWidthM
+  }
+};
+
+const RAD2DEG = 180 / Math.PI;
+
+function lerp3(a, b, u) {
+  return [a[0] + (b[0] - a[0]) * u, a[1] + (b[1] - a[1]) * u, a[2] + (b[2] - a[2]) * u];
+}
+
+/**
+ * Puntos de la sección a la fracción t del grátil (0 = pie, 1 = puño de driza).
+ * @param {number[][][]} P posiciones de la malla [i][j] -> [x,y,z]
+ */
+function sailSectionAt(P, t) {
+  const nRows = P.length - 1;
+  const tt = Math.min(1, Math.max(0, t)) * nRows;
+  const i0 = Math.min(nRows - 1, Math.floor(tt));
+  const u = nRows === 0 ? 0 : tt - i0;
+  if (nRows === 0) return P[0].map((p) => p.slice());
+  return P[i0].map((p, j) => lerp3(p, P[i0 + 1][j], u));
+}
+
+// Rumbo de la cuerda en planta: 0 = hacia popa en crujía, + hacia estribor
+function chordHeadingDeg(points) {
+  const c = sub3(points[points.length - 1], points[0]);
+  return Math.atan2(c[0], -c[1]) * RAD2DEG;
+}
+
+// Diferencia de rumbos en (−180°, 180°]: un giro pequeño que cruza proa no es ~360°
+function headingDiffDeg(a, b) {
+  const d = (a - b) % 360;
+  return d > 180 ? d - 360 : d <= -180 ? d + 360 : d;
+}
+
+/**
+ * Métricas de una sección (polilínea grátil → baluma).
+ * @returns {{ chordM, camberPct, draftPosPct, entryDeg, exitDeg, headingDeg, side }}
+ *   side: +1/-1 lado (x) hacia el que embolsa la sección (sotavento)
+ */
+function sectionShape(points) {
+  const n = points.length - 1;
+  const L = points[0];
+  const chord = sub3(points[n], L);
+  const c = norm3(chord);
+  if (!(c > 1e-9) || n < 2) {
+    return { chordM: c, camberPct: 0, draftPosPct: null, entryDeg: 0, exitDeg: 0, headingDeg: chordHeadingDeg(points), side: 1 };
+  }
+  const u = chord.map((v) => v / c);
+  // Normal horizontal a la cuerda; para cuerda hacia popa apunta a +x
+  const vRaw = cross3([0, 0, 1], u);
+  const vLen = norm3(vRaw);
+  const v = vLen > 1e-12 ? vRaw.map((x) => x / vLen) : [1, 0, 0];
+
+  const s = points.map((p) => dot3(sub3(p, L), u) / c);
+  const d = points.map((p) => dot3(sub3(p, L), v));
+
+  let sum = 0;
+  for (let k = 1; k < n; k++) sum += d[k];
+  const side = sum < 0 ? -1 : 1;
+  const depth = d.map((x) => x * side);
+
+  let k = 1;
+  for (let m = 2; m < n; m++) if (depth[m] > depth[k]) k = m;
+
+  // Vértice de la parábola por los tres puntos alrededor del máximo
+  let sMax = s[k];
+  let dMax = depth[k];
+  const x0 = s[k - 1], x1 = s[k], x2 = s[k + 1];
+  const y0 = depth[k - 1], y1 = depth[k], y2 = depth[k + 1];
+  const den = (x0 - x1) * (x0 - x2) * (x1 - x2);
+  if (Math.abs(den) > 1e-15) {
+    const a = (x2 * (y1 - y0) + x1 * (y0 - y2) + x0 * (y2 - y1)) / den;
+    const b = (x2 * x2 * (y0 - y1) + x1 * x1 * (y2 - y0) + x0 * x0 * (y1 - y2)) / den;
+    if (a < 0) {
+      const xv = -b / (2 * a);
+      if (xv >= x0 && xv <= x2) {
+        sMax = xv;
+        dMax = y1 + a * (xv - x1) * (xv - x1) + (2 * a * x1 + b) * (xv - x1);
+      }
+    }
+  }
+
+  return {
+    chordM: c,
+    camberPct: (100 * Math.max(0, dMax)) / c,
+    draftPosPct: dMax > 0 ? 100 * sMax : null,
+    entryDeg: Math.atan2(depth[1], Math.max(1e-12, s[1] * c)) * RAD2DEG,
+    exitDeg: Math.atan2(depth[n - 1], Math.max(1e-12, (1 - s[n - 1]) * c)) * RAD2DEG,
+    headingDeg: chordHeadingDeg(points),
+    side
+  };
+}
+
+/**
+ * Tabla de formas de una vela a las alturas pedidas.
+ * @param {number[][][]} P malla de posiciones
+ * @param {number[]} heights fracciones del grátil
+ * @param {"main"|"jib"} sail para asociar el ancho SCIRA de referencia
+ * @returns {{ t, zM, chordM, ruleWidthM, camberPct, draftPosPct, twistDeg, entryDeg, exitDeg }[]}
+ */
+function sailShapeSections(P, heights = DEFAULT_SHAPE_HEIGHTS, sail = "main") {
+  if (!Array.isArray(P) || P.length < 2) return [];
+  const foot = sectionShape(sailSectionAt(P, 0));
+  return heights.map((t) => {
+    const pts = sailSectionAt(P, t);
+    const shape = sectionShape(pts);
+    return {
+      t,
+      zM: pts[0][2],
+      chordM: shape.chordM,
+      ruleWidthM: RULE_WIDTHS_M[sail]?.[t] ?? null,
+      camberPct: shape.camberPct,
+      draftPosPct: shape.draftPosPct,
+      twistDeg: shape.side * headingDiffDeg(shape.headingDeg, foot.headingDeg),
+      entryDeg: shape.entryDeg,
+      exitDeg: shape.exitDeg
+    };
+  });
+}
+
+/**
+ * Formas de mayor y foque para cada estado (relaxed / prebend / loaded).
+ * @param {object} states { relaxed, prebend, loaded } con { main, jib } mallas de posiciones o null
+ * @param {number[]} [heights]
+ */
+function sailShapeAnalysis(states, heights = DEFAULT_SHAPE_HEIGHTS) {
+  const out = { heights: heights.slice() };
+  for (const key of ["relaxed", "prebend", "loaded"]) {
+    const grids = states?.[key];
+    out[key] = grids
+      ? {
+        main: grids.main ? sailShapeSections(grids.main, heights, "main") : null,
+        jib: grids.jib ? sailShapeSections(grids.jib, heights, "jib") : null
+      }
+      : null;
+  }
+  return out;
+}
+
+module.exports = { DEFAULT_SHAPE_HEIGHTS, sailSectionAt, sectionShape, sailShapeSections, sailShapeAnalysis };
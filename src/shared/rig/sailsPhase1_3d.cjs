@@ -1,6 +1,7 @@
 const { SNIPE_RULES_M } = require("./snipeRules.cjs");
 const { clamp, sub3, norm3, cross3 } = require("./math3.cjs");
 const { createMembraneMesh } = require("./sailMembrane3d.cjs");
+const { normalizeAeroConfig, apparentWind, aeroPressureField } = require("./aeroVlm.cjs");
 
 /**
  * VELAS 3D - MODELO DE MEMBRANA
@@ -149,11 +150,70 @@ function indexInArray(arr, value) {
   return idx;
 }
 
+// Tela tejida de Dacron típica: la trama (E1) mucho más rígida que la urdimbre
+// (E2) y muy blanda al bies (G12). Módulos en Pa sobre el espesor de la membrana.
+const DEFAULT_CLOTH = { E1: 2.5e9, E2: 1.2e9, G12: 1.0e8, nu12: 0.3, layout: "crosscut" };
+const CLOTH_LAYOUTS = ["crosscut", "radial", "vertical"];
+const BOOM_MODES = ["dirichlet", "free"];
+const CONTROL_LINE_MODES = ["tension", "length"];
+const JIB_SHEET_MODES = ["dirichlet", "cable"];
+
+function normalizeControlLine(input, defaults, name, sail = "main") {
+  const out = { ...defaults, ...(input && typeof input === "object" ? input : {}) };
+  if (!CONTROL_LINE_MODES.includes(out.mode)) throw new Error(`Invalid sails.${sail}.${name}.mode: ${out.mode}`);
+  out.tensionN = Math.max(0, Number.isFinite(out.tensionN) ? out.tensionN : defaults.tensionN);
+  out.lengthM = Number.isFinite(out.lengthM) && out.lengthM > 0 ? out.lengthM : null;
+  return out;
+}
+
+function normalizeCloth(cloth) {
+  if (!cloth || typeof cloth !== "object") return null;
+  const out = { ...DEFAULT_CLOTH, ...cloth };
+  for (const k of ["E1", "E2", "G12"]) {
+    if (!(Number.isFinite(out[k]) && out[k] > 0)) throw new Error(`Invalid sail cloth ${k}: ${out[k]}`);
+  }
+  // ν12 < √(E1/E2) para que la matriz constitutiva sea definida positiva
+  if (!(Number.isFinite(out.nu12) && out.nu12 >= 0 && out.nu12 < Math.sqrt(out.E1 / out.E2))) {
+    throw new Error(`Invalid sail cloth nu12: ${out.nu12}`);
+  }
+  if (!CLOTH_LAYOUTS.includes(out.layout)) throw new Error(`Invalid sail cloth layout: ${out.layout}`);
+  return out;
+}
+
+/**
+ * Dirección de la fibra (eje E1) por cuadrilátero según el corte de paños:
+ * - crosscut: trama paralela a la baluma (paños perpendiculares a ella)
+ * - vertical: paralela al grátil
+ * - radial: radial desde la esquina más cercana (puño de driza, escota o amura)
+ */
+function clothFiberDirections(P, layout) {
+  const nRows = P.length - 1;
+  const nCols = P[0].length - 1;
+  const unit = (v) => {
+    const n = norm3(v);
+    return n > 1e-12 ? [v[0] / n, v[1] / n, v[2] / n] : [0, 0, 1];
+  };
+  const leech = unit(sub3(P[nRows][nCols], P[0][nCols]));
+  const luff = unit(sub3(P[nRows][0], P[0][0]));
+  const corners = [P[nRows][0], P[0][nCols], P[0][0]];
+
+  return Array.from({ length: nRows }, (_, i) => Array.from({ length: nCols }, (_, j) => {
+    if (layout === "crosscut") return leech;
+    if (layout === "vertical") return luff;
+    const quad = [P[i][j], P[i + 1][j], P[i + 1][j + 1], P[i][j + 1]];
+    const centroid = [0, 1, 2].map((k) => quad.reduce((acc, p) => acc + p[k], 0) / 4);
+    const corner = corners.reduce((best, c) => (dist3(c, centroid) < dist3(best, centroid) ? c : best));
+    return unit(sub3(centroid, corner));
+  }));
+}
+
 function getDefaultSailsConfig() {
   return {
     enabled: false,
     windPressurePa: 0,
     windSign: 1,
+    // Modelo aerodinámico opcional: { model: "vlm", trueWindSpeedMs, trueWindAngleDeg, boatSpeedMs, heelDeg }
+    aero: null,
     main: {
       enabled: true,
       // Veleria: Forma de la vela
@@ -171,6 +231,18 @@ function getDefaultSailsConfig() {
       boomTiltDeg: 0,           // Ángulo vertical de la botavara (trapa/vang)
       outhaulMm: 0,             // Desplazamiento del puño de escota (foot tension)
       sheetLeadYM: -2.2,        // Posición del carro de escota
+      // Botavara: "dirichlet" (nodos fijos por boomAngleDeg/boomTiltDeg) o "free"
+      // (viga libre con rótula en la pluma, gobernada por escota, trapa y pajarín)
+      boomMode: "dirichlet",
+      sheetLeadXM: 0,           // Posición X del carro en la barra (modo free)
+      sheetLeadZM: 0,           // Altura del motón de escota en cubierta (modo free)
+      // Cabos del modo free: mode "tension" (tensionN constante) o "length" (cable de
+      // longitud lengthM; null = longitud de la geometría inicial de la botavara)
+      mainsheet: { mode: "tension", tensionN: 800, lengthM: null, boomFrac: 1 },
+      vang: { mode: "tension", tensionN: 400, lengthM: null, boomFrac: 0.3, mastDropM: 0.3 },
+      outhaul: { mode: "tension", tensionN: 200, lengthM: null, gapM: 0.08 },
+      // Tela ortótropa opcional { E1, E2, G12, nu12, layout }; null = isótropa (constants.membraneE)
+      cloth: null,
       mesh: { luffSegments: 12, chordSegments: 4 }
     },
     jib: {
@@ -188,13 +260,20 @@ function getDefaultSailsConfig() {
       sheetSideSign: 0,         // Lado del carro (-1=Er, 0=centro, +1=Br)
       sheetLeadXMm: 400,        // Posición X del carro (desde crujía)
       sheetLeadYMm: -1800,      // Posición Y del carro (desde palo)
+      // Escota: "dirichlet" (puño fijo, movido clewDisplaceMm hacia el carro) o "cable"
+      // (escota solo-tracción puño → carro → mordaza; el puño queda libre)
+      sheetMode: "dirichlet",
+      sheet: { mode: "tension", tensionN: 300, lengthM: null },
+      cleatXMm: 150,            // Mordaza (modo cable), mismo lado que el carro
+      cleatYMm: -2300,
+      cloth: null,
       mesh: { luffSegments: 8, chordSegments: 4 },
       stayTopSegments: 1
     }
   };
 }
 
-function normalizeSailsConfig(sails, geometry) {
+function normalizeSailsConfig(sails, geometry, load) {
   const defaults = getDefaultSailsConfig();
   const input = sails && typeof sails === "object" ? sails : {};
 
@@ -202,6 +281,7 @@ function normalizeSailsConfig(sails, geometry) {
     enabled: Boolean(input.enabled),
     windPressurePa: Number.isFinite(input.windPressurePa) ? input.windPressurePa : defaults.windPressurePa,
     windSign: Number.isFinite(input.windSign) ? (input.windSign >= 0 ? 1 : -1) : defaults.windSign,
+    aero: normalizeAeroConfig(input.aero, load?.heelDeg),
     main: { ...defaults.main, ...(input.main && typeof input.main === "object" ? input.main : {}) },
     jib: { ...defaults.jib, ...(input.jib && typeof input.jib === "object" ? input.jib : {}) }
   };
@@ -231,6 +311,18 @@ function normalizeSailsConfig(sails, geometry) {
   out.main.boomTiltDeg = clamp(Number(out.main.boomTiltDeg ?? 0), -10, 30);
   out.main.outhaulMm = clamp(Number(out.main.outhaulMm ?? 0), -50, 100);
   out.main.sheetLeadYM = Number.isFinite(out.main.sheetLeadYM) ? out.main.sheetLeadYM : defaults.main.sheetLeadYM;
+  out.main.cloth = normalizeCloth(out.main.cloth);
+  out.main.boomMode = out.main.boomMode ?? defaults.main.boomMode;
+  if (!BOOM_MODES.includes(out.main.boomMode)) throw new Error(`Invalid sails.main.boomMode: ${out.main.boomMode}`);
+  out.main.sheetLeadXM = clamp(Number(out.main.sheetLeadXM ?? 0), -1, 1);
+  out.main.sheetLeadZM = Number.isFinite(out.main.sheetLeadZM) ? out.main.sheetLeadZM : defaults.main.sheetLeadZM;
+  out.main.mainsheet = normalizeControlLine(out.main.mainsheet, defaults.main.mainsheet, "mainsheet");
+  out.main.mainsheet.boomFrac = clamp(Number(out.main.mainsheet.boomFrac), 0.1, 1);
+  out.main.vang = normalizeControlLine(out.main.vang, defaults.main.vang, "vang");
+  out.main.vang.boomFrac = clamp(Number(out.main.vang.boomFrac), 0.1, 1);
+  out.main.vang.mastDropM = Math.max(0, Number(out.main.vang.mastDropM) || 0);
+  out.main.outhaul = normalizeControlLine(out.main.outhaul, defaults.main.outhaul, "outhaul");
+  out.main.outhaul.gapM = clamp(Number(out.main.outhaul.gapM), 0.02, 0.3);
   out.main.mesh = {
     luffSegments: clamp(Math.trunc(out.main.mesh?.luffSegments ?? defaults.main.mesh.luffSegments), 2, 40),
     chordSegments: clamp(Math.trunc(out.main.mesh?.chordSegments ?? defaults.main.mesh.chordSegments), 2, 40)
@@ -258,6 +350,12 @@ function normalizeSailsConfig(sails, geometry) {
   out.jib.sheetSideSign = Number.isFinite(out.jib.sheetSideSign) ? Math.sign(out.jib.sheetSideSign) : defaults.jib.sheetSideSign;
   out.jib.sheetLeadXMm = clamp(Number(out.jib.sheetLeadXMm ?? defaults.jib.sheetLeadXMm), 0, 600);
   out.jib.sheetLeadYMm = clamp(Number(out.jib.sheetLeadYMm ?? defaults.jib.sheetLeadYMm), -2500, 0);
+  out.jib.cloth = normalizeCloth(out.jib.cloth);
+  out.jib.sheetMode = out.jib.sheetMode ?? defaults.jib.sheetMode;
+  if (!JIB_SHEET_MODES.includes(out.jib.sheetMode)) throw new Error(`Invalid sails.jib.sheetMode: ${out.jib.sheetMode}`);
+  out.jib.sheet = normalizeControlLine(out.jib.sheet, defaults.jib.sheet, "sheet", "jib");
+  out.jib.cleatXMm = clamp(Number(out.jib.cleatXMm ?? defaults.jib.cleatXMm), 0, 600);
+  out.jib.cleatYMm = clamp(Number(out.jib.cleatYMm ?? defaults.jib.cleatYMm), -3000, 0);
   out.jib.mesh = {
     luffSegments: clamp(Math.trunc(out.jib.mesh?.luffSegments ?? defaults.jib.mesh.luffSegments), 2, 40),
     chordSegments: clamp(Math.trunc(out.jib.mesh?.chordSegments ?? defaults.jib.mesh.chordSegments), 2, 40)
@@ -267,6 +365,55 @@ function normalizeSailsConfig(sails, geometry) {
   return out;
 }
 
+/**
+ * Escota, trapa y pajarín de la botavara libre.
+ * - mode "tension": fuerza constante tensionN (escalada con la fase de driza)
+ * - mode "length": cable solo-tracción de longitud lengthM (por defecto la de la
+ *   geometría inicial, de modo que la botavara arranca donde la dejan los ángulos)
+ * El carril del puño se aproxima con un muelle relativo vertical puño–extremo.
+ * @returns {{ mainsheet, vang, outhaul }} nombres de los elementos axiales
+ */
+function addBoomControlLines({ model, cfg, boomBeamIds, clewId, tackNodeId, scale, rigEA }) {
+  const nSeg = boomBeamIds.length - 1;
+  const boomNodeAt = (frac) => boomBeamIds[clamp(Math.round(frac * nSeg), 1, nSeg)];
+
+  const addLine = (name, i, j, line, lengthDefault) => {
+    if (line.mode === "tension") {
+      addAxial(model, { name, i, j, N: scale * line.tensionN, kind: "tension" });
+    } else {
+      addAxial(model, {
+        name,
+        i,
+        j,
+        kind: "cable",
+        EA: rigEA,
+        L0: line.lengthM ?? lengthDefault ?? dist3(model.nodes[i].p0, model.nodes[j].p0),
+        compressionEps: 0.01,
+        smoothDeltaM: 1e-4
+      });
+    }
+    return name;
+  };
+
+  // Escota: del carro (fijo) al punto de escota de la botavara
+  const leadId = addNode3d(model, "mainsheet_lead", [cfg.sheetLeadXM, cfg.sheetLeadYM, cfg.sheetLeadZM], true);
+  const mainsheet = addLine("mainsheet", leadId, boomNodeAt(cfg.mainsheet.boomFrac), cfg.mainsheet);
+
+  // Trapa: del palo (bajo la pluma) a la botavara
+  const iTack = indexInArray(model.mastNodeIds, tackNodeId);
+  const zVang = model.nodes[tackNodeId].p0[2] - cfg.vang.mastDropM;
+  let vangMastId = findClosestNodeIdByZ(model, zVang);
+  if (vangMastId === tackNodeId && iTack > 0) vangMastId = model.mastNodeIds[iTack - 1];
+  const vang = addLine("vang", vangMastId, boomNodeAt(cfg.vang.boomFrac), cfg.vang);
+
+  // Pajarín: del puño al extremo de la botavara; outhaulMm acorta la longitud inicial
+  const outhaulL0 = Math.max(0.005, cfg.outhaul.gapM - (cfg.outhaulMm || 0) / 1000);
+  const outhaul = addLine("outhaul", clewId, boomBeamIds[nSeg], cfg.outhaul, outhaulL0);
+  model.springs.push({ name: "main_clew_slide", nodeIdA: clewId, nodeIdB: boomBeamIds[nSeg], kx: 0, ky: 0, kz: 1e5 });
+
+  return { mainsheet, vang, outhaul };
+}
+
 // 3D version: forces are [fx, fy, fz]
 function addNode3d(model, name, p0, fixed) {
   const id = model.nodes.length;
@@ -505,7 +652,7 @@ function addShapeSpringsForGrid3d({ model, grid, kx, ky, kz, namePrefix }) {
 }
 
 function applySailsPhase1ToModel3d({ model, geometry, state, constants, sails }) {
-  const cfg = normalizeSailsConfig(sails, geometry);
+  const cfg = normalizeSailsConfig(sails, geometry, state?.load);
   if (!cfg.enabled) return model;
 
   // Rigidez de la jarcia (forestay, obenques)
@@ -514,6 +661,8 @@ function applySailsPhase1ToModel3d({ model, geometry, state, constants, sails })
   const boomEA = constants.boomEA ?? 1.0e2;
   // Rigidez a flexión de la botavara
   const boomEI = constants.boomEI ?? 5000;
+  // Rigidez axial de la botavara libre (con escota y trapa reales)
+  const freeBoomEA = constants.freeBoomEA ?? 1.0e7;
 
   /**
    * PROPIEDADES DEL MATERIAL DE MEMBRANA PARA VELAS
@@ -543,8 +692,12 @@ function applySailsPhase1ToModel3d({ model, geometry, state, constants, sails })
    *   - Demasiado bajo: inestabilidad numérica
    *   - Demasiado alto: vela demasiado rígida
    */
+  // Con VLM la presión de referencia es la dinámica q del viento aparente y el
+  // reparto por panel lo da ΔCp (sin el factor de empopada del perfil sintético)
   const modeScale = state?.load?.mode === "downwind" ? 0.3 : 1.0;
-  const effPressure = (state?.loadScale ?? 0) * cfg.windPressurePa * modeScale;
+  const aeroWind = cfg.aero ? apparentWind({ ...cfg.aero, windSign: cfg.windSign }) : null;
+  const refPressure = aeroWind ? aeroWind.dynamicPressurePa : cfg.windPressurePa;
+  const effPressure = (state?.loadScale ?? 0) * refPressure * (aeroWind ? 1 : modeScale);
 
   /**
    * PARÁMETROS DE MEMBRANA BASADOS EN FÍSICA REAL
@@ -574,7 +727,7 @@ function applySailsPhase1ToModel3d({ model, geometry, state, constants, sails })
 
   // Tensión de equilibrio esperada bajo presión máxima
   // σ_eq = P * R / (2 * t)
-  const maxPressure = Math.max(cfg.windPressurePa, 50); // Mínimo 50 Pa para estabilidad
+  const maxPressure = Math.max(refPressure, 50); // Mínimo 50 Pa para estabilidad
   const expectedEquilibriumStress = (maxPressure * expectedCurvatureRadius) / (2 * membraneThickness);
 
   // Pretensión: SOLO para estabilidad numérica, NO proporcional a loadScale
@@ -632,51 +785,72 @@ function applySailsPhase1ToModel3d({ model, geometry, state, constants, sails })
     const effectiveDraftPos = clamp(cfg.main.draftPos - cunninghamEffect, 0.1, 0.9);
     const effectiveDraftPosSections = (cfg.main.draftPosSections || []).map((p) => clamp(p - cunninghamEffect, 0.1, 0.9));
 
-    // DIRICHLET: Boom position based on angle controls (not cables)
+    // Boom position based on angle controls: Dirichlet BC, or initial geometry of the free boom
     const boomSeg = cfg.main.mesh.chordSegments;
     const boomAngleRad = (cfg.main.boomAngleDeg || 0) * Math.PI / 180;
     const boomTiltRad = (cfg.main.boomTiltDeg || 0) * Math.PI / 180;
     const outhaulOffsetM = (cfg.main.outhaulMm || 0) / 1000;
+    const freeBoom = cfg.main.boomMode === "free";
 
     // Boom lies on a plane tilted by boomTiltDeg, rotated by boomAngleDeg around mast
     // At angle=0, boom points directly aft (-Y)
     // Positive angle rotates boom to starboard (+X direction)
+    const boomPoint = (dist) => [
+      dist * Math.sin(boomAngleRad),
+      -dist * Math.cos(boomAngleRad),
+      tackZSnap + dist * Math.sin(boomTiltRad)
+    ];
+
     const boomNodeIds = new Array(boomSeg + 1);
     boomNodeIds[0] = tackNodeId;
 
     for (let j = 1; j <= boomSeg; j++) {
       const t = j / boomSeg;
+      if (freeBoom && j === boomSeg) {
+        // Puño de escota separado de la botavara: lo sujeta el pajarín
+        boomNodeIds[j] = addNode3d(model, "main_clew", boomPoint(cfg.main.footLengthM), false);
+        continue;
+      }
       const dist = cfg.main.footLengthM * t + (j === boomSeg ? outhaulOffsetM : 0);
-      // Horizontal projection
-      const xProj = dist * Math.sin(boomAngleRad);
-      const yProj = -dist * Math.cos(boomAngleRad);
-      // Vertical offset from tilt
-      const zOffset = dist * Math.sin(boomTiltRad);
-
-      const boomX = xProj;
-      const boomY = yProj;
-      const boomZ = tackZSnap + zOffset;
-
-      // DIRICHLET: Boom nodes are FIXED at their prescribed positions
-      boomNodeIds[j] = addNode3d(model, `boom_${j}`, [boomX, boomY, boomZ], true);
+      // DIRICHLET: Boom nodes are FIXED at their prescribed positions (free mode: unknowns)
+      boomNodeIds[j] = addNode3d(model, `boom_${j}`, boomPoint(dist), !freeBoom);
+    }
+
+    // Nodos de la viga botavara (en modo free el último es el extremo, más allá del puño)
+    const boomBeamIds = boomNodeIds.slice();
+    if (freeBoom) {
+      boomBeamIds[boomSeg] = addNode3d(model, "boom_end", boomPoint(cfg.main.footLengthM + cfg.main.outhaul.gapM), false);
     }
 
-    // Boom bars for visualization (stiff, but nodes are fixed)
+    // Boom bars (Dirichlet: visualization only, nodes are fixed)
     for (let j = 0; j < boomSeg; j++) {
-      const a = boomNodeIds[j];
-      const b = boomNodeIds[j + 1];
+      const a = boomBeamIds[j];
+      const b = boomBeamIds[j + 1];
       const L = dist3(model.nodes[a].p0, model.nodes[b].p0);
-      addAxial(model, { name: `boom_seg_${j + 1}`, i: a, j: b, EA: boomEA, L0: L, kind: "bar" });
+      addAxial(model, { name: `boom_seg_${j + 1}`, i: a, j: b, EA: freeBoom ? freeBoomEA : boomEA, L0: L, kind: "bar" });
     }
     model.beams.push({
       name: "boom",
-      nodeIds: boomNodeIds,
+      // La pluma es el extremo de la viga: rótula, sin momento hacia el palo
+      nodeIds: freeBoom ? boomBeamIds : boomNodeIds,
       ds: cfg.main.footLengthM / boomSeg,
-      EI: boomEI
+      EI: boomEI,
+      bending: freeBoom
     });
 
-    // NO mainsheet cable - position is controlled by Dirichlet BC (fixed boom nodes)
-    // NO vang cable - vertical position is controlled by boomTiltDeg
+    let boomControls = null;
+    if (freeBoom) {
+      boomControls = addBoomControlLines({
+        model,
+        cfg: cfg.main,
+        boomBeamIds,
+        clewId: boomNodeIds[boomSeg],
+        tackNodeId,
+        scale: Number.isFinite(state?.halyardScale) ? state.halyardScale : 1,
+        rigEA
+      });
+    }
+    // Dirichlet: NO mainsheet/vang cables - position is controlled by fixed boom nodes
 
     const chordStations = [
       { t: 0, v: cfg.main.footLengthM },
@@ -703,13 +877,18 @@ function applySailsPhase1ToModel3d({ model, geometry, state, constants, sails })
     // ═══════════════════════════════════════════════════════════════════
     // MODELO DE MEMBRANA PARA VELA MAYOR
     // ═══════════════════════════════════════════════════════════════════
+    const mainCloth = cfg.main.cloth;
     const mainMembranes = createMembraneMesh(grid, {
       E: membraneMaterial.E,
       nu: membraneMaterial.nu,
       thickness: membraneMaterial.thickness,
       prestress: membraneMaterial.prestress,
       wrinklingEps: membraneMaterial.wrinklingEps,
-      maxStrain: membraneMaterial.maxStrain
+      maxStrain: membraneMaterial.maxStrain,
+      ...(mainCloth ? {
+        orthotropic: { E1: mainCloth.E1, E2: mainCloth.E2, G12: mainCloth.G12, nu12: mainCloth.nu12 },
+        fiberDirs: clothFiberDirections(sailGridPositions(grid, model.nodes.map((n) => n.p0)), mainCloth.layout)
+      } : {})
     });
 
     // Añadir membranas al modelo
@@ -726,7 +905,7 @@ function applySailsPhase1ToModel3d({ model, geometry, state, constants, sails })
       namePrefix: "stab_main"
     });
 
-    model.sails.main = { gridNodeIds: grid, nRows, nCols, boomNodeIds, membraneCount: mainMembranes.length };
+    model.sails.main = { gridNodeIds: grid, nRows, nCols, boomNodeIds, boomControls, membraneCount: mainMembranes.length };
   }
 
   // --- JIB + STAY + SHEET ---
@@ -897,18 +1076,54 @@ function applySailsPhase1ToModel3d({ model, geometry, state, constants, sails })
       clewP0[1] + vecToLead[1] * tLead,
       clewP0[2] + vecToLead[2] * tLead
     ];
-    model.nodes[jibClewId].fixed = true;
+    let sheetLine = null;
+    if (cfg.jib.sheetMode === "cable") {
+      // Escota real: el puño queda libre y lo sujeta la escota a través del carro.
+      // clewDisplaceMm solo fija la posición inicial (y la longitud por defecto).
+      const side = cfg.jib.sheetSideSign || 0;
+      const fairleadId = addNode3d(model, "jib_fairlead", [leadX, leadY, leadZ], true);
+      const sheet = cfg.jib.sheet;
+      if (sheet.mode === "tension") {
+        const halyardScale = Number.isFinite(state?.halyardScale) ? state.halyardScale : 1;
+        addAxial(model, { name: "jib_sheet", i: fairleadId, j: jibClewId, N: halyardScale * sheet.tensionN, kind: "tension" });
+      } else {
+        // La mordaza solo existe en modo longitud (extremo del cable_path)
+        const cleatId = addNode3d(model, "jib_cleat", [side * (cfg.jib.cleatXMm / 1000), cfg.jib.cleatYMm / 1000, leadZ], true);
+        const pClew = model.nodes[jibClewId].p0;
+        const pLead = model.nodes[fairleadId].p0;
+        const pCleat = model.nodes[cleatId].p0;
+        addAxial(model, {
+          name: "jib_sheet",
+          i: jibClewId,
+          k: fairleadId,
+          j: cleatId,
+          kind: "cable_path",
+          EA: rigEA,
+          L0: sheet.lengthM ?? (dist3(pClew, pLead) + dist3(pLead, pCleat)),
+          compressionEps: 0.01,
+          smoothDeltaM: 1e-4
+        });
+      }
+      sheetLine = "jib_sheet";
+    } else {
+      model.nodes[jibClewId].fixed = true;
+    }
 
     // ═══════════════════════════════════════════════════════════════════
     // MODELO DE MEMBRANA PARA FOQUE
     // ═══════════════════════════════════════════════════════════════════
+    const jibCloth = cfg.jib.cloth;
     const jibMembranes = createMembraneMesh(grid, {
       E: membraneMaterial.E,
       nu: membraneMaterial.nu,
       thickness: membraneMaterial.thickness,
       prestress: membraneMaterial.prestress,
       wrinklingEps: membraneMaterial.wrinklingEps,
-      maxStrain: membraneMaterial.maxStrain
+      maxStrain: membraneMaterial.maxStrain,
+      ...(jibCloth ? {
+        orthotropic: { E1: jibCloth.E1, E2: jibCloth.E2, G12: jibCloth.G12, nu12: jibCloth.nu12 },
+        fiberDirs: clothFiberDirections(sailGridPositions(grid, model.nodes.map((n) => n.p0)), jibCloth.layout)
+      } : {})
     });
 
     // Añadir membranas al modelo
@@ -925,7 +1140,7 @@ function applySailsPhase1ToModel3d({ model, geometry, state, constants, sails })
       namePrefix: "stab_jib"
     });
 
-    model.sails.jib = { gridNodeIds: grid, nRows, nCols, stayNodeIds, membraneCount: jibMembranes.length };
+    model.sails.jib = { gridNodeIds: grid, nRows, nCols, stayNodeIds, sheetLine, membraneCount: jibMembranes.length };
   }
 
   // VALIDACIÓN FINAL: Asegurar que no hay posiciones locas
@@ -946,6 +1161,19 @@ function applySailsPhase1ToModel3d({ model, geometry, state, constants, sails })
       value: effPressure,
       sign: cfg.windSign >= 0 ? -1 : 1  // Dirección según amura
     };
+
+    // ΔCp por panel (VLM) sobre la geometría de referencia; el FSI segregado
+    // lo recalcula sobre la forma deformada en cada iteración
+    if (cfg.aero && effPressure > 0) {
+      const field = aeroPressureField({
+        model,
+        nodesPos: model.nodes.map((n) => n.p0),
+        aero: cfg.aero,
+        windSign: cfg.windSign
+      });
+      model.membranePressure.elementScale = field.elementScale;
+      model.aero = { config: cfg.aero, windSign: cfg.windSign, report: field.report };
+    }
   }
 
   return model;
@@ -958,4 +1186,4 @@ function sailGridPositions(gridNodeIds, nodesPos) {
   }));
 }
 
-module.exports = { applySailsPhase1ToModel3d, normalizeSailsConfig, sailGridPositions };
+module.exports = { applySailsPhase1ToModel3d, normalizeSailsConfig, sailGridPositions, clothFiberDirections, DEFAULT_CLOTH };
@@ -0,0 +1,157 @@
+// ═══════════════════════════════════════════════════════════════════
+// OLA: CARGAS DE INERCIA POR CABECEO Y ARFADA (CUASI-ESTÁTICO)
+// ═══════════════════════════════════════════════════════════════════
+// Con mar corta el Snipe cabecea y el aparejo ve fuerzas de inercia que el
+// cálculo estático ignora. Sin resolver la dinámica, cada instante del ciclo
+// se trata como un estado de equilibrio con fuerzas de d'Alembert en los
+// nodos:
+//
+//   F_i = −m_i · a_i,   a_i = α × (p_i − pivote) + (0, 0, z̈)
+//
+// - α: aceleración angular de cabeceo (rad/s², + = proa abajo, mismo
+//   signo que load.pitchDeg), alrededor del eje X por el pivote
+// - z̈: aceleración de arfada (m/s², + = arriba)
+// - m_i: masas de peso propio (buildSelfWeightMass3d: palo, crucetas,
+//   jarcia, botavara y tela)
+//
+// payload.seaState:
+//   { mode: "sinusoidal", pitchAmplitudeDeg, heaveAmplitudeM, periodS,
+//     heavePhaseDeg, samples, pitchAxisYM, pitchAxisZM }
+//   { mode: "series", series: [{ tS, pitchAccRadS2, heaveAccMs2 }], ... }
+// Se supone que el modo propio del aparejo está muy por encima de la
+// frecuencia de encuentro (≈0.4 Hz); si no, hace falta un cálculo transitorio.
+
+const { buildSelfWeightMass3d } = require("./massPhase1_3d.cjs");
+const { hullReference } = require("./rigMetrics.cjs");
+
+const SEA_STATE_MODES = ["sinusoidal", "series"];
+const SEA_STATE_DEFAULTS = {
+  pitchAmplitudeDeg: 0,
+  heaveAmplitudeM: 0,
+  periodS: 2.5,
+  heavePhaseDeg: 90, // La arfada va por delante del cabeceo un cuarto de ciclo
+  samples: 12
+};
+
+/**
+ * Pivote del cabeceo (m): por defecto mitad de eslora (entre proa y espejo)
+ * a la altura del pie del palo.
+ */
+function pitchAxis(seaState, geometry = {}) {
+  const hull = hullReference(geometry);
+  return {
+    yM: Number.isFinite(seaState?.pitchAxisYM) ? seaState.pitchAxisYM : 0.5 * ((geometry.bowYM ?? 0) + hull.transomYM),
+    zM: Number.isFinite(seaState?.pitchAxisZM) ? seaState.pitchAxisZM : 0
+  };
+}
+
+/**
+ * Serie de aceleraciones del ciclo: [{ tS, pitchAccRadS2, heaveAccMs2 }].
+ * En modo sinusoidal θ = A·sin(ωt) y z = H·sin(ωt + φ), muestreados en un
+ * periodo (samples instantes equiespaciados).
+ */
+function seaStateSeries(seaState) {
+  const s = { ...SEA_STATE_DEFAULTS, ...seaState };
+  if (s.mode === "series") {
+    return s.series.map((p) => ({
+      tS: p.tS,
+      pitchAccRadS2: p.pitchAccRadS2 ?? 0,
+      heaveAccMs2: p.heaveAccMs2 ?? 0
+    }));
+  }
+  const w = (2 * Math.PI) / s.periodS;
+  const A = (s.pitchAmplitudeDeg * Math.PI) / 180;
+  const phase = (s.heavePhaseDeg * Math.PI) / 180;
+  const out = [];
+  for (let k = 0; k < s.samples; k++) {
+    const tS = (k * s.periodS) / s.samples;
+    out.push({
+      tS,
+      pitchAccRadS2: -A * w * w * Math.sin(w * tS),
+      heaveAccMs2: -s.heaveAmplitudeM * w * w * Math.sin(w * tS + phase)
+    });
+  }
+  return out;
+}
+
+/**
+ * Comprueba payload.seaState (lanza Error con el campo inválido).
+ */
+function validateSeaState(seaState) {
+  if (seaState === null || typeof seaState !== "object") throw new Error("Invalid seaState: expected object");
+  const mode = seaState.mode ?? "sinusoidal";
+  if (!SEA_STATE_MODES.includes(mode)) throw new Error(`Invalid seaState.mode: ${seaState.mode}`);
+  for (const k of ["pitchAmplitudeDeg", "heaveAmplitudeM", "periodS", "heavePhaseDeg", "pitchAxisYM", "pitchAxisZM"]) {
+    if (seaState[k] !== undefined && !Number.isFinite(seaState[k])) throw new Error(`Invalid seaState.${k}: ${seaState[k]}`);
+  }
+  if (seaState.periodS !== undefined && !(seaState.periodS > 0)) throw new Error(`Invalid seaState.periodS: ${seaState.periodS}`);
+  if (seaState.samples !== undefined && !(Number.isInteger(seaState.samples) && seaState.samples >= 2)) {
+    throw new Error(`Invalid seaState.samples: ${seaState.samples}`);
+  }
+  if (mode === "series") {
+    if (!Array.isArray(seaState.series) || seaState.series.length === 0) throw new Error("Invalid seaState.series: expected non-empty array");
+    seaState.series.forEach((p, i) => {
+      for (const k of ["tS", "pitchAccRadS2", "heaveAccMs2"]) {
+        if (k === "tS" ? !Number.isFinite(p?.tS) : p?.[k] !== undefined && !Number.isFinite(p[k])) {
+          throw new Error(`Invalid seaState.series[${i}].${k}: ${p?.[k]}`);
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Suma a model.forces las fuerzas de inercia de un instante del ciclo.
+ * @param {object} model modelo 3D
+ * @param {object} opts { sample, axis: { yM, zM }, massInput, scale }
+ * @returns {{ totalMassKg: number }}
+ */
+function applyInertialLoads3d(model, { sample, axis, massInput, scale = 1 } = {}) {
+  const { nodeMassKg, totalMassKg } = buildSelfWeightMass3d(model, massInput);
+  const alpha = sample.pitchAccRadS2 ?? 0;
+  const heave = sample.heaveAccMs2 ?? 0;
+  for (const node of model.nodes) {
+    const m = nodeMassKg[node.id];
+    if (!(m > 0)) continue;
+    const ry = node.p0[1] - axis.yM;
+    const rz = node.p0[2] - axis.zM;
+    // α (proa abajo) = −α·X:  α × r = (0, α·rz, −α·ry)
+    const a = [0, alpha * rz, -alpha * ry + heave];
+    const f = model.forces[node.id] ?? [0, 0, 0];
+    model.forces[node.id] = [f[0] - scale * m * a[0], f[1] - scale * m * a[1], f[2] - scale * m * a[2]];
+  }
+  return { totalMassKg };
+}
+
+/** Mínimo, máximo y rango de una tensión a lo largo del ciclo. */
+function tensionRange(values, staticN) {
+  const finite = values.filter(Number.isFinite);
+  if (!finite.length) return null;
+  const minN = Math.min(...finite);
+  const maxN = Math.max(...finite);
+  return { staticN, minN, maxN, rangeN: maxN - minN, peakFactor: staticN > 0 ? maxN / staticN : null };
+}
+
+/**
+ * Resumen del ciclo: pico y rango de estay y obenques.
+ * @param {object[]} samples [{ forestayN, shroudPortN, shroudStbdN, ... }]
+ * @param {object} tensions tensiones del estado estático (outputs.tensions)
+ */
+function seaStateSummary(samples, tensions) {
+  const pick = (key) => samples.map((s) => s[key]);
+  return {
+    forestayN: tensionRange(pick("forestayN"), tensions.forestayN),
+    shroudPortN: tensionRange(pick("shroudPortN"), tensions.shroudPortN),
+    shroudStbdN: tensionRange(pick("shroudStbdN"), tensions.shroudStbdN)
+  };
+}
+
+module.exports = {
+  SEA_STATE_MODES,
+  SEA_STATE_DEFAULTS,
+  pitchAxis,
+  seaStateSeries,
+  validateSeaState,
+  applyInertialLoads3d,
+  seaStateSummary
+};
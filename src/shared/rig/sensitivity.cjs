@@ -0,0 +1,153 @@
+// ═══════════════════════════════════════════════════════════════════
+// SENSIBILIDAD (TORNADO) DE LOS CONTROLES DE TRIMADO
+// ═══════════════════════════════════════════════════════════════════
+// Para cada parámetro (controls.* y stiffness.*) se resuelve el rig con
+// valor ± paso, arrancando en caliente desde el estado convergido base
+// (payload.warmStart), y se reportan diferencias centrales (laterales si un
+// lado no converge) de:
+//   forestayN, shroudPortN, shroudStbdN, mastheadDeflectionM, maxPrebendM
+//
+// normalized = (f+ − f−) / 2 / max(|f0|, suelo): cambio relativo de la salida
+// por paso del parámetro (el suelo evita dividir por ~0 en flechas pequeñas).
+
+const { runPhase1Simulation, inactiveControls } = require("./runPhase1.cjs");
+const { applySweepPoint } = require("./sweep.cjs");
+const { applyGaugeInputs } = require("./loosGauge.cjs");
+const { resolveMastStiffness } = require("./mastSections.cjs");
+const { mastCurveMetrics } = require("./rigMetrics.cjs");
+
+// Parámetros por defecto. relative: paso como fracción del valor base.
+// fallback: valor que usa runPhase1 si el campo no viene en el payload ni en su
+// stiffness.sectionId.
+// common: campo común del que hereda el valor (perfiles de EI por eje).
+const SENSITIVITY_PARAMETERS = [
+  { field: "controls.spreaderLengthM", step: 0.005 },
+  { field: "controls.spreaderSweepAftM", step: 0.005 },
+  { field: "controls.shroudDeltaL0PortM", step: 0.0005 },
+  { field: "controls.shroudDeltaL0StbdM", step: 0.0005 },
+  { field: "controls.jibHalyardTensionN", step: 50 },
+  { field: "controls.partnersKx", step: 0.1, relative: true },
+  { field: "controls.partnersKy", step: 0.1, relative: true },
+  { field: "controls.partnersOffsetXM", step: 0.001, fallback: 0 },
+  { field: "controls.partnersOffsetYM", step: 0.001, fallback: 0 },
+  { field: "stiffness.mastEIxBase", step: 0.05, relative: true, common: "stiffness.mastEIBase", fallback: 7500 },
+  { field: "stiffness.mastEIxTop", step: 0.05, relative: true, common: "stiffness.mastEITop", fallback: 3500 },
+  { field: "stiffness.taperStartXZM", step: 0.1, common: "stiffness.taperStartZM", fallback: 4.5 },
+  { field: "stiffness.mastEIyBase", step: 0.05, relative: true, common: "stiffness.mastEIBase", fallback: 7500 },
+  { field: "stiffness.mastEIyTop", step: 0.05, relative: true, common: "stiffness.mastEITop", fallback: 3500 },
+  { field: "stiffness.taperStartYZM", step: 0.1, common: "stiffness.taperStartZM", fallback: 4.5 }
+];
+
+// Salidas analizadas y suelo de normalización (N o m)
+const SENSITIVITY_METRICS = {
+  forestayN: 100,
+  shroudPortN: 100,
+  shroudStbdN: 100,
+  mastheadDeflectionM: 1e-3,
+  maxPrebendM: 1e-3
+};
+
+function readField(payload, field) {
+  return field.split(".").reduce((obj, k) => (obj == null ? undefined : obj[k]), payload);
+}
+
+function sensitivityMetrics(result, geometry) {
+  const o = result?.outputs;
+  if (!o) return null;
+  const relaxed = o.mastCurveRelaxed || [];
+  const loaded = o.mastCurveLoaded || [];
+  const top0 = relaxed[relaxed.length - 1];
+  const top1 = loaded[loaded.length - 1];
+  return {
+    forestayN: o.tensions?.forestayN,
+    shroudPortN: o.tensions?.shroudPortN,
+    shroudStbdN: o.tensions?.shroudStbdN,
+    mastheadDeflectionM: top0 && top1 ? Math.hypot(top1.x - top0.x, top1.y - top0.y) : 0,
+    maxPrebendM: mastCurveMetrics(o.mastCurvePrebend, geometry)?.maxPrebendM ?? 0
+  };
+}
+
+/**
+ * @param {object} args
+ * @param {object} args.payload payload base de runPhase1Simulation
+ * @param {object} [args.options] { parameters: [field...], steps: { field: paso absoluto } }
+ * @param {function} [args.onProgress] callback({ completed, total, field })
+ * @returns {{ base, parameters, ranking }}
+ *   parameters[k]: { field, value, step, converged, method, low, high, derivatives, normalized }
+ *   (low/high: cambio de cada salida en valor ∓ paso; null si ese lado no converge)
+ *   ranking[metric]: campos ordenados por |normalized| descendente
+ */
+function analyzeSensitivity({ payload, options = {}, onProgress } = {}) {
+  if (!payload || typeof payload !== "object") throw new Error("Missing payload");
+  // Driza leída en Loos → N antes de perturbarla (jibHalyardLoos pisaría cada cambio)
+  payload = applyGaugeInputs(payload);
+  // Lo que fija un herraje o sustituyen los calzos no tiene derivada
+  const inactive = inactiveControls(payload);
+  const wanted = options.parameters ?? SENSITIVITY_PARAMETERS.map((p) => p.field).filter((f) => !inactive.has(f));
+  const steps = options.steps || {};
+  // Valores de partida con stiffness.sectionId ya resuelto, como los ve runPhase1
+  const resolved = { ...payload, stiffness: resolveMastStiffness(payload.stiffness || {}) };
+
+  const specs = wanted.map((field) => {
+    const spec = SENSITIVITY_PARAMETERS.find((p) => p.field === field);
+    if (!spec && !Number.isFinite(steps[field])) throw new Error(`Unknown sensitivity parameter: ${field}`);
+    if (inactive.has(field)) throw new Error(`Sensitivity parameter ${field} is ${inactive.get(field)}`);
+    const current = readField(resolved, field);
+    const common = spec?.common ? readField(resolved, spec.common) : undefined;
+    const value = Number.isFinite(current) ? current : Number.isFinite(common) ? common : spec?.fallback;
+    if (!Number.isFinite(value)) throw new Error(`Missing value for sensitivity parameter: ${field}`);
+    const step = Number.isFinite(steps[field]) ? steps[field] : spec.relative ? spec.step * Math.abs(value) : spec.step;
+    if (!(step > 0)) throw new Error(`Invalid sensitivity step for ${field}: ${step}`);
+    return { field, value, step };
+  });
+
+  // Pandeo/modal no aportan a la sensibilidad y encarecen cada solve
+  const basePayload = { ...payload, analysis: {} };
+  const baseResult = runPhase1Simulation({ ...basePayload, solver: { ...basePayload.solver, returnWarmStart: true } });
+  const base = sensitivityMetrics(baseResult, payload.geometry);
+  if (!baseResult.converged || !base) throw new Error(`Base state did not converge: ${baseResult.reason ?? "unknown"}`);
+  const warmStart = baseResult.diagnostics.warmStart;
+
+  const total = specs.length * 2;
+  let completed = 0;
+  const solveAt = (field, value) => {
+    const p = applySweepPoint(basePayload, { values: { [field]: value } });
+    const r = runPhase1Simulation({ ...p, warmStart });
+    completed++;
+    if (onProgress) onProgress({ completed, total, field });
+    return { converged: Boolean(r.converged), metrics: sensitivityMetrics(r, p.geometry) };
+  };
+
+  // Diferencia central; si solo converge un lado, diferencia hacia ese lado
+  const parameters = specs.map(({ field, value, step }) => {
+    const lo = solveAt(field, value - step);
+    const hi = solveAt(field, value + step);
+    const method = lo.converged && hi.converged ? "central" : hi.converged ? "forward" : lo.converged ? "backward" : null;
+    const derivatives = {};
+    const normalized = {};
+    const low = {};
+    const high = {};
+    for (const [m, floor] of Object.entries(SENSITIVITY_METRICS)) {
+      low[m] = lo.converged ? lo.metrics[m] - base[m] : null;
+      high[m] = hi.converged ? hi.metrics[m] - base[m] : null;
+      if (method === "central") derivatives[m] = (high[m] - low[m]) / (2 * step);
+      else if (method === "forward") derivatives[m] = high[m] / step;
+      else if (method === "backward") derivatives[m] = -low[m] / step;
+      else derivatives[m] = null;
+      normalized[m] = derivatives[m] === null ? null : (derivatives[m] * step) / Math.max(Math.abs(base[m]), floor);
+    }
+    return { field, value, step, converged: method === "central", method, low, high, derivatives, normalized };
+  });
+
+  const ranking = {};
+  for (const m of Object.keys(SENSITIVITY_METRICS)) {
+    ranking[m] = parameters
+      .filter((p) => Number.isFinite(p.normalized[m]))
+      .sort((a, b) => Math.abs(b.normalized[m]) - Math.abs(a.normalized[m]))
+      .map((p) => p.field);
+  }
+
+  return { base, parameters, ranking };
+}
+
+module.exports = { analyzeSensitivity, sensitivityMetrics, SENSITIVITY_PARAMETERS, SENSITIVITY_METRICS };
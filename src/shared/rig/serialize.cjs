@@ -16,6 +16,62 @@ function resultsToCsv(results) {
   lines.push(`spreader,port_axial,${s.portAxialN},N`);
   lines.push(`spreader,stbd_axial,${s.stbdAxialN},N`);
 
+  // Cifras de trimado (rigMetrics.cjs)
+  const m = results.outputs.metrics;
+  if (m) {
+    for (const [state, c] of [["dock", m.dock], ["loaded", m.loaded]]) {
+      if (!c) continue;
+      lines.push(`metric_${state},masthead_rake,${c.mastheadRakeM},m`);
+      lines.push(`metric_${state},rake_angle,${c.rakeAngleDeg},deg`);
+      lines.push(`metric_${state},rake_tape_to_transom,${c.rakeTapeM},m`);
+      lines.push(`metric_${state},masthead_side,${c.mastheadSideM},m`);
+      lines.push(`metric_${state},prebend_spreader,${c.prebendSpreaderM},m`);
+      lines.push(`metric_${state},prebend_max,${c.maxPrebendM},m`);
+      lines.push(`metric_${state},prebend_max_z,${c.maxPrebendZM},m`);
+    }
+    for (const side of ["port", "stbd"]) {
+      const tip = m.spreaderTips?.[side];
+      if (!tip) continue;
+      lines.push(`metric_spreader_tip_${side},out,${tip.outM},m`);
+      lines.push(`metric_spreader_tip_${side},forward,${tip.forwardM},m`);
+      lines.push(`metric_spreader_tip_${side},up,${tip.upM},m`);
+      lines.push(`metric_spreader_tip_${side},total,${tip.totalM},m`);
+    }
+    // Sin nodos intermedios en el estay no hay flecha calculada
+    lines.push(`metric_loaded,headstay_sag,${m.headstaySagM ?? "n/a"},m`);
+  }
+
+  // Ola cuasi-estática (seaStatePhase1_3d.cjs)
+  const sea = results.outputs.seaState?.summary;
+  if (sea) {
+    for (const [key, r] of [["forestay", sea.forestayN], ["shroud_port", sea.shroudPortN], ["shroud_stbd", sea.shroudStbdN]]) {
+      if (!r) continue;
+      lines.push(`sea_state_${key},min,${r.minN},N`);
+      lines.push(`sea_state_${key},max,${r.maxN},N`);
+      lines.push(`sea_state_${key},range,${r.rangeN},N`);
+    }
+  }
+
+  // Envolvente de los casos de carga (loadCasesPhase1_3d.cjs)
+  const env = results.outputs.loadCases?.envelope;
+  if (env) {
+    for (const [key, r] of [
+      ["forestay", env.forestayN],
+      ["shroud_port", env.shroudPortN],
+      ["shroud_stbd", env.shroudStbdN],
+      ["spreader_port_axial", env.spreaderPortN],
+      ["spreader_stbd_axial", env.spreaderStbdN]
+    ]) {
+      if (!r) continue;
+      lines.push(`envelope_${key},min,${r.min},N`);
+      lines.push(`envelope_${key},max,${r.max},N`);
+    }
+    if (env.mastCurvature) {
+      lines.push(`envelope_mast_curvature,max,${env.mastCurvature.maxPerM},1/m`);
+      lines.push(`envelope_mast_curvature,z,${env.mastCurvature.zM},m`);
+    }
+  }
+
   lines.push("");
   lines.push("z_m,x_prebend_m,y_prebend_m,x_loaded_m,y_loaded_m");
   const pre = results.outputs.mastCurvePrebend;
@@ -27,6 +83,16 @@ function resultsToCsv(results) {
     lines.push(`${a.z},${a.x},${a.y},${b.x},${b.y}`);
   }
 
+  // Racha: historia temporal (transientPhase1_3d.cjs)
+  const history = results.outputs.transient?.history;
+  if (history?.length) {
+    lines.push("");
+    lines.push("t_s,load_factor,masthead_dx_m,masthead_dy_m,forestay_n,shroud_port_n,shroud_stbd_n");
+    for (const h of history) {
+      lines.push(`${h.tS},${h.loadFactor},${h.masthead.dxM},${h.masthead.dyM},${h.forestayN},${h.shroudPortN},${h.shroudStbdN}`);
+    }
+  }
+
   return lines.join("\n");
 }
 
@@ -1,5 +1,19 @@
 const { clamp, sub3, norm3, normalize3, outer3, scale3, add3, dot3 } = require("./math3.cjs");
-const { zeros, dot, normInf, add, solveLinearSystem } = require("./linsolve.cjs");
+const {
+  zeros,
+  dot,
+  normInf,
+  add,
+  solveLinearSystem,
+  createSparseMatrix,
+  isSparseMatrix,
+  sparseClone,
+  sparseAddDiagonal,
+  matrixAdd,
+  matrixVec,
+  matrixRowAbsSum,
+  solveSparseSystem
+} = require("./linsolve.cjs");
 const { totalMembraneEnergyAndGrad, totalMembranePressure } = require("./sailMembrane3d.cjs");
 const { solveDynamicRelaxationAdaptive } = require("./dynamicRelaxation.cjs");
 
@@ -10,6 +24,7 @@ const { solveDynamicRelaxationAdaptive } = require("./dynamicRelaxation.cjs");
  *
  * 1. Flexión del mástil (curvatura discreta):
  *    - Usa el stencil [1, -2, 1] en X-Y (modelo reducido)
+ *    - EIx (lateral) y EIy (proa-popa) independientes, cada uno con su conicidad
  *    - El DOF Z captura compresión axial, no curvatura
  *
  * 2. Efecto P-Delta Real:
@@ -19,8 +34,16 @@ const { solveDynamicRelaxationAdaptive } = require("./dynamicRelaxation.cjs");
  * 3. Regularización de Cables Mejorada:
  *    - epsComp más bajo (1e-8) para cables realmente flojos
  *    - Banda de transición más estrecha
+ *
+ * 4. Álgebra lineal dispersa:
+ *    - K se ensambla en filas dispersas cuando hay muchos DOFs (mástil fino + velas)
+ *    - Resolución en banda con reordenación RCM (ver linsolve.cjs)
+ *    - solver.linearSolver: "auto" (por defecto), "dense" o "sparse"
  */
 
+// Por debajo de este número de DOFs la eliminación densa es más rápida
+const SPARSE_MIN_DOFS_DEFAULT = 120;
+
 function buildDofMap3d(nodes) {
   const map = new Map();
   let nDof = 0;
@@ -74,20 +97,50 @@ function addKBlock3(nodeA, nodeB, dofMap, K, block3x3, scale = 1) {
   if (a === undefined || b === undefined) return;
   for (let i = 0; i < 3; i++) {
     for (let j = 0; j < 3; j++) {
-      K[a + i][b + j] += scale * block3x3[i][j];
+      matrixAdd(K, a + i, b + j, scale * block3x3[i][j]);
     }
   }
 }
 
 function addDiagonal(K, lambda) {
+  if (isSparseMatrix(K)) return sparseAddDiagonal(K, lambda);
   for (let i = 0; i < K.length; i++) K[i][i] += lambda;
   return K;
 }
 
 function cloneMatrix(A) {
+  if (isSparseMatrix(A)) return sparseClone(A);
   return A.map((r) => r.slice());
 }
 
+// A - B (mismo formato que A; B puede ser densa o dispersa)
+function subtractMatrix(A, B) {
+  const out = cloneMatrix(A);
+  if (isSparseMatrix(B)) {
+    for (let i = 0; i < B.n; i++) {
+      for (const [j, v] of B.rows[i]) matrixAdd(out, i, j, -v);
+    }
+    return out;
+  }
+  for (let i = 0; i < B.length; i++) {
+    for (let j = 0; j < B.length; j++) {
+      if (B[i][j] !== 0) matrixAdd(out, i, j, -B[i][j]);
+    }
+  }
+  return out;
+}
+
+function solveMatrixSystem(A, b) {
+  return isSparseMatrix(A) ? solveSparseSystem(A, b) : solveLinearSystem(A, b);
+}
+
+function useSparseLinearSolver(solver, nDof) {
+  if (solver?.linearSolver === "dense") return false;
+  if (solver?.linearSolver === "sparse") return true;
+  const minDofs = Number.isFinite(solver?.sparseMinDofs) ? solver.sparseMinDofs : SPARSE_MIN_DOFS_DEFAULT;
+  return nDof >= minDofs;
+}
+
 /**
  * Respuesta suave de cable con regularización mejorada
  * IMPORTANTE: Los cables SOLO pueden tirar (tensión >= 0), NUNCA empujar
@@ -126,6 +179,18 @@ function cableResponse({ dL, k0, epsComp, delta }) {
  * Funciona solo en el plano X-Y (curvatura lateral del mástil).
  * El DOF Z permite la compresión axial pero no afecta la flexión directamente.
  */
+/**
+ * [EIx, EIy] del palo a la altura z: EIx para la flexión lateral (x) y EIy
+ * para la de proa‑popa (y). Modelos sin perfiles por eje usan getEIAtZ o EI.
+ */
+function mastEIAtZ(beam, z) {
+  const common = beam?.getEIAtZ ? beam.getEIAtZ(z) : (beam?.EI || 7500);
+  return [
+    beam?.getEIxAtZ ? beam.getEIxAtZ(z) : common,
+    beam?.getEIyAtZ ? beam.getEIyAtZ(z) : common
+  ];
+}
+
 function bendEnergyAndGrad3d({ nodesPos, model, dofMap, reactions }) {
   let E = 0;
   const n = dofMap.nDof;
@@ -136,7 +201,6 @@ function bendEnergyAndGrad3d({ nodesPos, model, dofMap, reactions }) {
   if (!mastNodeIds || mastNodeIds.length < 3 || !beam) return { E, grad };
 
   const ds = beam.ds;
-  const getEIAtZ = beam.getEIAtZ;
   const c = [1, -2, 1];
 
   for (let i = 1; i < mastNodeIds.length - 1; i++) {
@@ -144,10 +208,11 @@ function bendEnergyAndGrad3d({ nodesPos, model, dofMap, reactions }) {
     const bId = mastNodeIds[i];
     const cId = mastNodeIds[i + 1];
 
-    // EI local (variable con altura)
+    // EI local por eje (variable con altura)
     const zCurr = model.nodes[bId].p0[2];
-    const EI = getEIAtZ ? getEIAtZ(zCurr) : (beam.EI || 7500);
-    const kB = EI / Math.pow(ds, 3);
+    const [EIx, EIy] = mastEIAtZ(beam, zCurr);
+    const kBx = EIx / Math.pow(ds, 3);
+    const kBy = EIy / Math.pow(ds, 3);
 
     // Posiciones actuales
     const pa = nodesPos[aId];
@@ -159,12 +224,12 @@ function bendEnergyAndGrad3d({ nodesPos, model, dofMap, reactions }) {
     const curY = pa[1] * c[0] + pb[1] * c[1] + pc[1] * c[2];
 
     // Energia de flexion
-    E += 0.5 * kB * (curX * curX + curY * curY);
+    E += 0.5 * (kBx * curX * curX + kBy * curY * curY);
 
     // Gradiente (y reacciones si el nodo es fijo)
-    const ga = [kB * curX * c[0], kB * curY * c[0], 0];
-    const gb = [kB * curX * c[1], kB * curY * c[1], 0];
-    const gc = [kB * curX * c[2], kB * curY * c[2], 0];
+    const ga = [kBx * curX * c[0], kBy * curY * c[0], 0];
+    const gb = [kBx * curX * c[1], kBy * curY * c[1], 0];
+    const gc = [kBx * curX * c[2], kBy * curY * c[2], 0];
 
     addGrad3(aId, dofMap, grad, ga);
     addGrad3(bId, dofMap, grad, gb);
@@ -195,10 +260,71 @@ function bendEnergyAndGrad3d({ nodesPos, model, dofMap, reactions }) {
   return { E, grad };
 }
 
-function assembleSystem({ model, dofMap, x, cableCompressionEps = 1e-6, skipK = false }) {
+/**
+ * Flexión de vigas libres (model.beams con bending: true, p.ej. botavara libre).
+ * Curvatura discreta 3D con paso no uniforme:
+ *   κ = 2/(h1+h2) · ((pc-pb)/h2 - (pb-pa)/h1),  E = ½ EI |κ|² (h1+h2)/2
+ * Es cuadrática en las posiciones (K exacta) y nula para cualquier giro
+ * rígido de un tramo recto, así que la viga puede pivotar sobre su rótula.
+ */
+function beamsBendEnergy3d({ nodesPos, model, dofMap, grad, K, reactions }) {
+  let E = 0;
+  for (const beam of model.beams || []) {
+    if (!beam.bending || !(beam.EI > 0)) continue;
+    const ids = beam.nodeIds;
+    for (let i = 1; i < ids.length - 1; i++) {
+      const tri = [ids[i - 1], ids[i], ids[i + 1]];
+      const p0 = tri.map((id) => model.nodes[id].p0);
+      const h1 = norm3(sub3(p0[1], p0[0]));
+      const h2 = norm3(sub3(p0[2], p0[1]));
+      if (!(h1 > 1e-12) || !(h2 > 1e-12)) continue;
+      const hm = 0.5 * (h1 + h2);
+      const w = [1 / (hm * h1), -(1 / h1 + 1 / h2) / hm, 1 / (hm * h2)];
+      const kB = beam.EI * hm;
+
+      const kappa = [0, 0, 0];
+      for (let a = 0; a < 3; a++) {
+        const p = nodesPos[tri[a]];
+        kappa[0] += w[a] * p[0];
+        kappa[1] += w[a] * p[1];
+        kappa[2] += w[a] * p[2];
+      }
+      E += 0.5 * kB * dot3(kappa, kappa);
+
+      for (let a = 0; a < 3; a++) {
+        const g = scale3(kappa, kB * w[a]);
+        addGrad3(tri[a], dofMap, grad, g);
+        const node = model.nodes[tri[a]];
+        if (reactions && node.fixed && reactions[node.name]) {
+          reactions[node.name] = add3(reactions[node.name], g);
+        }
+        if (K) {
+          for (let b = 0; b < 3; b++) {
+            const kab = kB * w[a] * w[b];
+            addKBlock3(tri[a], tri[b], dofMap, K, [[kab, 0, 0], [0, kab, 0], [0, 0, kab]], 1);
+          }
+        }
+      }
+    }
+  }
+  return E;
+}
+
+/**
+ * Ensambla energía, gradiente y rigidez tangente K del modelo 3D.
+ *
+ * Con splitK=true se devuelve además la separación K = KMaterial + KGeometric:
+ * - KGeometric: rigidez de tensión (N/L)(I - nn) de barras, cables, shrouds y stay
+ *   a tensión constante, más la rigidez de carga de presión. Escala con el estado
+ *   de fuerzas internas y es la que entra en el problema de pandeo lineal.
+ * - KMaterial: resto (flexión EI, EA axial, springs y membranas completas).
+ */
+function assembleSystem({ model, dofMap, x, cableCompressionEps = 1e-6, skipK = false, sparse = false, splitK = false }) {
   const n = dofMap.nDof;
   const grad = zeros(n);
-  const K = skipK ? null : zeros(n).map(() => zeros(n));
+  const newMatrix = () => (sparse ? createSparseMatrix(n) : zeros(n).map(() => zeros(n)));
+  const K = skipK ? null : newMatrix();
+  const KG = (!skipK && splitK) ? newMatrix() : null;
 
   let energyInternal = 0;
   let workExternal = 0;
@@ -230,7 +356,6 @@ function assembleSystem({ model, dofMap, x, cableCompressionEps = 1e-6, skipK =
   // Para mayor eficiencia, usamos una aproximacion basada en curvatura discreta
   const ds = model.beam?.ds || 0.1;
   const mastNodeIds = model.mastNodeIds || [];
-  const getEIAtZ = model.beam?.getEIAtZ;
 
   if (!skipK) {
     for (let i = 1; i < mastNodeIds.length - 1; i++) {
@@ -239,8 +364,9 @@ function assembleSystem({ model, dofMap, x, cableCompressionEps = 1e-6, skipK =
       const cId = mastNodeIds[i + 1];
 
       const zCurr = model.nodes[bId].p0[2];
-      const EI = getEIAtZ ? getEIAtZ(zCurr) : (model.beam?.EI || 7500);
-      const kB = EI / Math.pow(ds, 3);
+      const [EIx, EIy] = mastEIAtZ(model.beam, zCurr);
+      const kBx = EIx / Math.pow(ds, 3);
+      const kBy = EIy / Math.pow(ds, 3);
 
       const c = [1, -2, 1];
       const ids = [aId, bId, cId];
@@ -248,8 +374,8 @@ function assembleSystem({ model, dofMap, x, cableCompressionEps = 1e-6, skipK =
       for (let ii = 0; ii < 3; ii++) {
         for (let jj = 0; jj < 3; jj++) {
           const block = [
-            [kB * c[ii] * c[jj], 0, 0],
-            [0, kB * c[ii] * c[jj], 0],
+            [kBx * c[ii] * c[jj], 0, 0],
+            [0, kBy * c[ii] * c[jj], 0],
             [0, 0, 0]
           ];
           addKBlock3(ids[ii], ids[jj], dofMap, K, block, 1);
@@ -258,6 +384,8 @@ function assembleSystem({ model, dofMap, x, cableCompressionEps = 1e-6, skipK =
     }
   }
 
+  energyInternal += beamsBendEnergy3d({ nodesPos, model, dofMap, grad, K, reactions });
+
   // ═══════════════════════════════════════════════════════════════════
   // RESORTES (3D)
   // ═══════════════════════════════════════════════════════════════════
@@ -312,12 +440,43 @@ function assembleSystem({ model, dofMap, x, cableCompressionEps = 1e-6, skipK =
     grad[base + 1] += ky * dy;
     grad[base + 2] += kz * dz;
     if (!skipK) {
-      K[base][base] += kx;
-      K[base + 1][base + 1] += ky;
-      K[base + 2][base + 2] += kz;
+      matrixAdd(K, base, base, kx);
+      matrixAdd(K, base + 1, base + 1, ky);
+      matrixAdd(K, base + 2, base + 2, kz);
     }
   }
 
+  // ═══════════════════════════════════════════════════════════════════
+  // CONTACTOS UNILATERALES (calzos de fogonadura, ram)
+  // ═══════════════════════════════════════════════════════════════════
+  // Tope a tierra sobre un DOF (axis 0/1/2) del nodo en positionM; dir = +1 si
+  // el tope está delante (en +axis) y frena al nodo cuando avanza, -1 si está
+  // detrás. Penetración g = dir·(u − positionM); con contacto F = k·g (N, > 0
+  // = compresión). c.active fija el conjunto activo (lo gestiona
+  // solveContactActiveSet); sin él se activa por penetración (g > 0).
+  // Un elemento con forceN es un empuje constante (ram en modo fuerza).
+  const contactForces = {};
+  for (const c of model.contacts || []) {
+    const base = dofMap.map.get(c.nodeId);
+    if (base === undefined) continue;
+    const dof = base + c.axis;
+    if (Number.isFinite(c.forceN)) {
+      energyInternal -= c.forceN * x[dof];
+      grad[dof] -= c.forceN;
+      contactForces[c.name] = { axis: c.axis, forceN: c.forceN, active: c.forceN !== 0, penetrationM: null };
+      continue;
+    }
+    const g = c.dir * (x[dof] - c.positionM);
+    const active = c.active ?? g > 0;
+    const F = active ? c.k * g : 0;
+    if (active) {
+      energyInternal += 0.5 * c.k * g * g;
+      grad[dof] += c.dir * F;
+      if (!skipK) matrixAdd(K, dof, dof, c.k);
+    }
+    contactForces[c.name] = { axis: c.axis, forceN: F, active, penetrationM: g };
+  }
+
   const axialForces = {};
   const slackCables = [];
 
@@ -369,15 +528,17 @@ function assembleSystem({ model, dofMap, x, cableCompressionEps = 1e-6, skipK =
         const iFree = dofMap.map.has(e.i);
         const jFree = dofMap.map.has(e.j);
 
-        if (iFree && jFree) {
-          addKBlock3(e.i, e.i, dofMap, K, K3, +1);
-          addKBlock3(e.i, e.j, dofMap, K, K3, -1);
-          addKBlock3(e.j, e.i, dofMap, K, K3, -1);
-          addKBlock3(e.j, e.j, dofMap, K, K3, +1);
-        } else if (iFree && !jFree) {
-          addKBlock3(e.i, e.i, dofMap, K, K3, +1);
-        } else if (!iFree && jFree) {
-          addKBlock3(e.j, e.j, dofMap, K, K3, +1);
+        for (const target of [K, KG]) {
+          if (iFree && jFree) {
+            addKBlock3(e.i, e.i, dofMap, target, K3, +1);
+            addKBlock3(e.i, e.j, dofMap, target, K3, -1);
+            addKBlock3(e.j, e.i, dofMap, target, K3, -1);
+            addKBlock3(e.j, e.j, dofMap, target, K3, +1);
+          } else if (iFree && !jFree) {
+            addKBlock3(e.i, e.i, dofMap, target, K3, +1);
+          } else if (!iFree && jFree) {
+            addKBlock3(e.j, e.j, dofMap, target, K3, +1);
+          }
         }
       }
 
@@ -450,18 +611,22 @@ function assembleSystem({ model, dofMap, x, cableCompressionEps = 1e-6, skipK =
         if (geo1 !== 0) {
           const nn1 = outer3(n1, n1);
           const P1 = I3.map((row, ii) => row.map((v, jj) => geo1 * (v - nn1[ii][jj])));
-          addKBlock3(e.i, e.i, dofMap, K, P1, +1);
-          addKBlock3(e.i, e.k, dofMap, K, P1, -1);
-          addKBlock3(e.k, e.i, dofMap, K, P1, -1);
-          addKBlock3(e.k, e.k, dofMap, K, P1, +1);
+          for (const target of [K, KG]) {
+            addKBlock3(e.i, e.i, dofMap, target, P1, +1);
+            addKBlock3(e.i, e.k, dofMap, target, P1, -1);
+            addKBlock3(e.k, e.i, dofMap, target, P1, -1);
+            addKBlock3(e.k, e.k, dofMap, target, P1, +1);
+          }
         }
         if (geo2 !== 0) {
           const nn2 = outer3(n2, n2);
           const P2 = I3.map((row, ii) => row.map((v, jj) => geo2 * (v - nn2[ii][jj])));
-          addKBlock3(e.k, e.k, dofMap, K, P2, +1);
-          addKBlock3(e.k, e.j, dofMap, K, P2, -1);
-          addKBlock3(e.j, e.k, dofMap, K, P2, -1);
-          addKBlock3(e.j, e.j, dofMap, K, P2, +1);
+          for (const target of [K, KG]) {
+            addKBlock3(e.k, e.k, dofMap, target, P2, +1);
+            addKBlock3(e.k, e.j, dofMap, target, P2, -1);
+            addKBlock3(e.j, e.k, dofMap, target, P2, -1);
+            addKBlock3(e.j, e.j, dofMap, target, P2, +1);
+          }
         }
       }
 
@@ -525,17 +690,21 @@ function assembleSystem({ model, dofMap, x, cableCompressionEps = 1e-6, skipK =
       const K3 = I3.map((row, ii) =>
         row.map((v, jj) => kTangent * nn[ii][jj] + geo * (v - nn[ii][jj]))
       );
+      // Parte geométrica (solo para splitK)
+      const G3 = KG ? I3.map((row, ii) => row.map((v, jj) => geo * (v - nn[ii][jj]))) : null;
       const iFree = dofMap.map.has(e.i);
       const jFree = dofMap.map.has(e.j);
-      if (iFree && jFree) {
-        addKBlock3(e.i, e.i, dofMap, K, K3, +1);
-        addKBlock3(e.i, e.j, dofMap, K, K3, -1);
-        addKBlock3(e.j, e.i, dofMap, K, K3, -1);
-        addKBlock3(e.j, e.j, dofMap, K, K3, +1);
-      } else if (iFree && !jFree) {
-        addKBlock3(e.i, e.i, dofMap, K, K3, +1);
-      } else if (!iFree && jFree) {
-        addKBlock3(e.j, e.j, dofMap, K, K3, +1);
+      for (const [target, block] of [[K, K3], [KG, G3]]) {
+        if (iFree && jFree) {
+          addKBlock3(e.i, e.i, dofMap, target, block, +1);
+          addKBlock3(e.i, e.j, dofMap, target, block, -1);
+          addKBlock3(e.j, e.i, dofMap, target, block, -1);
+          addKBlock3(e.j, e.j, dofMap, target, block, +1);
+        } else if (iFree && !jFree) {
+          addKBlock3(e.i, e.i, dofMap, target, block, +1);
+        } else if (!iFree && jFree) {
+          addKBlock3(e.j, e.j, dofMap, target, block, +1);
+        }
       }
     }
   }
@@ -575,7 +744,7 @@ function assembleSystem({ model, dofMap, x, cableCompressionEps = 1e-6, skipK =
               if (rowBase === undefined || colBase === undefined) continue;
               for (let i = 0; i < 3; i++) {
                 for (let j = 0; j < 3; j++) {
-                  K[rowBase + i][colBase + j] += d.Ke[a * 3 + i][b * 3 + j];
+                  matrixAdd(K, rowBase + i, colBase + j, d.Ke[a * 3 + i][b * 3 + j]);
                 }
               }
             }
@@ -590,7 +759,8 @@ function assembleSystem({ model, dofMap, x, cableCompressionEps = 1e-6, skipK =
           nodesPos,
           model.membranePressure.value,
           dofMap,
-          model.membranePressure.sign ?? 1
+          model.membranePressure.sign ?? 1,
+          model.membranePressure.elementScale ?? null
         );
         workExternal += pressResult.work;
         for (let i = 0; i < n; i++) {
@@ -616,7 +786,8 @@ function assembleSystem({ model, dofMap, x, cableCompressionEps = 1e-6, skipK =
                 if (rowBase === undefined || colBase === undefined) continue;
                 for (let i = 0; i < 3; i++) {
                   for (let j = 0; j < 3; j++) {
-                    K[rowBase + i][colBase + j] += d.Kp[a * 3 + i][b * 3 + j];
+                    matrixAdd(K, rowBase + i, colBase + j, d.Kp[a * 3 + i][b * 3 + j]);
+                    if (KG) matrixAdd(KG, rowBase + i, colBase + j, d.Kp[a * 3 + i][b * 3 + j]);
                   }
                 }
               }
@@ -661,12 +832,22 @@ function assembleSystem({ model, dofMap, x, cableCompressionEps = 1e-6, skipK =
     };
   }
 
+  // Contactos: misma convención que los muelles (fuerza interna; el apoyo
+  // sobre la estructura es la opuesta)
+  for (const [name, cf] of Object.entries(contactForces)) {
+    const c = model.contacts.find((el) => el.name === name);
+    const f = [0, 0, 0];
+    f[cf.axis] = Number.isFinite(c.forceN) ? -cf.forceN : c.dir * cf.forceN;
+    springsForces[name] = { fx: f[0], fy: f[1], fz: f[2] };
+  }
+
   const energy = energyInternal - workExternal;
 
   return {
     energy,
     grad,
     K,
+    ...(KG ? { KMaterial: subtractMatrix(K, KG), KGeometric: KG } : {}),
     membraneMetrics: membraneResult?.metrics,
     meta: {
       axialForces,
@@ -674,13 +855,14 @@ function assembleSystem({ model, dofMap, x, cableCompressionEps = 1e-6, skipK =
       nodesPos,
       reactions,
       springsForces,
+      contactForces,
       membranePressureForces,
       membranes: { metrics: membraneResult?.metrics }
     }
   };
 }
 
-function solveEquilibriumNewton3d({ model, dofMap, solver, x0, tol, maxIt, eps, hasMembranes }) {
+function solveEquilibriumNewton3d({ model, dofMap, solver, x0, tol, maxIt, eps, hasMembranes, sparse = false }) {
   let x = x0?.slice() ?? zeros(dofMap.nDof);
   if (x.length !== dofMap.nDof) x = zeros(dofMap.nDof);
 
@@ -735,7 +917,7 @@ function solveEquilibriumNewton3d({ model, dofMap, solver, x0, tol, maxIt, eps,
 
   const convergenceHistory = [];
 
-  let assembled = assembleSystem({ model, dofMap, x, cableCompressionEps: eps });
+  let assembled = assembleSystem({ model, dofMap, x, cableCompressionEps: eps, sparse });
 
   for (let iter = 0; iter < maxIt; iter++) {
     const gInf = normInf(assembled.grad);
@@ -775,7 +957,7 @@ function solveEquilibriumNewton3d({ model, dofMap, solver, x0, tol, maxIt, eps,
       try {
         const A = addDiagonal(cloneMatrix(assembled.K), damping);
         const rhs = assembled.grad.map((v) => -v);
-        dx = solveLinearSystem(A, rhs);
+        dx = solveMatrixSystem(A, rhs);
         success = true;
         break;
       } catch (err) {
@@ -800,7 +982,7 @@ function solveEquilibriumNewton3d({ model, dofMap, solver, x0, tol, maxIt, eps,
     let accepted = false;
     for (let ls = 0; ls < 10; ls++) {
       const xTry = add(x, dx, alpha);
-      const next = assembleSystem({ model, dofMap, x: xTry, cableCompressionEps: eps });
+      const next = assembleSystem({ model, dofMap, x: xTry, cableCompressionEps: eps, sparse });
 
       if (next.energy < assembled.energy + 1e-6) {
         x = xTry;
@@ -827,13 +1009,7 @@ function solveEquilibriumNewton3d({ model, dofMap, solver, x0, tol, maxIt, eps,
 
     let alphaSd = 1.0;
     {
-      let denom = 0;
-      for (let i = 0; i < assembled.K.length; i++) {
-        let s = 0;
-        const row = assembled.K[i];
-        for (let j = 0; j < assembled.K.length; j++) s += row[j] * assembled.grad[j];
-        denom += assembled.grad[i] * s;
-      }
+      const denom = dot(assembled.grad, matrixVec(assembled.K, assembled.grad));
       if (Number.isFinite(denom) && denom > 1e-12) alphaSd = Math.min(1.0, g2 / denom);
       else alphaSd = Math.min(1.0, 1e-2 / Math.sqrt(g2));
     }
@@ -842,7 +1018,7 @@ function solveEquilibriumNewton3d({ model, dofMap, solver, x0, tol, maxIt, eps,
     let sdAlpha = alphaSd;
     for (let ls = 0; ls < 18; ls++) {
       const xTry = add(x, sdDir, sdAlpha);
-      const next = assembleSystem({ model, dofMap, x: xTry, cableCompressionEps: eps });
+      const next = assembleSystem({ model, dofMap, x: xTry, cableCompressionEps: eps, sparse });
       if (next.energy < assembled.energy + 1e-6) {
         x = xTry;
         assembled = next;
@@ -869,7 +1045,7 @@ function solveEquilibriumNewton3d({ model, dofMap, solver, x0, tol, maxIt, eps,
   // IMPORTANTE: Si retornamos bestX en lugar de x, debemos re-ensamblar para obtener el meta correcto
   const useBest = finalG >= minGrad;
   const finalX = useBest ? bestX : x;
-  const finalAssembled = useBest ? assembleSystem({ model, dofMap, x: bestX, cableCompressionEps: eps }) : assembled;
+  const finalAssembled = useBest ? assembleSystem({ model, dofMap, x: bestX, cableCompressionEps: eps, sparse }) : assembled;
 
   return {
     x: finalX,
@@ -930,6 +1106,7 @@ function solveEquilibrium3d({ model, solver, x0, prevModel }) {
   const tol = solver.toleranceN;
   const maxIt = solver.maxIterations || 300;
   const eps = solver.cableCompressionEps ?? 1e-6;
+  const sparse = useSparseLinearSolver(solver, dofMap.nDof);
 
   // SANITY CHECK: Verificar integridad del modelo antes de empezar
   for (const node of model.nodes) {
@@ -993,19 +1170,14 @@ function solveEquilibrium3d({ model, solver, x0, prevModel }) {
     // Fase de pre-calculo: Estimar masas basadas en Gerschgorin
     // Para estabilidad, necesitamos m_i > 0.25 * dt^2 * lambda_max(K)
     // Usamos sum(|K_ij|) como cota superior de lambda_max.
-    const sys0 = assembleSystem({ model, dofMap, x, cableCompressionEps: eps, skipK: false });
+    const sys0 = assembleSystem({ model, dofMap, x, cableCompressionEps: eps, skipK: false, sparse });
     const nDof = dofMap.nDof;
     const m = new Array(nDof).fill(0);
-    const kRowSum = new Array(nDof).fill(0);
+    const kRowSum = matrixRowAbsSum(sys0.K);
     const safety = Number.isFinite(solver.drMassSafety) ? Math.max(0.1, solver.drMassSafety) : 2.0;
 
     for (let i = 0; i < nDof; i++) {
-      let sumK = 0;
-      for (let j = 0; j < nDof; j++) {
-        const val = sys0.K[i][j];
-        if (Number.isFinite(val)) sumK += Math.abs(val);
-      }
-      kRowSum[i] = sumK;
+      const sumK = kRowSum[i];
       // m_i = max(1.0, safety * 0.25 * dt^2 * sum|K_ij|)
       const mi = safety * 0.25 * dt * dt * sumK;
       m[i] = Math.max(1.0, Number.isFinite(mi) ? mi : 1.0);
@@ -1054,7 +1226,7 @@ function solveEquilibrium3d({ model, solver, x0, prevModel }) {
     });
 
     // Ensamblar una ultima vez con K para metadata/reacciones si es necesario
-    const lastResult = assembleSystem({ model, dofMap, x: drResult.x, cableCompressionEps: eps, skipK: false });
+    const lastResult = assembleSystem({ model, dofMap, x: drResult.x, cableCompressionEps: eps, skipK: false, sparse });
     // Debug: Identify the DOF with highest gradient if not converged
     if (!drResult.converged) {
       const finalGrad = lastResult.grad;
@@ -1117,7 +1289,8 @@ function solveEquilibrium3d({ model, solver, x0, prevModel }) {
         tol: newtonTol,
         maxIt,
         eps,
-        hasMembranes
+        hasMembranes,
+        sparse
       });
       newtonResult.solver = "dynamic_relaxation+newton";
       newtonResult.meta = {
@@ -1132,7 +1305,57 @@ function solveEquilibrium3d({ model, solver, x0, prevModel }) {
     return drSummary;
   }
 
-  return solveEquilibriumNewton3d({ model, dofMap, solver, x0: x, tol, maxIt, eps, hasMembranes });
+  if (model.contacts?.some((c) => !Number.isFinite(c.forceN))) {
+    return solveContactActiveSet({ model, dofMap, solver, x0: x, tol, maxIt, eps, hasMembranes, sparse });
+  }
+  return solveEquilibriumNewton3d({ model, dofMap, solver, x0: x, tol, maxIt, eps, hasMembranes, sparse });
+}
+
+/**
+ * Newton con conjunto activo de contactos unilaterales: se resuelve con los
+ * contactos activos fijados (muelles bilaterales) y después se sueltan los
+ * que tiran (F < −tol) y se activan los que penetran (k·g > tol), hasta que
+ * el conjunto no cambia. Así Newton no ve la rigidez saltar dentro de una
+ * misma resolución.
+ */
+function solveContactActiveSet({ model, dofMap, solver, x0, tol, maxIt, eps, hasMembranes, sparse }) {
+  const contacts = model.contacts.map((c) => ({ ...c }));
+  const m = { ...model, contacts };
+  const stops = contacts.filter((c) => !Number.isFinite(c.forceN) && dofMap.map.has(c.nodeId));
+  const penetration = (c, x) => c.dir * (x[dofMap.map.get(c.nodeId) + c.axis] - c.positionM);
+  for (const c of stops) c.active = penetration(c, x0) > 0;
+
+  const maxSets = Number.isInteger(solver.contactMaxIterations) ? solver.contactMaxIterations : 20;
+  let x = x0;
+  let result = null;
+  let iterations = 0;
+  let changed = true;
+  const activeSetHistory = [];
+  for (let k = 0; k < maxSets && changed; k++) {
+    result = solveEquilibriumNewton3d({ model: m, dofMap, solver, x0: x, tol, maxIt, eps, hasMembranes, sparse });
+    x = result.x;
+    iterations += result.iterations;
+    changed = false;
+    for (const c of stops) {
+      const F = c.k * penetration(c, x);
+      if (c.active && F < -tol) {
+        c.active = false;
+        changed = true;
+      } else if (!c.active && F > tol) {
+        c.active = true;
+        changed = true;
+      }
+    }
+    activeSetHistory.push(stops.filter((c) => c.active).map((c) => c.name));
+  }
+
+  return {
+    ...result,
+    converged: result.converged && !changed,
+    reason: changed ? "contact_active_set" : result.reason,
+    iterations,
+    meta: { ...result.meta, contactActiveSets: activeSetHistory }
+  };
 }
 
 function mastCurveFromModel(model, nodesPos) {
@@ -1142,4 +1365,4 @@ function mastCurveFromModel(model, nodesPos) {
   });
 }
 
-module.exports = { solveEquilibrium3d, mastCurveFromModel, buildDofMap3d };
+module.exports = { solveEquilibrium3d, mastCurveFromModel, buildDofMap3d, assembleSystem, useSparseLinearSolver };
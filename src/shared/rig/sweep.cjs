@@ -0,0 +1,164 @@
+// ═══════════════════════════════════════════════════════════════════
+// BARRIDO PARAMÉTRICO (definición de la malla y resumen por punto)
+// ═══════════════════════════════════════════════════════════════════
+// Parte pura del barrido: sin threads. El reparto en workers vive en
+// src/main/sweepPool.cjs (Electron y server.cjs lo comparten).
+//
+// sweep = { axes: [{ field: "controls.shroudDeltaL0PortM", from, to, steps }
+//                  | { field, values: [...] }] }   (1 o 2 ejes)
+// Los puntos se indexan en orden fila-mayor (i: eje 0, j: eje 1).
+
+const { mastCurveMetrics, headstaySagM } = require("./rigMetrics.cjs");
+
+const SWEEP_MAX_POINTS = 400;
+const SWEEP_ROOTS = ["geometry", "controls", "load", "solver", "stiffness"];
+
+function sweepAxisValues(axis) {
+  if (Array.isArray(axis.values)) return axis.values.slice();
+  if (axis.steps === 1) return [axis.from];
+  return Array.from({ length: axis.steps }, (_, k) => axis.from + ((axis.to - axis.from) * k) / (axis.steps - 1));
+}
+
+function validateSweep(sweep) {
+  if (!sweep || typeof sweep !== "object") throw new Error("Missing sweep");
+  const axes = sweep.axes;
+  if (!Array.isArray(axes) || axes.length < 1 || axes.length > 2) {
+    throw new Error("Invalid sweep.axes: expected 1 or 2 axes");
+  }
+  axes.forEach((axis, a) => {
+    const parts = typeof axis?.field === "string" ? axis.field.split(".") : [];
+    if (parts.length < 2 || !SWEEP_ROOTS.includes(parts[0])) {
+      throw new Error(`Invalid sweep.axes[${a}].field: ${axis?.field}`);
+    }
+    if (Array.isArray(axis.values)) {
+      if (!axis.values.length || !axis.values.every(Number.isFinite)) {
+        throw new Error(`Invalid sweep.axes[${a}].values`);
+      }
+    } else {
+      if (!Number.isFinite(axis.from) || !Number.isFinite(axis.to)) {
+        throw new Error(`Invalid sweep.axes[${a}] range`);
+      }
+      if (!(Number.isInteger(axis.steps) && axis.steps >= 1)) {
+        throw new Error(`Invalid sweep.axes[${a}].steps: ${axis.steps}`);
+      }
+    }
+  });
+  if (axes.length === 2 && axes[0].field === axes[1].field) throw new Error("Sweep axes must use different fields");
+
+  const nPoints = axes.reduce((n, axis) => n * sweepAxisValues(axis).length, 1);
+  if (nPoints > SWEEP_MAX_POINTS) throw new Error(`Sweep too large: ${nPoints} points (max ${SWEEP_MAX_POINTS})`);
+}
+
+/**
+ * Puntos del barrido en orden fila-mayor.
+ * @returns {{ axes: {field, values}[], points: {index, i, j, values}[] }}
+ */
+function buildSweepPoints(sweep) {
+  validateSweep(sweep);
+  const axes = sweep.axes.map((axis) => ({ field: axis.field, values: sweepAxisValues(axis) }));
+  const n0 = axes[0].values.length;
+  const n1 = axes[1]?.values.length ?? 1;
+  const points = [];
+  for (let i = 0; i < n0; i++) {
+    for (let j = 0; j < n1; j++) {
+      const values = { [axes[0].field]: axes[0].values[i] };
+      if (axes[1]) values[axes[1].field] = axes[1].values[j];
+      points.push({ index: points.length, i, j, values });
+    }
+  }
+  return { axes, points };
+}
+
+/**
+ * Orden de despacho en serpentina (vecinos consecutivos) para que cada punto
+ * encuentre casi siempre un vecino ya convergido del que arrancar en caliente.
+ */
+function sweepDispatchOrder(points) {
+  return points.slice().sort((a, b) => a.i - b.i || (a.i % 2 === 0 ? a.j - b.j : b.j - a.j));
+}
+
+// Vecino convergido más cercano (distancia en índices de malla)
+function nearestConverged(point, doneByIndex, points) {
+  let best = null;
+  let bestD = Infinity;
+  for (const index of doneByIndex.keys()) {
+    const q = points[index];
+    const d = Math.abs(q.i - point.i) + Math.abs(q.j - point.j);
+    if (d < bestD) {
+      bestD = d;
+      best = index;
+    }
+  }
+  return best;
+}
+
+// Copia del payload con los valores del punto aplicados (rutas "a.b.c")
+function applySweepPoint(payload, point) {
+  const out = { ...payload };
+  for (const [field, value] of Object.entries(point.values)) {
+    const parts = field.split(".");
+    let target = out;
+    for (let k = 0; k < parts.length - 1; k++) {
+      target[parts[k]] = { ...(target[parts[k]] || {}) };
+      target = target[parts[k]];
+    }
+    target[parts[parts.length - 1]] = value;
+  }
+  return out;
+}
+
+/**
+ * Resumen compacto de un punto (lo que se transmite y se dibuja). Las cifras
+ * que no se pueden calcular (sin curva del palo, estay sin nodos intermedios)
+ * van como null para que las gráficas dejen el hueco.
+ */
+function summarizeSweepPoint(result, geometry) {
+  const outputs = result?.outputs;
+  if (!outputs) return { converged: false, reason: result?.reason ?? "no_outputs" };
+  const t = outputs.tensions || {};
+  const trim = mastCurveMetrics(outputs.mastCurveLoaded, geometry);
+  return {
+    converged: Boolean(result.converged),
+    reason: result.converged ? null : result.reason ?? null,
+    iterations: result.iterations,
+    tensions: { shroudPortN: t.shroudPortN, shroudStbdN: t.shroudStbdN, forestayN: t.forestayN },
+    mastheadRakeM: trim?.mastheadRakeM ?? null,
+    prebendSpreaderM: trim?.prebendSpreaderM ?? null,
+    headstaySagM: headstaySagM(outputs)
+  };
+}
+
+/**
+ * Malla de resultados para graficar: matrices [i][j] por magnitud.
+ */
+function assembleSweepGrid({ axes, points }, summaries) {
+  const n0 = axes[0].values.length;
+  const n1 = axes[1]?.values.length ?? 1;
+  const grid = (fn) => Array.from({ length: n0 }, (_, i) => Array.from({ length: n1 }, (_, j) => {
+    const s = summaries[i * n1 + j];
+    return s && s.tensions ? fn(s) : null;
+  }));
+  return {
+    axes,
+    converged: grid((s) => s.converged),
+    shroudPortN: grid((s) => s.tensions.shroudPortN),
+    shroudStbdN: grid((s) => s.tensions.shroudStbdN),
+    forestayN: grid((s) => s.tensions.forestayN),
+    mastheadRakeM: grid((s) => s.mastheadRakeM),
+    prebendSpreaderM: grid((s) => s.prebendSpreaderM),
+    headstaySagM: grid((s) => s.headstaySagM),
+    points: points.map((p) => ({ ...p, ...summaries[p.index] }))
+  };
+}
+
+module.exports = {
+  SWEEP_MAX_POINTS,
+  validateSweep,
+  buildSweepPoints,
+  sweepDispatchOrder,
+  nearestConverged,
+  applySweepPoint,
+  headstaySagM,
+  summarizeSweepPoint,
+  assembleSweepGrid
+};
@@ -0,0 +1,304 @@
+// ═══════════════════════════════════════════════════════════════════
+// RESPUESTA TRANSITORIA A UNA RACHA (HHT-α, Phase 1 3D)
+// ═══════════════════════════════════════════════════════════════════
+// dynamicRelaxation.cjs usa masas ficticias solo para llegar a la estática;
+// aquí se integra la dinámica real del aparejo:
+//
+//   M ü + C u̇ + r(u, t) = 0,   r = ∇Π (fuerzas internas − externas)
+//
+// - M: masas concentradas reales (buildSelfWeightMass3d: palo, crucetas,
+//   jarcia, botavara y tela), diagonal
+// - C = a0·M + a1·K0: Rayleigh con la rigidez tangente del estado inicial
+//   (a0, a1 de dampingRatio en dampingFreqsHz, o rayleighAlpha/Beta)
+// - HHT-α (α ∈ [−1/3, 0]; α = 0 es Newmark de aceleración media):
+//   β = (1 − α)²/4, γ = (1 − 2α)/2. Cada paso es un Newton sobre u_{n+1}
+//   con el residuo
+//     M ü_{n+1} + (1 + α)(C u̇_{n+1} + r_{n+1}) − α(C u̇_n + r_n) = 0
+//   Si no converge se parte el paso (hasta dtS/16).
+//
+// La carga varía a través de buildModel(tS): el llamador reconstruye el
+// modelo con el factor de carga del instante (presión en velas, q(z)).
+// Se parte del reposo: donde el residuo inicial está por debajo de la
+// tolerancia la aceleración inicial es cero.
+
+const { assembleSystem, buildDofMap3d, useSparseLinearSolver } = require("./solverPhase1_3d.cjs");
+const {
+  zeros,
+  normInf,
+  solveLinearSystem,
+  createSparseMatrix,
+  isSparseMatrix,
+  matrixAdd,
+  matrixVec,
+  solveSparseSystem
+} = require("./linsolve.cjs");
+const { buildSelfWeightMass3d } = require("./massPhase1_3d.cjs");
+
+const TRANSIENT_DEFAULTS = {
+  durationS: 3,
+  dtS: 0.01,
+  alpha: -0.05,
+  dampingRatio: 0.02,
+  dampingFreqsHz: [1, 10],
+  maxNewtonIterations: 25,
+  maxSubdivisions: 4
+};
+const MASS_FLOOR_KG = 1e-3; // DOF libres sin masa propia (evita M singular)
+
+const GUST_SHAPES = ["ramp", "1-cos", "step"];
+
+/**
+ * Factor de carga f(t) respecto al estado estático de navegación (f = 1).
+ * - history: [{ tS, factor }] interpolado linealmente (constante fuera)
+ * - gust: { shape, startS, riseS, holdS, factor } sube de 1 a factor en
+ *   riseS, se mantiene holdS (por defecto hasta el final) y baja igual
+ */
+function loadFactorAt(transient, tS) {
+  const history = transient.history;
+  if (Array.isArray(history) && history.length) {
+    if (tS <= history[0].tS) return history[0].factor;
+    for (let i = 1; i < history.length; i++) {
+      const a = history[i - 1];
+      const b = history[i];
+      if (tS <= b.tS) return b.tS > a.tS ? a.factor + ((tS - a.tS) / (b.tS - a.tS)) * (b.factor - a.factor) : b.factor;
+    }
+    return history[history.length - 1].factor;
+  }
+  const gust = transient.gust;
+  if (!gust) return 1;
+  const { shape = "ramp", startS = 0, riseS = 0.5, holdS = Infinity, factor = 1.5 } = gust;
+  const shapeAt = (u) => {
+    const v = Math.min(1, Math.max(0, u));
+    if (shape === "step") return v > 0 ? 1 : 0;
+    return shape === "1-cos" ? 0.5 * (1 - Math.cos(Math.PI * v)) : v;
+  };
+  const up = riseS > 0 ? shapeAt((tS - startS) / riseS) : shapeAt(tS >= startS ? 1 : 0);
+  const downStart = startS + riseS + holdS;
+  const down = riseS > 0 ? shapeAt((tS - downStart) / riseS) : shapeAt(tS >= downStart ? 1 : 0);
+  return 1 + (factor - 1) * (up - down);
+}
+
+/**
+ * Coeficientes de Rayleigh (a0, a1) para un amortiguamiento ζ en dos frecuencias.
+ */
+function rayleighCoefficients({ dampingRatio, dampingFreqsHz, rayleighAlpha, rayleighBeta }) {
+  if (Number.isFinite(rayleighAlpha) || Number.isFinite(rayleighBeta)) {
+    return { a0: rayleighAlpha ?? 0, a1: rayleighBeta ?? 0 };
+  }
+  const [w1, w2] = dampingFreqsHz.map((f) => 2 * Math.PI * f);
+  return { a0: (2 * dampingRatio * w1 * w2) / (w1 + w2), a1: (2 * dampingRatio) / (w1 + w2) };
+}
+
+/**
+ * Comprueba payload.transient (lanza Error con el campo inválido).
+ */
+function validateTransient(transient) {
+  if (transient === null || typeof transient !== "object") throw new Error("Invalid transient: expected object");
+  for (const k of ["durationS", "dtS"]) {
+    if (transient[k] !== undefined && !(Number.isFinite(transient[k]) && transient[k] > 0)) {
+      throw new Error(`Invalid transient.${k}: ${transient[k]}`);
+    }
+  }
+  if (transient.alpha !== undefined && !(transient.alpha >= -1 / 3 && transient.alpha <= 0)) {
+    throw new Error(`Invalid transient.alpha: ${transient.alpha} (−1/3..0)`);
+  }
+  for (const k of ["dampingRatio", "rayleighAlpha", "rayleighBeta"]) {
+    if (transient[k] !== undefined && !(Number.isFinite(transient[k]) && transient[k] >= 0)) {
+      throw new Error(`Invalid transient.${k}: ${transient[k]}`);
+    }
+  }
+  const freqs = transient.dampingFreqsHz;
+  if (freqs !== undefined && !(Array.isArray(freqs) && freqs.length === 2 && freqs.every((f) => f > 0) && freqs[0] !== freqs[1])) {
+    throw new Error("Invalid transient.dampingFreqsHz: expected two distinct positive frequencies");
+  }
+  for (const k of ["maxNewtonIterations", "maxSubdivisions", "outputEvery"]) {
+    if (transient[k] !== undefined && !(Number.isInteger(transient[k]) && transient[k] >= 1)) {
+      throw new Error(`Invalid transient.${k}: ${transient[k]}`);
+    }
+  }
+  if (transient.gust !== undefined) {
+    const g = transient.gust;
+    if (g === null || typeof g !== "object") throw new Error("Invalid transient.gust: expected object");
+    if (g.shape !== undefined && !GUST_SHAPES.includes(g.shape)) throw new Error(`Invalid transient.gust.shape: ${g.shape}`);
+    for (const k of ["startS", "riseS", "holdS", "factor"]) {
+      if (g[k] !== undefined && !(typeof g[k] === "number" && g[k] >= 0 && !Number.isNaN(g[k]))) {
+        throw new Error(`Invalid transient.gust.${k}: ${g[k]}`);
+      }
+    }
+  }
+  if (transient.history !== undefined) {
+    if (!Array.isArray(transient.history) || transient.history.length === 0) {
+      throw new Error("Invalid transient.history: expected non-empty array");
+    }
+    transient.history.forEach((p, i) => {
+      if (!Number.isFinite(p?.tS) || !Number.isFinite(p?.factor)) throw new Error(`Invalid transient.history[${i}]`);
+      if (i > 0 && p.tS < transient.history[i - 1].tS) throw new Error(`Invalid transient.history[${i}].tS: not increasing`);
+    });
+  }
+}
+
+// c1·K1 + c0·K0 + diag(d), en el formato de K1
+function combineMatrices(K1, c1, K0, c0, diag) {
+  const n = diag.length;
+  if (isSparseMatrix(K1)) {
+    const S = createSparseMatrix(n);
+    for (const [A, c] of [[K1, c1], [K0, c0]]) {
+      if (!c) continue;
+      for (let i = 0; i < n; i++) for (const [j, v] of A.rows[i]) matrixAdd(S, i, j, c * v);
+    }
+    for (let i = 0; i < n; i++) matrixAdd(S, i, i, diag[i]);
+    return S;
+  }
+  const out = K1.map((row, i) => row.map((v, j) => c1 * v + (c0 ? c0 * K0[i][j] : 0)));
+  for (let i = 0; i < n; i++) out[i][i] += diag[i];
+  return out;
+}
+
+/**
+ * Integra la respuesta transitoria desde el estado x0 (en t = 0).
+ * @param {object} opts
+ * @param {function} opts.buildModel (tS) => modelo 3D con la carga del instante
+ * @param {number[]} opts.x0 desplazamientos iniciales (estado convergido)
+ * @param {object} opts.transient payload.transient
+ * @param {object} opts.solver { toleranceN, cableCompressionEps, linearSolver, sparseMinDofs }
+ * @param {object} [opts.massInput] overrides de MASS_DEFAULTS
+ * @param {function} [opts.observe] ({ tS, loadFactor, model, meta, x }) => registro del historial
+ * @returns {{ converged, reason, steps, history, hht, rayleigh, totalMassKg, nDof }}
+ */
+function integrateTransient3d({ buildModel, x0, transient = {}, solver, massInput, observe }) {
+  const cfg = { ...TRANSIENT_DEFAULTS, ...transient };
+  const alpha = cfg.alpha;
+  const beta = ((1 - alpha) ** 2) / 4;
+  const gamma = (1 - 2 * alpha) / 2;
+  const tol = solver.toleranceN;
+  const eps = solver.cableCompressionEps;
+  const outputEvery = cfg.outputEvery ?? 1;
+
+  let model = buildModel(0);
+  const dofMap = buildDofMap3d(model.nodes);
+  const n = dofMap.nDof;
+  const sparse = useSparseLinearSolver(solver, n);
+  const solve = (A, b) => (sparse ? solveSparseSystem(A, b) : solveLinearSystem(A, b));
+
+  const { nodeMassKg, totalMassKg } = buildSelfWeightMass3d(model, massInput);
+  const diagM = zeros(n);
+  for (const [id, base] of dofMap.map) {
+    const m = Math.max(MASS_FLOOR_KG, nodeMassKg[id] || 0);
+    diagM[base] = m;
+    diagM[base + 1] = m;
+    diagM[base + 2] = m;
+  }
+
+  let x = x0.slice();
+  let sys = assembleSystem({ model, dofMap, x, cableCompressionEps: eps, sparse });
+  const K0 = sys.K;
+  const rayleigh = rayleighCoefficients(cfg);
+  const dampingForce = (v) => {
+    const kv = rayleigh.a1 ? matrixVec(K0, v) : null;
+    return v.map((vi, i) => rayleigh.a0 * diagM[i] * vi + (kv ? rayleigh.a1 * kv[i] : 0));
+  };
+
+  let v = zeros(n);
+  let r = sys.grad;
+  let a = r.map((ri, i) => (Math.abs(ri) < tol ? 0 : -ri / diagM[i]));
+  let cv = zeros(n);
+
+  const history = [];
+  const record = (tS, loadFactor, meta) => {
+    if (observe) history.push({ tS, loadFactor, ...observe({ tS, loadFactor, model, meta, x }) });
+  };
+  record(0, loadFactorAt(cfg, 0), sys.meta);
+
+  let tS = 0;
+  let h = cfg.dtS;
+  let steps = 0;
+  let stepsSinceRecord = 0;
+  const hMin = cfg.dtS / 2 ** cfg.maxSubdivisions;
+
+  while (tS < cfg.durationS - 1e-9) {
+    h = Math.min(h, cfg.durationS - tS);
+    const t1 = tS + h;
+    const model1 = buildModel(t1);
+
+    // Predictor con ü_{n+1} = 0
+    let x1 = x.map((xi, i) => xi + h * v[i] + h * h * (0.5 - beta) * a[i]);
+    let a1 = null;
+    let v1 = null;
+    let sys1 = null;
+    let converged = false;
+    for (let it = 0; it < cfg.maxNewtonIterations; it++) {
+      a1 = x1.map((xi, i) => (xi - x[i] - h * v[i]) / (beta * h * h) - ((0.5 - beta) / beta) * a[i]);
+      v1 = v.map((vi, i) => vi + h * ((1 - gamma) * a[i] + gamma * a1[i]));
+      sys1 = assembleSystem({ model: model1, dofMap, x: x1, cableCompressionEps: eps, sparse });
+      const cv1 = dampingForce(v1);
+      const R = a1.map((ai, i) => diagM[i] * ai + (1 + alpha) * (cv1[i] + sys1.grad[i]) - alpha * (cv[i] + r[i]));
+      if (!R.every(Number.isFinite)) break;
+      if (normInf(R) < tol) {
+        converged = true;
+        cv = cv1;
+        break;
+      }
+      const cM = 1 / (beta * h * h) + ((1 + alpha) * gamma * rayleigh.a0) / (beta * h);
+      const J = combineMatrices(sys1.K, 1 + alpha, K0, ((1 + alpha) * gamma * rayleigh.a1) / (beta * h), diagM.map((m) => cM * m));
+      const dx = solve(J, R.map((ri) => -ri));
+      x1 = x1.map((xi, i) => xi + dx[i]);
+    }
+
+    if (!converged) {
+      h *= 0.5;
+      if (h < hMin - 1e-15) {
+        return { converged: false, reason: "transient_newton", tS, steps, history, hht: { alpha, beta, gamma }, rayleigh, totalMassKg, nDof: n };
+      }
+      continue;
+    }
+
+    x = x1;
+    v = v1;
+    a = a1;
+    r = sys1.grad;
+    model = model1;
+    tS = t1;
+    steps++;
+    stepsSinceRecord++;
+    if (stepsSinceRecord >= outputEvery || tS >= cfg.durationS - 1e-9) {
+      record(tS, loadFactorAt(cfg, tS), sys1.meta);
+      stepsSinceRecord = 0;
+    }
+    h = Math.min(cfg.dtS, 2 * h);
+  }
+
+  return { converged: true, reason: null, tS, steps, history, hht: { alpha, beta, gamma }, rayleigh, totalMassKg, nDof: n };
+}
+
+/** Máximo de las muestras finitas; null si no queda ninguna. */
+function finiteMax(values) {
+  const finite = values.filter(Number.isFinite);
+  return finite.length ? Math.max(...finite) : null;
+}
+
+/**
+ * Picos de la historia: desplazamiento del tope y tensiones de estay y
+ * obenques. Como seaStateSummary, ignora las muestras no finitas.
+ * @param {object[]} history [{ masthead: { dxM, dyM, dzM }, forestayN, shroudPortN, shroudStbdN }]
+ * @returns {object|null} null si la historia está vacía
+ */
+function transientPeaks(history) {
+  if (!history.length) return null;
+  const pick = (key) => finiteMax(history.map((h) => h[key]));
+  return {
+    mastheadDisplacementM: finiteMax(history.map((h) => Math.hypot(h.masthead.dxM, h.masthead.dyM, h.masthead.dzM))),
+    forestayN: pick("forestayN"),
+    shroudPortN: pick("shroudPortN"),
+    shroudStbdN: pick("shroudStbdN")
+  };
+}
+
+module.exports = {
+  TRANSIENT_DEFAULTS,
+  GUST_SHAPES,
+  loadFactorAt,
+  rayleighCoefficients,
+  validateTransient,
+  integrateTransient3d,
+  transientPeaks
+};
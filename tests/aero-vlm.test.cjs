@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { apparentWind, solveVortexLattice, aeroPressureField } = require("../src/shared/rig/aeroVlm.cjs");
+const { createMembraneMesh, totalMembranePressure } = require("../src/shared/rig/sailMembrane3d.cjs");
+
+// Placa plana: envergadura b en z, cuerda c hacia popa (-y); P[i][j]
+function flatPlate(b, c, nRows, nCols, x = 0) {
+  return Array.from({ length: nRows + 1 }, (_, i) =>
+    Array.from({ length: nCols + 1 }, (_, j) => [x, (-c * j) / nCols, (b * i) / nRows])
+  );
+}
+
+test("aero: apparent wind from true wind, boat speed and heel", () => {
+  const beam = apparentWind({ trueWindSpeedMs: 5, trueWindAngleDeg: 90, boatSpeedMs: 5, heelDeg: 0 });
+  assert.ok(Math.abs(beam.speedMs - Math.SQRT2 * 5) < 1e-12);
+  assert.ok(Math.abs(beam.angleDeg - 45) < 1e-12);
+  assert.ok(Math.abs(beam.dynamicPressurePa - 0.5 * 1.225 * 50) < 1e-9);
+  // Viento de estribor: el flujo va hacia babor (-X)
+  assert.ok(beam.velocity[0] < 0 && beam.velocity[1] < 0);
+
+  // Escora: parte del flujo lateral pasa a lo largo del palo; la velocidad se conserva
+  const heeled = apparentWind({ trueWindSpeedMs: 5, trueWindAngleDeg: 90, boatSpeedMs: 5, heelDeg: 20 });
+  assert.ok(Math.abs(heeled.velocity[0] + 5 * Math.cos((20 * Math.PI) / 180)) < 1e-12);
+  assert.ok(heeled.velocity[2] > 0);
+  assert.ok(Math.abs(Math.hypot(...heeled.velocity) - heeled.speedMs) < 1e-12);
+
+  const port = apparentWind({ trueWindSpeedMs: 5, trueWindAngleDeg: 90, boatSpeedMs: 5, heelDeg: 20, windSign: -1 });
+  assert.ok(Math.abs(port.velocity[0] + heeled.velocity[0]) < 1e-12);
+});
+
+test("aero: flat-plate lift slope and induced drag match finite-wing theory", () => {
+  const AR = 6;
+  const alpha = (5 * Math.PI) / 180;
+  const velocity = [10 * Math.sin(alpha), -10 * Math.cos(alpha), 0];
+  const res = solveVortexLattice({ surfaces: { main: flatPlate(AR, 1, 16, 6) }, velocity });
+
+  // Helmbold: CLα = 2πA / (2 + √(A² + 4))
+  const helmbold = (2 * Math.PI * AR) / (2 + Math.sqrt(AR * AR + 4));
+  assert.ok(Math.abs(res.CL / alpha / helmbold - 1) < 0.05, `CLα ${res.CL / alpha} vs ${helmbold}`);
+  // Oswald e cercano a 1 para planta rectangular
+  const e = (res.CL * res.CL) / (Math.PI * AR * res.CDi);
+  assert.ok(e > 0.9 && e < 1.05, `e ${e}`);
+  // Carga concentrada en el grátil
+  const row = res.surfaces.main.deltaCp[8].map(Math.abs);
+  assert.ok(row[0] > row[1] && row[1] > row[5]);
+});
+
+test("aero: per-element ΔCp reproduces the VLM force on the membrane mesh", () => {
+  // Modelo mínimo: una placa como mayor con malla de membrana, viento de estribor
+  const P = flatPlate(4, 1.5, 8, 4);
+  const nodes = [];
+  const grid = P.map((row) => row.map((p) => {
+    nodes.push({ id: nodes.length, p0: p });
+    return nodes.length - 1;
+  }));
+  const membranes = createMembraneMesh(grid, { E: 1e9, nu: 0.3, thickness: 2.5e-4, prestress: 1000 });
+  const model = { nodes, membranes, membranePressure: { value: 1, sign: -1 }, sails: { main: { gridNodeIds: grid } } };
+  const aero = { trueWindSpeedMs: 4, trueWindAngleDeg: 40, boatSpeedMs: 2, heelDeg: 0, airDensity: 1.225 };
+  const nodesPos = nodes.map((n) => n.p0);
+
+  const { elementScale, report } = aeroPressureField({ model, nodesPos, aero, windSign: 1 });
+  assert.equal(elementScale.length, membranes.length);
+  assert.equal(report.main.deltaCp.length, 8);
+  assert.equal(report.jib, null);
+
+  const dofMap = { nDof: nodes.length * 3, map: new Map(nodes.map((n) => [n.id, n.id * 3])) };
+  const press = totalMembranePressure(membranes, nodesPos, report.dynamicPressurePa, dofMap, -1, elementScale);
+  const total = press.nodalForces.reduce((s, f) => [s[0] + f[0], s[1] + f[1], s[2] + f[2]], [0, 0, 0]);
+  // Fuerza lateral hacia babor (sotavento) igual a la del VLM
+  assert.ok(total[0] < 0);
+  assert.ok(Math.abs(total[0] / report.forceN[0] - 1) < 1e-6, `${total[0]} vs ${report.forceN[0]}`);
+});
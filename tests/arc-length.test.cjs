@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { arcLengthPath } = require("../src/shared/rig/arcLength.cjs");
+const { dockPayload, runQuiet } = require("./helpers/dockRig.cjs");
+
+const basePayload = dockPayload({
+  load: { mode: "upwind", qLateralNpm: 60 },
+  solver: { loadSteps: 4, maxIterations: 300, useSegregatedFSI: false }
+});
+
+function run(solver) {
+  return runQuiet({ ...basePayload, solver: { ...basePayload.solver, ...solver } });
+}
+
+test("arc length: follows a snap-back path through its limit points", () => {
+  // f(u) = u³ − 3u² + 2.5u: máximo local en u ≈ 0.71, mínimo en u ≈ 1.29
+  const f = (u) => u * u * u - 3 * u * u + 2.5 * u;
+  const df = (u) => 3 * u * u - 6 * u + 2.5;
+  const path = arcLengthPath({
+    assembleAt: (x, lambda) => ({ grad: [f(x[0]) - lambda], K: [[df(x[0])]], meta: { u: x[0] } }),
+    solve: (K, b) => [b[0] / K[0][0]],
+    x0: [0],
+    lambdaTarget: 1,
+    initialStep: 0.1,
+    tol: 1e-9,
+    observe: ({ x }) => ({ u: x[0] })
+  });
+  assert.equal(path.ok, true);
+  assert.ok(Math.abs(path.x[0] - 2) < 1e-6);
+  // En la rama inestable λ baja mientras u sigue creciendo
+  const lambdas = path.history.map((h) => h.lambda);
+  assert.ok(lambdas.some((l, i) => i > 0 && l < lambdas[i - 1]));
+  assert.ok(path.history.every((h, i) => i === 0 || h.u > path.history[i - 1].u));
+});
+
+test("arc length: runPhase1 reaches the load-stepping solution and reports the path", () => {
+  assert.throws(() => run({ continuation: "riks" }), /Invalid solver.continuation/);
+
+  const byLoad = run({});
+  const byArc = run({ continuation: "arcLength" });
+  assert.equal(byArc.converged, true);
+  assert.deepEqual(byArc.diagnostics.notes, []);
+  // Con FSI segregado pedido, arcLength lo desactiva y lo anota
+  const forced = run({ continuation: "arcLength", useSegregatedFSI: true });
+  assert.equal(forced.converged, true);
+  assert.match(forced.diagnostics.notes[0], /useSegregatedFSI set to false/);
+  assert.equal(forced.outputs.tensions.forestayN, byArc.outputs.tensions.forestayN);
+  for (const k of ["forestayN", "shroudPortN", "shroudStbdN"]) {
+    assert.ok(Math.abs(byArc.outputs.tensions[k] - byLoad.outputs.tensions[k]) < 1, k);
+  }
+
+  const arc = byArc.diagnostics.history.filter((h) => h.method === "arc_length");
+  assert.deepEqual([...new Set(arc.map((h) => h.phase))], ["jib_halyard", "sailing_load"]);
+  const sailing = arc.filter((h) => h.phase === "sailing_load" && h.converged);
+  assert.equal(sailing.at(-1).lambda, 1);
+  for (const h of sailing) assert.ok(Number.isFinite(h.masthead.dxM) && Number.isFinite(h.masthead.dzM));
+  // La carga tumba el tope a sotavento (−x con el viento por defecto)
+  assert.ok(sailing.at(-1).masthead.dxM < 0);
+});
+
+test("arc length: a path that does not close falls back to load stepping", () => {
+  const byLoad = run({});
+  // Un solo paso de arco no llega a λ = 1
+  const capped = run({ continuation: "arcLength", arcLengthMaxSteps: 1 });
+  assert.equal(capped.converged, true);
+  for (const k of ["forestayN", "shroudPortN", "shroudStbdN"]) {
+    assert.ok(Math.abs(capped.outputs.tensions[k] - byLoad.outputs.tensions[k]) < 1, k);
+  }
+  const sailing = capped.diagnostics.history.filter((h) => h.phase === "sailing_load");
+  assert.ok(sailing.some((h) => h.method === "arc_length"));
+  assert.equal(sailing.at(-1).method, undefined);
+  assert.equal(sailing.at(-1).lambda, 1);
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { calibrateBendTest, bendTestDeflections } = require("../src/shared/rig/bendTestCalibration.cjs");
+
+const points = (zs) => zs.map((zM) => ({ zM, deflectionMm: 0 }));
+
+function dockTest(axis = "y") {
+  return {
+    axis,
+    mastLengthM: 6.5,
+    supportsZM: [0.4, 6.2],
+    cases: [
+      { loads: [{ zM: 3.0, massKg: 20 }], deflections: points([2, 3, 4, 5, 5.5, 6]) },
+      { loads: [{ zM: 5.5, forceN: 100 }], deflections: points([2, 3, 4, 5, 5.5, 6]) }
+    ]
+  };
+}
+
+test("bend test: uniform beam matches the simply supported midspan deflection", () => {
+  const t = { mastLengthM: 6.5, supportsZM: [0.4, 6.2], cases: [{ loads: [{ zM: 3.3, forceN: 200 }], deflections: points([3.3]) }] };
+  const [[mm]] = bendTestDeflections(t, { EIBase: 7500, EITop: 7500, taperStartZM: 4.5 });
+  const exact = (200 * 5.8 ** 3) / (48 * 7500) * 1000;
+  assert.ok(Math.abs(mm - exact) < 0.01 * exact, `${mm} vs ${exact}`);
+});
+
+test("bend test: fit recovers a tapered EI(z) profile and returns a preset stiffness block", () => {
+  const t = dockTest("x");
+  const truth = { EIBase: 6200, EITop: 2900, taperStartZM: 4.7 };
+  const model = bendTestDeflections(t, truth);
+  t.cases.forEach((c, ci) => c.deflections.forEach((d, i) => {
+    d.deflectionMm = model[ci][i];
+  }));
+
+  const fit = calibrateBendTest({ test: t });
+  assert.equal(fit.converged, true);
+  assert.equal(fit.reason, "converged");
+  assert.ok(Math.abs(fit.EIBaseNm2 / truth.EIBase - 1) < 1e-4, `base ${fit.EIBaseNm2}`);
+  assert.ok(Math.abs(fit.EITopNm2 / truth.EITop - 1) < 1e-4, `top ${fit.EITopNm2}`);
+  assert.equal(fit.taperStartZM, 4.7);
+  assert.ok(fit.rmsMm < 1e-3);
+  assert.equal(fit.residuals.length, 12);
+  assert.deepEqual(fit.stiffness, { mastEIxBase: 6200, mastEIxTop: 2900, taperStartXZMm: 4700 });
+
+  // Mismo ensayo con la conicidad fija a otra altura: peor ajuste
+  const fixed = calibrateBendTest({ test: t, options: { taperStartZM: 4.0 } });
+  assert.ok(fixed.rmsMm > fit.rmsMm);
+});
+
+test("bend test: a fit that cannot lower the cost is not reported as converged", () => {
+  // Flechas medidas sobre los apoyos: el modelo da 0 ahí para cualquier EI
+  const t = {
+    axis: "y",
+    mastLengthM: 6.5,
+    supportsZM: [0.4, 6.2],
+    cases: [{ loads: [{ zM: 3, massKg: 20 }], deflections: [{ zM: 0.4, deflectionMm: 5 }, { zM: 6.2, deflectionMm: 5 }] }]
+  };
+  const fit = calibrateBendTest({ test: t, options: { taperStartZM: 4.5 } });
+  assert.equal(fit.reason, "stationary");
+  assert.equal(fit.converged, false);
+  assert.ok(Math.abs(fit.rmsMm - 5) < 1e-9);
+});
+
+test("bend test: input is validated", () => {
+  assert.throws(() => calibrateBendTest({ test: { ...dockTest(), axis: "z" } }), /Invalid bendTest\.axis/);
+  assert.throws(() => calibrateBendTest({ test: { ...dockTest(), supportsZM: [0.4] } }), /Invalid bendTest\.supportsZM/);
+  const noMass = dockTest();
+  noMass.cases[0].loads = [{ zM: 3 }];
+  assert.throws(() => calibrateBendTest({ test: noMass }), /expected forceN or massKg/);
+});
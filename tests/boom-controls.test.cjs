@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { solveEquilibrium3d } = require("../src/shared/rig/solverPhase1_3d.cjs");
+const { buildPhase1Model3d } = require("../src/shared/rig/modelPhase1_3d.cjs");
+const { applySailsPhase1ToModel3d } = require("../src/shared/rig/sailsPhase1_3d.cjs");
+const { dockPayload, quietly } = require("./helpers/dockRig.cjs");
+
+const { geometry, controls } = dockPayload();
+
+function sailModel(main, halyardScale = 1) {
+  return quietly(() => {
+    const sails = { enabled: true, main, jib: { enabled: false } };
+    const state = { standingScale: 1, halyardScale, loadScale: 0, load: { mode: "upwind", qLateralNpm: 0 }, sails };
+    const model = buildPhase1Model3d({ geometry, controls, solver: { mastSegments: 20, cableSegments: 1 }, state, constants: {} });
+    return applySailsPhase1ToModel3d({ model, geometry, state, constants: {}, sails });
+  });
+}
+
+test("boom controls: hinged beam held by a sheet balances moments about the gooseneck", () => {
+  // Botavara de 2.5 m articulada en la pluma; escota desde cubierta bajo el extremo
+  const n = 5;
+  const Lb = 2.5;
+  const nodes = [];
+  for (let k = 0; k <= n; k++) nodes.push({ id: k, name: k === 0 ? "gooseneck" : `boom_${k}`, p0: [0, (-Lb * k) / n, 1], fixed: k === 0 });
+  nodes.push({ id: n + 1, name: "mainsheet_lead", p0: [0, -Lb, 0], fixed: true });
+  const axial = [];
+  for (let k = 0; k < n; k++) axial.push({ name: `boom_seg_${k + 1}`, i: k, j: k + 1, EA: 1e7, L0: Lb / n, kind: "bar" });
+  axial.push({ name: "mainsheet", i: n + 1, j: n, kind: "cable", EA: 1e6, L0: 1, compressionEps: 0.01, smoothDeltaM: 1e-4 });
+  const forces = nodes.map(() => [0, 0, 0]);
+  // Baluma tirando hacia arriba (y a sotavento) a 1 m de la pluma
+  forces[2] = [30, 0, 200];
+  const model = {
+    nodes,
+    axial,
+    springs: [],
+    forces,
+    mastNodeIds: [],
+    beams: [{ name: "boom", nodeIds: [0, 1, 2, 3, 4, 5], EI: 5000, bending: true }]
+  };
+
+  const res = solveEquilibrium3d({ model, solver: { toleranceN: 1e-6, maxIterations: 100 } });
+  assert.equal(res.converged, true);
+  // Momento respecto a la pluma: la componente vertical de la escota equilibra la baluma
+  const pos = res.meta.nodesPos;
+  const leadRz = -res.meta.reactions.mainsheet_lead[2];
+  assert.ok(Math.abs(leadRz * -pos[n][1] - 200 * -pos[2][1]) < 1e-3 * 200, `sheet Fz ${leadRz}`);
+  assert.ok(res.meta.axialForces.mainsheet > leadRz);
+
+  // La flexión impide que la cadena de barras se pliegue: solo gira sobre la rótula
+  const span = Math.hypot(...pos[n].map((v, c) => v - pos[0][c]));
+  assert.ok(span > 0.99 * Lb, `span ${span}`);
+});
+
+test("boom controls: free boom adds mainsheet, vang and outhaul lines", () => {
+  const fixedBoom = sailModel({});
+  assert.ok(fixedBoom.nodes.filter((nd) => nd.name.startsWith("boom_")).every((nd) => nd.fixed));
+  assert.ok(!fixedBoom.axial.some((e) => e.name === "mainsheet"));
+  assert.equal(fixedBoom.sails.main.boomControls, null);
+
+  const free = sailModel({ boomMode: "free", outhaulMm: 20, vang: { mode: "length" } }, 0.5);
+  const byName = (name) => free.axial.find((e) => e.name === name);
+  assert.ok(free.nodes.filter((nd) => nd.name.startsWith("boom_")).every((nd) => !nd.fixed));
+  assert.deepEqual(free.sails.main.boomControls, { mainsheet: "mainsheet", vang: "vang", outhaul: "outhaul" });
+
+  // Tensión objetivo escalada con la fase de driza; longitud objetivo como cable
+  assert.equal(byName("mainsheet").kind, "tension");
+  assert.equal(byName("mainsheet").N, 0.5 * 800);
+  assert.equal(byName("vang").kind, "cable");
+  assert.ok(free.mastNodeIds.includes(byName("vang").i));
+
+  // El puño es un nodo propio de la malla, unido al extremo de la botavara por el pajarín
+  const clew = free.nodes.find((nd) => nd.name === "main_clew");
+  const grid = free.sails.main.gridNodeIds;
+  assert.equal(grid[0][grid[0].length - 1], clew.id);
+  assert.equal(byName("outhaul").i, clew.id);
+  assert.equal(free.nodes[byName("outhaul").j].name, "boom_end");
+  assert.equal(free.beams.find((b) => b.name === "boom").bending, true);
+
+  const lengthOuthaul = sailModel({ boomMode: "free", outhaulMm: 20, outhaul: { mode: "length" } });
+  assert.ok(Math.abs(lengthOuthaul.axial.find((e) => e.name === "outhaul").L0 - 0.06) < 1e-12);
+
+  assert.throws(() => sailModel({ boomMode: "free", mainsheet: { mode: "winch" } }), /Invalid sails\.main\.mainsheet\.mode/);
+  assert.throws(() => sailModel({ boomMode: "loose" }), /Invalid sails\.main\.boomMode/);
+});
@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { generalizedSymmetricEigen } = require("../src/shared/rig/eigen.cjs");
+const { analyzeBuckling3d, freezeModelAtState } = require("../src/shared/rig/bucklingPhase1_3d.cjs");
+const { runPhase1Simulation } = require("../src/shared/rig/runPhase1.cjs");
+const { dockPayload } = require("./helpers/dockRig.cjs");
+
+// Columna biarticulada comprimida por un tirante axial de fuerza constante T:
+// la carga crítica discreta debe tender a Euler π²EI/L².
+function makeEulerColumn({ nSeg = 40, lengthM = 4, EI = 1000, EA = 1e7, T = 100 }) {
+  const ds = lengthM / nSeg;
+  const shortening = 1 - T / EA;
+  const nodes = [];
+  const nodesPos = [];
+  const mastNodeIds = [];
+  for (let i = 0; i <= nSeg; i++) {
+    nodes.push({ id: i, name: `mast_${i}`, p0: [0, 0, i * ds], fixed: i === 0 });
+    nodesPos.push([0, 0, i * ds * shortening]);
+    mastNodeIds.push(i);
+  }
+  const anchorId = nodes.length;
+  nodes.push({ id: anchorId, name: "anchor", p0: [0, 0, -1], fixed: true });
+  nodesPos.push([0, 0, -1]);
+
+  const axial = [];
+  for (let i = 0; i < nSeg; i++) {
+    axial.push({ name: `mast_seg_${i}`, i, j: i + 1, EA, L0: ds, kind: "bar" });
+  }
+  axial.push({ name: "pull_down", i: nSeg, j: anchorId, N: T, kind: "tension" });
+
+  const model = {
+    nodes,
+    axial,
+    springs: [{ name: "top_pin", nodeId: nSeg, kx: 1e8, ky: 1e8, kz: 0 }],
+    forces: nodes.map(() => [0, 0, 0]),
+    beam: { EI, ds, getEIAtZ: () => EI },
+    mastNodeIds
+  };
+  return { model, nodesPos, euler: (Math.PI ** 2) * EI / (lengthM ** 2), T };
+}
+
+test("eigen: generalized problem satisfies A φ = μ B φ", () => {
+  const A = [
+    [2, -1, 0],
+    [-1, 2, -1],
+    [0, -1, 2]
+  ];
+  const B = [
+    [2, 0, 0],
+    [0, 1, 0],
+    [0, 0, 3]
+  ];
+  const { values, vectors } = generalizedSymmetricEigen(A, B);
+  assert.ok(values[0] <= values[1] && values[1] <= values[2]);
+  values.forEach((mu, k) => {
+    const v = vectors[k];
+    for (let i = 0; i < 3; i++) {
+      const lhs = A[i].reduce((s, a, j) => s + a * v[j], 0);
+      const rhs = mu * B[i].reduce((s, b, j) => s + b * v[j], 0);
+      assert.ok(Math.abs(lhs - rhs) < 1e-12, `mode ${k} row ${i}: ${lhs} vs ${rhs}`);
+    }
+  });
+});
+
+test("buckling: pinned column matches Euler load", () => {
+  const { model, nodesPos, euler, T } = makeEulerColumn({});
+  const res = analyzeBuckling3d({ model, nodesPos, nModes: 2 });
+  assert.equal(res.stable, true);
+  assert.ok(Math.abs(res.mastMaxCompressionN - T) < 1e-6 * T, `compression ${res.mastMaxCompressionN}`);
+
+  const pCr = res.criticalLoadFactors[0] * T;
+  assert.ok(Math.abs(pCr - euler) / euler < 0.02, `Pcr ${pCr} vs Euler ${euler}`);
+  // Simetría x/y: los dos primeros modos son el mismo pandeo en planos ortogonales
+  assert.ok(Math.abs(res.criticalLoadFactors[1] - res.criticalLoadFactors[0]) / res.criticalLoadFactors[0] < 1e-6);
+
+  // Primer modo: media onda senoidal normalizada a 1 en el centro
+  const shape = res.modes[0].shape;
+  const dir = res.modes[0].direction === "lateral" ? "x" : "y";
+  const mid = shape[Math.floor(shape.length / 2)];
+  assert.ok(Math.abs(mid[dir] - 1) < 1e-6, `mid amplitude ${mid[dir]}`);
+  assert.ok(Math.abs(shape[0][dir]) < 1e-9);
+});
+
+test("buckling: runPhase1Simulation reports prebend safety factor on request", () => {
+  const payload = dockPayload({ analysis: { buckling: true, bucklingModes: 2 } });
+
+  const res = runPhase1Simulation(payload);
+  const b = res.outputs.buckling;
+  assert.ok(b, "missing outputs.buckling");
+  assert.equal(b.state, "prebend");
+  assert.equal(b.stable, true);
+  assert.ok(b.safetyFactor > 1, `lambda1 ${b.safetyFactor}`);
+  assert.equal(b.modes.length, 2);
+  assert.equal(b.modes[0].shape.length, payload.solver.mastSegments + 1);
+  assert.ok(Math.abs(b.critical.mastMaxCompressionN - b.safetyFactor * b.reference.mastMaxCompressionN) < 1e-6);
+
+  const plain = runPhase1Simulation({ ...payload, analysis: undefined });
+  assert.equal(plain.outputs.buckling, null);
+});
+
+test("buckling: only sail cloth is frozen, a free boom stays a DOF", () => {
+  const names = ["sail_main_3_2", "main_clew", "boom_1", "boom_end", "boom_2", "mast_4"];
+  const model = {
+    nodes: names.map((name, id) => ({ id, name, p0: [0, 0, id], fixed: name === "boom_2" }))
+  };
+  const frozen = freezeModelAtState(model, model.nodes.map((n) => n.p0));
+  assert.deepEqual(frozen.nodes.map((n) => n.fixed), [true, true, false, false, true, false]);
+  assert.deepEqual(freezeModelAtState(model, [], { freezeSails: false }).nodes.map((n) => n.fixed), [false, false, false, false, true, false]);
+});
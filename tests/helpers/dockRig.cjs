@@ -0,0 +1,63 @@
+// Aparejo de pantalán común a los tests: el Snipe de makePayload
+// (phase1-solver.test.cjs) con malla y pasos mínimos para que cada solve
+// tarde poco. Cada test sobrescribe solo lo que prueba.
+
+const { runPhase1Simulation } = require("../../src/shared/rig/runPhase1.cjs");
+
+const DOCK_GEOMETRY = {
+  mastLengthM: 6.5,
+  partnersZM: 0.395,
+  spreaderZM: 2.5,
+  houndsZM: 4.911,
+  shroudAttachZM: 4.86,
+  chainplateXM: 0.55,
+  chainplateYM: -0.05,
+  bowYM: 1.511
+};
+
+const DOCK_CONTROLS = {
+  spreaderLengthM: 0.425,
+  spreaderSweepAftM: 0.15,
+  shroudDeltaL0PortM: 0.003,
+  shroudDeltaL0StbdM: 0.003,
+  jibHalyardTensionN: 1500,
+  lockStayLength: true,
+  partnersKx: 30000,
+  partnersKy: 30000
+};
+
+const DOCK_LOAD = { mode: "none", qLateralNpm: 0, qProfile: "uniform" };
+
+const DOCK_SOLVER = { mastSegments: 20, pretensionSteps: 2, loadSteps: 2, maxIterations: 60, toleranceN: 0.5, cableCompressionEps: 1e-3 };
+
+/**
+ * Payload de pantalán: geometry, controls, load y solver se mezclan campo a
+ * campo sobre los de arriba; el resto (sails, analysis...) va tal cual.
+ */
+function dockPayload({ geometry, controls, load, solver, ...rest } = {}) {
+  return {
+    geometry: { ...DOCK_GEOMETRY, ...geometry },
+    controls: { ...DOCK_CONTROLS, ...controls },
+    load: { ...DOCK_LOAD, ...load },
+    solver: { ...DOCK_SOLVER, ...solver },
+    ...rest
+  };
+}
+
+/** Ejecuta fn con console.log silenciado (el solver informa de cada fase). */
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/** runPhase1Simulation sin trazas. */
+function runQuiet(payload) {
+  return quietly(() => runPhase1Simulation(payload));
+}
+
+module.exports = { DOCK_GEOMETRY, DOCK_CONTROLS, DOCK_LOAD, DOCK_SOLVER, dockPayload, quietly, runQuiet };
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { solveInverseTuning, mastTrimFigures } = require("../src/shared/rig/inverseTuning.cjs");
+const { runPhase1Simulation } = require("../src/shared/rig/runPhase1.cjs");
+const { dockPayload, quietly } = require("./helpers/dockRig.cjs");
+
+const basePayload = dockPayload({ controls: { shroudDeltaL0StbdM: 0.004 } });
+
+test("inverse tuning: trim figures from the mast curve", () => {
+  // Palo recto inclinado 2 cm a popa en tope + 5 mm de flecha a proa en crucetas
+  const geometry = { spreaderZM: 2.5, houndsZM: 5 };
+  const curve = [
+    { x: 0, y: 0, z: 0 },
+    { x: 0, y: -0.01 + 0.005, z: 2.5 },
+    { x: 0, y: -0.02, z: 5 },
+    { x: 0, y: -0.026, z: 6.5 }
+  ];
+  const { mastheadRakeM, prebendSpreaderM } = mastTrimFigures({ mastCurveLoaded: curve }, geometry);
+  assert.ok(Math.abs(mastheadRakeM - 0.026) < 1e-12);
+  assert.ok(Math.abs(prebendSpreaderM - 0.005) < 1e-12);
+});
+
+test("inverse tuning: rejects unknown or underdetermined targets", () => {
+  assert.throws(() => solveInverseTuning({ payload: basePayload, targets: { vangN: 100 } }), /Unknown tuning target/);
+  assert.throws(() => solveInverseTuning({ payload: basePayload, targets: { shroudPortN: 5000 } }), /Underdetermined/);
+});
+
+test("inverse tuning: recovers shroud ΔL0 from measured tensions", () => {
+  quietly(() => {
+    const reference = runPhase1Simulation(basePayload).outputs.tensions;
+    const start = {
+      ...basePayload,
+      controls: { ...basePayload.controls, shroudDeltaL0PortM: 0.002, shroudDeltaL0StbdM: 0.002 }
+    };
+    const progress = [];
+    const res = solveInverseTuning({
+      payload: start,
+      targets: { shroudPortN: reference.shroudPortN, shroudStbdN: reference.shroudStbdN, forestayN: reference.forestayN },
+      options: { unknowns: ["shroudDeltaL0PortM", "shroudDeltaL0StbdM"] },
+      onProgress: (p) => progress.push(p)
+    });
+
+    assert.equal(res.converged, true, `reason ${res.reason}`);
+    assert.ok(Math.abs(res.controls.shroudDeltaL0PortM - 0.003) < 1e-4, `port ${res.controls.shroudDeltaL0PortM}`);
+    assert.ok(Math.abs(res.controls.shroudDeltaL0StbdM - 0.004) < 1e-4, `stbd ${res.controls.shroudDeltaL0StbdM}`);
+    for (const r of Object.values(res.residuals)) assert.ok(Math.abs(r.error) <= r.tolerance);
+    assert.equal(progress.length, res.history.length);
+    assert.ok(res.history[res.history.length - 1].residualNorm < res.history[0].residualNorm);
+  });
+});
+
+test("inverse tuning: by default adjusts only the shroud ΔL0 and leaves the halyard", () => {
+  quietly(() => {
+    const reference = runPhase1Simulation(basePayload).outputs.tensions;
+    const start = {
+      ...basePayload,
+      controls: { ...basePayload.controls, shroudDeltaL0PortM: 0.002, shroudDeltaL0StbdM: 0.002 }
+    };
+    const res = solveInverseTuning({
+      payload: start,
+      targets: { shroudPortN: reference.shroudPortN, shroudStbdN: reference.shroudStbdN, forestayN: reference.forestayN }
+    });
+
+    assert.equal(res.converged, true, `reason ${res.reason}`);
+    assert.deepEqual(Object.keys(res.controls), ["shroudDeltaL0PortM", "shroudDeltaL0StbdM"]);
+    assert.equal(res.history[res.history.length - 1].controls.jibHalyardTensionN, basePayload.controls.jibHalyardTensionN);
+  });
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { solveEquilibrium3d } = require("../src/shared/rig/solverPhase1_3d.cjs");
+const { buildPhase1Model3d } = require("../src/shared/rig/modelPhase1_3d.cjs");
+const { applySailsPhase1ToModel3d } = require("../src/shared/rig/sailsPhase1_3d.cjs");
+const { dockPayload, quietly } = require("./helpers/dockRig.cjs");
+
+const { geometry, controls } = dockPayload();
+
+function jibModel(jib) {
+  return quietly(() => {
+    const sails = { enabled: true, main: { enabled: false }, jib: { sheetSideSign: -1, ...jib } };
+    const state = { standingScale: 1, halyardScale: 1, loadScale: 0, load: { mode: "upwind", qLateralNpm: 0 }, sails };
+    const model = buildPhase1Model3d({ geometry, controls, solver: { mastSegments: 20, cableSegments: 1 }, state, constants: {} });
+    return applySailsPhase1ToModel3d({ model, geometry, state, constants: {}, sails });
+  });
+}
+
+test("jib sheet: cable or tension through the fairlead frees the clew", () => {
+  const clewOf = (m) => m.nodes[m.sails.jib.gridNodeIds[0][m.sails.jib.nCols]];
+
+  const fixedClew = jibModel({});
+  assert.equal(clewOf(fixedClew).fixed, true);
+  assert.equal(fixedClew.sails.jib.sheetLine, null);
+
+  const byTension = jibModel({ sheetMode: "cable", sheet: { tensionN: 250 } });
+  const sheetT = byTension.axial.find((e) => e.name === "jib_sheet");
+  assert.equal(clewOf(byTension).fixed, false);
+  assert.equal(sheetT.kind, "tension");
+  assert.equal(sheetT.N, 250);
+  assert.equal(byTension.nodes[sheetT.i].name, "jib_fairlead");
+  // Sin cable_path no hay mordaza: ningún nodo fijo suelto
+  assert.equal(byTension.nodes.some((n) => n.name === "jib_cleat"), false);
+
+  // Por longitud: cable continuo puño → carro → mordaza (a babor con sheetSideSign -1)
+  const byLength = jibModel({ sheetMode: "cable", sheet: { mode: "length" }, clewDisplaceMm: 100 });
+  const sheetL = byLength.axial.find((e) => e.name === "jib_sheet");
+  assert.equal(sheetL.kind, "cable_path");
+  const [clew, lead, cleat] = [sheetL.i, sheetL.k, sheetL.j].map((id) => byLength.nodes[id].p0);
+  const geomL = Math.hypot(...clew.map((v, c) => v - lead[c])) + Math.hypot(...lead.map((v, c) => v - cleat[c]));
+  assert.ok(Math.abs(sheetL.L0 - geomL) < 1e-12);
+  assert.ok(lead[0] < 0 && cleat[0] < 0);
+  assert.equal(byLength.nodes[sheetL.j].name, "jib_cleat");
+});
+
+test("jib sheet: the fairlead deflects the sheet with equal tension on both legs", () => {
+  const nodes = [
+    { id: 0, name: "clew", p0: [0, 1, 1], fixed: false },
+    { id: 1, name: "jib_fairlead", p0: [0, 0, 0], fixed: true },
+    { id: 2, name: "jib_cleat", p0: [0, -1, 0], fixed: true }
+  ];
+  const model = {
+    nodes,
+    axial: [{ name: "jib_sheet", i: 0, k: 1, j: 2, kind: "cable_path", EA: 1e6, L0: 2.4, compressionEps: 0.01, smoothDeltaM: 1e-4 }],
+    springs: [],
+    forces: [[0, 100 / Math.SQRT2, 100 / Math.SQRT2], [0, 0, 0], [0, 0, 0]],
+    mastNodeIds: []
+  };
+  const res = solveEquilibrium3d({ model, solver: { toleranceN: 1e-6, maxIterations: 100 } });
+  assert.equal(res.converged, true);
+  assert.ok(Math.abs(res.meta.axialForces.jib_sheet - 100) < 1e-3);
+  const r = res.meta.reactions;
+  assert.ok(Math.abs(Math.abs(r.jib_cleat[1]) - 100) < 1e-3, `cleat ${r.jib_cleat}`);
+});
@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  solveLinearSystem,
+  denseToSparse,
+  reverseCuthillMcKee,
+  solveSparseSystem
+} = require("../src/shared/rig/linsolve.cjs");
+const { buildPhase1Model3d } = require("../src/shared/rig/modelPhase1_3d.cjs");
+const { solveEquilibrium3d } = require("../src/shared/rig/solverPhase1_3d.cjs");
+const { dockPayload } = require("./helpers/dockRig.cjs");
+
+// Generador determinista (LCG) para que los tests sean reproducibles
+function makeRng(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (1664525 * s + 1013904223) >>> 0;
+    return s / 4294967296;
+  };
+}
+
+// Matriz en banda (no simétrica) con numeración barajada: RCM debe recuperar la banda
+function makeShuffledBandMatrix(n, halfBand, seed) {
+  const rnd = makeRng(seed);
+  const shuffle = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(rnd() * (i + 1));
+    [shuffle[i], shuffle[j]] = [shuffle[j], shuffle[i]];
+  }
+  const A = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = Math.max(0, i - halfBand); j <= Math.min(n - 1, i + halfBand); j++) {
+      const v = i === j ? 4 + rnd() : rnd() - 0.5;
+      A[shuffle[i]][shuffle[j]] = v;
+    }
+  }
+  return A;
+}
+
+function bandwidthOf(A, perm) {
+  const inv = new Array(perm.length);
+  perm.forEach((p, k) => { inv[p] = k; });
+  let bw = 0;
+  for (let i = 0; i < A.length; i++) {
+    for (let j = 0; j < A.length; j++) {
+      if (A[i][j] !== 0) bw = Math.max(bw, Math.abs(inv[i] - inv[j]));
+    }
+  }
+  return bw;
+}
+
+test("sparse: banded LU matches dense Gaussian elimination", () => {
+  const n = 60;
+  const A = makeShuffledBandMatrix(n, 4, 7);
+  const rnd = makeRng(11);
+  const b = Array.from({ length: n }, () => rnd() - 0.5);
+
+  const xDense = solveLinearSystem(A, b);
+  const xSparse = solveSparseSystem(denseToSparse(A), b);
+  for (let i = 0; i < n; i++) {
+    assert.ok(Math.abs(xDense[i] - xSparse[i]) < 1e-10, `dof ${i}: ${xDense[i]} vs ${xSparse[i]}`);
+  }
+});
+
+test("sparse: RCM recovers a narrow band from a shuffled numbering", () => {
+  const n = 80;
+  const A = makeShuffledBandMatrix(n, 3, 3);
+  const identityBw = bandwidthOf(A, Array.from({ length: n }, (_, i) => i));
+  const rcmBw = bandwidthOf(A, reverseCuthillMcKee(denseToSparse(A)));
+  assert.ok(rcmBw <= 12, `RCM bandwidth too wide: ${rcmBw}`);
+  assert.ok(rcmBw < identityBw, `RCM did not reduce bandwidth: ${identityBw} -> ${rcmBw}`);
+});
+
+test("sparse: pivoting handles a zero leading diagonal", () => {
+  const A = [
+    [0, 2, 0],
+    [1, 1, 0],
+    [0, 3, 5]
+  ];
+  const b = [2, 3, 13];
+  const x = solveSparseSystem(denseToSparse(A), b);
+  assert.deepEqual(x.map((v) => Math.round(v * 1e12) / 1e12), [2, 1, 2]);
+});
+
+test("sparse: singular matrix raises SINGULAR", () => {
+  const A = [
+    [1, 2],
+    [2, 4]
+  ];
+  assert.throws(() => solveSparseSystem(denseToSparse(A), [1, 2]), (err) => err.code === "SINGULAR");
+});
+
+test("sparse: 3D Newton solve matches the dense path", () => {
+  const { geometry, controls } = dockPayload({
+    controls: { spreaderLengthM: 0.41, spreaderSweepAftM: 0.153, jibHalyardTensionN: 0, lockStayLength: false }
+  });
+  const solverBase = { mastSegments: 16, maxIterations: 40, toleranceN: 0.5, cableCompressionEps: 1e-3 };
+  const constants = { mastEIBase: 7500, mastEITop: 3500, taperStartZM: 4.5, spreaderEA: 1.0e8, rigEA: 1.2e8 };
+  const state = {
+    standingScale: 1,
+    halyardScale: 0,
+    loadScale: 1,
+    load: { mode: "upwind", qLateralNpm: 60, qProfile: "triangular" },
+    sails: null
+  };
+
+  const solveWith = (linearSolver) => {
+    const model = buildPhase1Model3d({ geometry, controls, solver: solverBase, state, constants });
+    return solveEquilibrium3d({ model, solver: { ...solverBase, linearSolver }, x0: null });
+  };
+
+  const dense = solveWith("dense");
+  const sparse = solveWith("sparse");
+  assert.equal(dense.x.length, sparse.x.length);
+  const scale = Math.max(1e-6, ...dense.x.map(Math.abs));
+  for (let i = 0; i < dense.x.length; i++) {
+    assert.ok(Math.abs(dense.x[i] - sparse.x[i]) / scale < 1e-6, `dof ${i}: ${dense.x[i]} vs ${sparse.x[i]}`);
+  }
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { mastMaxCurvature, loadCaseEnvelope } = require("../src/shared/rig/loadCasesPhase1_3d.cjs");
+const { dockPayload, runQuiet } = require("./helpers/dockRig.cjs");
+
+const basePayload = dockPayload();
+
+function run(payload) {
+  return runQuiet({ ...basePayload, ...payload });
+}
+
+test("load cases: curvature of a circular arc and envelope extremes", () => {
+  const R = 20;
+  const arc = Array.from({ length: 11 }, (_, i) => {
+    const t = (i / 10) * 0.3;
+    return { x: R - R * Math.cos(t), y: 0, z: R * Math.sin(t) };
+  });
+  const k = mastMaxCurvature(arc);
+  assert.ok(Math.abs(k.maxPerM - 1 / R) < 1e-9);
+  assert.equal(mastMaxCurvature(arc.map((p) => ({ ...p, x: 0 }))).maxPerM, 0);
+
+  const env = loadCaseEnvelope([
+    { name: "a", converged: true, tensions: { forestayN: 900 }, spreaders: { portAxialN: -50 }, mastCurvature: { maxPerM: 0.01, zM: 2 } },
+    { name: "b", converged: true, tensions: { forestayN: 1200 }, spreaders: { portAxialN: -80 }, mastCurvature: { maxPerM: 0.03, zM: 3 } },
+    { name: "c", converged: false, tensions: { forestayN: 5000 }, spreaders: { portAxialN: 0 }, mastCurvature: { maxPerM: 1, zM: 1 } }
+  ]);
+  assert.deepEqual(env.cases, ["a", "b"]);
+  assert.deepEqual(env.forestayN, { min: 900, max: 1200, minCase: "a", maxCase: "b" });
+  assert.deepEqual(env.spreaderPortN, { min: -80, max: -50, minCase: "b", maxCase: "a" });
+  assert.deepEqual(env.mastCurvature, { maxPerM: 0.03, zM: 3, case: "b" });
+});
+
+test("load cases: invalid cases are rejected", () => {
+  assert.throws(() => run({ loadCases: [] }), /Invalid loadCases/);
+  assert.throws(() => run({ loadCases: [{ name: "a" }, { name: "a" }] }), /Duplicate loadCases name: a/);
+  assert.throws(() => run({ loadCases: [{ name: "a", sails: { windPressurePa: 20 } }] }), /payload has no sails/);
+  assert.throws(
+    () => run({ sails: { enabled: false }, loadCases: [{ name: "a", sails: { enabled: true } }] }),
+    /loadCases\[0\].sails.enabled/
+  );
+  assert.throws(() => run({ loadCases: [{ name: "a", heelDeg: 120 }] }), /Invalid loadCases\[0\] \(a\): Invalid load.heelDeg/);
+});
+
+test("load cases: each case matches its own run and feeds the envelope", () => {
+  const cases = [
+    { name: "light", load: { mode: "upwind", qLateralNpm: 20 } },
+    { name: "run", load: { mode: "downwind", qLateralNpm: 40 } }
+  ];
+  const res = run({ loadCases: cases });
+  assert.equal(res.converged, true);
+  const out = res.outputs.loadCases;
+  assert.equal(out.converged, true);
+  assert.deepEqual(out.cases.map((c) => c.name), ["light", "run"]);
+  // Los casos no tocan el resultado principal (payload.load)
+  assert.equal(res.outputs.tensions.forestayN, run({}).outputs.tensions.forestayN);
+
+  for (const c of cases) {
+    const alone = run({ load: { ...basePayload.load, ...c.load } });
+    const byCase = out.cases.find((x) => x.name === c.name);
+    for (const k of ["forestayN", "shroudPortN", "shroudStbdN"]) {
+      assert.ok(Math.abs(byCase.tensions[k] - alone.outputs.tensions[k]) < 1, `${c.name} ${k}`);
+    }
+    assert.ok(Math.abs(byCase.spreaders.portAxialN - alone.outputs.spreaders.portAxialN) < 1);
+    assert.ok(byCase.mastCurvature.maxPerM > 0);
+  }
+
+  const env = out.envelope;
+  const forestay = out.cases.map((c) => c.tensions.forestayN);
+  assert.equal(env.forestayN.min, Math.min(...forestay));
+  assert.equal(env.forestayN.max, Math.max(...forestay));
+  assert.equal(env.mastCurvature.maxPerM, Math.max(...out.cases.map((c) => c.mastCurvature.maxPerM)));
+});
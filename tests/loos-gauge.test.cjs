@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { gaugeToN, nToGauge, gaugeTable, tensionsAsGauge, applyGaugeInputs } = require("../src/shared/rig/loosGauge.cjs");
+const { runSweep } = require("../src/main/sweepPool.cjs");
+const { runPhase1Simulation } = require("../src/shared/rig/runPhase1.cjs");
+const { dockPayload, quietly } = require("./helpers/dockRig.cjs");
+
+const basePayload = dockPayload({ controls: { shroudDeltaL0StbdM: 0.004 } });
+
+// Tarjeta de prueba (no es de ningún tensiómetro real): [lectura, kgf]
+const CARD = [[0, 0], [10, 35], [20, 95], [30, 180], [40, 290], [50, 430]];
+
+test("loos gauge: reading ↔ N round trip against the card table", () => {
+  const gauge = { table: CARD };
+  for (const reading of [8, 22.5, 37]) {
+    const n = gaugeToN(reading, gauge);
+    assert.ok(Math.abs(nToGauge(n, gauge).reading - reading) < 1e-9);
+  }
+
+  const table = [[0, 0], [20, 100], [40, 300]];
+  assert.equal(gaugeToN(30, { table }), 200 * 9.81);
+  assert.throws(() => gaugeTable({ table: [[0, 0], [20, 100], [10, 300]] }), /Invalid gauge table/);
+  assert.throws(() => gaugeTable({}), /Missing gauge table/);
+  assert.throws(() => gaugeToN(20, { model: "PT-1" }), /Missing gauge table/);
+});
+
+test("loos gauge: outputs flag readings beyond the table", () => {
+  const g = tensionsAsGauge(
+    { shroudPortN: 1000, shroudStbdN: 9000, forestayN: 0, halyardN: null },
+    { model: "PT-1", shroudTable: CARD, forestayTable: CARD }
+  );
+  assert.equal(g.model, "PT-1");
+  assert.equal(g.shroudPort.inRange, true);
+  assert.equal(g.shroudStbd.inRange, false);
+  assert.ok(g.shroudStbd.reading > 50);
+  assert.equal(g.forestay.reading, 0);
+  assert.equal(g.halyard.reading, null);
+
+  // Sin tabla para un cable no hay lectura
+  assert.equal(tensionsAsGauge({ shroudPortN: 1000, forestayN: 800 }, { forestayTable: CARD }).shroudPort, null);
+  assert.throws(() => tensionsAsGauge({ shroudPortN: 1000 }, { model: "PT-1" }), /Invalid gauge: expected shroudTable/);
+});
+
+test("loos gauge: halyard given as a gauge reading", () => {
+  quietly(() => {
+    const reading = nToGauge(1500, { table: CARD }).reading;
+    const gauge = { forestayTable: CARD };
+    const byN = runPhase1Simulation({ ...basePayload, gauge });
+    const byLoos = runPhase1Simulation({
+      ...basePayload,
+      gauge,
+      controls: { ...basePayload.controls, jibHalyardTensionN: 0, jibHalyardLoos: reading }
+    });
+    assert.ok(Math.abs(byLoos.outputs.tensions.forestayN - byN.outputs.tensions.forestayN) < 1);
+    assert.ok(Math.abs(byLoos.outputs.tensionGauge.forestay.reading - byN.outputs.tensionGauge.forestay.reading) < 1e-3);
+    assert.equal(runPhase1Simulation(basePayload).outputs.tensionGauge, null);
+    assert.throws(() => runPhase1Simulation({ ...basePayload, gauge: { model: "PT-1" } }), /Invalid gauge: expected shroudTable/);
+    assert.throws(
+      () => runPhase1Simulation({ ...basePayload, controls: { ...basePayload.controls, jibHalyardLoos: reading } }),
+      /Invalid controls.jibHalyardLoos: needs gauge.forestayTable/
+    );
+  });
+});
+
+test("loos gauge: tools move the halyard of a Loos payload in N", async () => {
+  const gauge = { forestayTable: CARD };
+  const reading = nToGauge(1500, { table: CARD }).reading;
+  const payload = { ...basePayload, gauge, controls: { ...basePayload.controls, jibHalyardTensionN: 0, jibHalyardLoos: reading } };
+  const plain = applyGaugeInputs(payload);
+  assert.equal(plain.controls.jibHalyardLoos, undefined);
+  assert.ok(Math.abs(plain.controls.jibHalyardTensionN - 1500) < 1e-6);
+  assert.equal(applyGaugeInputs(basePayload), basePayload);
+
+  // Sin la conversión la lectura pisaría el eje y los dos puntos saldrían iguales
+  const sweep = { axes: [{ field: "controls.jibHalyardTensionN", values: [1000, 2000] }] };
+  const byLoos = await runSweep({ payload, sweep, poolSize: 1 });
+  const byN = await runSweep({ payload: basePayload, sweep, poolSize: 1 });
+  assert.deepEqual(byLoos.converged, [[true], [true]]);
+  assert.notEqual(byLoos.forestayN[0][0], byLoos.forestayN[1][0]);
+  byLoos.forestayN.forEach((row, i) => assert.ok(Math.abs(row[0] - byN.forestayN[i][0]) < 1e-6));
+});
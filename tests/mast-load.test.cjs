@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildPhase1Model3d } = require("../src/shared/rig/modelPhase1_3d.cjs");
+const { useSyntheticMastLoad } = require("../src/shared/rig/mastLoadsPhase1_3d.cjs");
+const { runPhase1Simulation } = require("../src/shared/rig/runPhase1.cjs");
+const { dockPayload, quietly } = require("./helpers/dockRig.cjs");
+
+const { geometry, controls, solver } = dockPayload();
+const load = { mode: "upwind", qLateralNpm: 30, qProfile: "triangular" };
+
+function syntheticForceX(state) {
+  const model = buildPhase1Model3d({ geometry, controls, solver: { ...solver, cableSegments: 1 }, state, constants: {} });
+  return model.mastNodeIds.reduce((s, id) => s + model.forces[id][0], 0);
+}
+
+test("mast load: synthetic q(z) only for rig-only runs unless requested", () => {
+  assert.equal(useSyntheticMastLoad({ load, sails: null }), true);
+  assert.equal(useSyntheticMastLoad({ load, sails: { enabled: true } }), false);
+  assert.equal(useSyntheticMastLoad({ load: { ...load, mastLoadSource: "synthetic" }, sails: { enabled: true } }), true);
+
+  const state = { standingScale: 1, halyardScale: 1, loadScale: 1, load };
+  const rigOnly = syntheticForceX({ ...state, sails: null });
+  assert.ok(rigOnly < -50, `rig-only lateral load ${rigOnly}`);
+  assert.equal(syntheticForceX({ ...state, sails: { enabled: true } }), 0);
+  assert.equal(syntheticForceX({ ...state, load: { ...load, mastLoadSource: "synthetic" }, sails: { enabled: true } }), rigOnly);
+
+  assert.throws(
+    () => runPhase1Simulation({ geometry, controls, load: { ...load, mastLoadSource: "cfd" }, solver }),
+    /Invalid load\.mastLoadSource/
+  );
+});
+
+test("mast load: equivalent q(z) report matches the applied synthetic profile", () => {
+  quietly(() => {
+    const res = runPhase1Simulation({ geometry, controls, load, solver });
+    assert.equal(res.converged, true);
+    const m = res.outputs.mastLoad;
+    assert.equal(m.source, "synthetic");
+    assert.equal(m.qz.length, solver.mastSegments + 1);
+
+    // Perfil triangular: q crece con z; la suma nodal es la carga aplicada
+    const mid = m.qz[10];
+    assert.ok(Math.abs(mid.qxNpm + (30 * mid.z) / geometry.mastLengthM) < 0.5, `q(${mid.z}) = ${mid.qxNpm}`);
+    const applied = syntheticForceX({ standingScale: 1, halyardScale: 1, loadScale: 1, load, sails: null });
+    const distributed = m.qz.reduce((s, q) => s + q.fxN, 0);
+    assert.ok(Math.abs(distributed - applied) < 1e-9);
+
+    // Estay como carga concentrada en hounds, tirando hacia proa y abajo
+    assert.equal(m.concentrated.length, 1);
+    assert.ok(m.concentrated[0].fyN > 0 && m.concentrated[0].fzN < 0);
+    assert.ok(m.resultant.centerOfEffortZM > geometry.mastLengthM / 2);
+  });
+});
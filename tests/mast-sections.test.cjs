@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  outlineProperties,
+  listMastSections,
+  mastSectionProperties,
+  mastSectionStiffness,
+  resolveMastStiffness
+} = require("../src/shared/rig/mastSections.cjs");
+const { getPresets, withSectionStiffness } = require("../src/shared/rig/presets.cjs");
+const { runPhase1Simulation } = require("../src/shared/rig/runPhase1.cjs");
+const { dockPayload } = require("./helpers/dockRig.cjs");
+
+const rect = (w, h, x0 = 0, y0 = 0) => [[x0, y0], [x0 + w, y0], [x0 + w, y0 + h], [x0, y0 + h]];
+
+test("mast sections: outline properties match a rectangular tube", () => {
+  // Tubo 40×60 con pared 2; el hueco recorrido en sentido horario da el mismo resultado
+  const p = outlineProperties({ outer: rect(40, 60, 10, -5), inner: rect(36, 56, 12, -3).reverse() });
+  assert.ok(Math.abs(p.areaMm2 - (40 * 60 - 36 * 56)) < 1e-9);
+  assert.ok(Math.abs(p.IxMm4 - (60 * 40 ** 3 - 56 * 36 ** 3) / 12) < 1e-6, `Ix ${p.IxMm4}`);
+  assert.ok(Math.abs(p.IyMm4 - (40 * 60 ** 3 - 36 * 56 ** 3) / 12) < 1e-6, `Iy ${p.IyMm4}`);
+  assert.ok(Math.abs(p.centroidMm[0] - 30) < 1e-9 && Math.abs(p.centroidMm[1] - 25) < 1e-9);
+});
+
+test("mast sections: library sections give EI per axis, EA and mass", () => {
+  const ref = mastSectionProperties("snipe-reference");
+  assert.ok(Math.abs(ref.EIyNm2 - 7490) < 1e-6);
+  assert.ok(Math.abs(ref.EAN - 3.15e7) < 1);
+  assert.ok(Math.abs(ref.massPerMKg - 1.215) < 1e-9);
+  assert.equal(ref.estimated, true);
+
+  for (const { id } of listMastSections()) {
+    const p = mastSectionProperties(id);
+    // Perfiles de Snipe: más rígidos a proa-popa que de costado
+    assert.ok(p.EIyNm2 > p.EIxNm2 && p.EIxNm2 > 3000, id);
+    assert.ok(p.massPerMKg > 0.5 && p.massPerMKg < 2, id);
+  }
+
+  const block = mastSectionStiffness("snipe-reference");
+  assert.ok(Math.abs(block.mastEIxTop - 0.47 * ref.EIxNm2) < 1e-9);
+  assert.equal(block.taperStartYZM, 4.5);
+  assert.throws(() => mastSectionProperties("nope"), /Unknown mast section/);
+});
+
+test("mast sections: stiffness and presets reference a section by id", () => {
+  const resolved = resolveMastStiffness({ sectionId: "snipe-reference", mastEIyBase: 8000 });
+  assert.equal(resolved.mastEIyBase, 8000);
+  assert.ok(Math.abs(resolved.mastEIxBase - 6020) < 1e-9);
+  assert.deepEqual(resolveMastStiffness({ mastEIBase: 7000 }), { mastEIBase: 7000 });
+
+  // Un preset con sectionId recibe los números explícitos de la sección
+  const fromSection = withSectionStiffness({ name: "x", stiffness: { sectionId: "snipe-reference" } });
+  assert.equal(fromSection.stiffness.mastEIxBase, 6020);
+  assert.equal(fromSection.stiffness.taperStartYZMm, 4500);
+
+  // Los presets de serie llevan sus números medidos, no la sección de referencia
+  assert.ok(getPresets().every((p) => p.stiffness.sectionId === undefined));
+  const standard = getPresets().find((p) => p.name === "SCIRA Standard (Medium)");
+  assert.deepEqual(standard.stiffness, {
+    mastEIxBase: 6000, mastEIxTop: 2800, taperStartXZMm: 4500,
+    mastEIyBase: 7500, mastEIyTop: 3500, taperStartYZMm: 4500
+  });
+
+  const payload = dockPayload({
+    load: { mode: "upwind", qLateralNpm: 30, qProfile: "triangular" },
+    stiffness: { sectionId: "carbon-wing" }
+  });
+  assert.throws(() => runPhase1Simulation(payload), /Invalid stiffness\.sectionId/);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { solveEquilibrium3d } = require("../src/shared/rig/solverPhase1_3d.cjs");
+const { buildPhase1Model3d } = require("../src/shared/rig/modelPhase1_3d.cjs");
+const { dockPayload, quietly } = require("./helpers/dockRig.cjs");
+
+const { geometry, controls } = dockPayload({ controls: { lockStayLength: false } });
+
+function rigModel(constants) {
+  const state = { standingScale: 1, loadScale: 0, load: { mode: "upwind", qLateralNpm: 0 } };
+  return buildPhase1Model3d({ geometry, controls, solver: { mastSegments: 20, cableSegments: 1 }, state, constants });
+}
+
+// Ménsula de 2 m empotrada (dos nodos fijos) con carga en la punta
+function cantilever(beam, tipForce) {
+  const n = 10;
+  const ds = 2 / n;
+  const nodes = [];
+  for (let k = 0; k <= n; k++) nodes.push({ id: k, name: `mast_${k}`, p0: [0, 0, k * ds], fixed: k <= 1 });
+  const axial = [];
+  for (let k = 0; k < n; k++) axial.push({ name: `mast_seg_${k}`, i: k, j: k + 1, EA: 1e8, L0: ds, kind: "bar" });
+  const forces = nodes.map(() => [0, 0, 0]);
+  forces[n] = tipForce;
+  const model = { nodes, axial, springs: [], forces, mastNodeIds: nodes.map((nd) => nd.id), beam: { ...beam, ds } };
+  return quietly(() => {
+    const res = solveEquilibrium3d({ model, solver: { toleranceN: 1e-4, maxIterations: 50 } });
+    assert.equal(res.converged, true);
+    return res.meta.nodesPos[n];
+  });
+}
+
+test("mast stiffness: lateral and fore/aft profiles taper independently", () => {
+  const iso = rigModel({ mastEIBase: 7500, mastEITop: 3500, taperStartZM: 4.5 });
+  for (const z of [1, 4.5, 5.5, 6.5]) {
+    assert.equal(iso.beam.getEIxAtZ(z), iso.beam.getEIAtZ(z));
+    assert.equal(iso.beam.getEIyAtZ(z), iso.beam.getEIAtZ(z));
+  }
+
+  const split = rigModel({
+    mastEIBase: 7500,
+    mastEITop: 3500,
+    taperStartZM: 4.5,
+    mastEIxBase: 6000,
+    mastEIxTop: 2800,
+    taperStartXZM: 5.5
+  });
+  assert.equal(split.beam.getEIxAtZ(5), 6000);
+  assert.equal(split.beam.getEIxAtZ(6.5), 2800);
+  assert.ok(Math.abs(split.beam.getEIxAtZ(6) - 4400) < 1e-9);
+  // El eje sin datos propios hereda el perfil común
+  assert.equal(split.beam.getEIyAtZ(4.5), 7500);
+  assert.ok(Math.abs(split.beam.getEIyAtZ(5.5) - 5500) < 1e-9);
+});
+
+test("mast stiffness: lateral tip deflection scales with EIy/EIx", () => {
+  const beam = { getEIxAtZ: () => 4000, getEIyAtZ: () => 8000 };
+  const lateral = cantilever(beam, [20, 0, 0]);
+  const foreAft = cantilever(beam, [0, 20, 0]);
+  assert.ok(Math.abs(lateral[1]) < 1e-9 && Math.abs(foreAft[0]) < 1e-9);
+  assert.ok(Math.abs(lateral[0] / foreAft[1] - 2) < 1e-3, `${lateral[0]} vs ${foreAft[1]}`);
+
+  // Sin perfiles por eje, ambos ejes usan getEIAtZ (mismo resultado que antes)
+  const common = cantilever({ getEIAtZ: () => 4000 }, [20, 0, 0]);
+  assert.ok(Math.abs(common[0] - lateral[0]) < 1e-9);
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyzeModes3d } = require("../src/shared/rig/modalPhase1_3d.cjs");
+const { buildLumpedMass3d } = require("../src/shared/rig/massPhase1_3d.cjs");
+const { runPhase1Simulation } = require("../src/shared/rig/runPhase1.cjs");
+const { dockPayload } = require("./helpers/dockRig.cjs");
+
+// Viga biarticulada (palo discretizado) con compresión axial T vía tirante de fuerza constante
+function makePinnedMast({ nSeg = 40, lengthM = 4, EI = 1000, EA = 1e7, T = 0 }) {
+  const ds = lengthM / nSeg;
+  const shortening = 1 - T / EA;
+  const nodes = [];
+  const nodesPos = [];
+  const mastNodeIds = [];
+  for (let i = 0; i <= nSeg; i++) {
+    nodes.push({ id: i, name: `mast_${i}`, p0: [0, 0, i * ds], fixed: i === 0 });
+    nodesPos.push([0, 0, i * ds * shortening]);
+    mastNodeIds.push(i);
+  }
+  const anchorId = nodes.length;
+  nodes.push({ id: anchorId, name: "anchor", p0: [0, 0, -1], fixed: true });
+  nodesPos.push([0, 0, -1]);
+
+  const axial = [];
+  for (let i = 0; i < nSeg; i++) {
+    axial.push({ name: `mast_seg_${i}`, i, j: i + 1, EA, L0: ds, kind: "bar" });
+  }
+  if (T > 0) axial.push({ name: "pull_down", i: nSeg, j: anchorId, N: T, kind: "tension" });
+
+  return {
+    model: {
+      nodes,
+      axial,
+      springs: [{ name: "top_pin", nodeId: nSeg, kx: 1e8, ky: 1e8, kz: 0 }],
+      forces: nodes.map(() => [0, 0, 0]),
+      beam: { EI, ds, getEIAtZ: () => EI },
+      mastNodeIds
+    },
+    nodesPos
+  };
+}
+
+test("mass: lumped model conserves mast mass and adds the masthead fitting", () => {
+  const { model } = makePinnedMast({ nSeg: 10, lengthM: 5 });
+  const { totalMassKg, nodeMassKg } = buildLumpedMass3d(model, { mastMassPerMKg: 2, mastheadMassKg: 0.5 });
+  assert.ok(Math.abs(totalMassKg - (2 * 5 + 0.5)) < 1e-12);
+  assert.ok(Math.abs(nodeMassKg[10] - (0.5 * 2 * 0.5 + 0.5)) < 1e-12);
+});
+
+test("mass: a free boom vibrates with its mass, a Dirichlet boom does not", () => {
+  const node = (id, fixed) => ({ id, name: `n${id}`, p0: [0, id, 0], fixed });
+  const seg = { name: "boom_seg_1", i: 0, j: 1, EA: 1e6, L0: 2, kind: "bar" };
+  const mass = { boomMassPerMKg: 0.8 };
+  const free = buildLumpedMass3d({ nodes: [node(0, true), node(1, false)], axial: [seg] }, mass);
+  assert.ok(Math.abs(free.nodeMassKg[1] - 0.8) < 1e-12);
+  const fixed = buildLumpedMass3d({ nodes: [node(0, true), node(1, true)], axial: [seg] }, mass);
+  assert.equal(fixed.totalMassKg, 0);
+});
+
+test("modal: pinned mast matches beam frequency softened by compression", () => {
+  const lengthM = 4;
+  const EI = 1000;
+  const massPerM = 1.5;
+  const mass = { mastMassPerMKg: massPerM, mastheadMassKg: 0 };
+  const f0 = (Math.PI / (2 * lengthM ** 2)) * Math.sqrt(EI / massPerM);
+  const pCr = (Math.PI ** 2) * EI / (lengthM ** 2);
+
+  const free = makePinnedMast({ lengthM, EI });
+  const res0 = analyzeModes3d({ ...free, mass, nModes: 4 });
+  assert.equal(res0.stable, true);
+  assert.ok(Math.abs(res0.firstLateralHz - f0) / f0 < 0.02, `f1 ${res0.firstLateralHz} vs ${f0}`);
+  assert.ok(Math.abs(res0.firstForeAftHz - f0) / f0 < 0.02, `f1 ${res0.firstForeAftHz} vs ${f0}`);
+
+  const T = 0.3 * pCr;
+  const loaded = makePinnedMast({ lengthM, EI, T });
+  const res1 = analyzeModes3d({ ...loaded, mass, nModes: 4 });
+  const expected = f0 * Math.sqrt(1 - T / pCr);
+  assert.ok(Math.abs(res1.firstLateralHz - expected) / expected < 0.02, `f1 ${res1.firstLateralHz} vs ${expected}`);
+
+  const shape = res1.mastModes.lateral.shape;
+  assert.equal(shape.length, 41);
+  assert.ok(Math.abs(Math.abs(shape[20].x) - 1) < 1e-6);
+});
+
+test("modal: runPhase1Simulation returns outputs.modes on request", () => {
+  const payload = dockPayload({ analysis: { modal: true, modalModes: 4 } });
+
+  const res = runPhase1Simulation(payload);
+  const m = res.outputs.modes;
+  assert.ok(m, "missing outputs.modes");
+  assert.equal(m.state, "prebend");
+  assert.equal(m.modes.length, 4);
+  assert.ok(m.totalMassKg > 6 && m.totalMassKg < 15, `mass ${m.totalMassKg}`);
+  assert.ok(m.firstLateralHz > 0 && m.firstForeAftHz > 0);
+  for (let i = 1; i < m.frequenciesHz.length; i++) assert.ok(m.frequenciesHz[i] >= m.frequenciesHz[i - 1]);
+});
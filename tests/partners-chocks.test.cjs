@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { dockPayload, runQuiet } = require("./helpers/dockRig.cjs");
+
+const basePayload = dockPayload();
+
+// Con calzos no hay muelle proa/popa: fuera partnersKy del aparejo de pantalán
+const { partnersKy, ...chockControls } = basePayload.controls;
+
+function run(partners) {
+  return runQuiet({ ...basePayload, controls: partners?.mode === "chocks" ? chockControls : basePayload.controls, partners });
+}
+
+test("partners chocks: invalid configuration is rejected", () => {
+  assert.throws(() => run({ mode: "wedges" }), /Invalid partners.mode/);
+  assert.throws(() => run({ mode: "chocks", chockFwdMm: -1 }), /Invalid partners.chockFwdMm/);
+  assert.throws(() => run({ mode: "chocks", ram: { mode: "force" } }), /partners.ram.forceN/);
+  assert.equal(run({ mode: "spring" }).outputs.partners, null);
+  // El muelle proa/popa no tendría efecto con calzos
+  assert.throws(
+    () => runQuiet({ ...basePayload, partners: { mode: "chocks" } }),
+    /Invalid controls.partnersKy: replaced by partners chocks/
+  );
+  assert.throws(
+    () => runQuiet({ ...basePayload, controls: { ...chockControls, partnersOffsetYM: 0.002 }, partners: { mode: "chocks" } }),
+    /Invalid controls.partnersOffsetYM/
+  );
+});
+
+test("partners chocks: ram in position mode clamps the mast on the forward chock", () => {
+  // Tope 1 mm más a proa que la cara del calzo (4 mm): ram y calzo a presión
+  const res = run({ mode: "chocks", clearanceMm: 8, ram: { mode: "position", positionMm: 5 } });
+  assert.equal(res.converged, true);
+  const p = res.outputs.partners;
+  assert.equal(p.ram.active, true);
+  assert.equal(p.chockFwd.active, true);
+  assert.ok(p.ram.forceN > 100);
+  // Reparto del milímetro de interferencia entre dos contactos de igual rigidez
+  assert.ok(Math.abs(p.ram.clearanceM + p.chockFwd.clearanceM + 0.001) < 1e-4);
+  assert.ok(Math.abs(res.outputs.equilibrium.partnersRy - (p.ram.forceN - p.chockFwd.forceN)) < 1e-6);
+});
+
+test("partners chocks: ram pushes the mast onto the forward chock", () => {
+  const res = run({ mode: "chocks", clearanceMm: 8, ram: { mode: "force", forceN: 200 } });
+  assert.equal(res.converged, true);
+  const p = res.outputs.partners;
+  // El palo toca el calzo de proa y se separa del de popa (unilateral: sin tracción)
+  assert.equal(p.chockFwd.active, true);
+  assert.ok(p.chockFwd.forceN > 200);
+  assert.equal(p.chockAft.active, false);
+  assert.equal(p.chockAft.forceN, 0);
+  assert.ok(p.chockAft.clearanceM > 0.007);
+  assert.equal(p.ram.forceN, 200);
+  // Reacción de la fogonadura sobre el palo = ram − calzo de proa
+  assert.ok(Math.abs(res.outputs.equilibrium.partnersRy - (200 - p.chockFwd.forceN)) < 1e-6);
+});
+
+test("partners chocks: chocks fill the clearance and hold the mast", () => {
+  const res = run({ mode: "chocks", clearanceMm: 8, chockFwdMm: 4, chockAftMm: 4 });
+  assert.equal(res.converged, true);
+  const p = res.outputs.partners;
+  for (const c of [p.chockFwd, p.chockAft]) {
+    assert.ok(c.forceN >= 0);
+    // Penetración del orden de tol/k como mucho en el calzo que trabaja
+    assert.ok(c.clearanceM > -1e-3);
+  }
+  assert.ok(p.chockFwd.active || p.chockAft.active);
+  assert.equal(p.ram, null);
+});
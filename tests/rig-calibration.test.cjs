@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { calibrateRig } = require("../src/shared/rig/rigCalibration.cjs");
+const { mastTrimFigures } = require("../src/shared/rig/inverseTuning.cjs");
+const { runPhase1Simulation } = require("../src/shared/rig/runPhase1.cjs");
+const { dockPayload, quietly } = require("./helpers/dockRig.cjs");
+
+const basePayload = dockPayload({ controls: { shroudDeltaL0StbdM: 0.004 } });
+
+test("rig calibration: rejects unknown parameters and underdetermined sets", () => {
+  assert.throws(() => calibrateRig({ payload: basePayload, observations: [{ shroudPortN: 5000 }], options: { parameters: ["controls.vang"] } }), /Unknown calibration parameter/);
+  assert.throws(() => calibrateRig({ payload: basePayload, observations: [{ shroudPortN: 5000 }] }), /Underdetermined/);
+  assert.throws(() => calibrateRig({ payload: basePayload, observations: [{ sagMm: 3 }] }), /Unknown observation field/);
+});
+
+test("rig calibration: recovers rigging EA from logged Loos readings with a confidence interval", () => {
+  quietly(() => {
+    // Observaciones sintéticas con jarcia más elástica que la de partida (1.2e8 N)
+    const truth = { ...basePayload, stiffness: { rigEA: 8e7 } };
+    const settings = [
+      { shroudDeltaL0PortM: 0.003, shroudDeltaL0StbdM: 0.003 },
+      { shroudDeltaL0PortM: 0.005, shroudDeltaL0StbdM: 0.005 }
+    ];
+    const observations = settings.map((controls, i) => {
+      const out = runPhase1Simulation({ ...truth, controls: { ...truth.controls, ...controls } }).outputs;
+      return {
+        name: `log ${i}`,
+        controls,
+        shroudPortN: out.tensions.shroudPortN,
+        shroudStbdN: out.tensions.shroudStbdN,
+        mastheadRakeM: mastTrimFigures(out, basePayload.geometry).mastheadRakeM
+      };
+    });
+
+    const fit = calibrateRig({ payload: basePayload, observations, options: { parameters: ["stiffness.rigEA"] } });
+    assert.equal(fit.converged, true);
+    assert.equal(fit.identifiable, true);
+    assert.ok(Math.abs(fit.parameters["stiffness.rigEA"] / 8e7 - 1) < 1e-3, `EA ${fit.parameters["stiffness.rigEA"]}`);
+    const c = fit.confidence["stiffness.rigEA"];
+    assert.ok(c.ci95[0] <= c.value && c.value <= c.ci95[1]);
+    assert.equal(fit.residuals.length, 6);
+    assert.ok(fit.residuals.every((r) => Math.abs(r.normalized) < 1e-2), JSON.stringify(fit.residuals));
+    assert.equal(fit.residuals[3].name, "log 1");
+  });
+});
+
+test("rig calibration: no descent from the start point is not reported as converged", () => {
+  quietly(() => {
+    // partnersKx ya en su límite inferior y la medida pide aún menos rigidez
+    const payload = { ...basePayload, controls: { ...basePayload.controls, partnersKx: 100 } };
+    const fit = calibrateRig({ payload, observations: [{ shroudPortN: 9000 }], options: { parameters: ["controls.partnersKx"] } });
+    assert.equal(fit.reason, "stationary");
+    assert.equal(fit.iterations, 0);
+    assert.equal(fit.converged, false);
+    assert.equal(fit.confidence["controls.partnersKx"].atBound, true);
+  });
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  hardwareSpec,
+  hardwareLengthM,
+  hardwareSettingForLength,
+  applyHardwareInputs,
+  hardwareDrivenControls
+} = require("../src/shared/rig/rigHardware.cjs");
+const { runPhase1Simulation } = require("../src/shared/rig/runPhase1.cjs");
+const { solveInverseTuning } = require("../src/shared/rig/inverseTuning.cjs");
+const { analyzeSensitivity } = require("../src/shared/rig/sensitivity.cjs");
+const { dockPayload, quietly } = require("./helpers/dockRig.cjs");
+
+const basePayload = dockPayload({ controls: { shroudDeltaL0StbdM: 0.004 } });
+
+test("rig hardware: hole + turns to length and back", () => {
+  const spec = hardwareSpec({ shroud: { wireLengthMm: 4700 } }, "shroud");
+  // 4700 + 110 + 2·2.5 + 3·12.7
+  assert.ok(Math.abs(hardwareLengthM(spec, { hole: 4, turns: 2 }) - 4.8531) < 1e-12);
+
+  const best = hardwareSettingForLength(spec, hardwareLengthM(spec, { hole: 4, turns: 2 }) + 0.0004);
+  assert.ok(best.inRange);
+  assert.ok(Math.abs(best.errorMm) <= 0.5 * 2.5 / 2 + 1e-9);
+  assert.equal(best.lengthM, hardwareLengthM(spec, { hole: best.hole, turns: best.turns }));
+
+  assert.equal(hardwareSettingForLength(spec, 6).inRange, false);
+  assert.throws(() => hardwareLengthM(spec, { hole: 11, turns: 0 }), /Invalid hole/);
+  assert.throws(() => hardwareSpec({ shroud: {} }, "shroud"), /Missing hardware.shroud.wireLengthMm/);
+  assert.throws(
+    () => applyHardwareInputs({ ...basePayload, controls: { ...basePayload.controls, shroudPortTurns: 2 } }),
+    /needs controls.shroudPortHole/
+  );
+});
+
+test("rig hardware: chainplate hole drives the shroud L0 in runPhase1", () => {
+  quietly(() => {
+    const byDelta = runPhase1Simulation(basePayload);
+    const L0 = byDelta.outputs.rigLengths.shroudPortL0M;
+    // Cable que deja el obenque de babor en el agujero 4 + 2 vueltas con ese mismo L0
+    const hardware = { shroud: { wireLengthMm: L0 * 1000 - (110 + 2 * 2.5 + 3 * 12.7) } };
+    const { shroudDeltaL0PortM, ...controls } = basePayload.controls;
+    const byHoles = runPhase1Simulation({
+      ...basePayload,
+      hardware,
+      controls: { ...controls, shroudPortHole: 4, shroudPortTurns: 2 }
+    });
+    assert.ok(Math.abs(byHoles.outputs.rigLengths.shroudPortL0M - L0) < 1e-9);
+    assert.ok(Math.abs(byHoles.outputs.tensions.shroudPortN - byDelta.outputs.tensions.shroudPortN) < 1);
+    assert.deepEqual(
+      { hole: byHoles.outputs.hardware.shroudPort.hole, turns: byHoles.outputs.hardware.shroudPort.turns },
+      { hole: 4, turns: 2 }
+    );
+    assert.equal(byHoles.outputs.hardware.forestay, null);
+  });
+});
+
+test("rig hardware: a shroud set by hole rejects its ΔL0 and tools leave it alone", () => {
+  const hardware = { shroud: { wireLengthMm: 4700 } };
+  const { shroudDeltaL0PortM, shroudDeltaL0StbdM, ...controls } = basePayload.controls;
+  const holes = { ...controls, shroudPortHole: 4, shroudPortTurns: 2, shroudStbdHole: 4, shroudStbdTurns: 2 };
+  const payload = { ...basePayload, hardware, controls: holes };
+  assert.deepEqual(hardwareDrivenControls(holes), ["shroudDeltaL0PortM", "shroudDeltaL0StbdM"]);
+  assert.deepEqual(hardwareDrivenControls({ ...controls, forestayL0M: 5 }), ["jibHalyardTensionN"]);
+
+  assert.throws(
+    () => runPhase1Simulation({ ...payload, controls: { ...holes, shroudDeltaL0PortM: 0.003 } }),
+    /Invalid controls.shroudDeltaL0PortM: shroud length is set by hardware/
+  );
+  assert.throws(
+    () => runPhase1Simulation({ ...payload, controls: { ...holes, shroudBaseDeltaM: 0.002 } }),
+    /Invalid controls.shroudBaseDeltaM/
+  );
+  assert.throws(
+    () => solveInverseTuning({ payload, targets: { shroudPortN: 5000, shroudStbdN: 5000 }, options: { unknowns: ["shroudDeltaL0PortM", "shroudDeltaL0StbdM"] } }),
+    /shroudDeltaL0PortM is set by hardware/
+  );
+  assert.throws(() => solveInverseTuning({ payload, targets: { forestayN: 3000 } }), /No tuning controls/);
+  assert.throws(
+    () => analyzeSensitivity({ payload, options: { parameters: ["controls.shroudDeltaL0StbdM"] } }),
+    /shroudDeltaL0StbdM is set by hardware/
+  );
+});
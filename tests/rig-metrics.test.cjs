@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { mastCurveMetrics, spreaderTipMetrics } = require("../src/shared/rig/rigMetrics.cjs");
+const { resultsToCsv } = require("../src/shared/rig/serialize.cjs");
+const { dockPayload, runQuiet } = require("./helpers/dockRig.cjs");
+
+test("rig metrics: rake tape, prebend and spreader tips from curves", () => {
+  // Palo recto inclinado 2 cm a popa en hounds + 5 mm de flecha a proa en crucetas
+  const geometry = { spreaderZM: 2.5, houndsZM: 5, partnersZM: 0.4, transomYM: -3, transomZM: 0.4 };
+  const curve = [
+    { x: 0, y: 0, z: 0 },
+    { x: 0, y: -0.01 + 0.005, z: 2.5 },
+    { x: 0, y: -0.02, z: 5 },
+    { x: 0.01, y: -0.026, z: 6.5 }
+  ];
+  const m = mastCurveMetrics(curve, geometry);
+  assert.ok(Math.abs(m.mastheadRakeM - 0.026) < 1e-12);
+  assert.ok(Math.abs(m.prebendSpreaderM - 0.005) < 1e-12);
+  assert.ok(Math.abs(m.maxPrebendM - 0.005) < 1e-12);
+  assert.equal(m.maxPrebendZM, 2.5);
+  assert.ok(Math.abs(m.mastheadSideM - 0.01) < 1e-12);
+  assert.ok(Math.abs(m.rakeTapeM - Math.hypot(0.01, 3 - 0.026, 6.1)) < 1e-12);
+
+  // Punta de babor 3 mm a proa de la posición nominal
+  const tips = spreaderTipMetrics(
+    { root: { x: 0, y: 0, z: 2.5 }, tipPort: { x: -0.4, y: -0.297, z: 2.5 }, tipStbd: { x: 0.4, y: -0.3, z: 2.5 } },
+    { spreaderLengthM: 0.5, spreaderSweepAftM: 0.3 }
+  );
+  assert.ok(Math.abs(tips.port.forwardM - 0.003) < 1e-12);
+  assert.ok(Math.abs(tips.stbd.totalM) < 1e-12);
+});
+
+test("rig metrics: runPhase1 outputs and CSV export", () => {
+  const res = runQuiet(dockPayload());
+  const m = res.outputs.metrics;
+  assert.equal(m.hull.transomYM, -3.21);
+  assert.equal(m.hull.transomZM, 0.395);
+  for (const state of [m.dock, m.loaded]) {
+    assert.ok(state.rakeTapeM > 6 && state.rakeTapeM < 8);
+    assert.ok(Number.isFinite(state.prebendSpreaderM));
+  }
+  // Jarcia simétrica sin carga: las dos puntas se mueven igual
+  assert.ok(Math.abs(m.spreaderTips.port.forwardM - m.spreaderTips.stbd.forwardM) < 1e-6);
+  // Estay de un único elemento (cableSegments 1, sin velas): sin flecha calculada
+  assert.deepEqual(res.outputs.cableCurves.stay_jib, []);
+  assert.equal(m.headstaySagM, null);
+  // Extremos del estay desde el modelo: proa fija en su herraje, hounds a su altura
+  const { hounds, bow } = res.outputs.headstay;
+  assert.deepEqual(bow, { x: 0, y: res.inputs.geometry.bowYM, z: 0 });
+  assert.ok(Math.abs(hounds.z - res.inputs.geometry.houndsZM) < 0.05, `hounds z ${hounds.z}`);
+
+  const csv = resultsToCsv(res);
+  assert.match(csv, /metric_dock,rake_tape_to_transom,[\d.]+,m/);
+  assert.match(csv, /metric_loaded,headstay_sag,n\/a,m/);
+  assert.match(csv, /metric_spreader_tip_port,forward,/);
+});
@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  createMembraneElement,
+  membraneEnergyAndGrad,
+  membraneConstitutive,
+  orthotropicConstitutive,
+  stressInMaterialFrame
+} = require("../src/shared/rig/sailMembrane3d.cjs");
+const { clothFiberDirections } = require("../src/shared/rig/sailsPhase1_3d.cjs");
+
+const cloth = { E1: 2.5e9, E2: 1.2e9, G12: 1.0e8, nu12: 0.3 };
+const dofMap = { nDof: 9, map: new Map([[0, 0], [1, 3], [2, 6]]) };
+const ref = [[0, 0, 0], [1, 0, 0], [0, 1, 0]];
+
+// Módulo uniaxial en x: 1 / (C⁻¹)11
+function uniaxialModulusX(C) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = C;
+  const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+  return det / (e * i - f * h);
+}
+
+function stretched(ex, ey) {
+  return [[0, 0, 0], [1 + ex, 0, 0], [0, 1 + ey, 0]];
+}
+
+test("sail cloth: orthotropic matrix reduces to isotropic and rotates by 90°", () => {
+  const iso = membraneConstitutive(1e9, 0.3);
+  const orth = orthotropicConstitutive({ E1: 1e9, E2: 1e9, G12: 1e9 / 2.6, nu12: 0.3 }, 0.7);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) assert.ok(Math.abs(orth[r][c] - iso[r][c]) < 1e-3 * 1e9, `C${r}${c}`);
+  }
+
+  const C0 = orthotropicConstitutive(cloth, 0);
+  const C90 = orthotropicConstitutive(cloth, Math.PI / 2);
+  assert.ok(Math.abs(C90[0][0] - C0[1][1]) < 1);
+  assert.ok(Math.abs(C90[1][1] - C0[0][0]) < 1);
+  assert.ok(Math.abs(C90[0][2]) < 1e-3 && Math.abs(C0[0][2]) < 1e-12);
+
+  // Al bies la tela es mucho más blanda que en trama o urdimbre
+  const C45 = orthotropicConstitutive(cloth, Math.PI / 4);
+  assert.ok(Math.abs(uniaxialModulusX(C0) - cloth.E1) < 1e-3 * cloth.E1);
+  assert.ok(uniaxialModulusX(C45) < 0.5 * cloth.E2, `E45 ${uniaxialModulusX(C45)}`);
+  assert.ok(Math.abs(C45[0][2]) > 0);
+
+  const [s1, s2, t12] = stressInMaterialFrame([0, 0, 10], Math.PI / 4);
+  assert.ok(Math.abs(s1 - 10) < 1e-12 && Math.abs(s2 + 10) < 1e-12 && Math.abs(t12) < 1e-12);
+});
+
+test("sail cloth: element stiffness follows the fiber direction", () => {
+  const material = { thickness: 2.5e-4, prestress: 0, wrinklingEps: 1e-4, orthotropic: cloth };
+  const alongX = createMembraneElement([0, 1, 2], { ...material, fiberDir: [1, 0, 0] });
+  const alongY = createMembraneElement([0, 1, 2], { ...material, fiberDir: [0, 1, 0] });
+
+  // Tracción uniaxial en x: la fibra en x (trama) resiste más
+  const rx = membraneEnergyAndGrad(alongX, ref, stretched(1e-3, 0), dofMap);
+  const ry = membraneEnergyAndGrad(alongY, ref, stretched(1e-3, 0), dofMap);
+  assert.ok(rx.stress[0] / ry.stress[0] > 1.9, `${rx.stress[0]} vs ${ry.stress[0]}`);
+  assert.ok(Math.abs(rx.materialStress[0] - rx.stress[0]) < 1e-6);
+
+  // Tangente material consistente con las fuerzas internas (diferencias finitas,
+  // deformación pequeña para que la parte geométrica no cuente)
+  const elem = createMembraneElement([0, 1, 2], { ...material, fiberDir: [Math.SQRT1_2, Math.SQRT1_2, 0] });
+  const cur = stretched(2e-6, 1e-6);
+  const base = membraneEnergyAndGrad(elem, ref, cur, dofMap);
+  const h = 1e-9;
+  const pert = cur.map((p) => p.slice());
+  pert[1][0] += h;
+  const moved = membraneEnergyAndGrad(elem, ref, pert, dofMap);
+  for (const [node, comp] of [[1, 0], [2, 1]]) {
+    const fd = -(moved.forces[node][comp] - base.forces[node][comp]) / h;
+    const k = base.Ke[node * 3 + comp][1 * 3 + 0];
+    assert.ok(Math.abs(fd - k) < 1e-3 * Math.abs(base.Ke[3][3]), `K[${node},${comp}] ${k} vs fd ${fd}`);
+  }
+
+  // Wrinkling en ejes del material: compresión transversal no genera tensión
+  const wrinkled = membraneEnergyAndGrad(alongX, ref, stretched(1e-3, -2e-3), dofMap);
+  assert.ok(wrinkled.principalStresses[1] < 0);
+  assert.ok(Math.abs(wrinkled.stress[1]) < 1e-3 * Math.abs(wrinkled.principalStresses[1]) + 1e-6);
+});
+
+test("sail cloth: fiber layouts from the panel cut", () => {
+  // Vela triangular plana: grátil en z, pie en -y, baluma inclinada
+  const P = Array.from({ length: 5 }, (_, i) =>
+    Array.from({ length: 3 }, (_, j) => [0, -2 * (1 - i / 4) * (j / 2), 5 * (i / 4) + 0.5 * (1 - i / 4) * (j / 2)])
+  );
+  const leech = clothFiberDirections(P, "crosscut");
+  const expected = [0, 2, 4.5].map((v) => v / Math.hypot(2, 4.5));
+  for (const row of leech) for (const d of row) assert.ok(d.every((v, k) => Math.abs(v - expected[k]) < 1e-12));
+
+  const vertical = clothFiberDirections(P, "vertical");
+  assert.deepEqual(vertical[2][1], [0, 0, 1]);
+
+  // Radial: cerca del puño de escota la fibra sale del puño
+  const radial = clothFiberDirections(P, "radial");
+  const d = radial[0][1];
+  assert.ok(d[1] > 0, "fiber should point forward from the clew");
+  assert.ok(Math.abs(Math.hypot(...d) - 1) < 1e-12);
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { sailSectionAt, sectionShape, sailShapeAnalysis } = require("../src/shared/rig/sailShape3d.cjs");
+const { runPhase1Simulation } = require("../src/shared/rig/runPhase1.cjs");
+const { dockPayload } = require("./helpers/dockRig.cjs");
+
+const DEG = Math.PI / 180;
+
+// Vela plana en planta con perfil parabólico: cuerda hacia popa desde el grátil,
+// embolsando hacia +x; cada fila gira twistPerRowDeg respecto al pie
+function parabolicGrid({ nRows = 4, nCols = 10, chord = 2, depth = 0.1, twistPerRowDeg = 0 }) {
+  return Array.from({ length: nRows + 1 }, (_, i) => {
+    const a = i * twistPerRowDeg * DEG;
+    return Array.from({ length: nCols + 1 }, (_, j) => {
+      const s = j / nCols;
+      const along = s * chord;
+      const off = 4 * depth * chord * s * (1 - s);
+      // Giro alrededor del grátil: la baluma se abre hacia +x
+      return [along * Math.sin(a) + off * Math.cos(a), -along * Math.cos(a) + off * Math.sin(a), i];
+    });
+  });
+}
+
+test("sail shape: camber, draft, entry/exit of a parabolic section", () => {
+  const P = parabolicGrid({ depth: 0.1 });
+  const s = sectionShape(P[0]);
+  assert.ok(Math.abs(s.chordM - 2) < 1e-12);
+  assert.ok(Math.abs(s.camberPct - 10) < 1e-9, `camber ${s.camberPct}`);
+  assert.ok(Math.abs(s.draftPosPct - 50) < 1e-9, `draft ${s.draftPosPct}`);
+  assert.equal(s.side, 1);
+  // Pendiente de la parábola en los extremos: 4·depth, medida sobre la primera cuerda discreta
+  const expected = Math.atan(4 * 0.1 * (1 - 1 / 10)) / DEG;
+  assert.ok(Math.abs(s.entryDeg - expected) < 1e-9 && Math.abs(s.exitDeg - expected) < 1e-9);
+
+  // Embolsando hacia babor la profundidad sigue siendo positiva
+  const mirrored = sectionShape(P[0].map(([x, y, z]) => [-x, y, z]));
+  assert.equal(mirrored.side, -1);
+  assert.ok(Math.abs(mirrored.camberPct - 10) < 1e-9);
+});
+
+test("sail shape: sections interpolate between rows and report twist to leeward", () => {
+  const P = parabolicGrid({ twistPerRowDeg: 2 });
+  const mid = sailSectionAt(P, 0.375);
+  assert.ok(Math.abs(mid[0][2] - 1.5) < 1e-12);
+
+  const shape = sailShapeAnalysis({ relaxed: { main: P, jib: null }, prebend: null, loaded: { main: P, jib: P } }, [0.25, 0.5, 1]);
+  assert.equal(shape.prebend, null);
+  assert.equal(shape.relaxed.jib, null);
+  const [q, h, top] = shape.relaxed.main;
+  assert.ok(Math.abs(q.twistDeg - 2) < 1e-9 && Math.abs(h.twistDeg - 4) < 1e-9 && Math.abs(top.twistDeg - 8) < 1e-9);
+  assert.equal(q.ruleWidthM, 2.238);
+  assert.equal(shape.loaded.jib[1].ruleWidthM, 1.025);
+  assert.equal(shape.loaded.jib[0].ruleWidthM, null);
+
+  // Vela girada en planta hasta cruzar ±180° de rumbo: el twist no cambia
+  for (const deg of [176, -176]) {
+    const [c, s] = [Math.cos(deg * DEG), Math.sin(deg * DEG)];
+    const R = P.map((row) => row.map(([x, y, z]) => [c * x - s * y, s * x + c * y, z]));
+    const turned = sailShapeAnalysis({ relaxed: { main: R, jib: null }, prebend: null, loaded: null }, [0.25, 0.5, 1]).relaxed.main;
+    turned.forEach((sec, k) => assert.ok(Math.abs(sec.twistDeg - [2, 4, 8][k]) < 1e-9, `${deg}: ${sec.twistDeg}`));
+  }
+});
+
+test("sail shape: shapeHeights are validated", () => {
+  const payload = dockPayload({
+    load: { mode: "upwind", qLateralNpm: 30, qProfile: "triangular" },
+    sails: { enabled: true, shapeHeights: [0.5, 1.2] }
+  });
+  assert.throws(() => runPhase1Simulation(payload), /Invalid sails\.shapeHeights/);
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { seaStateSeries, applyInertialLoads3d } = require("../src/shared/rig/seaStatePhase1_3d.cjs");
+const { resultsToCsv } = require("../src/shared/rig/serialize.cjs");
+const { dockPayload, runQuiet } = require("./helpers/dockRig.cjs");
+
+const basePayload = dockPayload();
+
+function run(seaState) {
+  return runQuiet({ ...basePayload, seaState });
+}
+
+test("sea state: sinusoidal accelerations and d'Alembert forces", () => {
+  const series = seaStateSeries({ pitchAmplitudeDeg: 10, heaveAmplitudeM: 0, periodS: 2, samples: 4 });
+  assert.deepEqual(series.map((s) => s.tS), [0, 0.5, 1, 1.5]);
+  // θ̈ = −A·ω²·sin(ωt): máximo negativo a un cuarto de periodo
+  const peak = ((10 * Math.PI) / 180) * Math.PI ** 2;
+  assert.ok(Math.abs(series[1].pitchAccRadS2 + peak) < 1e-12);
+
+  const model = {
+    nodes: [
+      { id: 0, name: "mast_0", p0: [0, 0, 0] },
+      { id: 1, name: "mast_1", p0: [0, 0, 2] }
+    ],
+    axial: [{ name: "mast_seg_0", kind: "bar", i: 0, j: 1 }],
+    forces: [[0, 0, 0], [0, 0, 0]]
+  };
+  // Palo de 2 m (1 kg/m): 1 kg en cada nodo; proa abajo con α = 1 rad/s² sobre el pie
+  applyInertialLoads3d(model, {
+    sample: { pitchAccRadS2: 1, heaveAccMs2: 0 },
+    axis: { yM: 0, zM: 0 },
+    massInput: { mastMassPerMKg: 1, mastheadMassKg: 0 }
+  });
+  // El pie está sobre el eje: sin aceleración
+  assert.ok(model.forces[0].every((f) => Math.abs(f) < 1e-12));
+  // El tope acelera a proa: la inercia tira a popa
+  assert.ok(Math.abs(model.forces[1][1] + 2) < 1e-12);
+});
+
+test("sea state: pitch cycle reports forestay and shroud peak and range", () => {
+  const res = run({ pitchAmplitudeDeg: 6, heaveAmplitudeM: 0.2, periodS: 2, samples: 4 });
+  assert.equal(res.converged, true);
+  const sea = res.outputs.seaState;
+  assert.equal(sea.converged, true);
+  assert.equal(sea.samples.length, 4);
+  assert.ok(Math.abs(sea.pitchAxis.yM - 0.5 * (1.511 - 3.21)) < 1e-12);
+  for (const key of ["forestayN", "shroudPortN", "shroudStbdN"]) {
+    const r = sea.summary[key];
+    assert.ok(r.maxN >= r.minN);
+    assert.ok(r.rangeN > 10, `${key} range ${r.rangeN}`);
+    assert.equal(r.staticN, res.outputs.tensions[key]);
+  }
+  // Jarcia simétrica: el cabeceo carga igual los dos obenques
+  assert.ok(Math.abs(sea.summary.shroudPortN.maxN - sea.summary.shroudStbdN.maxN) < 5);
+  assert.match(resultsToCsv(res), /sea_state_forestay,range,/);
+
+  assert.equal(run(undefined).outputs.seaState, null);
+  assert.throws(() => run({ mode: "chop" }), /Invalid seaState.mode/);
+  assert.throws(() => run({ mode: "series", series: [{ pitchAccRadS2: 1 }] }), /Invalid seaState.series\[0\].tS/);
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { gravityInBoatFrame, buildSelfWeightMass3d } = require("../src/shared/rig/massPhase1_3d.cjs");
+const { normalizeAeroConfig } = require("../src/shared/rig/aeroVlm.cjs");
+const { dockPayload, runQuiet } = require("./helpers/dockRig.cjs");
+
+const basePayload = dockPayload();
+
+function run(load) {
+  return runQuiet({ ...basePayload, load: { ...basePayload.load, ...load } });
+}
+
+test("self weight: gravity rotated into the boat frame", () => {
+  const g = gravityInBoatFrame({ heelDeg: 20 }, 1);
+  // Viento de estribor (windSign = 1): el tope cae a babor (−x)
+  assert.ok(Math.abs(g[0] + 9.81 * Math.sin((20 * Math.PI) / 180)) < 1e-12);
+  assert.equal(g[1], 0);
+  assert.ok(Math.abs(Math.hypot(...g) - 9.81) < 1e-12);
+  assert.ok(gravityInBoatFrame({ heelDeg: 20 }, -1)[0] > 0);
+  assert.ok(gravityInBoatFrame({ pitchDeg: 5 })[1] > 0);
+});
+
+test("self weight: boom and sail cloth are lumped on their nodes", () => {
+  const model = {
+    nodes: [
+      { id: 0, name: "mast_0", p0: [0, 0, 0] },
+      { id: 1, name: "mast_1", p0: [0, 0, 1] },
+      { id: 2, name: "boom_seg_1", p0: [0, -1, 1] }
+    ],
+    axial: [
+      { name: "mast_seg_0", kind: "bar", i: 0, j: 1 },
+      { name: "boom_seg_0", kind: "bar", i: 1, j: 2 }
+    ],
+    springs: [],
+    membranes: [{ nodeIds: [0, 1, 2] }]
+  };
+  const base = buildSelfWeightMass3d(model, { mastMassPerMKg: 1, sailClothKgPerM2: 0 });
+  const cloth = buildSelfWeightMass3d(model, { mastMassPerMKg: 1, sailClothKgPerM2: 0.3 });
+  // Triángulo de 0.5 m² → 0.15 kg de tela repartidos a tercios
+  assert.ok(Math.abs(cloth.totalMassKg - base.totalMassKg - 0.15) < 1e-12);
+  // 1 m de palo + 1 m de botavara
+  assert.ok(Math.abs(base.totalMassKg - (1 + 0.8)) < 1e-12);
+  assert.ok(Math.abs(base.nodeMassKg[2] - 0.4) < 1e-12);
+});
+
+test("self weight: 20° heel unloads the leeward shroud", () => {
+  const upright = run({ gravity: true });
+  const heeled = run({ gravity: true, heelDeg: 20 });
+  assert.equal(upright.converged, true);
+  assert.equal(heeled.converged, true);
+  assert.ok(heeled.outputs.selfWeight.totalMassKg > 5);
+  assert.equal(heeled.outputs.selfWeight.heelDeg, 20);
+  // Palo vertical: obenques simétricos; escorado: el de sotavento (babor) afloja
+  const t0 = upright.outputs.tensions;
+  const t = heeled.outputs.tensions;
+  assert.ok(Math.abs(t0.shroudPortN - t0.shroudStbdN) < 5);
+  assert.ok(t.shroudPortN < t.shroudStbdN);
+  assert.equal(run({}).outputs.selfWeight, null);
+  assert.throws(() => run({ gravity: "yes" }), /Invalid load.gravity/);
+  assert.throws(() => run({ heelDeg: 120 }), /Invalid load.heelDeg/);
+});
+
+test("self weight: load.heelDeg heels the VLM wind but leaves the synthetic q(z) alone", () => {
+  // Sin peso propio la escora no cambia la carga sintética del palo
+  const heeled = run({ mode: "upwind", qLateralNpm: 60, heelDeg: 30 });
+  const upright = run({ mode: "upwind", qLateralNpm: 60 });
+  assert.equal(heeled.converged, true);
+  for (const k of ["forestayN", "shroudPortN", "shroudStbdN"]) {
+    assert.equal(heeled.outputs.tensions[k], upright.outputs.tensions[k], k);
+  }
+
+  assert.equal(normalizeAeroConfig({ model: "vlm" }, 20).heelDeg, 20);
+  assert.equal(normalizeAeroConfig({ model: "vlm", heelDeg: 20 }).heelDeg, 20);
+  const sails = (heelDeg) => ({ enabled: false, aero: { model: "vlm", heelDeg } });
+  assert.throws(
+    () => runQuiet({ ...basePayload, load: { ...basePayload.load, heelDeg: 20 }, sails: sails(5) }),
+    /Invalid sails.aero.heelDeg: 5 differs from load.heelDeg 20/
+  );
+  assert.throws(
+    () => runQuiet({ ...basePayload, load: { ...basePayload.load, heelDeg: -10 }, sails: sails(undefined) }),
+    /Invalid load.heelDeg: -10/
+  );
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyzeSensitivity } = require("../src/shared/rig/sensitivity.cjs");
+const { runPhase1Simulation } = require("../src/shared/rig/runPhase1.cjs");
+const { mastSectionStiffness } = require("../src/shared/rig/mastSections.cjs");
+const { dockPayload, quietly } = require("./helpers/dockRig.cjs");
+
+const basePayload = dockPayload({ controls: { shroudDeltaL0StbdM: 0.004 }, solver: { maxIterations: 200 } });
+
+test("sensitivity: rejects unknown parameters", () => {
+  assert.throws(() => analyzeSensitivity({ payload: basePayload, options: { parameters: ["controls.nope"] } }), /Unknown sensitivity parameter/);
+});
+
+test("sensitivity: warm-started central differences match cold solves and rank the shroud first", () => {
+  quietly(() => {
+    const step = 0.0005;
+    const progress = [];
+    const res = analyzeSensitivity({
+      payload: basePayload,
+      options: {
+        parameters: ["controls.shroudDeltaL0PortM", "controls.jibHalyardTensionN"],
+        steps: { "controls.shroudDeltaL0PortM": step }
+      },
+      onProgress: (p) => progress.push(p)
+    });
+
+    assert.equal(progress.length, 4);
+    const shroud = res.parameters[0];
+    assert.equal(shroud.method, "central");
+    assert.equal(shroud.step, step);
+    assert.ok(shroud.derivatives.shroudPortN > 0, `dT/dL ${shroud.derivatives.shroudPortN}`);
+    assert.equal(res.ranking.shroudPortN[0], "controls.shroudDeltaL0PortM");
+
+    const cold = (v) => runPhase1Simulation({ ...basePayload, controls: { ...basePayload.controls, shroudDeltaL0PortM: v } });
+    const hi = cold(0.003 + step).outputs.tensions.shroudPortN;
+    const lo = cold(0.003 - step).outputs.tensions.shroudPortN;
+    const expected = (hi - lo) / (2 * step);
+    assert.ok(Math.abs(shroud.derivatives.shroudPortN - expected) / Math.abs(expected) < 0.02,
+      `${shroud.derivatives.shroudPortN} vs ${expected}`);
+  });
+});
+
+test("sensitivity: a section-only stiffness perturbs around the section EI", () => {
+  quietly(() => {
+    const payload = { ...basePayload, stiffness: { sectionId: "snipe-reference" } };
+    const res = analyzeSensitivity({ payload, options: { parameters: ["stiffness.mastEIxBase"] } });
+    const p = res.parameters[0];
+    assert.equal(p.value, mastSectionStiffness("snipe-reference").mastEIxBase);
+    assert.equal(p.method, "central");
+    // Base en el centro del intervalo: menos EI flecha más, más EI flecha menos
+    assert.ok(p.low.mastheadDeflectionM > 0, `low ${p.low.mastheadDeflectionM}`);
+    assert.ok(p.high.mastheadDeflectionM < 0, `high ${p.high.mastheadDeflectionM}`);
+  });
+});
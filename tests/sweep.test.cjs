@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildSweepPoints, sweepDispatchOrder, applySweepPoint, headstaySagM, summarizeSweepPoint, assembleSweepGrid } = require("../src/shared/rig/sweep.cjs");
+const { runSweep } = require("../src/main/sweepPool.cjs");
+const { dockPayload, runQuiet } = require("./helpers/dockRig.cjs");
+
+const basePayload = dockPayload({ controls: { shroudDeltaL0StbdM: 0.004 } });
+
+test("sweep: grid points, serpentine order and payload paths", () => {
+  const plan = buildSweepPoints({
+    axes: [
+      { field: "controls.shroudDeltaL0PortM", from: 0, to: 0.002, steps: 3 },
+      { field: "load.qLateralNpm", values: [0, 100] }
+    ]
+  });
+  assert.equal(plan.points.length, 6);
+  assert.deepEqual(plan.axes[0].values, [0, 0.001, 0.002]);
+  assert.deepEqual(sweepDispatchOrder(plan.points).map((p) => p.index), [0, 1, 3, 2, 4, 5]);
+
+  const p = applySweepPoint(basePayload, plan.points[5]);
+  assert.equal(p.controls.shroudDeltaL0PortM, 0.002);
+  assert.equal(p.load.qLateralNpm, 100);
+  assert.equal(basePayload.controls.shroudDeltaL0PortM, 0.003);
+
+  assert.throws(() => buildSweepPoints({ axes: [{ field: "constants.x", values: [1] }] }), /field/);
+  assert.throws(() => buildSweepPoints({ axes: [{ field: "controls.a", from: 0, to: 1, steps: 21 }, { field: "controls.b", from: 0, to: 1, steps: 20 }] }), /too large/);
+});
+
+test("sweep: headstay sag from the discretized stay", () => {
+  // Hounds a 5 m y proa elevada sobre la cubierta: los extremos vienen de outputs.headstay
+  const headstay = { hounds: { x: 0, y: 0, z: 5 }, bow: { x: 0, y: 1.5, z: 0.3 } };
+  // Punto medio del estay desplazado 3 cm en x (perpendicular a la cuerda)
+  const stay_jib = [{ x: 0.03, y: 0.75, z: 2.65 }];
+  const sag = headstaySagM({ headstay, cableCurves: { stay_jib } });
+  assert.ok(Math.abs(sag - 0.03) < 1e-12);
+});
+
+test("sweep: figures that cannot be computed are null, not zero", () => {
+  const result = { converged: true, iterations: 3, outputs: { tensions: { shroudPortN: 900, shroudStbdN: 900, forestayN: 1200 }, mastCurveLoaded: [] } };
+  const summary = summarizeSweepPoint(result, basePayload.geometry);
+  assert.equal(summary.mastheadRakeM, null);
+  assert.equal(summary.prebendSpreaderM, null);
+  assert.equal(summary.headstaySagM, null);
+
+  const grid = assembleSweepGrid({ axes: [{ values: [1] }], points: [{ index: 0 }] }, [summary]);
+  assert.deepEqual(grid.mastheadRakeM, [[null]]);
+  assert.deepEqual(grid.headstaySagM, [[null]]);
+});
+
+test("sweep: worker pool streams every point and warm-starts neighbours", async () => {
+  const streamed = [];
+  const grid = await runSweep({
+    payload: basePayload,
+    sweep: { axes: [{ field: "controls.jibHalyardTensionN", values: [1000, 1500] }] },
+    poolSize: 1,
+    onPoint: (p) => streamed.push(p)
+  });
+
+  assert.equal(streamed.length, 2);
+  assert.equal(streamed[1].completed, 2);
+  assert.deepEqual(grid.converged, [[true], [true]]);
+  assert.ok(grid.shroudPortN.every((row) => row[0] > 1000));
+  assert.ok(grid.prebendSpreaderM.every((row) => Number.isFinite(row[0])));
+  // El segundo punto parte del primero: muchas menos iteraciones
+  assert.ok(grid.points[1].iterations < grid.points[0].iterations, `${grid.points[1].iterations} vs ${grid.points[0].iterations}`);
+});
+
+test("sweep: per-phase x is only returned on request", () => {
+  assert.equal(runQuiet(basePayload).diagnostics.warmStart, null);
+  const { phaseX } = runQuiet({ ...basePayload, solver: { ...basePayload.solver, returnWarmStart: true } }).diagnostics.warmStart;
+  assert.deepEqual(Object.keys(phaseX), ["standing_pretension", "jib_halyard", "sailing_load"]);
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadFactorAt, rayleighCoefficients, transientPeaks } = require("../src/shared/rig/transientPhase1_3d.cjs");
+const { resultsToCsv } = require("../src/shared/rig/serialize.cjs");
+const { dockPayload, runQuiet } = require("./helpers/dockRig.cjs");
+
+// Monolítico: el transitorio arranca del mismo equilibrio que los resultados estáticos
+const basePayload = dockPayload({
+  load: { mode: "upwind", qLateralNpm: 60 },
+  solver: { loadSteps: 4, maxIterations: 300, useSegregatedFSI: false }
+});
+
+function run(transient) {
+  return runQuiet({ ...basePayload, transient });
+}
+
+test("transient: gust load factor and Rayleigh damping", () => {
+  const gust = { gust: { shape: "ramp", startS: 0.2, riseS: 0.4, holdS: 1, factor: 1.5 } };
+  assert.equal(loadFactorAt(gust, 0), 1);
+  assert.ok(Math.abs(loadFactorAt(gust, 0.4) - 1.25) < 1e-12);
+  assert.equal(loadFactorAt(gust, 1), 1.5);
+  assert.ok(Math.abs(loadFactorAt(gust, 1.8) - 1.25) < 1e-12);
+  assert.equal(loadFactorAt(gust, 3), 1);
+  assert.equal(loadFactorAt({ history: [{ tS: 0, factor: 1 }, { tS: 1, factor: 2 }] }, 0.25), 1.25);
+
+  // ζ(ω) = a0/(2ω) + a1·ω/2 vale ζ en las dos frecuencias de ajuste
+  const { a0, a1 } = rayleighCoefficients({ dampingRatio: 0.03, dampingFreqsHz: [1, 8] });
+  for (const f of [1, 8]) {
+    const w = 2 * Math.PI * f;
+    assert.ok(Math.abs(a0 / (2 * w) + (a1 * w) / 2 - 0.03) < 1e-12);
+  }
+});
+
+test("transient: peaks skip non-finite samples", () => {
+  const sample = (dxM, forestayN, shroudPortN) => ({ masthead: { dxM, dyM: 0, dzM: 0 }, forestayN, shroudPortN, shroudStbdN: NaN });
+  const peaks = transientPeaks([sample(0.01, 900, 400), sample(NaN, Infinity, 450), sample(0.02, 950, NaN)]);
+  assert.deepEqual(peaks, { mastheadDisplacementM: 0.02, forestayN: 950, shroudPortN: 450, shroudStbdN: null });
+  assert.equal(transientPeaks([]), null);
+});
+
+test("transient: gust overshoots the static shroud load and settles", () => {
+  const steady = run({ durationS: 0.2, dtS: 0.02, gust: { factor: 1 } });
+  const tr0 = steady.outputs.transient;
+  assert.equal(tr0.converged, true);
+  assert.equal(tr0.initialEquilibrium.converged, true);
+  // Sin racha el aparejo no se mueve
+  assert.ok(tr0.peaks.mastheadDisplacementM < 1e-4);
+  assert.ok(Math.abs(tr0.history[0].shroudStbdN - steady.outputs.tensions.shroudStbdN) < 5);
+
+  const res = run({ durationS: 0.6, dtS: 0.01, gust: { shape: "step", startS: 0, factor: 1.5 } });
+  const tr = res.outputs.transient;
+  assert.equal(tr.converged, true);
+  assert.equal(tr.history.at(-1).tS, 0.6);
+  const start = tr.history[0].shroudStbdN;
+  const end = tr.history.at(-1).shroudStbdN;
+  assert.ok(end > start);
+  // Escalón de carga: el pico dinámico supera el valor al que tiende
+  assert.ok(tr.peaks.shroudStbdN > end);
+  assert.ok(tr.peaks.mastheadDisplacementM > 1e-3);
+  assert.equal(tr.history[0].leech, null);
+  assert.match(resultsToCsv(res), /t_s,load_factor,masthead_dx_m/);
+  assert.throws(() => run({ alpha: -0.5 }), /Invalid transient.alpha/);
+});